@@ -8,12 +8,15 @@ const multer = require('multer');
 const path = require('path');
 const { log } = require('console');
 const mailer = require('nodemailer');
+const PDFDocument = require('pdfkit');
 const app = express();
 const port = process.env.PORT || 5000;
 const fs = require('fs');
+const crypto = require('crypto');
 // Middleware
 app.use(cors());
-app.use(bodyParser.json());
+// Keep the raw body around for verifying webhook signatures
+app.use(bodyParser.json({ verify: (req, res, buf) => { req.rawBody = buf; } }));
 app.use(bodyParser.urlencoded({ extended: true }));
 
 // Serve static files from the "public" directory
@@ -41,15 +44,338 @@ mongoose.connect(mongoUri, {
   .then(() => console.log('MongoDB connected'))
   .catch(err => console.error('MongoDB connection error:', err));
 
+// Sessions and authentication
+// Roles match the model names so a session can be resolved back to its account
+const ROLES = {
+  USER: 'User',
+  VENDOR: 'Vendor',
+  ADMIN: 'Admin',
+  DELIVERY: 'DeliveryPerson'
+};
+
+const AUTH_SECRET = process.env.AUTH_SECRET || crypto.randomBytes(32).toString('hex');
+if (!process.env.AUTH_SECRET) {
+  console.warn('AUTH_SECRET is not set, sessions will be invalidated on restart');
+}
+const ACCESS_TOKEN_TTL = 15 * 60 * 1000; // 15 minutes
+const REFRESH_TOKEN_TTL = 30 * 24 * 60 * 60 * 1000; // 30 days
+
+const sessionSchema = new mongoose.Schema({
+  account_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'role',
+    required: true
+  },
+  role: {
+    type: String,
+    enum: Object.values(ROLES),
+    required: true
+  },
+  refresh_token_hash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  expires_at: {
+    type: Date,
+    required: true
+  },
+  revoked_at: {
+    type: Date,
+    default: null
+  }
+}, { timestamps: true });
+
+const Session = mongoose.model('Session', sessionSchema);
+
+const signAccessToken = (payload) => {
+  const body = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  const signature = crypto.createHmac('sha256', AUTH_SECRET).update(body).digest('base64url');
+  return `${body}.${signature}`;
+};
+
+// Returns the token payload, or null when the signature or expiry is invalid
+const verifyAccessToken = (token) => {
+  const [body, signature] = String(token).split('.');
+  if (!body || !signature) return null;
+
+  const expected = crypto.createHmac('sha256', AUTH_SECRET).update(body).digest();
+  const given = Buffer.from(signature, 'base64url');
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    return null;
+  }
+
+  try {
+    const payload = JSON.parse(Buffer.from(body, 'base64url').toString());
+    return payload.exp > Date.now() ? payload : null;
+  } catch {
+    return null;
+  }
+};
+
+const hashRefreshToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const buildSessionTokens = (session) => {
+  const refreshToken = crypto.randomBytes(48).toString('base64url');
+  session.refresh_token_hash = hashRefreshToken(refreshToken);
+  session.expires_at = new Date(Date.now() + REFRESH_TOKEN_TTL);
+
+  const token = signAccessToken({
+    sid: session._id.toString(),
+    sub: session.account_id.toString(),
+    role: session.role,
+    exp: Date.now() + ACCESS_TOKEN_TTL
+  });
+
+  return { token, refreshToken, expiresIn: ACCESS_TOKEN_TTL / 1000 };
+};
+
+// Create a session for an account and return its access and refresh tokens
+const issueSession = async (accountId, role) => {
+  const session = new Session({ account_id: accountId, role });
+  const tokens = buildSessionTokens(session);
+  await session.save();
+  return tokens;
+};
+
+const revokeSessions = (accountId) =>
+  Session.updateMany({ account_id: accountId, revoked_at: null }, { revoked_at: new Date() });
+
+// Populates req.user from a bearer token; requests without one continue anonymously
+const authenticate = async (req, res, next) => {
+  const header = req.headers.authorization || '';
+  if (!header.startsWith('Bearer ')) {
+    return next();
+  }
+
+  const payload = verifyAccessToken(header.slice(7));
+  if (!payload) {
+    return res.status(401).json({ message: 'Invalid or expired token' });
+  }
+
+  try {
+    const session = await Session.findById(payload.sid);
+    if (!session || session.revoked_at) {
+      return res.status(401).json({ message: 'Session has been revoked' });
+    }
+
+    req.user = {
+      id: payload.sub,
+      _id: new mongoose.Types.ObjectId(payload.sub),
+      role: payload.role,
+      session_id: session._id
+    };
+    next();
+  } catch (err) {
+    console.error('Error authenticating request:', err.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Rejects anonymous requests, and requests from other roles when roles are given
+const requireRole = (...roles) => (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({ message: 'Authentication required' });
+  }
+  if (roles.length > 0 && !roles.includes(req.user.role)) {
+    return res.status(403).json({ message: 'Access denied' });
+  }
+  next();
+};
+
+const requireAuth = requireRole();
+
+// Lets an account act only on its own records (looked up in params, query, then body); admins may act on any
+const requireSelf = (field, role) => (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({ message: 'Authentication required' });
+  }
+  if (req.user.role === ROLES.ADMIN) {
+    return next();
+  }
+
+  const accountId = req.params[field] ?? req.query[field] ?? req.body?.[field];
+  if (req.user.role !== role || String(accountId) !== req.user.id) {
+    return res.status(403).json({ message: 'Access denied' });
+  }
+  next();
+};
+
+// Buyers, the selling vendor, the assigned delivery person and admins may see an order
+const canAccessOrder = (user, order) => {
+  switch (user.role) {
+    case ROLES.ADMIN:
+      return true;
+    case ROLES.USER:
+      return String(order.user_id) === user.id;
+    case ROLES.VENDOR:
+      return String(order.vendor_id) === user.id;
+    case ROLES.DELIVERY:
+      return String(order.delivery_boy_id) === user.id;
+    default:
+      return false;
+  }
+};
+
+app.use(authenticate);
+
+// Exchange a refresh token for a new token pair; the old refresh token stops working
+app.post('/auth/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    if (!refreshToken) {
+      return res.status(400).json({ message: 'Refresh token is required' });
+    }
+
+    const session = await Session.findOne({ refresh_token_hash: hashRefreshToken(refreshToken) });
+    if (!session || session.revoked_at || session.expires_at < new Date()) {
+      return res.status(401).json({ message: 'Invalid or expired refresh token' });
+    }
+
+    const tokens = buildSessionTokens(session);
+    await session.save();
+
+    res.json({ ...tokens, id: session.account_id, role: session.role });
+  } catch (err) {
+    console.error('Error refreshing session:', err.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Revoke the current session
+app.post('/auth/logout', requireAuth, async (req, res) => {
+  try {
+    await Session.findByIdAndUpdate(req.user.session_id, { revoked_at: new Date() });
+    res.json({ message: 'Logged out successfully' });
+  } catch (err) {
+    console.error('Error logging out:', err.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Revoke every session of the current account
+app.post('/auth/logout-all', requireAuth, async (req, res) => {
+  try {
+    await revokeSessions(req.user._id);
+    res.json({ message: 'All sessions revoked successfully' });
+  } catch (err) {
+    console.error('Error revoking sessions:', err.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Passwords
+// Stored as "scrypt$<cost>$<salt>$<key>"; anything else is a legacy plaintext value
+const SCRYPT_COST = 16384;
+const SCRYPT_KEY_LENGTH = 64;
+
+const scrypt = (password, salt, cost) =>
+  new Promise((resolve, reject) => {
+    crypto.scrypt(password, salt, SCRYPT_KEY_LENGTH, { N: cost }, (err, key) => (err ? reject(err) : resolve(key)));
+  });
+
+const hashPassword = async (password) => {
+  const salt = crypto.randomBytes(16);
+  const key = await scrypt(String(password), salt, SCRYPT_COST);
+  return `scrypt$${SCRYPT_COST}$${salt.toString('hex')}$${key.toString('hex')}`;
+};
+
+const isPasswordHash = (stored) => typeof stored === 'string' && stored.startsWith('scrypt$');
+
+const verifyPassword = async (password, stored) => {
+  if (!password || !stored) return false;
+
+  if (!isPasswordHash(stored)) {
+    // Compare digests so the legacy comparison stays constant-time
+    const given = crypto.createHash('sha256').update(String(password)).digest();
+    const expected = crypto.createHash('sha256').update(stored).digest();
+    return crypto.timingSafeEqual(given, expected);
+  }
+
+  const [, cost, salt, key] = stored.split('$');
+  const expected = Buffer.from(key, 'hex');
+  const given = await scrypt(String(password), Buffer.from(salt, 'hex'), Number(cost));
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+};
+
+const needsRehash = (stored) => !isPasswordHash(stored) || Number(stored.split('$')[1]) !== SCRYPT_COST;
+
+// Checks a login attempt against an account loaded with its password field,
+// upgrading plaintext or outdated hashes after a successful match
+const verifyAccountPassword = async (account, field, password) => {
+  if (!account || !(await verifyPassword(password, account[field]))) {
+    return false;
+  }
+
+  if (needsRehash(account[field])) {
+    const hash = await hashPassword(password);
+    await account.constructor.updateOne({ _id: account._id }, { [field]: hash });
+    account[field] = hash;
+  }
+  return true;
+};
+
 // Schemas and Models
+const DEFAULT_RETURN_WINDOW_DAYS = 7;
+
+// Kinds of values a category attribute takes
+const ATTRIBUTE_TYPES = {
+  TEXT: 'text',
+  NUMBER: 'number',
+  BOOLEAN: 'boolean',
+  SELECT: 'select',
+};
+
+const categoryAttributeSchema = new mongoose.Schema({
+  key: { type: String, required: true }, // e.g. "fabric", "shelf_life"
+  label: { type: String, required: true },
+  type: { type: String, enum: Object.values(ATTRIBUTE_TYPES), default: ATTRIBUTE_TYPES.TEXT },
+  options: { type: [String], default: [] }, // Choices for select attributes
+  unit: { type: String, default: null }, // e.g. "days"
+  required: { type: Boolean, default: true },
+}, { _id: false });
+
 const categorySchema = new mongoose.Schema({
   category_name: {
     type: String,
-    required: true,
-    unique: true
+    required: true
+  },
+  parent_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    default: null
+  },
+  ancestors: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category' // Root first
+  }],
+  slug: {
+    type: String,
+    default: null
+  },
+  path: {
+    type: String,
+    default: null // Slugs from the root down, e.g. "food/dairy/cheese"
+  },
+  attributes: {
+    type: [categoryAttributeSchema],
+    default: [] // Inherited by the categories below
+  },
+  return_window_days: {
+    type: Number,
+    default: DEFAULT_RETURN_WINDOW_DAYS, // Days after delivery that products can be returned; 0 disables returns
+    min: 0
+  },
+  hsn_code: {
+    type: String,
+    default: null
+  },
+  gst_rate: {
+    type: Number,
+    default: 0 // Percent, used by products without a rate of their own
   }
 });
-app.post('/user/complaint', async (req, res) => {
+app.post('/user/complaint', requireSelf('user_id', ROLES.USER), async (req, res) => {
   try {
     const { user_id, cart_id, title, content } = req.body;
 
@@ -126,7 +452,7 @@ app.post('/user/complaint', async (req, res) => {
     });
   }
 });
-app.get('/user/:id', async (req, res) => {
+app.get('/user/:id', requireSelf('id', ROLES.USER), async (req, res) => {
   try {
     const user = await User.findById(req.params.id).select('-__v -user_password');
     if (!user) {
@@ -140,14 +466,14 @@ app.get('/user/:id', async (req, res) => {
 });
 
 // Update user details (excluding photo)
-app.put('/user/:id', async (req, res) => {
+app.put('/user/:id', requireSelf('id', ROLES.USER), async (req, res) => {
   try {
     const { user_name, user_email, user_password, address } = req.body;
     
     const updateFields = {};
     if (user_name) updateFields.user_name = user_name;
     if (user_email) updateFields.user_email = user_email;
-    if (user_password) updateFields.user_password = user_password;
+    if (user_password) updateFields.user_password = await hashPassword(user_password);
     if (address) {
       // Handle address update - you might want separate address endpoints
       updateFields.address = address;
@@ -171,7 +497,7 @@ app.put('/user/:id', async (req, res) => {
 });
 
 // Update or remove profile picture
-app.put('/user/:id/photo', upload.single('user_photo'), async (req, res) => {
+app.put('/user/:id/photo', requireSelf('id', ROLES.USER), upload.single('user_photo'), async (req, res) => {
   try {
     const user = await User.findById(req.params.id);
     if (!user) {
@@ -213,12 +539,13 @@ app.put('/user/:id/photo', upload.single('user_photo'), async (req, res) => {
 });
 
 // Delete user account
-app.delete('/user/:id', async (req, res) => {
+app.delete('/user/:id', requireSelf('id', ROLES.USER), async (req, res) => {
   try {
     const user = await User.findByIdAndDelete(req.params.id);
     if (!user) {
       return res.status(404).json({ message: 'User not found' });
     }
+    await revokeSessions(user._id);
 
     // Delete profile photo if exists
     if (user.user_photo) {
@@ -235,7 +562,7 @@ app.delete('/user/:id', async (req, res) => {
   }
 });
 // Get complaints with product details for a user
-app.get('/user/complaints/:userId', async (req, res) => {
+app.get('/user/complaints/:userId', requireSelf('userId', ROLES.USER), async (req, res) => {
   try {
     const { userId } = req.params;
 
@@ -320,7 +647,7 @@ app.get('/user/complaints/:userId', async (req, res) => {
     });
   }
 });
-app.get("/admin/top-vendor/yearly", async (req, res) => {
+app.get("/admin/top-vendor/yearly", requireRole(ROLES.ADMIN), async (req, res) => {
   try {
     const year = parseInt(req.query.v) || new Date().getFullYear();
 
@@ -393,7 +720,7 @@ app.get("/admin/top-vendor/yearly", async (req, res) => {
   }
 });
 // Get all complaints (admin)
-app.get("/admin/top-product", async (req, res) => {
+app.get("/admin/top-product", requireRole(ROLES.ADMIN), async (req, res) => {
   try {
     const { from, to } = req.query;
 
@@ -461,7 +788,7 @@ app.get("/admin/top-product", async (req, res) => {
   }
 });
 
-app.get('/admin/complaints', async (req, res) => {
+app.get('/admin/complaints', requireRole(ROLES.ADMIN), async (req, res) => {
   try {
     const complaints = await Complaint.aggregate([
       {
@@ -525,10 +852,10 @@ app.get('/admin/complaints', async (req, res) => {
 });
 
 // Submit reply to complaint
-app.post('/admin/complaints/:complaintId/reply', async (req, res) => {
+app.post('/admin/complaints/:complaintId/reply', requireRole(ROLES.ADMIN), async (req, res) => {
   try {
     const { complaintId } = req.params;
-    const { reply, status } = req.body;
+    const { reply, status, refund } = req.body;
 
     if (!reply || !status) {
       return res.status(400).json({
@@ -537,11 +864,46 @@ app.post('/admin/complaints/:complaintId/reply', async (req, res) => {
       });
     }
 
+    // Resolving with a refund pays back the complained-about line first
+    let issuedRefund = null;
+    if (refund && status === 'resolved') {
+      const complaint = await Complaint.findById(complaintId);
+      if (!complaint) {
+        return res.status(404).json({ success: false, message: 'Complaint not found' });
+      }
+      if (complaint.refund_id) {
+        return res.status(409).json({ success: false, message: 'This complaint was already refunded' });
+      }
+
+      const line = await Cart.findById(complaint.cart_id);
+      const order = line && line.order_id ? await Order.findById(line.order_id) : null;
+      if (!order) {
+        return res.status(409).json({ success: false, message: 'The complained-about item was never ordered' });
+      }
+
+      issuedRefund = await refundOrder(order, {
+        lines: [{ cart_id: line._id, qty: refund.qty }],
+        method: refund.method,
+        source: REFUND_SOURCES.COMPLAINT,
+        complaintId: complaint._id,
+        reason: reply,
+        actor: req.user,
+      });
+      if (issuedRefund.status === REFUND_STATUS.FAILED) {
+        return res.status(502).json({
+          success: false,
+          message: 'Refund failed, the complaint was left open',
+          refund: issuedRefund
+        });
+      }
+    }
+
     const updatedComplaint = await Complaint.findByIdAndUpdate(
       complaintId,
       {
         reply,
         status,
+        ...(issuedRefund ? { refund_id: issuedRefund._id } : {}),
         updatedAt: new Date()
       },
       { new: true }
@@ -556,16 +918,21 @@ app.post('/admin/complaints/:complaintId/reply', async (req, res) => {
 
     res.status(200).json({
       success: true,
-      data: updatedComplaint
+      data: updatedComplaint,
+      refund: issuedRefund
     });
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
+    console.error('Error replying to complaint:', error);
     res.status(500).json({
       success: false,
       message: 'Server error'
     });
   }
 });
-app.get('/user/:id', async (req, res) => {
+app.get('/user/:id', requireSelf('id', ROLES.USER), async (req, res) => {
   try {
     const user = await User.findById(req.params.id).select('-user_password');
     
@@ -585,8 +952,216 @@ app.get('/user/:id', async (req, res) => {
     res.status(500).json({ message: 'Server error' });
   }
 });
+categorySchema.index({ parent_id: 1, category_name: 1 }, { unique: true });
+categorySchema.index({ path: 1 }, { unique: true, partialFilterExpression: { path: { $type: 'string' } } });
+categorySchema.index({ ancestors: 1 });
+
 const Category = mongoose.model('Category', categorySchema);
 
+// Categories form a tree. Each category keeps its ancestors (root first) and a
+// slug path such as "food/dairy/cheese", so a category and everything under it
+// can be found with a single query.
+mongoose.connection.once('open', async () => {
+  try {
+    // Category names used to be unique across the whole list; now only among siblings
+    await Category.collection.dropIndex('category_name_1').catch((err) => {
+      if (err.codeName !== 'IndexNotFound' && err.codeName !== 'NamespaceNotFound') throw err;
+    });
+
+    // Categories from the flat list become roots
+    const legacy = await Category.find({ path: null });
+    for (const category of legacy) {
+      let slug = slugify(category.category_name) || String(category._id);
+      if (await Category.exists({ path: slug })) slug = `${slug}-${String(category._id).slice(-4)}`;
+      await Category.updateOne({ _id: category._id }, { $set: { slug, path: slug, parent_id: null, ancestors: [] } });
+    }
+  } catch (err) {
+    console.error('Category migration error:', err);
+  }
+});
+
+const slugify = (text) => String(text || '')
+  .toLowerCase()
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '');
+
+// Finds a category by id, slug path or name
+const findCategory = async (ref, session = null) => {
+  if (!ref) return null;
+  if (mongoose.Types.ObjectId.isValid(ref)) {
+    const category = await Category.findById(ref).session(session);
+    if (category) return category;
+  }
+  return (await Category.findOne({ path: String(ref).toLowerCase() }).session(session))
+    || Category.findOne({ category_name: ref }).session(session);
+};
+
+// Ids of the category and every category under it
+const categoryTreeIds = async (categoryId, session = null) => {
+  const descendants = await Category.find({ ancestors: categoryId }).select('_id').session(session);
+  return [categoryId, ...descendants.map((category) => category._id)];
+};
+
+// Recomputes the ancestors and path of a category and everything under it,
+// after it was renamed or moved
+const rebuildCategoryPaths = async (category, session) => {
+  const parent = category.parent_id ? await Category.findById(category.parent_id).session(session) : null;
+  const queue = [{ category, parent }];
+  while (queue.length > 0) {
+    const { category: current, parent: above } = queue.shift();
+    current.ancestors = above ? [...above.ancestors, above._id] : [];
+    current.path = above ? `${above.path}/${current.slug}` : current.slug;
+    await current.save({ session });
+    const children = await Category.find({ parent_id: current._id }).session(session);
+    queue.push(...children.map((child) => ({ category: child, parent: current })));
+  }
+};
+
+// Attribute definitions a product in the category must fill, including the
+// ones inherited from its ancestors (a closer category wins on the same key)
+const categoryAttributes = async (categoryId, session = null) => {
+  const category = categoryId ? await Category.findById(categoryId).session(session) : null;
+  if (!category) return [];
+  const ancestors = await Category.find({ _id: { $in: category.ancestors } }).session(session);
+  const byId = new Map(ancestors.map((ancestor) => [String(ancestor._id), ancestor]));
+  const chain = [...category.ancestors.map((id) => byId.get(String(id))).filter(Boolean), category];
+
+  const definitions = new Map();
+  for (const node of chain) {
+    for (const attribute of node.attributes) {
+      definitions.set(attribute.key, { ...attribute.toObject(), category_id: node._id });
+    }
+  }
+  return [...definitions.values()];
+};
+
+// Checks a category's attribute definitions from a request body
+const attributeDefinitions = (attributes) => {
+  if (!Array.isArray(attributes)) {
+    throw httpError(400, "Attributes must be a list.");
+  }
+  const keys = new Set();
+  return attributes.map((attribute) => {
+    const key = slugify(attribute.key || attribute.label).replace(/-/g, '_');
+    if (!key) throw httpError(400, "Every attribute needs a key or label.");
+    if (keys.has(key)) throw httpError(400, `Attribute ${key} is listed twice.`);
+    keys.add(key);
+
+    const type = attribute.type || ATTRIBUTE_TYPES.TEXT;
+    if (!Object.values(ATTRIBUTE_TYPES).includes(type)) {
+      throw httpError(400, `Attribute ${key} has an unknown type.`);
+    }
+    const options = Array.isArray(attribute.options) ? attribute.options.map(String).filter(Boolean) : [];
+    if (type === ATTRIBUTE_TYPES.SELECT && options.length === 0) {
+      throw httpError(400, `Attribute ${key} needs options to choose from.`);
+    }
+    return {
+      key,
+      label: attribute.label || key,
+      type,
+      options: type === ATTRIBUTE_TYPES.SELECT ? options : [],
+      unit: attribute.unit || null,
+      required: attribute.required !== false,
+    };
+  });
+};
+
+// Checks the product's attribute values against its category and stores them
+// in the declared types. Throws when a required one is missing or a value does
+// not fit.
+const checkProductAttributes = async (product, session = null) => {
+  const definitions = await categoryAttributes(product.category_id, session);
+  const values = product.attributes instanceof Map ? Object.fromEntries(product.attributes) : product.attributes || {};
+  const known = new Set(definitions.map((definition) => definition.key));
+
+  const unknown = Object.keys(values).filter((key) => !known.has(key));
+  if (unknown.length > 0) {
+    throw httpError(400, `Unknown attributes for this category: ${unknown.join(', ')}.`);
+  }
+
+  const checked = {};
+  for (const definition of definitions) {
+    const value = values[definition.key];
+    if (value === undefined || value === null || value === '') {
+      if (definition.required) throw httpError(400, `${definition.label} is required for this category.`);
+      continue;
+    }
+    checked[definition.key] = attributeValue(definition, value);
+  }
+  product.attributes = checked;
+};
+
+// An attribute value in its declared type; throws when it does not fit
+const attributeValue = (definition, value) => {
+  if (definition.type === ATTRIBUTE_TYPES.NUMBER) {
+    if (!Number.isFinite(Number(value))) throw httpError(400, `${definition.label} must be a number.`);
+    return Number(value);
+  }
+  if (definition.type === ATTRIBUTE_TYPES.BOOLEAN) {
+    if (![true, false, 'true', 'false'].includes(value)) throw httpError(400, `${definition.label} must be true or false.`);
+    return value === true || value === 'true';
+  }
+  if (definition.type === ATTRIBUTE_TYPES.SELECT && !definition.options.includes(String(value))) {
+    throw httpError(400, `${definition.label} must be one of: ${definition.options.join(', ')}.`);
+  }
+  return String(value);
+};
+
+// After products change category through a merge or move, keeps the attribute
+// values that fit their new category and drops the rest. Resolves to the
+// products still missing required attributes, which their vendors have to fill
+// in before the product can be edited again.
+const refitCategoryProducts = async (categoryIds, session) => {
+  const definitionsByCategory = new Map();
+  const incomplete = [];
+  const products = await Product.find({ category_id: { $in: categoryIds } }).select("name vendor_id category_id attributes").session(session);
+  for (const product of products) {
+    const categoryId = String(product.category_id);
+    if (!definitionsByCategory.has(categoryId)) {
+      definitionsByCategory.set(categoryId, await categoryAttributes(product.category_id, session));
+    }
+    const values = product.attributes ? Object.fromEntries(product.attributes) : {};
+
+    const fitted = {};
+    const missing = [];
+    for (const definition of definitionsByCategory.get(categoryId)) {
+      const value = values[definition.key];
+      let fits = value !== undefined && value !== null && value !== '';
+      if (fits) {
+        try {
+          fitted[definition.key] = attributeValue(definition, value);
+        } catch {
+          fits = false;
+        }
+      }
+      if (!fits && definition.required) missing.push(definition.label);
+    }
+
+    if (JSON.stringify(fitted) !== JSON.stringify(values)) {
+      await Product.updateOne({ _id: product._id }, { $set: { attributes: fitted } }, { session });
+    }
+    if (missing.length > 0) {
+      incomplete.push({ product_id: product._id, name: product.name, vendor_id: product.vendor_id, missing });
+    }
+  }
+  return incomplete;
+};
+
+// Nests a flat list of categories under their parents
+const categoryTree = (categories) => {
+  const nodes = new Map(categories.map((category) => [String(category._id), { ...category.toObject(), children: [] }]));
+  const roots = [];
+  for (const node of nodes.values()) {
+    const parent = node.parent_id && nodes.get(String(node.parent_id));
+    if (parent) parent.children.push(node);
+    else roots.push(node);
+  }
+  return roots;
+};
+
+
 const vendorSchema = new mongoose.Schema({
   vendor_name: {
     type: String,
@@ -599,7 +1174,8 @@ const vendorSchema = new mongoose.Schema({
   },
   vendor_password: {
     type: String,
-    required: true
+    required: true,
+    select: false
   },
   vendor_address: {
     type: String,
@@ -628,10 +1204,22 @@ const vendorSchema = new mongoose.Schema({
   vendor_lon: {
     type: Number,
     required: true
+  },
+  email_verified: {
+    type: Boolean,
+    default: true // Accounts created before email verification count as verified
+  },
+  cancellation_cutoff: {
+    type: String,
+    default: 'packed' // Order status from which customers can no longer cancel
+  },
+  vendor_state: {
+    type: String,
+    default: null // State the vendor is registered in, for GST
   }
 });
 // Get vendor profile
-app.get('/vendor/profile/:id', async (req, res) => {
+app.get('/vendor/profile/:id', requireSelf('id', ROLES.VENDOR), async (req, res) => {
   try {
     const vendor = await Vendor.findById(req.params.id).select('-__v -vendor_password');
     if (!vendor) {
@@ -645,9 +1233,9 @@ app.get('/vendor/profile/:id', async (req, res) => {
 });
 
 // Update vendor details
-app.put('/vendor/profile/:id', async (req, res) => {
+app.put('/vendor/profile/:id', requireSelf('id', ROLES.VENDOR), async (req, res) => {
   try {
-    const { vendor_password, vendor_address, vendor_lat, vendor_lon } = req.body;
+    const { vendor_password, vendor_address, vendor_lat, vendor_lon, vendor_state } = req.body;
     
     // Validate coordinates
     if (vendor_lat && isNaN(vendor_lat)) {
@@ -658,10 +1246,11 @@ app.put('/vendor/profile/:id', async (req, res) => {
     }
 
     const updateData = {};
-    if (vendor_password) updateData.vendor_password = vendor_password;
+    if (vendor_password) updateData.vendor_password = await hashPassword(vendor_password);
     if (vendor_address) updateData.vendor_address = vendor_address;
     if (vendor_lat) updateData.vendor_lat = vendor_lat;
     if (vendor_lon) updateData.vendor_lon = vendor_lon;
+    if (vendor_state) updateData.vendor_state = normalizeState(vendor_state);
 
     const vendor = await Vendor.findByIdAndUpdate(
       req.params.id,
@@ -672,6 +1261,8 @@ app.put('/vendor/profile/:id', async (req, res) => {
     if (!vendor) {
       return res.status(404).json({ success: false, message: 'Vendor not found' });
     }
+    await refreshVendorListings(vendor);
+    await reindexVendorProducts(vendor);
 
     res.json({ success: true, message: 'Profile updated successfully', data: vendor });
   } catch (err) {
@@ -679,7 +1270,7 @@ app.put('/vendor/profile/:id', async (req, res) => {
     res.status(500).json({ success: false, message: 'Server error', error: err.message });
   }
 });
-app.get('/admin/vendors-report', async (req, res) => {
+app.get('/admin/vendors-report', requireRole(ROLES.ADMIN), async (req, res) => {
   const { from, to } = req.query;
 
   if (!from || !to) {
@@ -691,6 +1282,11 @@ app.get('/admin/vendors-report', async (req, res) => {
     const toDate = new Date(to);
     toDate.setHours(23, 59, 59, 999); // Include the entire 'to' date
 
+    // What the buyer paid for a line, as linePaid works it out: refunds come out of this
+    const linePaidAmount = {
+      $ifNull: ['$line_total', { $subtract: ['$cart_price', { $ifNull: ['$discount_amount', 0] }] }]
+    };
+
     // Aggregate to calculate total earnings per vendor and their sold products
     const vendorEarnings = await Cart.aggregate([
       // Match carts with orders in the specified date range
@@ -706,6 +1302,7 @@ app.get('/admin/vendors-report', async (req, res) => {
       {
         $match: {
           'orderDetails.date': { $gte: fromDate, $lte: toDate },
+          'orderDetails.status': { $in: SOLD_ORDER_STATUSES },
           status: 'processing'
         }
       },
@@ -723,14 +1320,23 @@ app.get('/admin/vendors-report', async (req, res) => {
       {
         $group: {
           _id: '$productDetails.vendor_id',
-          totalEarnings: { $sum: '$cart_price' },
+          // Earnings are what buyers paid, net of refunds
+          grossEarnings: { $sum: '$cart_price' },
+          amountPaid: { $sum: linePaidAmount },
+          refunds: { $sum: { $ifNull: ['$refunded_amount', 0] } },
+          taxableValue: { $sum: { $ifNull: ['$taxable_value', '$cart_price'] } },
+          taxCollected: { $sum: { $ifNull: ['$tax_amount', 0] } },
+          totalEarnings: { $sum: { $subtract: [linePaidAmount, { $ifNull: ['$refunded_amount', 0] }] } },
           productsSold: {
             $push: {
               productId: '$productDetails._id',
               name: '$productDetails.name',
               price: '$productDetails.price',
               quantity: '$qty',
-              total: '$cart_price'
+              refundedQuantity: { $ifNull: ['$refunded_qty', 0] },
+              total: '$cart_price',
+              paid: linePaidAmount,
+              refunded: { $ifNull: ['$refunded_amount', 0] }
             }
           }
         }
@@ -755,19 +1361,40 @@ app.get('/admin/vendors-report', async (req, res) => {
           vendorAddress: '$vendorDetails.vendor_address',
           vendorLat: '$vendorDetails.vendor_lat',
           vendorLon: '$vendorDetails.vendor_lon',
+          grossEarnings: 1,
+          amountPaid: 1,
+          refunds: 1,
+          taxableValue: 1,
+          taxCollected: 1,
           totalEarnings: 1,
           productsSold: 1
         }
       }
     ]);
 
+    // The platform's commission, as booked in the vendors' ledgers for the period
+    const commissions = await VendorLedgerEntry.aggregate([
+      {
+        $match: {
+          type: { $in: [LEDGER_ENTRY_TYPES.COMMISSION, LEDGER_ENTRY_TYPES.COMMISSION_REVERSAL] },
+          date: { $gte: fromDate, $lte: toDate }
+        }
+      },
+      { $group: { _id: '$vendor_id', commission: { $sum: '$amount' } } }
+    ]);
+    const commissionByVendor = new Map(commissions.map((row) => [String(row._id), -row.commission]));
+    for (const vendor of vendorEarnings) {
+      vendor.commission = roundAmount(commissionByVendor.get(String(vendor.vendorId)) || 0);
+      vendor.netEarnings = roundAmount(vendor.totalEarnings - vendor.commission);
+    }
+
     res.json(vendorEarnings);
   } catch (error) {
     console.error('Error fetching vendor earnings report:', error);
     res.status(500).json({ message: 'Internal server error' });
   }
 });
-app.get("/admin/vendors", async (req, res) => {
+app.get("/admin/vendors", requireRole(ROLES.ADMIN), async (req, res) => {
   try {
     const vendors = await Vendor.find();
     res.json(vendors);
@@ -843,6 +1470,11 @@ const complaintSchema = new mongoose.Schema(
       ref: "User", // Reference to the User collection
       required: true,
     },
+    refund_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Refund", // Set when resolving the complaint refunded the line
+      default: null,
+    },
   },
   { timestamps: true } // Auto-add createdAt and updatedAt fields
 );
@@ -872,11 +1504,12 @@ const adminSchema = new mongoose.Schema({
   password: {
     type: String,
     required: true,
+    select: false,
   },
 });
 
 const Admin = mongoose.model("Admin", adminSchema);
-app.get('/vendor/:vendorId/product/:productId/stock-left', async (req, res) => {
+app.get('/vendor/:vendorId/product/:productId/stock-left', requireSelf('vendorId', ROLES.VENDOR), async (req, res) => {
   try {
     const { vendorId, productId } = req.params;
 
@@ -886,60 +1519,34 @@ app.get('/vendor/:vendorId/product/:productId/stock-left', async (req, res) => {
       return res.status(404).json({ message: 'Product not found for this vendor' });
     }
 
-    // Step 2: Calculate total stock added for the product
-    const totalStockData = await Stock.aggregate([
-      {
-        $match: {
-          product_id: new mongoose.Types.ObjectId(productId)
-        }
-      },
-      {
-        $group: {
-          _id: "$product_id",
-          totalStock: { $sum: "$stock_quantity" }
-        }
-      }
-    ]);
-
-    const totalStock = totalStockData.length > 0 ? totalStockData[0].totalStock : 0;
-
-    // Step 3: Calculate total quantity sold from carts with order status >= '2'
-    const soldQuantityData = await Cart.aggregate([
-      {
-        $lookup: {
-          from: 'orders',
-          localField: 'order_id',
-          foreignField: '_id',
-          as: 'order'
-        }
-      },
-      { $unwind: "$order" },
-      {
-        $match: {
-          product_id: new mongoose.Types.ObjectId(productId),
-          "order.status": { $in: ['2', '3', '4', '5'] } // change to numbers if needed
-        }
-      },
-      {
-        $group: {
-          _id: "$product_id",
-          soldQty: { $sum: "$qty" }
-        }
-      }
-    ]);
-
-    const soldQty = soldQuantityData.length > 0 ? soldQuantityData[0].soldQty : 0;
-
-    // Step 4: Calculate stock left
-    const stockLeft = totalStock - soldQty;
+    // Step 2: Read the live stock levels, per variant when the product has them
+    const variants = await variantsWithStock(productId, { includeInactive: true });
+    const { on_hand, reserved, available } = variants.length > 0
+      ? variants.reduce((total, variant) => ({
+        on_hand: total.on_hand + variant.on_hand,
+        reserved: total.reserved + variant.reserved,
+        available: total.available + variant.available,
+      }), { on_hand: 0, reserved: 0, available: 0 })
+      : stockLevels(await getInventory(productId));
 
     // Response
     return res.json({
       product_id: productId,
       vendor_id: vendorId,
-      totalStock,
-      soldQty,
-      stockLeft
+      onHand: on_hand,
+      reserved,
+      available,
+      stockLeft: available,
+      variants: variants.map((variant) => ({
+        variant_id: variant._id,
+        sku: variant.sku,
+        name: variant.name,
+        active: variant.active,
+        onHand: variant.on_hand,
+        reserved: variant.reserved,
+        available: variant.available,
+        stockLeft: variant.available
+      }))
     });
 
   } catch (error) {
@@ -959,36 +1566,557 @@ const stockSchema = new mongoose.Schema({
     ref: 'Product',
     required: true
   },
+  variant_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ProductVariant',
+    default: null
+  },
   stock_date: {
     type: Date,
     required: true
   }
 });
-app.post('/update-stock/:productId', async (req, res) => {
+app.post('/update-stock/:productId', requireRole(ROLES.VENDOR, ROLES.ADMIN), async (req, res) => {
   try {
     const { quantity } = req.body;
-    const newStock = new Stock({
-      product_id: req.params.productId,
-      stock_quantity: quantity,
-      stock_date: new Date()
+    if (!Number.isInteger(Number(quantity)) || Number(quantity) <= 0) {
+      return res.status(400).json({ message: 'Quantity must be a positive whole number' });
+    }
+    if (!mongoose.Types.ObjectId.isValid(req.params.productId)) {
+      return res.status(400).json({ message: 'Invalid product ID' });
+    }
+    const product = await Product.findById(req.params.productId).select("vendor_id");
+    if (!product) {
+      return res.status(404).json({ message: "Product not found" });
+    }
+    if (!canManageProduct(req.user, product)) {
+      return res.status(403).json({ message: "Access denied" });
+    }
+    const variantId = req.body.variant_id ? (await findVariant(req.params.productId, req.body.variant_id))._id : null;
+
+    const inventory = await withTransaction(async (session) => {
+      const newStock = new Stock({
+        product_id: req.params.productId,
+        variant_id: variantId,
+        stock_quantity: Number(quantity),
+        stock_date: new Date()
+      });
+      // Open the inventory before saving the row so it is not counted twice
+      await getInventory(req.params.productId, session, variantId);
+      await newStock.save({ session });
+      return adjustStock(req.params.productId, Number(quantity), {
+        type: STOCK_MOVEMENT_TYPES.RECEIPT,
+        reason: req.body.reason,
+        actor: req.user,
+        stockId: newStock._id,
+        variantId,
+      }, session);
     });
-    await newStock.save();
-    res.json({ message: 'Stock updated successfully' });
+    res.json({ message: 'Stock updated successfully', stock: stockLevels(inventory) });
   } catch (err) {
-    res.status(500).json({ message: err.message });
+    res.status(err.status || 500).json({ message: err.message });
   }
 });
-app.get('/stock-history/:productId', async (req, res) => {
+app.get('/stock-history/:productId', requireRole(ROLES.VENDOR, ROLES.ADMIN), async (req, res) => {
   try {
-    const history = await Stock.find({ product_id: req.params.productId })
-      .sort({ stock_date: -1 });
-    res.json(history);
-  } catch (err) {
-    res.status(500).json({ message: err.message });
+    const { productId } = req.params;
+    const { type } = req.query;
+
+    if (!mongoose.Types.ObjectId.isValid(productId)) {
+      return res.status(400).json({ message: 'Invalid product ID' });
+    }
+    const product = await Product.findById(productId).select('name vendor_id');
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+    if (!canManageProduct(req.user, product)) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const variantId = req.query.variant_id ? (await findVariant(productId, req.query.variant_id))._id : null;
+    const inventory = await getInventory(productId, null, variantId);
+    const filter = { product_id: productId };
+    if (type) filter.type = type;
+    if (variantId) filter.variant_id = variantId;
+
+    // Newest first; balance_after is the running balance after each movement
+    const movements = await StockMovement.find(filter).sort({ createdAt: -1, _id: -1 });
+
+    res.json({
+      product_id: productId,
+      variant_id: variantId,
+      name: product.name,
+      ...stockLevels(inventory),
+      movements,
+    });
+  } catch (err) {
+    res.status(err.status || 500).json({ message: err.message });
   }
 });
+
 const Stock = mongoose.model('Stock', stockSchema);
 
+// Inventory
+// Stock rows record what was received; the inventory keeps the live count per
+// product, or per variant for products sold in variants.
+// on_hand is what is physically held, reserved is promised to placed but unpaid
+// orders, and available = on_hand - reserved is what can still be sold.
+const inventorySchema = new mongoose.Schema({
+  product_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true,
+  },
+  variant_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ProductVariant',
+    default: null,
+  },
+  on_hand: {
+    type: Number,
+    required: true,
+    default: 0,
+  },
+  reserved: {
+    type: Number,
+    required: true,
+    default: 0,
+    min: 0,
+  },
+  sold_before_opening: {
+    type: Number,
+    default: 0, // Units already sold when the inventory was opened, for reconciliation
+  },
+  alert_level: {
+    type: String,
+    default: null, // Last stock alert sent to the vendor, cleared once restocked
+  },
+}, { timestamps: true });
+
+inventorySchema.index({ product_id: 1, variant_id: 1 }, { unique: true });
+
+const Inventory = mongoose.model('Inventory', inventorySchema);
+
+// Inventories used to be unique per product; variants need several per product
+mongoose.connection.once('open', () => {
+  Inventory.collection.dropIndex('product_id_1').catch((err) => {
+    if (err.codeName !== 'IndexNotFound' && err.codeName !== 'NamespaceNotFound') {
+      console.error('Inventory index migration error:', err);
+    }
+  });
+});
+
+const RESERVATION_STATUS = {
+  ACTIVE: 'active',       // Held for a placed order
+  COMMITTED: 'committed', // Taken out of on_hand when the order was paid
+  RELEASED: 'released',   // Given back because the order was cancelled
+  EXPIRED: 'expired',     // Given back because the order was not paid in time
+  RESTOCKED: 'restocked', // Committed stock put back after a paid order was cancelled
+};
+
+// How long a placed order holds its stock before it has to be paid
+const RESERVATION_TTL = Number(process.env.RESERVATION_TTL_MINUTES || 15) * 60 * 1000;
+
+const stockReservationSchema = new mongoose.Schema({
+  product_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true,
+  },
+  variant_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ProductVariant',
+    default: null,
+  },
+  order_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true,
+  },
+  cart_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Cart',
+    default: null,
+  },
+  qty: {
+    type: Number,
+    required: true,
+    min: 1,
+  },
+  status: {
+    type: String,
+    enum: Object.values(RESERVATION_STATUS),
+    default: RESERVATION_STATUS.ACTIVE,
+  },
+  expires_at: {
+    type: Date,
+    required: true,
+  },
+}, { timestamps: true });
+
+stockReservationSchema.index({ order_id: 1, status: 1 });
+stockReservationSchema.index({ status: 1, expires_at: 1 });
+
+const StockReservation = mongoose.model('StockReservation', stockReservationSchema);
+
+// An error carrying the HTTP status to answer with; thrown to abort a transaction
+const httpError = (status, message) => Object.assign(new Error(message), { status });
+
+// Runs fn(session) inside a transaction, retrying on transient errors. Needs MongoDB
+// running as a replica set.
+const withTransaction = async (fn) => {
+  const session = await mongoose.startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await fn(session);
+    });
+    return result;
+  } finally {
+    await session.endSession();
+  }
+};
+
+// Every change to on_hand is written to the ledger with the balance it left behind
+const STOCK_MOVEMENT_TYPES = {
+  OPENING: 'opening',       // Balance carried over when the inventory was opened
+  RECEIPT: 'receipt',       // Goods received from a supplier
+  SALE: 'sale',             // Taken by a paid order
+  RETURN: 'return',         // Back into stock from a customer or a cancelled order
+  DAMAGE: 'damage',         // Spoiled, broken or lost
+  CORRECTION: 'correction', // Manual fix after a count
+  TRANSFER: 'transfer',     // Moved to or from another product
+};
+
+// Movements vendors may record by hand; sales and openings only come from the system
+const MANUAL_STOCK_MOVEMENTS = [
+  STOCK_MOVEMENT_TYPES.RECEIPT,
+  STOCK_MOVEMENT_TYPES.RETURN,
+  STOCK_MOVEMENT_TYPES.DAMAGE,
+  STOCK_MOVEMENT_TYPES.CORRECTION,
+  STOCK_MOVEMENT_TYPES.TRANSFER,
+];
+
+const stockMovementSchema = new mongoose.Schema({
+  product_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true,
+  },
+  variant_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ProductVariant',
+    default: null,
+  },
+  type: {
+    type: String,
+    enum: Object.values(STOCK_MOVEMENT_TYPES),
+    required: true,
+  },
+  qty: {
+    type: Number,
+    required: true, // Signed: positive into stock, negative out of it
+  },
+  balance_after: {
+    type: Number,
+    required: true,
+  },
+  reason: {
+    type: String,
+    default: null,
+  },
+  actor_role: {
+    type: String,
+    required: true,
+  },
+  actor_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null,
+  },
+  order_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    default: null,
+  },
+  stock_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Stock',
+    default: null,
+  },
+  transfer_product_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    default: null, // The other side of a transfer
+  },
+}, { timestamps: true });
+
+stockMovementSchema.index({ product_id: 1, createdAt: -1 });
+
+const StockMovement = mongoose.model('StockMovement', stockMovementSchema);
+
+// Writes a ledger entry for a change already applied to the inventory
+const recordStockMovement = (inventory, qty, { type, reason = null, actor = null, orderId = null, stockId = null, transferProductId = null }, session = null) =>
+  StockMovement.create([{
+    product_id: inventory.product_id,
+    variant_id: inventory.variant_id || null,
+    type,
+    qty,
+    balance_after: inventory.on_hand,
+    reason,
+    actor_role: actor ? actor.role : 'System',
+    actor_id: actor ? actor._id : null,
+    order_id: orderId,
+    stock_id: stockId,
+    transfer_product_id: transferProductId,
+  }], { session });
+
+// Vendors manage the stock of their own products, admins of any
+const canManageProduct = (user, product) =>
+  user.role === ROLES.ADMIN || (user.role === ROLES.VENDOR && String(product.vendor_id) === user.id);
+
+// Stock received and stock sold, used to open the inventory of products
+// that were stocked before the inventory existed. Variants came later and
+// always start from an empty inventory.
+const openingStock = async (productId, session = null) => {
+  const productObjectId = new mongoose.Types.ObjectId(productId);
+
+  const [received] = await Stock.aggregate([
+    { $match: { product_id: productObjectId, variant_id: null } },
+    { $group: { _id: null, qty: { $sum: "$stock_quantity" } } },
+  ]).session(session);
+
+  const [sold] = await Cart.aggregate([
+    { $match: { product_id: productObjectId, variant_id: null, order_id: { $ne: null }, status: "processing" } },
+    { $lookup: { from: "orders", localField: "order_id", foreignField: "_id", as: "order" } },
+    { $unwind: "$order" },
+    { $match: { "order.status": { $in: SOLD_ORDER_STATUSES } } },
+    { $group: { _id: null, qty: { $sum: "$qty" } } },
+  ]).session(session);
+
+  return {
+    received: received ? received.qty : 0,
+    sold: sold ? sold.qty : 0,
+  };
+};
+
+// Returns the inventory of the product (or of one of its variants), opening it
+// from its stock history on first use
+const getInventory = async (productId, session = null, variantId = null) => {
+  const key = { product_id: productId, variant_id: variantId || null };
+  const inventory = await Inventory.findOne(key).session(session);
+  if (inventory) return inventory;
+
+  const { received, sold } = variantId ? { received: 0, sold: 0 } : await openingStock(productId, session);
+  const opened = await Inventory.updateOne(
+    key,
+    { $setOnInsert: { on_hand: received - sold, reserved: 0, sold_before_opening: sold } },
+    { upsert: true, session }
+  );
+
+  const created = await Inventory.findOne(key).session(session);
+  // Only whoever actually opened the inventory writes the opening balance
+  if (opened.upsertedCount > 0 && (received !== 0 || sold !== 0)) {
+    await recordStockMovement(created, created.on_hand, {
+      type: STOCK_MOVEMENT_TYPES.OPENING,
+      reason: `Opened from ${received} received and ${sold} sold`,
+    }, session);
+  }
+  return created;
+};
+
+const stockLevels = (inventory) => ({
+  on_hand: inventory.on_hand,
+  reserved: inventory.reserved,
+  available: inventory.on_hand - inventory.reserved,
+});
+
+const STOCK_STATUS = {
+  IN_STOCK: 'in_stock',
+  LOW_STOCK: 'low_stock',
+  OUT_OF_STOCK: 'out_of_stock',
+};
+
+const stockStatus = (available, reorderThreshold = 0) => {
+  if (available <= 0) return STOCK_STATUS.OUT_OF_STOCK;
+  if (available <= reorderThreshold) return STOCK_STATUS.LOW_STOCK;
+  return STOCK_STATUS.IN_STOCK;
+};
+
+// Available stock per product id, for listings. Products sold in variants count
+// only their active variants, since nothing else of them can be bought.
+const availableStock = async (productIds, session = null) => {
+  const [inventories, variants] = await Promise.all([
+    Inventory.find({ product_id: { $in: productIds } }).session(session),
+    ProductVariant.find({ product_id: { $in: productIds }, active: true }).select("product_id").session(session),
+  ]);
+  const activeVariants = new Set(variants.map((variant) => String(variant._id)));
+  const hasVariants = new Set(variants.map((variant) => String(variant.product_id)));
+
+  const available = new Map();
+  for (const inventory of inventories) {
+    const productId = String(inventory.product_id);
+    const sellable = hasVariants.has(productId)
+      ? activeVariants.has(String(inventory.variant_id))
+      : !inventory.variant_id;
+    if (!sellable) continue;
+    available.set(productId, (available.get(productId) || 0) + stockLevels(inventory).available);
+  }
+
+  for (const productId of productIds) {
+    if (available.has(String(productId))) continue;
+    available.set(String(productId), hasVariants.has(String(productId))
+      ? 0
+      : stockLevels(await getInventory(productId, session)).available);
+  }
+  return available;
+};
+
+// Adds (or with a negative qty removes) stock on hand and records it in the
+// ledger. Never lets on_hand drop below what is already reserved. The stock of
+// a variant is adjusted when movement.variantId names one.
+const adjustStock = async (productId, qty, movement, session = null) => {
+  const variantId = movement.variantId || null;
+  await getInventory(productId, session, variantId);
+  const inventory = await Inventory.findOneAndUpdate(
+    {
+      product_id: productId,
+      variant_id: variantId,
+      $expr: { $gte: [{ $add: ["$on_hand", qty] }, "$reserved"] },
+    },
+    { $inc: { on_hand: qty } },
+    { new: true, session }
+  );
+  if (!inventory) {
+    throw httpError(409, "Not enough unreserved stock to remove.");
+  }
+
+  await recordStockMovement(inventory, qty, movement, session);
+  await syncListingStock(productId, session);
+  return inventory;
+};
+
+// Holds qty of a product for an order; fails when less than qty is available
+const reserveStock = async ({ productId, variantId = null, productName, orderId, cartId = null, qty }, session) => {
+  // A negative hold would free stock instead of holding it
+  if (!(qty > 0)) {
+    throw httpError(400, `Invalid quantity for product: ${productName || productId}.`);
+  }
+  await getInventory(productId, session, variantId);
+  const inventory = await Inventory.findOneAndUpdate(
+    {
+      product_id: productId,
+      variant_id: variantId,
+      $expr: { $gte: [{ $subtract: ["$on_hand", "$reserved"] }, qty] },
+    },
+    { $inc: { reserved: qty } },
+    { new: true, session }
+  );
+  if (!inventory) {
+    throw httpError(409, `Insufficient stock for product: ${productName || productId}.`);
+  }
+
+  await StockReservation.create([{
+    product_id: productId,
+    variant_id: variantId,
+    order_id: orderId,
+    cart_id: cartId,
+    qty,
+    expires_at: new Date(Date.now() + RESERVATION_TTL),
+  }], { session });
+  await syncListingStock(productId, session);
+};
+
+// Moves one reservation to a new status, applying inc to the inventory only if
+// the reservation was still in the expected status. Resolves to the updated
+// inventory, or null when the reservation had already moved on.
+const settleReservation = async (reservation, from, to, inc, session) => {
+  const settled = await StockReservation.findOneAndUpdate(
+    { _id: reservation._id, status: from },
+    { $set: { status: to } },
+    { new: true, session }
+  );
+  if (!settled) return null;
+
+  const inventory = await Inventory.findOneAndUpdate(
+    { product_id: reservation.product_id, variant_id: reservation.variant_id || null },
+    { $inc: inc },
+    { new: true, session }
+  );
+  await syncListingStock(reservation.product_id, session);
+  return inventory;
+};
+
+// On payment: the reserved stock leaves on_hand for good
+const commitOrderStock = async (orderId, actor, session) => {
+  const reservations = await StockReservation.find({ order_id: orderId }).session(session);
+
+  // Orders placed before reservations existed take their stock now
+  if (reservations.length === 0) {
+    const lines = await Cart.find({ order_id: orderId }).populate("product_id", "name").session(session);
+    for (const line of lines) {
+      if (!line.product_id) continue;
+      await getInventory(line.product_id._id, session, line.variant_id);
+      const inventory = await Inventory.findOneAndUpdate(
+        {
+          product_id: line.product_id._id,
+          variant_id: line.variant_id || null,
+          $expr: { $gte: [{ $subtract: ["$on_hand", "$reserved"] }, line.qty] },
+        },
+        { $inc: { on_hand: -line.qty } },
+        { new: true, session }
+      );
+      if (!inventory) {
+        throw httpError(409, `Insufficient stock for product: ${line.product_id.name}.`);
+      }
+      await recordStockMovement(inventory, -line.qty, { type: STOCK_MOVEMENT_TYPES.SALE, actor, orderId }, session);
+      await syncListingStock(line.product_id._id, session);
+    }
+    return;
+  }
+
+  for (const reservation of reservations) {
+    if (reservation.status === RESERVATION_STATUS.COMMITTED) continue;
+    const inventory = await settleReservation(
+      reservation,
+      RESERVATION_STATUS.ACTIVE,
+      RESERVATION_STATUS.COMMITTED,
+      { on_hand: -reservation.qty, reserved: -reservation.qty },
+      session
+    );
+    if (!inventory) {
+      throw httpError(409, "The stock held for this order has expired, please place the order again.");
+    }
+    await recordStockMovement(inventory, -reservation.qty, { type: STOCK_MOVEMENT_TYPES.SALE, actor, orderId }, session);
+  }
+};
+
+// On cancellation: held stock becomes available again and paid-for stock goes back
+// on hand. With cartId only that line's stock is released.
+const releaseOrderStock = async (orderId, session, { status = RESERVATION_STATUS.RELEASED, actor = null, cartId = null } = {}) => {
+  const reservations = await StockReservation.find({
+    order_id: orderId,
+    ...(cartId ? { cart_id: cartId } : {}),
+    status: { $in: [RESERVATION_STATUS.ACTIVE, RESERVATION_STATUS.COMMITTED] },
+  }).session(session);
+
+  for (const reservation of reservations) {
+    if (reservation.status === RESERVATION_STATUS.ACTIVE) {
+      await settleReservation(reservation, RESERVATION_STATUS.ACTIVE, status, { reserved: -reservation.qty }, session);
+      continue;
+    }
+
+    const inventory = await settleReservation(reservation, RESERVATION_STATUS.COMMITTED, RESERVATION_STATUS.RESTOCKED, { on_hand: reservation.qty }, session);
+    if (inventory) {
+      await recordStockMovement(inventory, reservation.qty, {
+        type: STOCK_MOVEMENT_TYPES.RETURN,
+        reason: "Order cancelled",
+        actor,
+        orderId,
+      }, session);
+    }
+  }
+};
+
 const userSchema = new mongoose.Schema({
   user_name: {
     type: String,
@@ -1001,15 +2129,30 @@ const userSchema = new mongoose.Schema({
   },
   user_password: {
     type: String,
-    required: true
+    required: true,
+    select: false
   },
   user_photo: {
     type: String,
     default: null
+  },
+  email_verified: {
+    type: Boolean,
+    default: true // Accounts created before email verification count as verified
+  },
+  wallet_balance: {
+    type: Number,
+    default: 0, // Store credit, e.g. from refunds
+    min: 0
+  },
+  cart_coupon_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Coupon', // Coupon applied to the open cart, claimed at checkout
+    default: null
   }
 });
 
-app.get("/users/:userId", async (req, res) => {
+app.get("/users/:userId", requireSelf('userId', ROLES.USER), async (req, res) => {
   try {
     const user = await User.findById(req.params.userId);
     if (!user) return res.status(404).json({ message: "User not found" });
@@ -1021,7 +2164,7 @@ app.get("/users/:userId", async (req, res) => {
 });
 
 // ✅ **Update user profile (except email)**
-app.get("/users/:userId", async (req, res) => {
+app.get("/users/:userId", requireSelf('userId', ROLES.USER), async (req, res) => {
   try {
     const user = await User.findById(req.params.userId);
     if (!user) return res.status(404).json({ message: "User not found" });
@@ -1038,122 +2181,705 @@ app.get("/users/:userId", async (req, res) => {
 
 const User = mongoose.model('User', userSchema);
 
-app.post("/category", async (req, res) => {
+app.post("/category", requireRole(ROLES.ADMIN), async (req, res) => {
   try {
-    const { category_name } = req.body;
+    const { category_name, return_window_days, hsn_code, gst_rate, parent_id, slug } = req.body;
+
+    // Subcategories go under an existing parent
+    let parent = null;
+    if (parent_id) {
+      parent = mongoose.Types.ObjectId.isValid(parent_id) ? await Category.findById(parent_id) : null;
+      if (!parent) {
+        return res.status(404).json({ message: "Parent category not found" });
+      }
+    }
 
     // Check if the category already exists
-    let category = await Category.findOne({ category_name });
+    let category = await Category.findOne({ category_name, parent_id: parent ? parent._id : null });
     if (category) {
       return res.json({ message: "Category already exists" });
     }
 
     // Create a new category
+    const categorySlug = slugify(slug || category_name);
+    if (!categorySlug) {
+      return res.status(400).json({ message: "The category name needs letters or digits" });
+    }
     category = new Category({
-      category_name
+      category_name,
+      return_window_days,
+      hsn_code,
+      gst_rate,
+      parent_id: parent ? parent._id : null,
+      ancestors: parent ? [...parent.ancestors, parent._id] : [],
+      slug: categorySlug,
+      path: parent ? `${parent.path}/${categorySlug}` : categorySlug,
+      attributes: req.body.attributes ? attributeDefinitions(req.body.attributes) : []
     });
 
     await category.save();
-    res.json({ message: "Category added successfully" });
+    res.json({ message: "Category added successfully", category });
   } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ message: err.message });
+    }
+    if (err.code === 11000) {
+      return res.status(409).json({ message: "A category with this slug already exists here" });
+    }
     console.error(err.message);
     res.status(500).send("Server error");
   }
 });
-var transporter = mailer.createTransport({
-  service: process.env.EMAIL_SERVICE || "gmail",
-  auth: {
-      user: process.env.EMAIL_USER,
-      pass: process.env.EMAIL_PASS,
-  },
-});
-
-function sendEmail(to, content) {
-  const mailOptions = {
-      from: process.env.EMAIL_USER, // Your email ID
-      to,
-      subject: "Verification",
-      html: content,
-  };
-  
-  transporter.sendMail(mailOptions, function (error, info) {
-      if (error) {
-          console.log(error);
-      } else {
-          console.log("Email Confirmation sent");
-      }
-  });
-}
 
-app.post("/user-login", async (req, res) => {
+app.get("/categories/tree", async (req, res) => {
   try {
-    const { user_email, user_password } = req.body;
-    const user = await User.findOne({ user_email });
+    const categories = await Category.find().sort({ category_name: 1 });
+    res.json(categoryTree(categories));
+  } catch (err) {
+    console.error("Error fetching category tree:", err);
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+});
 
-    if (user && user.user_password === user_password) {
-      res.send({
-        id: user._id, // Return _id instead of user_id
-        login: "User",
-      });
-    } else {
-      res.send({
-        login: "error",
-      });
+app.get("/categories/:id", async (req, res) => {
+  try {
+    const category = await findCategory(req.params.id);
+    if (!category) {
+      return res.status(404).json({ message: "Category not found" });
     }
+    const [ancestors, children, attributes] = await Promise.all([
+      Category.find({ _id: { $in: category.ancestors } }).select("category_name slug path"),
+      Category.find({ parent_id: category._id }).select("category_name slug path").sort({ category_name: 1 }),
+      categoryAttributes(category._id),
+    ]);
+    const byId = new Map(ancestors.map((ancestor) => [String(ancestor._id), ancestor]));
+
+    res.json({
+      ...category.toObject(),
+      breadcrumbs: category.ancestors.map((id) => byId.get(String(id))).filter(Boolean),
+      children,
+      attributes,
+    });
   } catch (err) {
-    console.error("Error during login:", err.message);
-    res.status(500).send("Server error");
+    console.error("Error fetching category:", err);
+    res.status(500).json({ message: "Server error", error: err.message });
   }
 });
-// Routes for User Operations
-// app.post("/user", upload.single('user_photo'), async (req, res) => {
-//   try {
-//     const { user_name, user_email, user_password } = req.body;
 
-//     if (!req.file) {
-//       return res.status(400).json({ message: "Profile photo is required." });
-//     }
-
-//     const user_photo = req.file.filename;
+// Renames a category; its path and the paths of everything under it follow
+app.put("/category/:id", requireRole(ROLES.ADMIN), async (req, res) => {
+  try {
+    const { category_name, slug } = req.body;
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: "Invalid category ID." });
+    }
 
-//     let user = await User.findOne({ user_email });
-//     if (user) {
-//       return res.status(400).json({ message: "User already exists." });
-//     }
+    const category = await withTransaction(async (session) => {
+      const category = await Category.findById(req.params.id).session(session);
+      if (!category) throw httpError(404, "Category not found");
 
-//     user = new User({
-//       user_name,
-//       user_email,
-//       user_password,
-//       user_photo,
-//     });
+      if (category_name !== undefined) {
+        if (!String(category_name).trim()) throw httpError(400, "Category name is required");
+        category.category_name = String(category_name).trim();
+      }
+      if (slug !== undefined || category_name !== undefined) {
+        category.slug = slugify(slug || category.category_name);
+        if (!category.slug) throw httpError(400, "The slug needs letters or digits");
+      }
+      await rebuildCategoryPaths(category, session);
+      return category;
+    });
+    await reindexCategoryProducts(category._id);
 
-//     await user.save();
-//     res.status(201).json({ message: "User created successfully.", id: user._id });
-//   } catch (err) {
-//     console.error("Error creating user:", err.message);
-//     res.status(500).json({ message: "Server error", error: err.message });
-//   }
-// });
+    res.json({ message: "Category updated", category });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ message: err.message });
+    if (err.code === 11000) return res.status(409).json({ message: "A category with this name already exists here" });
+    console.error("Error updating category:", err);
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+});
 
+app.put("/category/:id/attributes", requireRole(ROLES.ADMIN), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: "Invalid category ID." });
+    }
+    const attributes = attributeDefinitions(req.body.attributes);
+    const category = await Category.findByIdAndUpdate(req.params.id, { $set: { attributes } }, { new: true, runValidators: true });
+    if (!category) {
+      return res.status(404).json({ message: "Category not found" });
+    }
+    res.json({ message: "Category attributes updated", category });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ message: err.message });
+    console.error("Error updating category attributes:", err);
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+});
 
-// app.post("/user", upload.single("user_photo"), async (req, res) => {
-//   try {
-//     const { user_name, user_email, user_password } = req.body;
+// Moves a category (with everything under it) to a new parent, or to the top with parent_id null
+app.post("/category/:id/move", requireRole(ROLES.ADMIN), async (req, res) => {
+  try {
+    const { parent_id } = req.body;
+    if (!mongoose.Types.ObjectId.isValid(req.params.id) || (parent_id && !mongoose.Types.ObjectId.isValid(parent_id))) {
+      return res.status(400).json({ message: "Invalid category ID." });
+    }
 
-//     if (!req.file) {
-//       return res.status(400).json({ message: "Profile photo is required." });
-//     }
+    const result = await withTransaction(async (session) => {
+      const category = await Category.findById(req.params.id).session(session);
+      if (!category) throw httpError(404, "Category not found");
+
+      if (parent_id) {
+        const parent = await Category.findById(parent_id).session(session);
+        if (!parent) throw httpError(404, "Parent category not found");
+        if (String(parent._id) === String(category._id) || parent.ancestors.some((id) => String(id) === String(category._id))) {
+          throw httpError(409, "A category cannot move under itself");
+        }
+      }
+      category.parent_id = parent_id || null;
+      await rebuildCategoryPaths(category, session);
+
+      // The subtree now inherits different attributes
+      const incompleteProducts = await refitCategoryProducts(await categoryTreeIds(category._id, session), session);
+      return { category, incompleteProducts };
+    });
+    await reindexCategoryProducts(result.category._id);
+
+    res.json({ message: "Category moved", category: result.category, incompleteProducts: result.incompleteProducts });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ message: err.message });
+    if (err.code === 11000) return res.status(409).json({ message: "A category with this name already exists there" });
+    console.error("Error moving category:", err);
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+});
+
+// Merges a category into another: its products, subcategories, coupons and
+// commission rules move over and the category is deleted
+app.post("/category/:id/merge", requireRole(ROLES.ADMIN), async (req, res) => {
+  try {
+    const { into_id } = req.body;
+    if (!mongoose.Types.ObjectId.isValid(req.params.id) || !mongoose.Types.ObjectId.isValid(into_id)) {
+      return res.status(400).json({ message: "Invalid category ID." });
+    }
+
+    const result = await withTransaction(async (session) => {
+      const [source, target] = await Promise.all([
+        Category.findById(req.params.id).session(session),
+        Category.findById(into_id).session(session),
+      ]);
+      if (!source || !target) throw httpError(404, "Category not found");
+      if (String(source._id) === String(target._id) || target.ancestors.some((id) => String(id) === String(source._id))) {
+        throw httpError(409, "A category cannot merge into itself or a category under it");
+      }
+
+      const products = await Product.updateMany({ category_id: source._id }, { $set: { category_id: target._id } }, { session });
+
+      const children = await Category.find({ parent_id: source._id }).session(session);
+      for (const child of children) {
+        child.parent_id = target._id;
+        await rebuildCategoryPaths(child, session);
+      }
+
+      await Coupon.updateMany({ category_ids: source._id }, { $addToSet: { category_ids: target._id } }, { session });
+      await Coupon.updateMany({ category_ids: source._id }, { $pull: { category_ids: source._id } }, { session });
+
+      // The target's own commission rules win over the merged category's
+      const rules = await CommissionRule.find({ scope: COMMISSION_SCOPES.CATEGORY, category_id: source._id }).session(session);
+      for (const rule of rules) {
+        const taken = await CommissionRule.exists({ scope: rule.scope, category_id: target._id, vendor_id: rule.vendor_id }).session(session);
+        if (taken) await CommissionRule.deleteOne({ _id: rule._id }, { session });
+        else await CommissionRule.updateOne({ _id: rule._id }, { $set: { category_id: target._id } }, { session });
+      }
+
+      await Category.deleteOne({ _id: source._id }, { session });
+
+      // Moved products keep only the attribute values that fit where they landed
+      const movedCategories = [target._id];
+      for (const child of children) {
+        movedCategories.push(...await categoryTreeIds(child._id, session));
+      }
+      const incompleteProducts = await refitCategoryProducts(movedCategories, session);
+
+      return { target, productsMoved: products.modifiedCount, subcategoriesMoved: children.length, incompleteProducts };
+    });
+    await reindexCategoryProducts(result.target._id);
+
+    res.json({
+      message: "Categories merged",
+      category: result.target,
+      productsMoved: result.productsMoved,
+      subcategoriesMoved: result.subcategoriesMoved,
+      incompleteProducts: result.incompleteProducts,
+    });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ message: err.message });
+    if (err.code === 11000) return res.status(409).json({ message: "The target already has a subcategory with the same name" });
+    console.error("Error merging categories:", err);
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+});
+
+// Only empty categories can be deleted; merge the others
+app.delete("/category/:id", requireRole(ROLES.ADMIN), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: "Invalid category ID." });
+    }
+    const category = await Category.findById(req.params.id);
+    if (!category) {
+      return res.status(404).json({ message: "Category not found" });
+    }
+    if (await Category.exists({ parent_id: category._id })) {
+      return res.status(409).json({ message: "Move or merge the subcategories first" });
+    }
+    if (await Product.exists({ category_id: category._id })) {
+      return res.status(409).json({ message: "The category still has products; merge it instead" });
+    }
+
+    await category.deleteOne();
+    await Coupon.updateMany({ category_ids: category._id }, { $pull: { category_ids: category._id } });
+    await CommissionRule.deleteMany({ scope: COMMISSION_SCOPES.CATEGORY, category_id: category._id });
+    res.json({ message: "Category deleted" });
+  } catch (err) {
+    console.error("Error deleting category:", err);
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+});
+
+// EMAIL_TRANSPORT=json renders mails to the console instead of sending them (for tests),
+// SMTP_HOST points at any SMTP server such as a local MailHog stand-in
+var transporter;
+if (process.env.EMAIL_TRANSPORT === "json") {
+  transporter = mailer.createTransport({ jsonTransport: true });
+} else if (process.env.SMTP_HOST) {
+  transporter = mailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: Number(process.env.SMTP_PORT) || 1025,
+    secure: process.env.SMTP_SECURE === "true",
+    auth: process.env.EMAIL_USER
+      ? { user: process.env.EMAIL_USER, pass: process.env.EMAIL_PASS }
+      : undefined,
+  });
+} else {
+  transporter = mailer.createTransport({
+    service: process.env.EMAIL_SERVICE || "gmail",
+    auth: {
+        user: process.env.EMAIL_USER,
+        pass: process.env.EMAIL_PASS,
+    },
+  });
+}
+
+function sendEmail(to, content, subject = "Verification") {
+  const mailOptions = {
+      from: process.env.EMAIL_FROM || process.env.EMAIL_USER || "no-reply@regionhub.local", // Your email ID
+      to,
+      subject,
+      html: content,
+  };
+  
+  return transporter.sendMail(mailOptions).then(
+    (info) => {
+      console.log("Email Confirmation sent");
+      if (process.env.EMAIL_TRANSPORT === "json") {
+        console.log(info.message);
+      }
+      return info;
+    },
+    (error) => {
+      console.error("Error sending email:", error.message);
+      throw error;
+    }
+  );
+}
+
+// Email verification and password reset codes
+// Keyed by the URL segment used in /auth/:accountType/... routes
+const ACCOUNT_TYPES = {
+  user: { role: ROLES.USER, emailField: "user_email", passwordField: "user_password", nameField: "user_name", signup: true },
+  vendor: { role: ROLES.VENDOR, emailField: "vendor_email", passwordField: "vendor_password", nameField: "vendor_name", signup: true },
+  admin: { role: ROLES.ADMIN, emailField: "email", passwordField: "password", nameField: "name", signup: false },
+  "delivery-person": { role: ROLES.DELIVERY, emailField: "email", passwordField: "password", nameField: "name", signup: true },
+};
+
+const TOKEN_PURPOSES = {
+  VERIFY_EMAIL: "verify_email",
+  RESET_PASSWORD: "reset_password",
+};
+const TOKEN_TTL = {
+  [TOKEN_PURPOSES.VERIFY_EMAIL]: 24 * 60 * 60 * 1000, // 24 hours
+  [TOKEN_PURPOSES.RESET_PASSWORD]: 15 * 60 * 1000, // 15 minutes
+};
+const TOKEN_RESEND_COOLDOWN = 60 * 1000; // 1 minute between sends
+const TOKEN_MAX_SENDS_PER_HOUR = 5;
+const TOKEN_MAX_ATTEMPTS = 5;
+
+const accountTokenSchema = new mongoose.Schema({
+  account_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: "role",
+    required: true,
+  },
+  role: {
+    type: String,
+    enum: Object.values(ROLES),
+    required: true,
+  },
+  purpose: {
+    type: String,
+    enum: Object.values(TOKEN_PURPOSES),
+    required: true,
+  },
+  code_hash: {
+    type: String,
+    required: true,
+  },
+  attempts: {
+    type: Number,
+    default: 0,
+  },
+  expires_at: {
+    type: Date,
+    required: true,
+  },
+  used_at: {
+    type: Date,
+    default: null,
+  },
+}, { timestamps: true });
+
+// Let Mongo drop codes a day after they expire; they are kept that long for the send rate limit
+accountTokenSchema.index({ expires_at: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+const AccountToken = mongoose.model("AccountToken", accountTokenSchema);
+
+const hashAccountCode = (code) => crypto.createHash("sha256").update(String(code)).digest("hex");
+
+// Issues a fresh 6-digit code, replacing any unused one; returns { retryAfter } when rate limited
+const issueAccountToken = async (accountId, role, purpose) => {
+  const recent = await AccountToken.find({
+    account_id: accountId,
+    purpose,
+    createdAt: { $gte: new Date(Date.now() - 60 * 60 * 1000) },
+  }).sort({ createdAt: -1 });
+
+  if (recent.length > 0) {
+    const cooldownLeft = recent[0].createdAt.getTime() + TOKEN_RESEND_COOLDOWN - Date.now();
+    if (cooldownLeft > 0) {
+      return { retryAfter: Math.ceil(cooldownLeft / 1000) };
+    }
+  }
+  if (recent.length >= TOKEN_MAX_SENDS_PER_HOUR) {
+    const windowLeft = recent[recent.length - 1].createdAt.getTime() + 60 * 60 * 1000 - Date.now();
+    return { retryAfter: Math.ceil(windowLeft / 1000) };
+  }
+
+  await AccountToken.updateMany(
+    { account_id: accountId, purpose, used_at: null },
+    { used_at: new Date() }
+  );
+
+  const code = crypto.randomInt(0, 1000000).toString().padStart(6, "0");
+  const token = await AccountToken.create({
+    account_id: accountId,
+    role,
+    purpose,
+    code_hash: hashAccountCode(code),
+    expires_at: new Date(Date.now() + TOKEN_TTL[purpose]),
+  });
+
+  return { code, tokenId: token._id };
+};
+
+// Emails a freshly issued code; if sending fails the code is withdrawn so the
+// resend cooldown does not block asking for another one
+const mailAccountCode = async (issued, to, content, subject) => {
+  try {
+    await sendEmail(to, content, subject);
+  } catch {
+    await AccountToken.deleteOne({ _id: issued.tokenId });
+    throw httpError(502, "The code could not be emailed. Please request a new one.");
+  }
+};
+
+// Marks the latest matching code as used; each code works once and only within its attempt limit
+const consumeAccountToken = async (accountId, purpose, code) => {
+  const token = await AccountToken.findOne({
+    account_id: accountId,
+    purpose,
+    used_at: null,
+    expires_at: { $gt: new Date() },
+  }).sort({ createdAt: -1 });
+
+  if (!token || token.attempts >= TOKEN_MAX_ATTEMPTS) {
+    return false;
+  }
+
+  const given = Buffer.from(hashAccountCode(code));
+  const expected = Buffer.from(token.code_hash);
+  if (!crypto.timingSafeEqual(given, expected)) {
+    await AccountToken.updateOne({ _id: token._id }, { $inc: { attempts: 1 } });
+    return false;
+  }
+
+  const claimed = await AccountToken.findOneAndUpdate(
+    { _id: token._id, used_at: null },
+    { used_at: new Date() }
+  );
+  return Boolean(claimed);
+};
+
+const accountCodeEmail = (name, heading, code, instructions) => `
+    <html>
+    <head>
+        <title>${heading}</title>
+        <style>
+            .container {
+                width: 90%;
+                max-width: 600px;
+                margin: 0 auto;
+                padding: 20px;
+                background-color: #f2f2f2;
+                font-family: Arial, sans-serif;
+            }
+            .otp-box {
+                width: 90%;
+                max-width: 600px;
+                background-color: #ffffff;
+                padding: 20px;
+                border-radius: 8px;
+                text-align: center;
+                box-shadow: 0px 4px 10px rgba(0, 0, 0, 0.1);
+            }
+            .otp-text {
+                font-size: 24px;
+                font-weight: bold;
+                color: #333333;
+                margin-bottom: 10px;
+            }
+            .otp-number {
+                font-size: 48px;
+                font-weight: bold;
+                color: #28a745;
+                margin-top: 10px;
+                letter-spacing: 8px;
+            }
+            .instructions {
+                font-size: 16px;
+                color: #555555;
+                margin-top: 15px;
+                line-height: 1.5;
+            }
+        </style>
+    </head>
+    <body>
+        <div class="container">
+            <div class="otp-box">
+                <div class="otp-text">Hi ${name}, ${heading}</div>
+                <div class="otp-number">${code}</div>
+                <div class="instructions">${instructions}</div>
+            </div>
+        </div>
+    </body>
+    </html>
+    `;
+
+// Sends a verification code to a freshly created account
+const sendVerificationCode = async (account, accountType) => {
+  const type = ACCOUNT_TYPES[accountType];
+  const issued = await issueAccountToken(account._id, type.role, TOKEN_PURPOSES.VERIFY_EMAIL);
+  if (issued.code) {
+    const content = accountCodeEmail(
+      account[type.nameField],
+      "Verify your email",
+      issued.code,
+      "Enter this code on <strong>RegionHub</strong> to verify your email address. It expires in 24 hours."
+    );
+    await mailAccountCode(issued, account[type.emailField], content, "Verify your RegionHub email");
+  }
+  return issued;
+};
+
+// Resolves :accountType and the account named by req.body.email
+const loadAccountByEmail = async (req, res, next) => {
+  const type = ACCOUNT_TYPES[req.params.accountType];
+  if (!type) {
+    return res.status(404).json({ message: "Unknown account type" });
+  }
+
+  const email = String(req.body.email || "").trim();
+  if (!email) {
+    return res.status(400).json({ message: "Email is required" });
+  }
+
+  try {
+    req.accountType = type;
+    req.account = await mongoose.model(type.role)
+      .findOne({ [type.emailField]: type.role === ROLES.ADMIN ? email.toLowerCase() : email });
+    next();
+  } catch (err) {
+    console.error("Error loading account:", err.message);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+app.post("/auth/:accountType/verify-email", loadAccountByEmail, async (req, res) => {
+  try {
+    const { code } = req.body;
+    const { account, accountType } = req;
+
+    if (!accountType.signup) {
+      return res.status(404).json({ message: "Unknown account type" });
+    }
+    if (!code) {
+      return res.status(400).json({ message: "Verification code is required" });
+    }
+    if (!account) {
+      return res.status(400).json({ message: "Invalid or expired verification code" });
+    }
+    if (account.email_verified) {
+      return res.json({ message: "Email already verified" });
+    }
+
+    if (!(await consumeAccountToken(account._id, TOKEN_PURPOSES.VERIFY_EMAIL, code))) {
+      return res.status(400).json({ message: "Invalid or expired verification code" });
+    }
+
+    await account.constructor.updateOne({ _id: account._id }, { email_verified: true });
+    res.json({ message: "Email verified successfully" });
+  } catch (err) {
+    console.error("Error verifying email:", err.message);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+app.post("/auth/:accountType/resend-verification", loadAccountByEmail, async (req, res) => {
+  try {
+    const { account, accountType } = req;
+
+    if (!accountType.signup) {
+      return res.status(404).json({ message: "Unknown account type" });
+    }
+    if (!account || account.email_verified) {
+      return res.json({ message: "If the account needs verification, a new code has been sent" });
+    }
+
+    const issued = await sendVerificationCode(account, req.params.accountType);
+    if (issued.retryAfter) {
+      return res.status(429).json({ message: "Please wait before requesting another code", retryAfter: issued.retryAfter });
+    }
+
+    res.json({ message: "If the account needs verification, a new code has been sent" });
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ message: err.message });
+    }
+    console.error("Error resending verification:", err.message);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+app.post("/auth/:accountType/forgot-password", loadAccountByEmail, async (req, res) => {
+  try {
+    const { account, accountType } = req;
+
+    // Same answer whether or not the account exists
+    if (!account) {
+      return res.json({ message: "If the account exists, a reset code has been sent" });
+    }
+
+    const issued = await issueAccountToken(account._id, accountType.role, TOKEN_PURPOSES.RESET_PASSWORD);
+    if (issued.retryAfter) {
+      return res.status(429).json({ message: "Please wait before requesting another code", retryAfter: issued.retryAfter });
+    }
+
+    const content = accountCodeEmail(
+      account[accountType.nameField],
+      "Reset your password",
+      issued.code,
+      "Enter this code on <strong>RegionHub</strong> to choose a new password. It expires in 15 minutes.<br><br>If you did not ask for a reset, you can ignore this email."
+    );
+    await mailAccountCode(issued, account[accountType.emailField], content, "Reset your RegionHub password");
+
+    res.json({ message: "If the account exists, a reset code has been sent" });
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ message: err.message });
+    }
+    console.error("Error requesting password reset:", err.message);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+app.post("/auth/:accountType/reset-password", loadAccountByEmail, async (req, res) => {
+  try {
+    const { code, newPassword } = req.body;
+    const { account, accountType } = req;
+
+    if (!code || !newPassword) {
+      return res.status(400).json({ message: "Reset code and new password are required" });
+    }
+    if (!account || !(await consumeAccountToken(account._id, TOKEN_PURPOSES.RESET_PASSWORD, code))) {
+      return res.status(400).json({ message: "Invalid or expired reset code" });
+    }
+
+    // Receiving the code proves ownership of the mailbox, so the email counts as verified too
+    const update = { [accountType.passwordField]: await hashPassword(newPassword) };
+    if (accountType.signup) {
+      update.email_verified = true;
+    }
+    await account.constructor.updateOne({ _id: account._id }, update);
+    await revokeSessions(account._id);
+
+    res.json({ message: "Password reset successfully" });
+  } catch (err) {
+    console.error("Error resetting password:", err.message);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+app.post("/user-login", async (req, res) => {
+  try {
+    const { user_email, user_password } = req.body;
+    const user = await User.findOne({ user_email }).select('+user_password');
+
+    if (await verifyAccountPassword(user, 'user_password', user_password)) {
+      if (!user.email_verified) {
+        return res.status(403).send({ login: "unverified", message: "Please verify your email address" });
+      }
+      res.send({
+        id: user._id, // Return _id instead of user_id
+        login: "User",
+        ...(await issueSession(user._id, ROLES.USER)),
+      });
+    } else {
+      res.send({
+        login: "error",
+      });
+    }
+  } catch (err) {
+    console.error("Error during login:", err.message);
+    res.status(500).send("Server error");
+  }
+});
+// Routes for User Operations
+// app.post("/user", upload.single('user_photo'), async (req, res) => {
+//   try {
+//     const { user_name, user_email, user_password } = req.body;
+
+//     if (!req.file) {
+//       return res.status(400).json({ message: "Profile photo is required." });
+//     }
 
 //     const user_photo = req.file.filename;
 
-//     // Check if the user already exists
 //     let user = await User.findOne({ user_email });
 //     if (user) {
 //       return res.status(400).json({ message: "User already exists." });
 //     }
 
-//     // Create a new user
 //     user = new User({
 //       user_name,
 //       user_email,
@@ -1162,7 +2888,40 @@ app.post("/user-login", async (req, res) => {
 //     });
 
 //     await user.save();
-
+//     res.status(201).json({ message: "User created successfully.", id: user._id });
+//   } catch (err) {
+//     console.error("Error creating user:", err.message);
+//     res.status(500).json({ message: "Server error", error: err.message });
+//   }
+// });
+
+
+// app.post("/user", upload.single("user_photo"), async (req, res) => {
+//   try {
+//     const { user_name, user_email, user_password } = req.body;
+
+//     if (!req.file) {
+//       return res.status(400).json({ message: "Profile photo is required." });
+//     }
+
+//     const user_photo = req.file.filename;
+
+//     // Check if the user already exists
+//     let user = await User.findOne({ user_email });
+//     if (user) {
+//       return res.status(400).json({ message: "User already exists." });
+//     }
+
+//     // Create a new user
+//     user = new User({
+//       user_name,
+//       user_email,
+//       user_password,
+//       user_photo,
+//     });
+
+//     await user.save();
+
 //     // Email Content
 //     let content = `
 //     <html>
@@ -1236,2048 +2995,8039 @@ app.post("/user-login", async (req, res) => {
 //     </html>
 //     `;
 
-//     // Send email notification
-//     sendEmail(user_email, content);
+//     // Send email notification
+//     sendEmail(user_email, content);
+
+//     res.status(201).json({ message: "User created successfully.", id: user._id });
+//   } catch (err) {
+//     console.error("Error creating user:", err.message);
+//     res.status(500).json({ message: "Server error", error: err.message });
+//   }
+// });
+
+
+app.get("/users", requireRole(ROLES.ADMIN), async (req, res) => {
+  try {
+    const users = await User.find();
+    res.json(users);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send("Server error");
+  }
+});
+app.get("/user/profile/:id", requireSelf('id', ROLES.USER), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id).select("-user_password");
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+    res.json(user);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send("Server error");
+  }
+});
+app.post("/user", async (req, res) => {
+  try {
+    const { user_name, user_email, user_password } = req.body;
+    if (!user_password || !String(user_password).trim()) {
+      return res.status(400).json({ message: "Password is required." });
+    }
+
+    let user = await User.findOne({ user_email });
+    if (user) {
+      return res.status(400).json({ message: "User already exists." });
+    }
+
+    const newUser = new User({
+      user_name,
+      user_email,
+      user_password: await hashPassword(user_password),
+      email_verified: false,
+    });
+
+    await newUser.save();
+    await sendVerificationCode(newUser, "user");
+    res.status(201).json({
+      message: "User created successfully. A verification code has been sent to your email.",
+      id: newUser._id,
+    });
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ message: err.message });
+    }
+    console.error("Error creating user:", err.message);
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+});
+
+
+app.delete("/user/:id", requireSelf('id', ROLES.USER), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+    await user.deleteOne();
+    await revokeSessions(user._id);
+    res.json({ message: "User removed successfully" });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send("Server error");
+  }
+});
+
+// Vendor Routes
+app.post("/vendor-request", upload.fields([{ name: 'vendor_photo' }, { name: 'vendor_proof' }]), async (req, res) => {
+  try {
+    const { vendor_name, vendor_email, vendor_password, vendor_address, vendor_pincode, vendor_lat, vendor_lon, vendor_state } = req.body;
+    if (!vendor_password || !String(vendor_password).trim()) {
+      return res.status(400).json({ message: "Password is required" });
+    }
+    const vendor_photo = req.files.vendor_photo[0].filename;
+    const vendor_proof = req.files.vendor_proof[0].filename;
+
+    let vendor = await Vendor.findOne({ vendor_email });
+    if (vendor) {
+      return res.json({ message: "Vendor already exists" });
+    }
+    vendor = new Vendor({
+      vendor_name,
+      vendor_email,
+      vendor_password: await hashPassword(vendor_password),
+      vendor_address,
+      vendor_pincode,
+      vendor_status: "requested",
+      vendor_photo,
+      vendor_proof,
+      vendor_lat,
+      vendor_lon,
+      vendor_state: normalizeState(vendor_state),
+      email_verified: false
+    });
+    await vendor.save();
+    await sendVerificationCode(vendor, "vendor");
+    res.json({ message: "Vendor request submitted successfully. A verification code has been sent to your email." });
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ message: err.message });
+    }
+    console.error(err.message);
+    res.status(500).send("Server error");
+  }
+});
+// Add this route for vendor updates
+app.put("/vendor-update/:id", requireSelf('id', ROLES.VENDOR), upload.fields([{ name: 'vendor_photo' }, { name: 'vendor_proof' }]), async (req, res) => {
+  try {
+    const { vendor_address, vendor_pincode, vendor_lat, vendor_lon, vendor_state, vendor_password } = req.body;
+    const vendorId = req.params.id;
+
+    // Find the vendor
+    let vendor = await Vendor.findById(vendorId);
+    if (!vendor) {
+      return res.status(404).json({ message: "Vendor not found" });
+    }
+
+    // Prepare update object with only the fields that were provided
+    const updateFields = {};
+    
+    if (vendor_address) updateFields.vendor_address = vendor_address;
+    if (vendor_pincode) updateFields.vendor_pincode = vendor_pincode;
+    if (vendor_lat) updateFields.vendor_lat = vendor_lat;
+    if (vendor_lon) updateFields.vendor_lon = vendor_lon;
+    if (vendor_state) updateFields.vendor_state = normalizeState(vendor_state);
+    
+    // Handle password update separately (hash it)
+    if (vendor_password) {
+      updateFields.vendor_password = await hashPassword(vendor_password);
+    }
+
+    // Handle file uploads if they exist
+    if (req.files?.vendor_photo) {
+      updateFields.vendor_photo = req.files.vendor_photo[0].filename;
+      // Optionally: Delete old photo file from server
+    }
+    if (req.files?.vendor_proof) {
+      updateFields.vendor_proof = req.files.vendor_proof[0].filename;
+      // Optionally: Delete old proof file from server
+    }
+
+    // Update the vendor
+    vendor = await Vendor.findByIdAndUpdate(
+      vendorId,
+      { $set: updateFields },
+      { new: true }
+    );
+    await refreshVendorListings(vendor);
+    await reindexVendorProducts(vendor);
+
+    res.json({ 
+      message: "Vendor updated successfully",
+      vendor: {
+        id: vendor._id,
+        name: vendor.vendor_name,
+        email: vendor.vendor_email,
+        address: vendor.vendor_address,
+        pincode: vendor.vendor_pincode,
+        status: vendor.vendor_status
+      }
+    });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send("Server error");
+  }
+});
+// Public vendor profile: what a shopper needs to find the shop, nothing more
+app.get('/api/vendors/:vendorId', async (req, res) => {
+  const { vendorId } = req.params;
+
+  try {
+    if (!mongoose.Types.ObjectId.isValid(vendorId)) {
+      return res.status(400).json({ message: 'Invalid vendor ID' });
+    }
+    const vendor = await Vendor.findById(vendorId)
+      .select('vendor_name vendor_address vendor_pincode vendor_state vendor_lat vendor_lon');
+    
+    if (!vendor) {
+      return res.status(404).json({ message: 'Vendor not found' });
+    }
+
+    res.json(vendor);
+  } catch (error) {
+    console.error('Error fetching vendor:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+const userCoordinatesSchema = new mongoose.Schema({
+  user_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  latitude: {
+    type: Number,  // Stores decimal values
+    required: true
+  },
+  longitude: {
+    type: Number,  // Stores decimal values
+    required: true
+  }
+});
+
+const UserCoordinates = mongoose.model('UserCoordinates', userCoordinatesSchema);
+
+
+app.post("/api/save-coordinates", requireSelf('user_id', ROLES.USER), async (req, res) => {
+  try {
+    const { user_id, latitude, longitude } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(user_id)) {
+      return res.status(400).json({ message: "Invalid user ID." });
+    }
+
+    const user = await User.findById(user_id);
+    if (!user) {
+      return res.status(404).json({ message: "User not found." });
+    }
+
+    const userCoordinates = new UserCoordinates({
+      user_id,
+      latitude,
+      longitude,
+    });
+
+    await userCoordinates.save();
+    res.json({ message: "User coordinates added successfully" });
+  } catch (err) {
+    console.error("Error saving coordinates:", err.message);
+    res.status(500).send("Server error");
+  }
+});
+app.get("/vendor-requests", requireRole(ROLES.ADMIN), async (req, res) => {
+  try {
+    const vendors = await Vendor.find({ vendor_status: "requested" });
+    res.json(vendors);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send("Server error");
+  }
+});
+
+app.get("/accepted-vendors", requireRole(ROLES.ADMIN), async (req, res) => {
+  try {
+    const vendors = await Vendor.find({ vendor_status: "accepted" });
+    res.json(vendors);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send("Server error");
+  }
+});
+app.get("/user/:id", requireSelf('id', ROLES.USER), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ message: "User not found." });
+    }
+    res.status(200).json({ user }); // ✅ IMPORTANT: wraps user in `user`
+  } catch (err) {
+    console.error("Error fetching user:", err.message);
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+});
+app.put("/user/:id/photo", requireSelf('id', ROLES.USER), upload.single("user_photo"), async (req, res) => {
+  try {
+    const userId = req.params.id;
+
+    if (!req.file) {
+      return res.status(400).json({ message: "New profile photo is required." });
+    }
+
+    const updatedUser = await User.findByIdAndUpdate(
+      userId,
+      { user_photo: req.file.filename },
+      { new: true }
+    );
+
+    if (!updatedUser) {
+      return res.status(404).json({ message: "User not found." });
+    }
+
+    res.status(200).json({ message: "Profile photo updated successfully.", user: updatedUser });
+  } catch (err) {
+    console.error("Error updating photo:", err.message);
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+});
+app.put("/user/:id/photo/delete", requireSelf('id', ROLES.USER), async (req, res) => {
+  try {
+    const userId = req.params.id;
+
+    const updatedUser = await User.findByIdAndUpdate(
+      userId,
+      { user_photo: "" },
+      { new: true }
+    );
+
+    if (!updatedUser) {
+      return res.status(404).json({ message: "User not found." });
+    }
+
+    res.status(200).json({ message: "Profile photo deleted.", user: updatedUser });
+  } catch (err) {
+    console.error("Error deleting photo:", err.message);
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+});
+app.put("/user/:id/name", requireSelf('id', ROLES.USER), async (req, res) => {
+  try {
+    const userId = req.params.id;
+    const { user_name } = req.body;
+
+    if (!user_name) {
+      return res.status(400).json({ message: "New name is required." });
+    }
+
+    const updatedUser = await User.findByIdAndUpdate(
+      userId,
+      { user_name },
+      { new: true }
+    );
+
+    if (!updatedUser) {
+      return res.status(404).json({ message: "User not found." });
+    }
+
+    res.status(200).json({ message: "User name updated successfully.", user: updatedUser });
+  } catch (err) {
+    console.error("Error updating name:", err.message);
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+});
+app.post("/login", async (req, res) => {
+  const { emailOrName, password } = req.body;
+
+  try {
+    const user = await User.findOne({ user_email: emailOrName }).select("+user_password");
+    if (await verifyAccountPassword(user, "user_password", password)) {
+      if (!user.email_verified)
+        return res.status(403).send({ login: "unverified", message: "Please verify your email address" });
+      return res.send({ login: "User", id: user._id, ...(await issueSession(user._id, ROLES.USER)) });
+    }
+
+    const admin = await Admin.findOne({ email: emailOrName }).select("+password");
+    if (await verifyAccountPassword(admin, "password", password))
+      return res.send({ login: "Admin", id: admin._id, ...(await issueSession(admin._id, ROLES.ADMIN)) });
+
+    const vendor = await Vendor.findOne({ vendor_name: emailOrName }).select("+vendor_password");
+    if (await verifyAccountPassword(vendor, "vendor_password", password)) {
+      if (!vendor.email_verified)
+        return res.status(403).send({ login: "unverified", message: "Please verify your email address" });
+      return res.send({ login: "Vendor", id: vendor._id, ...(await issueSession(vendor._id, ROLES.VENDOR)) });
+    }
+
+    const delivery = await DeliveryPerson.findOne({ email: emailOrName }).select("+password");
+    if (await verifyAccountPassword(delivery, "password", password)) {
+      if (!delivery.email_verified)
+        return res.status(403).send({ login: "unverified", message: "Please verify your email address" });
+      return res.send({ login: "Delivery", id: delivery._id, ...(await issueSession(delivery._id, ROLES.DELIVERY)) });
+    }
+
+    res.send({ login: "error" });
+  } catch (err) {
+    console.error(err);
+    res.status(500).send("Server error");
+  }
+});
+
+
+app.put("/vendor-accept/:id", requireRole(ROLES.ADMIN), async (req, res) => {
+  try {
+    const vendor = await Vendor.findById(req.params.id);
+    if (!vendor) {
+      return res.status(404).json({ message: "Vendor not found" });
+    }
+
+    // Update vendor status
+    vendor.vendor_status = "accepted";
+    await vendor.save();
+
+    // Email content
+    let content = `
+    <html>
+    <head>
+        <title>Vendor Request Accepted</title>
+        <style>
+            .container {
+                width: 90%;
+                max-width: 600px;
+                margin: 0 auto;
+                padding: 20px;
+                background-color: #f2f2f2;
+                font-family: Arial, sans-serif;
+            }
+            .otp-box {
+                width: 90%;
+                max-width: 600px;
+                background-color: #ffffff;
+                padding: 20px;
+                border-radius: 8px;
+                text-align: center;
+                box-shadow: 0px 4px 10px rgba(0, 0, 0, 0.1);
+            }
+            .otp-text {
+                font-size: 24px;
+                font-weight: bold;
+                color: #333333;
+                margin-bottom: 10px;
+            }
+            .otp-number {
+                font-size: 48px;
+                font-weight: bold;
+                color: #28a745;
+                margin-top: 10px;
+            }
+            .instructions {
+                font-size: 16px;
+                color: #555555;
+                margin-top: 15px;
+                line-height: 1.5;
+            }
+            .login-button {
+                display: inline-block;
+                padding: 12px 25px;
+                margin-top: 20px;
+                font-size: 16px;
+                font-weight: bold;
+                color: #ffffff;
+                background-color: #007bff;
+                text-decoration: none;
+                border-radius: 5px;
+                transition: 0.3s ease;
+            }
+            .login-button:hover {
+                background-color: #0056b3;
+            }
+        </style>
+    </head>
+    <body>
+        <div class="container">
+            <div class="otp-box">
+                <div class="otp-text">Hi ${vendor.name}, Welcome to RegionHub! 🎉</div>
+                <div class="otp-number">✅</div>
+                <div class="instructions">
+                    Your vendor request has been <strong>approved</strong>! You can now start selling on <strong>RegionHub</strong>.<br><br>
+                    <strong>Your Vendor ID:</strong> ${vendor._id}
+                </div>
+                <a href="http://localhost:5173/guest/vendor-login" class="login-button">Click Here to Login</a>
+            </div>
+        </div>
+    </body>
+    </html>
+    `;
+
+    // Send email notification
+    sendEmail(vendor.email, content).catch(() => {});
+
+    res.json({ message: "Vendor request accepted successfully" });
+  } catch (err) {
+    console.error("Error accepting vendor request:", err);
+    res.status(500).send("Server error");
+  }
+});
+
+// Other imports and configurations...
+
+const addressSchema = new mongoose.Schema({
+  user_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  content: {
+    type: String,
+    required: true
+  },
+  state: {
+    type: String,
+    default: null // Place of supply for GST
+  },
+  lat: {
+    type: Number,
+    default: null
+  },
+  lon: {
+    type: Number,
+    default: null
+  }
+});
+// Get user profile
+app.get('/user/:userId', requireSelf('userId', ROLES.USER), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.userId)
+      .select('-user_password -__v');
+    
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    res.json(user);
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Update user profile
+app.put('/user/:userId', requireSelf('userId', ROLES.USER), async (req, res) => {
+  try {
+    const { user_name, user_photo } = req.body;
+    
+    const updatedUser = await User.findByIdAndUpdate(
+      req.params.userId,
+      { user_name, user_photo },
+      { new: true, runValidators: true }
+    ).select('-user_password -__v');
+    
+    res.json(updatedUser);
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// Get user addresses
+app.get('/user/:userId/addresses', requireSelf('userId', ROLES.USER), async (req, res) => {
+  try {
+    const addresses = await Address.find({ user_id: req.params.userId });
+    res.json(addresses);
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Add new address
+app.post('/user/addresses', requireRole(ROLES.USER), async (req, res) => {
+  try {
+    const { content, state, lat, lon } = req.body;
+    const userId = req.user._id; // From authentication middleware
+    
+    const newAddress = new Address({
+      user_id: userId,
+      content,
+      state: normalizeState(state),
+      lat,
+      lon
+    });
+    
+    await newAddress.save();
+    res.status(201).json(newAddress);
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// Update address
+app.put('/user/addresses/:addressId', requireRole(ROLES.USER), async (req, res) => {
+  try {
+    const { content, state, lat, lon } = req.body;
+    
+    const updatedAddress = await Address.findOneAndUpdate(
+      { _id: req.params.addressId, user_id: req.user._id },
+      {
+        content,
+        ...(state !== undefined ? { state: normalizeState(state) } : {}),
+        ...(lat !== undefined ? { lat } : {}),
+        ...(lon !== undefined ? { lon } : {}),
+      },
+      { new: true }
+    );
+
+    if (!updatedAddress) {
+      return res.status(404).json({ message: 'Address not found' });
+    }
+    
+    res.json(updatedAddress);
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// Delete address
+app.delete('/user/addresses/:addressId', requireRole(ROLES.USER), async (req, res) => {
+  try {
+    const deletedAddress = await Address.findOneAndDelete({ _id: req.params.addressId, user_id: req.user._id });
+    if (!deletedAddress) {
+      return res.status(404).json({ message: 'Address not found' });
+    }
+    res.json({ message: 'Address deleted successfully' });
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+app.get("/vendor/:id", requireSelf('id', ROLES.VENDOR), async (req, res) => {
+  try {
+    const vendor = await Vendor.findById(req.params.id);
+    if (!vendor) {
+      return res.status(404).json({ message: "Vendor not found" });
+    }
+    res.json(vendor);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+app.put("/vendor/update/:id", requireSelf('id', ROLES.VENDOR), async (req, res) => {
+  try {
+    const { vendor_lat, vendor_lon, vendor_address } = req.body;
+    const updatedVendor = await Vendor.findByIdAndUpdate(
+      req.params.id,
+      { vendor_lat, vendor_lon, vendor_address },
+      { new: true }
+    );
+    if (!updatedVendor) {
+      return res.status(404).json({ message: "Vendor not found" });
+    }
+    await refreshVendorListings(updatedVendor);
+    await reindexVendorProducts(updatedVendor);
+    res.json({ message: "Vendor updated successfully", vendor: updatedVendor });
+  } catch (err) {
+    res.status(500).json({ message: "Server error" });
+  }
+});
+app.delete("/vendor/delete/:id", requireSelf('id', ROLES.VENDOR), async (req, res) => {
+  try {
+    const deletedVendor = await Vendor.findByIdAndDelete(req.params.id);
+    if (!deletedVendor) {
+      return res.status(404).json({ message: "Vendor not found" });
+    }
+    await revokeSessions(deletedVendor._id);
+    res.json({ message: "Vendor account deleted successfully" });
+  } catch (err) {
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+const Address = mongoose.model('Address', addressSchema);
+
+app.post("/address", requireSelf('user_id', ROLES.USER), async (req, res) => {
+  try {
+    const { user_id, content, state, lat, lon } = req.body;
+
+    const address = new Address({
+      user_id,
+      content,
+      state: normalizeState(state),
+      lat,
+      lon
+    });
+
+    await address.save();
+    res.json({ message: "Address added successfully" });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send("Server error");
+  }
+});
+// Edit an address
+app.put("/address/:id", requireRole(ROLES.USER, ROLES.ADMIN), async (req, res) => {
+  try {
+    const { content } = req.body;
+    // Users only reach their own addresses
+    const filter = req.user.role === ROLES.ADMIN ? { _id: req.params.id } : { _id: req.params.id, user_id: req.user._id };
+    const updatedAddress = await Address.findOneAndUpdate(filter, { content }, { new: true });
+    if (!updatedAddress) {
+      return res.status(404).json({ message: "Address not found" });
+    }
+    res.json({ message: "Address updated successfully", address: updatedAddress });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send("Server error");
+  }
+});
+
+// Delete an address
+app.delete("/address/:id", requireRole(ROLES.USER, ROLES.ADMIN), async (req, res) => {
+  try {
+    const filter = req.user.role === ROLES.ADMIN ? { _id: req.params.id } : { _id: req.params.id, user_id: req.user._id };
+    const deletedAddress = await Address.findOneAndDelete(filter);
+    if (!deletedAddress) {
+      return res.status(404).json({ message: "Address not found" });
+    }
+    res.json({ message: "Address deleted successfully" });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send("Server error");
+  }
+});
+
+app.get("/addresses", requireRole(ROLES.ADMIN), async (req, res) => {
+  try {
+    const addresses = await Address.find().populate('user_id');
+    res.json(addresses);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send("Server error");
+  }
+});
+
+// Other routes and configurations...
+
+
+
+
+app.delete("/vendor-remove/:id", requireRole(ROLES.ADMIN), async (req, res) => {
+  try {
+    const vendor = await Vendor.findById(req.params.id);
+    if (!vendor) {
+      return res.status(404).json({ message: "Vendor not found" });
+    }
+    await Vendor.deleteOne({ _id: req.params.id });
+    await revokeSessions(vendor._id);
+    res.json({ message: "Vendor removed successfully" });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send("Server error");
+  }
+});
+
+// Product Routes
+app.post("/products", requireSelf('vendor_id', ROLES.VENDOR), async (req, res) => {
+  try {
+    const { name, description, details, offer, price, mrp, category_id, attributes, vendor_id, reorder_threshold, hsn_code, gst_rate, price_includes_tax } = req.body;
+
+    const product = new Product({
+      name,
+      description,
+      details,
+      offer,
+      price,
+      mrp,
+      category_id,
+      attributes,
+      vendor_id,
+      reorder_threshold,
+      hsn_code,
+      gst_rate,
+      price_includes_tax
+    });
+    checkPricing(product);
+    await checkProductAttributes(product);
+
+    await product.save();
+    await reindexProducts([product._id]);
+    res.json({ message: "Product added successfully" });
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ message: err.message });
+    }
+    console.error(err.message);
+    res.status(500).send("Server error");
+  }
+});
+
+app.get("/categories", async (req, res) => {
+  try {
+    const categories = await Category.find();
+    res.json(categories);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send("Server error");
+  }
+});
+
+app.post("/gallery", requireRole(ROLES.VENDOR, ROLES.ADMIN), upload.fields([{ name: 'gallery_photo' }]), async (req, res) => {
+  console.log('Received data:', req.body);
+  console.log('Received files:', req.files);
+
+  const { product_id } = req.body;
+  if (!mongoose.Types.ObjectId.isValid(product_id)) {
+    return res.status(400).json({ message: "Invalid product ID" });
+  }
+  try {
+    const product = await Product.findById(product_id).select("vendor_id");
+    if (!product) {
+      return res.status(404).json({ message: "Product not found" });
+    }
+    if (!canManageProduct(req.user, product)) {
+      return res.status(403).json({ message: "Access denied" });
+    }
+  } catch (err) {
+    console.error(err.message);
+    return res.status(500).send("Server error");
+  }
+
+  var fileValue = JSON.parse(JSON.stringify(req.files));
+  var galleryPhotoSrc = `http://127.0.0.1:${port}/uploads/${fileValue.gallery_photo[0].filename}`;
+
+  // Log the data for debugging
+  console.log('Processed data:', { product_id, galleryPhotoSrc });
+
+  const gallery = new Gallery({
+    gallery_photo: galleryPhotoSrc,
+    product_id
+  });
+
+  gallery.save()
+    .then(() => {
+      res.status(201).send({ message: 'Image uploaded successfully', data: { product_id, galleryPhotoSrc } });
+    })
+    .catch(err => {
+      console.error(err.message);
+      res.status(500).send("Server error");
+    });
+});
+app.get("/vendor-details", requireSelf('vendorId', ROLES.VENDOR), async (req, res) => {
+  try {
+    const { vendorId } = req.query;
+
+    const vendor = await Vendor.findById(vendorId);
+    if (!vendor) return res.status(404).json({ message: "Vendor not found" });
+
+    res.json(vendor);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+app.put("/vendor-update", requireSelf('vendorId', ROLES.VENDOR), upload.single("vendor_photo"), async (req, res) => {
+  try {
+    const { vendorId } = req.query;
+    const {
+      vendor_address,
+      vendor_pincode,
+      vendor_lat,
+      vendor_lon,
+      vendor_password
+    } = req.body;
+
+    const vendor = await Vendor.findById(vendorId);
+    if (!vendor) {
+      return res.status(404).json({ message: "Vendor not found" });
+    }
+
+    // Update allowed fields
+    vendor.vendor_address = vendor_address;
+    vendor.vendor_pincode = vendor_pincode;
+    vendor.vendor_lat = vendor_lat;
+    vendor.vendor_lon = vendor_lon;
+
+    if (vendor_password) {
+      vendor.vendor_password = await hashPassword(vendor_password);
+    }
+
+    if (req.file) {
+      vendor.vendor_photo = req.file.filename;
+    }
+
+    await vendor.save();
+    await refreshVendorListings(vendor);
+    await reindexVendorProducts(vendor);
+    res.json({ message: "Vendor updated successfully" });
+
+  } catch (err) {
+    console.error(err);
+    res.status(500).send("Server error");
+  }
+});
+app.get("/products", requireSelf('vendorId', ROLES.VENDOR), async (req, res) => {
+  try {
+    const { vendorId } = req.query;
+    if (!vendorId) {
+      return res.status(400).send("vendorId is required");
+    }
+    const products = await Product.find({ vendor_id: vendorId }).populate('category_id').populate('vendor_id');
+    res.json(products);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send("Server error");
+  }
+});
+
+app.post("/stocks", requireRole(ROLES.VENDOR, ROLES.ADMIN), async (req, res) => {
+  try {
+    const { stock_quantity, product_id, stock_date } = req.body;
+    if (!Number.isInteger(Number(stock_quantity)) || Number(stock_quantity) <= 0) {
+      return res.status(400).json({ message: "Stock quantity must be a positive whole number" });
+    }
+    if (!mongoose.Types.ObjectId.isValid(product_id)) {
+      return res.status(400).json({ message: "Invalid product ID" });
+    }
+    const product = await Product.findById(product_id).select("vendor_id");
+    if (!product) {
+      return res.status(404).json({ message: "Product not found" });
+    }
+    if (!canManageProduct(req.user, product)) {
+      return res.status(403).json({ message: "Access denied" });
+    }
+    const variantId = req.body.variant_id ? (await findVariant(product_id, req.body.variant_id))._id : null;
+
+    const inventory = await withTransaction(async (session) => {
+      const stock = new Stock({
+        stock_quantity: Number(stock_quantity),
+        product_id,
+        variant_id: variantId,
+        stock_date
+      });
+      // Open the inventory before saving the row so it is not counted twice
+      await getInventory(product_id, session, variantId);
+      await stock.save({ session });
+      return adjustStock(product_id, Number(stock_quantity), {
+        type: STOCK_MOVEMENT_TYPES.RECEIPT,
+        reason: req.body.reason,
+        actor: req.user,
+        stockId: stock._id,
+        variantId,
+      }, session);
+    });
+    res.json({ message: "Stock added successfully", stock: stockLevels(inventory) });
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ message: err.message });
+    }
+    console.error(err.message);
+    res.status(500).send("Server error");
+  }
+});
+
+// Product Details - Vendor
+app.get("/product-gallery/:productId", async (req, res) => {
+  try {
+    const { productId } = req.params;
+    const gallery = await Gallery.find({ product_id: productId });
+    res.json(gallery);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send("Server error");
+  }
+});
+
+app.get("/product-details/:productId", async (req, res) => {
+  try {
+    const { productId } = req.params;
+    const product = await Product.findById(productId).populate('category_id').populate('vendor_id');
+    res.json(product);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send("Server error");
+  }
+});
+app.put("/product-details/:productId", requireRole(ROLES.VENDOR, ROLES.ADMIN), async (req, res) => {
+  const { productId } = req.params;
+
+  // Check if the ID is valid
+  if (!mongoose.Types.ObjectId.isValid(productId)) {
+    return res.status(400).json({ error: "Invalid product ID" });
+  }
+
+  try {
+    const updatedProduct = await Product.findById(productId);
+
+    if (!updatedProduct) {
+      return res.status(404).json({ error: "Product not found" });
+    }
+    if (!canManageProduct(req.user, updatedProduct)) {
+      return res.status(403).json({ error: "Access denied" });
+    }
+
+    // Sales are scheduled through their own routes, and products stay with their vendor
+    const changes = { ...req.body };
+    delete changes.sales;
+    delete changes.vendor_id;
+    if (changes.attributes !== undefined) {
+      // Attributes are replaced as a whole rather than merged into the old ones
+      updatedProduct.attributes = changes.attributes;
+      delete changes.attributes;
+    }
+    updatedProduct.set(changes);
+    dropEndedSales(updatedProduct);
+    checkPricing(updatedProduct);
+    await checkProductAttributes(updatedProduct);
+    await updatedProduct.save();
+    await reindexProducts([updatedProduct._id]);
+
+    res.json(updatedProduct);
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error("Update error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+app.put("/product-stock/:stockId", requireRole(ROLES.VENDOR, ROLES.ADMIN), async (req, res) => {
+  try {
+    const { stockId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(stockId)) {
+      return res.status(400).json({ message: "Invalid stock ID" });
+    }
+
+    // Only the quantity and date of an entry can be corrected, by whoever manages its product
+    const entry = await Stock.findById(stockId).select("product_id");
+    if (!entry) {
+      return res.status(404).json({ message: "Stock entry not found" });
+    }
+    const product = await Product.findById(entry.product_id).select("vendor_id");
+    if (!product) {
+      return res.status(404).json({ message: "Product not found" });
+    }
+    if (!canManageProduct(req.user, product)) {
+      return res.status(403).json({ message: "Access denied" });
+    }
+    const updatedStock = {};
+    if (req.body.stock_quantity !== undefined) {
+      if (!Number.isInteger(Number(req.body.stock_quantity)) || Number(req.body.stock_quantity) <= 0) {
+        return res.status(400).json({ message: "Stock quantity must be a positive whole number" });
+      }
+      updatedStock.stock_quantity = Number(req.body.stock_quantity);
+    }
+    if (req.body.stock_date !== undefined) updatedStock.stock_date = req.body.stock_date;
+
+    // Correcting a received quantity moves on_hand by the difference
+    const stock = await withTransaction(async (session) => {
+      const previous = await Stock.findById(stockId).session(session);
+      if (!previous) return null;
+
+      await getInventory(previous.product_id, session, previous.variant_id);
+      const stock = await Stock.findByIdAndUpdate(stockId, updatedStock, { new: true, session });
+      const delta = stock.stock_quantity - previous.stock_quantity;
+      if (delta !== 0) {
+        await adjustStock(previous.product_id, delta, {
+          type: STOCK_MOVEMENT_TYPES.CORRECTION,
+          reason: req.body.reason || "Stock entry corrected",
+          actor: req.user,
+          stockId: stock._id,
+          variantId: previous.variant_id,
+        }, session);
+      }
+      return stock;
+    });
+    if (!stock) {
+      return res.status(404).json({ message: "Stock entry not found" });
+    }
+    res.json(stock);
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ message: err.message });
+    }
+    console.error(err.message);
+    res.status(500).send("Server error");
+  }
+});
+
+// Record a stock movement by hand: receipts, customer returns, damage, count
+// corrections, or a transfer to another product
+app.post("/stock-movements", requireRole(ROLES.VENDOR, ROLES.ADMIN), async (req, res) => {
+  try {
+    const { product_id, type, reason, to_product_id, variant_id, to_variant_id } = req.body;
+    const qty = Number(req.body.qty);
+
+    if (!MANUAL_STOCK_MOVEMENTS.includes(type)) {
+      return res.status(400).json({ message: `Type must be one of: ${MANUAL_STOCK_MOVEMENTS.join(", ")}` });
+    }
+    if (!Number.isInteger(qty) || qty === 0) {
+      return res.status(400).json({ message: "Quantity must be a non-zero whole number" });
+    }
+    // Corrections are signed; every other movement takes a positive quantity
+    if (type !== STOCK_MOVEMENT_TYPES.CORRECTION && qty < 0) {
+      return res.status(400).json({ message: "Quantity must be positive" });
+    }
+    if (type !== STOCK_MOVEMENT_TYPES.RECEIPT && !reason) {
+      return res.status(400).json({ message: "A reason is required" });
+    }
+    if (!mongoose.Types.ObjectId.isValid(product_id)) {
+      return res.status(400).json({ message: "Invalid product ID" });
+    }
+
+    const product = await Product.findById(product_id).select("vendor_id");
+    if (!product) {
+      return res.status(404).json({ message: "Product not found" });
+    }
+    if (!canManageProduct(req.user, product)) {
+      return res.status(403).json({ message: "Access denied" });
+    }
+
+    const variantId = variant_id ? (await findVariant(product_id, variant_id))._id : null;
+    let target = null;
+    let targetVariantId = null;
+    if (type === STOCK_MOVEMENT_TYPES.TRANSFER) {
+      if (!mongoose.Types.ObjectId.isValid(to_product_id)
+        || (String(to_product_id) === String(product_id) && String(to_variant_id || null) === String(variantId))) {
+        return res.status(400).json({ message: "A different product to transfer to is required" });
+      }
+      target = await Product.findById(to_product_id).select("vendor_id");
+      if (!target) {
+        return res.status(404).json({ message: "Product to transfer to not found" });
+      }
+      if (!canManageProduct(req.user, target)) {
+        return res.status(403).json({ message: "Access denied" });
+      }
+      targetVariantId = to_variant_id ? (await findVariant(target._id, to_variant_id))._id : null;
+    }
+
+    // Damage and transfers take stock out; receipts and returns bring it in
+    const outbound = type === STOCK_MOVEMENT_TYPES.DAMAGE || type === STOCK_MOVEMENT_TYPES.TRANSFER;
+    const movement = { type, reason: reason || null, actor: req.user };
+
+    const inventory = await withTransaction(async (session) => {
+      const inventory = await adjustStock(product_id, outbound ? -qty : qty, {
+        ...movement,
+        variantId,
+        transferProductId: target ? target._id : null,
+      }, session);
+
+      if (target) {
+        await adjustStock(target._id, qty, { ...movement, variantId: targetVariantId, transferProductId: product._id }, session);
+      }
+      return inventory;
+    });
+
+    res.status(201).json({ message: "Stock movement recorded", stock: stockLevels(inventory) });
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ message: err.message });
+    }
+    console.error("Error recording stock movement:", err);
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+});
+
+// Compares, per product, the ledger with the live inventory and with the
+// quantities sold according to the vendor's orders
+app.get("/vendor/:vendorId/inventory-reconciliation", requireSelf('vendorId', ROLES.VENDOR), async (req, res) => {
+  try {
+    const { vendorId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(vendorId)) {
+      return res.status(400).json({ message: "Invalid vendor ID" });
+    }
+
+    const products = await Product.find({ vendor_id: vendorId }).select("name");
+    const productIds = products.map((product) => product._id);
+
+    // Open any inventory that has not been touched yet so every product is covered,
+    // then add up each product's variants
+    for (const product of products) {
+      await getInventory(product._id);
+    }
+    const inventories = new Map();
+    for (const inventory of await Inventory.find({ product_id: { $in: productIds } })) {
+      const productId = String(inventory.product_id);
+      const total = inventories.get(productId) || { on_hand: 0, reserved: 0, sold_before_opening: 0 };
+      inventories.set(productId, {
+        on_hand: total.on_hand + inventory.on_hand,
+        reserved: total.reserved + inventory.reserved,
+        sold_before_opening: total.sold_before_opening + inventory.sold_before_opening,
+      });
+    }
+
+    // Ledger totals per product and movement type
+    const ledgerTotals = await StockMovement.aggregate([
+      { $match: { product_id: { $in: productIds } } },
+      {
+        $group: {
+          _id: { product_id: "$product_id", type: "$type" },
+          qty: { $sum: "$qty" },
+          // Stock put back by cancelled orders undoes part of their sale
+          orderReturns: {
+            $sum: { $cond: [{ $and: [{ $eq: ["$type", STOCK_MOVEMENT_TYPES.RETURN] }, { $ne: ["$order_id", null] }] }, "$qty", 0] },
+          },
+        },
+      },
+    ]);
+
+    // Quantities sold according to orders
+    const orderSales = await Cart.aggregate([
+      { $match: { product_id: { $in: productIds }, order_id: { $ne: null }, status: "processing" } },
+      { $lookup: { from: "orders", localField: "order_id", foreignField: "_id", as: "order" } },
+      { $unwind: "$order" },
+      { $match: { "order.status": { $in: SOLD_ORDER_STATUSES } } },
+      // Units that came back through a return are no longer sold
+      { $group: { _id: "$product_id", qty: { $sum: { $subtract: ["$qty", { $ifNull: ["$returned_qty", 0] }] } } } },
+    ]);
+    const soldByProduct = new Map(orderSales.map((row) => [String(row._id), row.qty]));
+
+    const report = products.map((product) => {
+      const productId = String(product._id);
+      const inventory = inventories.get(productId);
+
+      const ledger = Object.fromEntries(Object.values(STOCK_MOVEMENT_TYPES).map((type) => [type, 0]));
+      let orderReturns = 0;
+      for (const row of ledgerTotals) {
+        if (String(row._id.product_id) !== productId) continue;
+        ledger[row._id.type] = row.qty;
+        orderReturns += row.orderReturns;
+      }
+
+      const ledgerBalance = Object.values(ledger).reduce((sum, qty) => sum + qty, 0);
+      const ledgerSold = inventory.sold_before_opening - ledger[STOCK_MOVEMENT_TYPES.SALE] - orderReturns;
+      const orderSold = soldByProduct.get(productId) || 0;
+
+      return {
+        product_id: product._id,
+        name: product.name,
+        ledger,
+        ledger_balance: ledgerBalance,
+        ...stockLevels(inventory),
+        ledger_sold: ledgerSold,
+        order_sold: orderSold,
+        // Non-zero differences point at stock that moved without being recorded
+        balance_difference: inventory.on_hand - ledgerBalance,
+        sold_difference: orderSold - ledgerSold,
+        reconciled: inventory.on_hand === ledgerBalance && orderSold === ledgerSold,
+      };
+    });
+
+    res.status(200).json({
+      vendor_id: vendorId,
+      generated_at: new Date(),
+      unreconciled: report.filter((row) => !row.reconciled).length,
+      products: report,
+    });
+  } catch (err) {
+    console.error("Error building inventory reconciliation:", err);
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+});
+
+// Vendor Login Endpoint
+app.post("/vendor-login", async (req, res) => {
+  try {
+    const { vendorname, password } = req.body;
+    const vendor = await Vendor.findOne({ vendor_name: vendorname }).select("+vendor_password");
+
+    if (await verifyAccountPassword(vendor, "vendor_password", password)) {
+      if (!vendor.email_verified) {
+        return res.status(403).send({ login: "unverified", message: "Please verify your email address" });
+      }
+      res.send({
+        id: vendor._id,
+        login: "Vendor",
+        ...(await issueSession(vendor._id, ROLES.VENDOR)),
+      });
+    } else {
+      res.send({
+        login: "error",
+      });
+    }
+  } catch (err) {
+    console.error("Error", err);
+    res.status(500).send("Server error");
+  }
+});
+
+// Admin Login Endpoint
+app.post("/admin-login", async (req, res) => {
+  try {
+    const { email, password } = req.body;
+    const admin = await Admin.findOne({ email }).select("+password");
+
+    if (await verifyAccountPassword(admin, "password", password)) {
+      res.send({
+        id: admin._id,
+        login: "Admin",
+        ...(await issueSession(admin._id, ROLES.ADMIN)),
+      });
+    } else {
+      res.send({
+        login: "error",
+      });
+    }
+  } catch (err) {
+    console.error("Error", err);
+    res.status(500).send("Server error");
+  }
+});
+
+app.get("/products1", async (req, res) => {
+  try {
+    const products = await Product.find().populate('category_id').populate('vendor_id').populate('gallery');
+    res.json(products);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send("Server error");
+  }
+});
+
+app.get("/all-products", async (req, res) => {
+  try {
+    const products = await Product.find().populate("category_id").populate("vendor_id");
+
+    // Fetch the first image for each product
+    const productsWithImages = await Promise.all(
+      products.map(async (product) => {
+        const galleryImage = await Gallery.findOne({ product_id: product._id });
+        return {
+          _id: product._id,
+          name: product.name,
+          price: product.price,
+          pricing: productPricing(product),
+          firstImage: galleryImage ? galleryImage.gallery_photo : null, // First image if available
+        };
+      })
+    );
+
+    res.json(productsWithImages);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send("Server error");
+  }
+});
+
+const haversineDistance = (lat1, lon1, lat2, lon2) => {
+  const toRad = (angle) => (angle * Math.PI) / 180;
+  const R = 6371; // Radius of Earth in kilometers
+  const dLat = toRad(lat2 - lat1);
+  const dLon = toRad(lon2 - lon1);
+  const a =
+    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+    Math.cos(toRad(lat1)) *
+    Math.cos(toRad(lat2)) *
+    Math.sin(dLon / 2) *
+    Math.sin(dLon / 2);
+  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+  return R * c; // Distance in kilometers
+};
+
+app.get("/nearby-products", async (req, res) => {
+  try {
+    const { latitude, longitude, category } = req.query;
+    const includeOutOfStock = req.query.include_out_of_stock === "true";
+
+    // Validate latitude and longitude
+    if (!latitude || !longitude) {
+      return res.status(400).json({ message: "Latitude and longitude are required" });
+    }
+
+    // Build the base query
+    let query = Product.find();
+
+    // If category is provided (by id, path or name), filter by it and everything under it
+    if (category && category !== "All") {
+      const categoryDoc = await findCategory(category);
+      if (categoryDoc) {
+        query = query.where("category_id").in(await categoryTreeIds(categoryDoc._id));
+      } else {
+        // If category doesn't exist, return an empty array
+        return res.json([]);
+      }
+    }
+
+    // Fetch products and populate vendor and category details
+    const products = await query.populate("vendor_id").populate("category_id");
+    const stockByProduct = await availableStock(products.map((product) => product._id));
+
+    // Fetch the first image for each product and calculate the distance
+    const productsWithDetails = await Promise.all(
+      products.map(async (product) => {
+        const vendor = product.vendor_id;
+
+        // Check if vendor has valid latitude and longitude
+        if (!vendor || !vendor.vendor_lat || !vendor.vendor_lon) {
+          return null; // Exclude products without valid vendor location
+        }
+
+        // Out of stock products are hidden unless asked for
+        const available = stockByProduct.get(String(product._id));
+        const stock_status = stockStatus(available, product.reorder_threshold);
+        if (stock_status === STOCK_STATUS.OUT_OF_STOCK && !includeOutOfStock) {
+          return null;
+        }
+
+        // Calculate the distance using the Haversine formula
+        const distance = haversineDistance(
+          parseFloat(latitude),
+          parseFloat(longitude),
+          vendor.vendor_lat,
+          vendor.vendor_lon
+        );
+
+        // Fetch the first image from the Gallery collection
+        const galleryImage = await Gallery.findOne({ product_id: product._id });
+
+        return {
+          ...product.toObject(),
+          distance,
+          firstImage: galleryImage ? galleryImage.gallery_photo : null,
+          category: product.category_id ? product.category_id.category_name : null,
+          pricing: productPricing(product),
+          available,
+          stock_status,
+        };
+      })
+    );
+
+    // Filter out null values (products without valid vendor location or stock)
+    const validProducts = productsWithDetails.filter((product) => product !== null);
+
+    // Sort products by distance (nearest first)
+    validProducts.sort((a, b) => a.distance - b.distance);
+
+    res.json(validProducts);
+  } catch (err) {
+    console.error("Error fetching nearby products:", err);
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+});
+
+// Listings
+// One listing endpoint for browsing: filters, sort options, facet counts and
+// cursor pagination. Each product has a listing summary with what listings
+// filter and sort on: its category path, vendor and vendor location, prices
+// and sales, sellable stock, rating and units sold. The inventory helpers keep
+// its stock current, reviews its rating and an hourly job its units sold, so a
+// listing request is one aggregation over the summaries. The price on sale and
+// the distance are worked out there, and each facet counts the products
+// matching every other filter, so picking a value in one facet still shows
+// the choices left in it.
+const LISTING_SORTS = {
+  DISTANCE: 'distance',
+  PRICE_ASC: 'price_asc',
+  PRICE_DESC: 'price_desc',
+  RATING: 'rating',
+  POPULARITY: 'popularity',
+  NEWEST: 'newest',
+};
+const LISTING_PAGE_SIZE = 20;
+const LISTING_MAX_PAGE_SIZE = 50;
+const LISTING_PRICE_BUCKETS = [0, 100, 250, 500, 1000]; // Lower bounds; the last bucket is open-ended
+const LISTING_RATING_STEPS = [4, 3, 2, 1];
+const LISTING_DISTANCE_STEPS = [2, 5, 10, 20]; // km
+
+const productListingSchema = new mongoose.Schema({
+  product_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true,
+    unique: true,
+  },
+  vendor_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vendor',
+    index: true,
+  },
+  vendor_lat: { type: Number, default: null },
+  vendor_lon: { type: Number, default: null },
+  category_ids: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category', // The product's category and every category above it
+  }],
+  regular_price: { type: Number, default: 0 },
+  sales: {
+    type: [{ _id: false, price: Number, starts_at: Date, ends_at: Date }],
+    default: [],
+  },
+  has_offer_text: { type: Boolean, default: false },
+  available: { type: Number, default: 0 }, // Sellable stock, as availableStock counts it
+  rating_average: { type: Number, default: 0 },
+  rating_count: { type: Number, default: 0 },
+  units_sold: { type: Number, default: 0 },
+  listed_at: { type: Date, default: Date.now },
+}, { timestamps: true });
+
+const ProductListing = mongoose.model('ProductListing', productListingSchema);
+
+// Rebuilds the listing summary of a product, or drops it when the product is gone
+const syncProductListing = async (productId) => {
+  const product = await Product.findById(productId).populate('vendor_id', 'vendor_lat vendor_lon');
+  if (!product) {
+    await ProductListing.deleteOne({ product_id: productId });
+    return;
+  }
+
+  const vendor = product.vendor_id;
+  const category = product.category_id ? await Category.findById(product.category_id).select('ancestors') : null;
+  const available = (await availableStock([product._id])).get(String(product._id));
+
+  await ProductListing.updateOne(
+    { product_id: product._id },
+    {
+      $set: {
+        vendor_id: vendor?._id || null,
+        vendor_lat: vendor?.vendor_lat ?? null,
+        vendor_lon: vendor?.vendor_lon ?? null,
+        category_ids: category ? [...category.ancestors, category._id] : [],
+        regular_price: product.price,
+        sales: product.sales.map(({ price, starts_at, ends_at }) => ({ price, starts_at, ends_at })),
+        has_offer_text: Boolean(product.offer),
+        available,
+        listed_at: product._id.getTimestamp(),
+      },
+    },
+    { upsert: true }
+  );
+  await syncListingRating(product._id);
+};
+
+// Called by the inventory helpers after a stock change, inside their transaction
+const syncListingStock = async (productId, session = null) => {
+  const available = (await availableStock([productId], session)).get(String(productId));
+  await ProductListing.updateOne({ product_id: productId }, { $set: { available } }, { session });
+};
+
+const syncListingRating = async (productId) => {
+  const [rating] = await Review.aggregate([
+    { $match: { product_id: productId } },
+    { $group: { _id: null, average: { $avg: "$count" }, count: { $sum: 1 } } },
+  ]);
+  await ProductListing.updateOne(
+    { product_id: productId },
+    { $set: { rating_average: rating ? Math.round(rating.average * 10) / 10 : 0, rating_count: rating ? rating.count : 0 } }
+  );
+};
+
+// Like reindexing, a review or a vendor move never fails because its listings
+// could not be updated
+const refreshListingRating = (productId) => syncListingRating(productId)
+  .catch((err) => console.error('Listing rating error:', err));
+
+const refreshVendorListings = (vendor) => ProductListing.updateMany(
+  { vendor_id: vendor._id },
+  { $set: { vendor_lat: vendor.vendor_lat ?? null, vendor_lon: vendor.vendor_lon ?? null } }
+).catch((err) => console.error('Listing location error:', err));
+
+// Units sold (less returns) per product id
+const productSales = async () => {
+  const rows = await Cart.aggregate([
+    { $match: { order_id: { $ne: null }, status: "processing" } },
+    { $lookup: { from: "orders", localField: "order_id", foreignField: "_id", as: "order" } },
+    { $unwind: "$order" },
+    { $match: { "order.status": { $in: SOLD_ORDER_STATUSES } } },
+    { $group: { _id: "$product_id", sold: { $sum: { $subtract: ["$qty", { $ifNull: ["$returned_qty", 0] }] } } } },
+  ]);
+  return new Map(rows.map((row) => [String(row._id), row.sold]));
+};
+
+const syncListingSales = async () => {
+  const sales = await productSales();
+  if (sales.size > 0) {
+    await ProductListing.bulkWrite([...sales].map(([productId, sold]) => ({
+      updateOne: { filter: { product_id: productId }, update: { $set: { units_sold: sold } } },
+    })));
+  }
+  await ProductListing.updateMany(
+    { product_id: { $nin: [...sales.keys()] }, units_sold: { $ne: 0 } },
+    { $set: { units_sold: 0 } }
+  );
+};
+
+// Products added before the summaries existed get one once the database is up;
+// units sold are counted then and every hour after
+mongoose.connection.once('open', async () => {
+  try {
+    const listed = await ProductListing.distinct('product_id');
+    const missing = await Product.find({ _id: { $nin: listed } }).select('_id');
+    for (const product of missing) {
+      await syncProductListing(product._id);
+    }
+    await syncListingSales();
+  } catch (err) {
+    console.error('Listing backfill error:', err);
+  }
+  setInterval(() => {
+    syncListingSales().catch(err => console.error('Listing sales error:', err));
+  }, 60 * 60 * 1000);
+});
+
+// Cursors carry the sort and the position of the last product returned
+const encodeListingCursor = (sort, item) =>
+  Buffer.from(JSON.stringify({ sort, key: item.sort_key, id: String(item.product_id) })).toString('base64url');
+
+const decodeListingCursor = (cursor, sort) => {
+  try {
+    const decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString());
+    if (decoded.sort !== sort || typeof decoded.key !== 'number' || !mongoose.Types.ObjectId.isValid(decoded.id)) {
+      throw new Error('Cursor mismatch');
+    }
+    return { key: decoded.key, id: new mongoose.Types.ObjectId(decoded.id) };
+  } catch {
+    throw httpError(400, "Invalid cursor");
+  }
+};
+
+// Reads the listing filters from a query string. Throws on values that make no sense.
+const listingFilters = async (query) => {
+  const number = (value, name) => {
+    if (value === undefined || value === '') return null;
+    if (isNaN(value)) throw httpError(400, `${name} must be a number`);
+    return Number(value);
+  };
+  const filters = {
+    latitude: number(query.latitude, "latitude"),
+    longitude: number(query.longitude, "longitude"),
+    minPrice: number(query.min_price, "min_price"),
+    maxPrice: number(query.max_price, "max_price"),
+    minRating: number(query.min_rating, "min_rating"),
+    maxDistance: number(query.max_distance, "max_distance"),
+    inStock: query.in_stock === "true",
+    hasOffer: query.has_offer === "true",
+    vendorIds: query.vendor_id ? String(query.vendor_id).split(",").filter(Boolean) : [],
+    categoryId: null,
+  };
+  filters.located = filters.latitude !== null && filters.longitude !== null;
+  if (filters.maxDistance !== null && !filters.located) {
+    throw httpError(400, "max_distance needs latitude and longitude");
+  }
+  if (filters.vendorIds.some((id) => !mongoose.Types.ObjectId.isValid(id))) {
+    throw httpError(400, "Invalid vendor ID");
+  }
+  if (query.category && query.category !== "All") {
+    const category = await findCategory(query.category);
+    // An unknown category matches nothing
+    filters.categoryId = category ? category._id : new mongoose.Types.ObjectId();
+  }
+  return filters;
+};
+
+// Each filter as a $match condition by the facet it belongs to, so a facet can
+// leave its own out
+const listingMatches = (filters) => ({
+  category: filters.categoryId && { category_ids: filters.categoryId },
+  vendor: filters.vendorIds.length > 0 && { vendor_id: { $in: filters.vendorIds.map((id) => new mongoose.Types.ObjectId(id)) } },
+  price: (filters.minPrice !== null || filters.maxPrice !== null) && {
+    price: {
+      ...(filters.minPrice !== null ? { $gte: filters.minPrice } : {}),
+      ...(filters.maxPrice !== null ? { $lte: filters.maxPrice } : {}),
+    },
+  },
+  rating: filters.minRating !== null && { rating_average: { $gte: filters.minRating } },
+  in_stock: filters.inStock && { available: { $gt: 0 } },
+  has_offer: filters.hasOffer && { has_offer: true },
+  distance: filters.maxDistance !== null && { distance: { $lte: filters.maxDistance } },
+});
+
+// Stages keeping the products that match every filter but the facet's own
+const matchingExcept = (matches, facet = null) => {
+  const conditions = Object.entries(matches)
+    .filter(([name, match]) => name !== facet && match)
+    .map(([, match]) => match);
+  return conditions.length > 0 ? [{ $match: { $and: conditions } }] : [];
+};
+
+// Distance in km from the given point to the vendor, as haversineDistance
+// works it out; null for vendors without a location
+const listingDistance = (latitude, longitude) => {
+  const radians = (degrees) => ({ $degreesToRadians: degrees });
+  const halfChord = (from, to) => ({ $pow: [{ $sin: { $divide: [radians({ $subtract: [to, from] }), 2] } }, 2] });
+  const a = {
+    $add: [
+      halfChord(latitude, "$vendor_lat"),
+      { $multiply: [{ $cos: radians(latitude) }, { $cos: radians("$vendor_lat") }, halfChord(longitude, "$vendor_lon")] },
+    ],
+  };
+  return {
+    $cond: [
+      { $and: ["$vendor_lat", "$vendor_lon"] },
+      { $multiply: [6371, 2, { $atan2: [{ $sqrt: a }, { $sqrt: { $subtract: [1, a] } }] }] },
+      null,
+    ],
+  };
+};
+
+// Sort key of a listed product; smaller comes first, missing distances last
+const listingSortKey = (sort) => {
+  switch (sort) {
+    case LISTING_SORTS.DISTANCE: return { $ifNull: ["$distance", Number.MAX_VALUE] };
+    case LISTING_SORTS.PRICE_ASC: return "$price";
+    case LISTING_SORTS.PRICE_DESC: return { $multiply: ["$price", -1] };
+    case LISTING_SORTS.RATING: return { $multiply: ["$rating_average", -1] };
+    case LISTING_SORTS.POPULARITY: return { $multiply: ["$units_sold", -1] };
+    default: return { $multiply: [{ $toLong: "$listed_at" }, -1] };
+  }
+};
+
+// Counts per threshold in one pass, e.g. how many products rate 4 and up
+const thresholdCounts = (field, steps, name, compare) => ({
+  $group: Object.fromEntries([["_id", null], ...steps.map((step) => [
+    `${name}_${step}`,
+    { $sum: { $cond: [{ $and: [{ $ne: [field, null] }, { [compare]: [field, step] }] }, 1, 0] } },
+  ])]),
+});
+
+// Prices each listed product now, then returns in one go a page of the
+// products matching the filters, their total and the facet counts
+const listingPipeline = (filters, sort, limit, after) => {
+  const now = new Date();
+  const matches = listingMatches(filters);
+  // Same rule as activeSale: started, not yet ended and below the regular price
+  const salePrices = {
+    $map: {
+      input: {
+        $filter: {
+          input: "$sales",
+          as: "sale",
+          cond: {
+            $and: [
+              { $lte: [{ $ifNull: ["$$sale.starts_at", now] }, now] },
+              { $gt: ["$$sale.ends_at", now] },
+              { $lt: ["$$sale.price", "$regular_price"] },
+            ],
+          },
+        },
+      },
+      as: "sale",
+      in: "$$sale.price",
+    },
+  };
+
+  return [
+    {
+      $addFields: {
+        price: { $ifNull: [{ $min: salePrices }, "$regular_price"] },
+        distance: filters.located ? listingDistance(filters.latitude, filters.longitude) : null,
+      },
+    },
+    {
+      $addFields: {
+        has_offer: { $or: ["$has_offer_text", { $lt: ["$price", "$regular_price"] }] },
+        sort_key: listingSortKey(sort),
+      },
+    },
+    {
+      $facet: {
+        results: [
+          ...matchingExcept(matches),
+          ...(after ? [{
+            $match: { $or: [{ sort_key: { $gt: after.key } }, { sort_key: after.key, product_id: { $gt: after.id } }] },
+          }] : []),
+          { $sort: { sort_key: 1, product_id: 1 } },
+          { $limit: limit + 1 },
+        ],
+        total: [...matchingExcept(matches), { $count: "count" }],
+        // Products count towards their category and every category above it
+        category: [
+          ...matchingExcept(matches, "category"),
+          { $unwind: "$category_ids" },
+          { $group: { _id: "$category_ids", count: { $sum: 1 } } },
+          { $lookup: { from: "categories", localField: "_id", foreignField: "_id", as: "category" } },
+          { $unwind: "$category" },
+          {
+            $project: {
+              _id: 0,
+              category_id: "$_id",
+              category_name: "$category.category_name",
+              path: "$category.path",
+              parent_id: "$category.parent_id",
+              count: 1,
+            },
+          },
+          { $sort: { path: 1 } },
+        ],
+        vendor: [
+          ...matchingExcept(matches, "vendor"),
+          { $group: { _id: "$vendor_id", count: { $sum: 1 } } },
+          { $lookup: { from: "vendors", localField: "_id", foreignField: "_id", as: "vendor" } },
+          { $unwind: "$vendor" },
+          { $project: { _id: 0, vendor_id: "$_id", vendor_name: "$vendor.vendor_name", count: 1 } },
+          { $sort: { count: -1 } },
+        ],
+        price: [
+          ...matchingExcept(matches, "price"),
+          { $bucket: { groupBy: "$price", boundaries: LISTING_PRICE_BUCKETS, default: "open", output: { count: { $sum: 1 } } } },
+        ],
+        rating: [
+          ...matchingExcept(matches, "rating"),
+          thresholdCounts("$rating_average", LISTING_RATING_STEPS, "min", "$gte"),
+        ],
+        in_stock: [...matchingExcept(matches, "in_stock"), { $match: { available: { $gt: 0 } } }, { $count: "count" }],
+        has_offer: [...matchingExcept(matches, "has_offer"), { $match: { has_offer: true } }, { $count: "count" }],
+        distance: [
+          ...matchingExcept(matches, "distance"),
+          thresholdCounts("$distance", LISTING_DISTANCE_STEPS, "max", "$lte"),
+        ],
+      },
+    },
+  ];
+};
+
+// Shapes the $facet counts for the response
+const listingFacets = (facets, filters) => {
+  const priceCounts = new Map(facets.price.map((bucket) => [bucket._id, bucket.count]));
+  return {
+    category: facets.category,
+    vendor: facets.vendor,
+    price: LISTING_PRICE_BUCKETS.map((min, index) => {
+      const max = LISTING_PRICE_BUCKETS[index + 1] ?? null;
+      // $bucket puts everything from the last bound up in its default bucket
+      return { min, max, count: priceCounts.get(max === null ? "open" : min) || 0 };
+    }),
+    rating: LISTING_RATING_STEPS.map((min) => ({ min, count: facets.rating[0]?.[`min_${min}`] || 0 })),
+    in_stock: facets.in_stock[0]?.count || 0,
+    has_offer: facets.has_offer[0]?.count || 0,
+    distance: filters.located
+      ? LISTING_DISTANCE_STEPS.map((max) => ({ max, count: facets.distance[0]?.[`max_${max}`] || 0 }))
+      : [],
+  };
+};
+
+app.get("/listings", async (req, res) => {
+  try {
+    const filters = await listingFilters(req.query);
+    const sort = req.query.sort || (filters.located ? LISTING_SORTS.DISTANCE : LISTING_SORTS.NEWEST);
+    if (!Object.values(LISTING_SORTS).includes(sort)) {
+      return res.status(400).json({ message: `Sort must be one of: ${Object.values(LISTING_SORTS).join(", ")}` });
+    }
+    if (sort === LISTING_SORTS.DISTANCE && !filters.located) {
+      return res.status(400).json({ message: "Sorting by distance needs latitude and longitude" });
+    }
+    const limit = Math.min(LISTING_MAX_PAGE_SIZE, Math.max(1, parseInt(req.query.limit, 10) || LISTING_PAGE_SIZE));
+    const after = req.query.cursor ? decodeListingCursor(req.query.cursor, sort) : null;
+
+    const [facets] = await ProductListing.aggregate(listingPipeline(filters, sort, limit, after));
+    const page = facets.results.slice(0, limit);
+    const hasMore = facets.results.length > limit;
+
+    // Only the page being returned needs its products and images
+    const productIds = page.map((item) => item.product_id);
+    const [products, images] = await Promise.all([
+      Product.find({ _id: { $in: productIds } }).populate("vendor_id", "vendor_name vendor_lat vendor_lon"),
+      Gallery.find({ product_id: { $in: productIds } }).sort({ _id: 1 }),
+    ]);
+    const productsById = new Map(products.map((product) => [String(product._id), product]));
+    const categories = new Map((await Category.find({ _id: { $in: products.map((product) => product.category_id) } })
+      .select("category_name")).map((category) => [String(category._id), category]));
+    const firstImages = new Map();
+    for (const image of images) {
+      if (!firstImages.has(String(image.product_id))) firstImages.set(String(image.product_id), image.gallery_photo);
+    }
+
+    res.json({
+      sort,
+      total: facets.total[0]?.count || 0,
+      results: page
+        .filter((item) => productsById.has(String(item.product_id)))
+        .map((item) => {
+          const product = productsById.get(String(item.product_id));
+          return {
+            ...product.toObject(),
+            category: categories.get(String(product.category_id))?.category_name || null,
+            firstImage: firstImages.get(String(product._id)) || null,
+            pricing: productPricing(product),
+            available: item.available,
+            stock_status: stockStatus(item.available, product.reorder_threshold),
+            rating: { average: item.rating_average, count: item.rating_count },
+            sold: item.units_sold,
+            has_offer: item.has_offer,
+            distance: item.distance,
+          };
+        }),
+      facets: listingFacets(facets, filters),
+      next_cursor: hasMore ? encodeListingCursor(sort, page[page.length - 1]) : null,
+    });
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ message: err.message });
+    }
+    console.error("Error fetching listings:", err);
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+});
+
+app.put(
+  "/delivery-person-update", requireSelf('deliveryPersonId', ROLES.DELIVERY),
+  upload.fields([{ name: "photo" }]),
+  async (req, res) => {
+    try {
+      const { deliveryPersonId } = req.query;
+      const { password } = req.body;
+      const updateData = {};
+
+      if (password && password.trim() !== "") {
+        updateData.password = await hashPassword(password);
+      }
+
+      if (req.files?.photo && req.files.photo[0]) {
+        updateData.photo = req.files.photo[0].filename;
+      }
+
+      const updatedPerson = await DeliveryPerson.findByIdAndUpdate(
+        deliveryPersonId,
+        updateData,
+        { new: true }
+      );
+
+      if (!updatedPerson) {
+        return res.status(404).json({ message: "Delivery person not found" });
+      }
+
+      res.json({ message: "Profile updated successfully", updatedPerson });
+    } catch (err) {
+      console.error("Error updating delivery person profile:", err);
+      res.status(500).send("Server error");
+    }
+  }
+);
+app.get("/delivery-person-details", requireSelf('deliveryPersonId', ROLES.DELIVERY), async (req, res) => {
+  try {
+    const { deliveryPersonId } = req.query;
+
+    const deliveryPerson = await DeliveryPerson.findById(deliveryPersonId);
+    if (!deliveryPerson) {
+      return res.status(404).json({ message: "Delivery person not found" });
+    }
+
+    res.json(deliveryPerson);
+  } catch (err) {
+    console.error("Error fetching delivery person details:", err);
+    res.status(500).send("Server error");
+  }
+});
+
+app.post("/delivery-person-request", upload.fields([{ name: "a_proof" }, { name: "photo" }]), async (req, res) => {
+  try {
+    const { name, email, password } = req.body;
+    if (!password || !String(password).trim()) {
+      return res.status(400).json({ message: "Password is required" });
+    }
+    const a_proof = req.files.a_proof[0].filename;
+    const photo = req.files.photo[0].filename;
+
+    // Check if the delivery person already exists
+    const existingPerson = await DeliveryPerson.findOne({ email });
+    if (existingPerson) {
+      return res.status(400).json({ message: "Delivery person already exists" });
+    }
+
+    // Create a new delivery person
+    const deliveryPerson = new DeliveryPerson({
+      name,
+      email,
+      password: await hashPassword(password),
+      a_proof,
+      photo,
+      status: "inactive", // Default status
+      email_verified: false,
+    });
+
+    await deliveryPerson.save();
+    await sendVerificationCode(deliveryPerson, "delivery-person");
+    res.status(201).json({
+      message: "Delivery person request submitted successfully. A verification code has been sent to your email.",
+    });
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ message: err.message });
+    }
+    console.error("Error submitting delivery person request:", err);
+    res.status(500).send("Server error");
+  }
+});
+app.put("/delivery-person-accept/:id", requireRole(ROLES.ADMIN), async (req, res) => {
+  try {
+    const deliveryPerson = await DeliveryPerson.findById(req.params.id);
+    if (!deliveryPerson) {
+      return res.status(404).json({ message: "Delivery person not found" });
+    }
+
+    // Update status
+    deliveryPerson.status = "active";
+    await deliveryPerson.save();
+
+    // Email content
+    let content = `
+    <html>
+    <head>
+        <title>Delivery Person Accepted</title>
+        <style>
+            .container {
+                width: 90%;
+                max-width: 600px;
+                margin: 0 auto;
+                padding: 20px;
+                background-color: #f2f2f2;
+                font-family: Arial, sans-serif;
+            }
+            .otp-box {
+                width: 90%;
+                max-width: 600px;
+                background-color: #ffffff;
+                padding: 20px;
+                border-radius: 5px;
+                text-align: center;
+            }
+            .otp-text {
+                font-size: 24px;
+                font-weight: bold;
+                color: #333333;
+            }
+            .otp-number {
+                font-size: 48px;
+                font-weight: bold;
+                color: #007bff;
+                margin-top: 10px;
+            }
+            .instructions {
+                font-size: 14px;
+                color: #666666;
+                margin-top: 10px;
+            }
+        </style>
+    </head>
+    <body>
+        <div class="container">
+            <div class="otp-box">
+                <div class="otp-text">Hi ${deliveryPerson.name}, Welcome Aboard! 🚀</div>
+                <div class="otp-number">✅</div>
+                <div class="instructions">
+                Your data has been verfied
+                   and request has been accepted! You are now an active delivery partner.<br><br>
+                    <strong>Your ID:</strong> ${deliveryPerson._id}
+                </div>
+                                <a href="http://localhost:5173/guest/delivery-login" class="login-button">Click Here to Login</a>
+
+            </div>
+        </div>
+    </body>
+    </html>
+    `;
+
+    // Send email notification
+    sendEmail(deliveryPerson.email, content).catch(() => {});
+
+    res.json({ message: "Delivery person accepted successfully" });
+  } catch (err) {
+    console.error("Error accepting delivery person request:", err);
+    res.status(500).send("Server error");
+  }
+});
+
+
+app.get("/delivery-person-requests", requireRole(ROLES.ADMIN), async (req, res) => {
+  try {
+    const requests = await DeliveryPerson.find({ status: "inactive" });
+    res.json(requests);
+  } catch (err) {
+    console.error("Error fetching delivery person requests:", err);
+    res.status(500).send("Server error");
+  }
+});
+app.delete("/delivery-person-reject/:id", requireRole(ROLES.ADMIN), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Find the delivery person by ID
+    const deliveryPerson = await DeliveryPerson.findById(id);
+    if (!deliveryPerson) {
+      return res.status(404).json({ message: "Delivery person not found" });
+    }
+
+    // Delete the delivery person record
+    await deliveryPerson.deleteOne();
+    res.json({ message: "Delivery person rejected successfully" });
+  } catch (err) {
+    console.error("Error rejecting delivery person request:", err);
+    res.status(500).send("Server error");
+  }
+});
+app.get("/accepted-delivery-persons", requireRole(ROLES.ADMIN), async (req, res) => {
+  try {
+    const deliveryPersons = await DeliveryPerson.find({ status: "active" });
+    res.json(deliveryPersons);
+  } catch (err) {
+    console.error("Error fetching delivery persons:", err);
+    res.status(500).send("Server error");
+  }
+});
+app.delete("/delivery-person-remove/:id", requireRole(ROLES.ADMIN), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const deliveryPerson = await DeliveryPerson.findById(id);
+    if (!deliveryPerson) {
+      return res.status(404).json({ message: "Delivery person not found" });
+    }
+    await deliveryPerson.deleteOne();
+    await revokeSessions(deliveryPerson._id);
+    res.json({ message: "Delivery person removed successfully" });
+  } catch (err) {
+    console.error("Error removing delivery person:", err);
+    res.status(500).send("Server error");
+  }
+});
+
+const cartSchema = new mongoose.Schema({
+  qty: {
+    type: Number,
+    required: true,
+    min: 1, // Quantity must be at least 1
+  },
+  product_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product', // Reference to the Product collection
+    required: true,
+  },
+  order_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order', // Reference to the Order collection (if applicable)
+  },
+  user_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User', // Reference to the User collection
+  },
+  cart_price: {
+    type: Number,
+    required: true,
+    default: 0, // Default value for cart price
+  },
+  status: {
+    type: String,
+    enum: ['processing', 'cancel'], // Allow 'processing' and 'cancel' as valid values
+    default: 'processing', // Default value for status
+  },
+  refunded_qty: {
+    type: Number,
+    default: 0, // Units of this line refunded so far
+  },
+  refund_pending: {
+    type: Boolean,
+    default: false, // Cancelled after payment and not refunded yet
+  },
+  refund_attempts: {
+    type: Number,
+    default: 0, // Retries of that refund made in the background
+  },
+  refunded_amount: {
+    type: Number,
+    default: 0,
+  },
+  variant_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ProductVariant', // Set when the product is sold in variants
+    default: null,
+  },
+  returned_qty: {
+    type: Number,
+    default: 0, // Units sent back through a return
+  },
+  discount_amount: {
+    type: Number,
+    default: 0, // Coupon discount on this line
+  },
+  // Tax, worked out at checkout
+  hsn_code: {
+    type: String,
+    default: null,
+  },
+  tax_rate: {
+    type: Number,
+    default: null,
+  },
+  taxable_value: {
+    type: Number,
+    default: null,
+  },
+  cgst: {
+    type: Number,
+    default: 0,
+  },
+  sgst: {
+    type: Number,
+    default: 0,
+  },
+  igst: {
+    type: Number,
+    default: 0,
+  },
+  tax_amount: {
+    type: Number,
+    default: 0,
+  },
+  line_total: {
+    type: Number,
+    default: null, // What the customer pays for the line, tax included
+  },
+});
+
+const Cart = mongoose.model('Cart', cartSchema);
+
+
+const productSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true
+  },
+  description: {
+    type: String
+  },
+  details: {
+    type: String
+  },
+  offer: {
+    type: String
+  },
+  price: {
+    type: Number,
+    required: true // Regular selling price
+  },
+  mrp: {
+    type: Number,
+    default: null // Maximum retail price, shown struck through
+  },
+  hsn_code: {
+    type: String,
+    default: null // Falls back to the category's
+  },
+  gst_rate: {
+    type: Number,
+    default: null // Percent; falls back to the category's
+  },
+  price_includes_tax: {
+    type: Boolean,
+    default: true
+  },
+  sales: {
+    type: [new mongoose.Schema({
+      price: { type: Number, required: true },
+      starts_at: { type: Date, default: Date.now },
+      ends_at: { type: Date, required: true },
+    })],
+    default: []
+  },
+  category_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category'
+  },
+  attributes: {
+    type: Map,
+    of: mongoose.Schema.Types.Mixed, // Values for the attributes its category defines
+    default: {}
+  },
+  vendor_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vendor',
+    required: true
+  },
+  reorder_threshold: {
+    type: Number,
+    default: 5, // Alert the vendor once available stock falls to this
+    min: 0
+  }
+});
+// Example backend endpoint
+app.get("/delivery/orders", requireSelf('deliveryPersonId', ROLES.DELIVERY), async (req, res) => {
+  const { deliveryPersonId } = req.query;
+
+  try {
+    const orders = await Order.find({ delivery_boy_id: deliveryPersonId })
+      .populate({
+        path: "user_id",
+        select: "user_name user_email"
+      })
+      .populate({
+        path: "address_id",
+        select: "content",
+        populate: {
+          path: "user_id", // inside address
+          select: "user_name user_email"
+        }
+      })
+      .sort({ createdAt: -1 });
+
+    res.status(200).json(orders);
+  } catch (err) {
+    res.status(500).json({ message: "Error fetching orders", error: err.message });
+  }
+});
+// DELETE endpoint for product deletion
+app.delete('/product-details/:id', requireRole(ROLES.VENDOR, ROLES.ADMIN), async (req, res) => {
+  try {
+    // Validate the ID format
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid product ID format' });
+    }
+
+    // Find and delete the product
+    const product = await Product.findById(req.params.id).select('vendor_id');
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+    if (!canManageProduct(req.user, product)) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+    const deletedProduct = await Product.findByIdAndDelete(req.params.id);
+
+    if (!deletedProduct) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+    await reindexProducts([deletedProduct._id]);
+
+    // Optionally: Also delete associated gallery images and reviews
+    await ProductGallery.deleteMany({ product_id: req.params.id });
+    await ProductReview.deleteMany({ product_id: req.params.id });
+
+    res.json({ 
+      success: true,
+      message: 'Product and associated data deleted successfully',
+      deletedProduct
+    });
+
+  } catch (err) {
+    console.error('Error deleting product:', err.message);
+    res.status(500).json({ 
+      success: false,
+      message: 'Server error while deleting product',
+      error: err.message
+    });
+  }
+});
+const Product = mongoose.model('Product', productSchema);
+
+// Pricing
+// price is what a product normally sells for and mrp the printed maximum retail
+// price shown struck through. Scheduled sales lower the price between their
+// start and end; the lowest running sale wins.
+const activeSale = (product, at = new Date()) =>
+  (product.sales || [])
+    .filter((sale) => (!sale.starts_at || sale.starts_at <= at) && sale.ends_at > at && sale.price < product.price)
+    .sort((a, b) => a.price - b.price)[0] || null;
+
+// What a product costs at the given time, with what to show around it
+const productPricing = (product, at = new Date()) => {
+  const sale = activeSale(product, at);
+  const price = sale ? sale.price : product.price;
+  // Strike through the higher of mrp and the regular price
+  const was = Math.max(product.mrp || 0, product.price);
+  return {
+    mrp: product.mrp ?? null,
+    regular_price: product.price,
+    price,
+    was_price: was > price ? was : null,
+    discount_percent: was > price ? Math.round((1 - price / was) * 100) : 0,
+    on_sale: Boolean(sale),
+    sale_ends_at: sale ? sale.ends_at : null,
+  };
+};
+
+const effectivePrice = (product, at = new Date()) => productPricing(product, at).price;
+
+// Checks a product's price, mrp and sales fit together; throws the first problem
+const checkPricing = (product) => {
+  if (!(product.price > 0)) {
+    throw httpError(400, "Price must be above zero.");
+  }
+  if (product.gst_rate !== null && product.gst_rate !== undefined && !GST_RATES.includes(product.gst_rate)) {
+    throw httpError(400, `GST rate must be one of: ${GST_RATES.join(", ")}`);
+  }
+  if (product.mrp !== null && product.mrp !== undefined && product.mrp < product.price) {
+    throw httpError(400, "MRP cannot be below the price.");
+  }
+  // Ended sales no longer constrain the price
+  const now = new Date();
+  for (const sale of product.sales || []) {
+    if (sale.ends_at && sale.ends_at <= now) continue;
+    if (!(sale.price > 0) || sale.price >= product.price) {
+      throw httpError(400, "A sale price must be above zero and below the regular price.");
+    }
+    if (!sale.ends_at || (sale.starts_at && sale.ends_at <= sale.starts_at)) {
+      throw httpError(400, "A sale needs an end after its start.");
+    }
+  }
+};
+
+const dropEndedSales = (product) => {
+  const now = new Date();
+  product.sales = product.sales.filter((sale) => sale.ends_at > now);
+};
+
+// Schedule a sale on a product
+app.post("/products/:id/sales", requireRole(ROLES.VENDOR, ROLES.ADMIN), async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: "Invalid product ID." });
+    }
+
+    const product = await Product.findById(id);
+    if (!product || !canManageProduct(req.user, product)) {
+      return res.status(404).json({ message: "Product not found." });
+    }
+
+    const ends_at = req.body.ends_at ? new Date(req.body.ends_at) : null;
+    if (!(ends_at > new Date())) {
+      return res.status(400).json({ message: "A sale needs an end date in the future." });
+    }
+
+    // Ended sales are dropped as new ones are added
+    dropEndedSales(product);
+    product.sales.push({
+      price: Number(req.body.price),
+      starts_at: req.body.starts_at ? new Date(req.body.starts_at) : new Date(),
+      ends_at,
+    });
+    checkPricing(product);
+    await product.save();
+    await reindexProducts([product._id]);
+
+    res.status(201).json({ message: "Sale scheduled", sales: product.sales, pricing: productPricing(product) });
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ message: err.message });
+    }
+    console.error("Error scheduling sale:", err);
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+});
+
+app.delete("/products/:id/sales/:saleId", requireRole(ROLES.VENDOR, ROLES.ADMIN), async (req, res) => {
+  try {
+    const { id, saleId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id) || !mongoose.Types.ObjectId.isValid(saleId)) {
+      return res.status(400).json({ message: "Invalid product or sale ID." });
+    }
+
+    const product = await Product.findById(id);
+    if (!product || !canManageProduct(req.user, product)) {
+      return res.status(404).json({ message: "Product not found." });
+    }
+    const sale = product.sales.id(saleId);
+    if (!sale) {
+      return res.status(404).json({ message: "Sale not found." });
+    }
+
+    sale.deleteOne();
+    await product.save();
+    await reindexProducts([product._id]);
+    res.status(200).json({ message: "Sale removed", sales: product.sales, pricing: productPricing(product) });
+  } catch (err) {
+    console.error("Error removing sale:", err);
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+});
+
+// Variants
+// A product sold in several packs, sizes or colours has a variant for each, with
+// its own SKU, price and stock. A scheduled sale on the product takes the same
+// share off every variant; a product with active variants is bought through one
+// of them.
+const productVariantSchema = new mongoose.Schema({
+  product_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true,
+  },
+  sku: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true,
+  },
+  name: {
+    type: String,
+    default: null, // e.g. "500 g jar"; built from the attributes when missing
+  },
+  attributes: {
+    type: Map,
+    of: String, // e.g. weight, size, colour, pack
+    default: {},
+  },
+  price: {
+    type: Number,
+    required: true,
+  },
+  mrp: {
+    type: Number,
+    default: null,
+  },
+  active: {
+    type: Boolean,
+    default: true, // Retired variants stay for the orders that name them
+  },
+}, { timestamps: true });
+
+productVariantSchema.index({ product_id: 1, active: 1 });
+
+const ProductVariant = mongoose.model('ProductVariant', productVariantSchema);
+
+// How a variant is named to customers and vendors
+const variantLabel = (variant) => {
+  if (!variant) return null;
+  if (variant.name) return variant.name;
+  const attributes = variant.attributes instanceof Map ? Object.fromEntries(variant.attributes) : variant.attributes || {};
+  return Object.values(attributes).filter(Boolean).join(' / ') || variant.sku;
+};
+
+// A product's sale takes the same share off the price of each of its variants
+const variantPricing = (variant, product, at = new Date()) => {
+  const sale = product ? activeSale(product, at) : null;
+  return productPricing({
+    price: variant.price,
+    mrp: variant.mrp,
+    sales: sale ? [{
+      price: roundAmount(variant.price * (sale.price / product.price)),
+      starts_at: sale.starts_at,
+      ends_at: sale.ends_at,
+    }] : [],
+  }, at);
+};
+
+// The product's variant, or throws when it names none of them
+const findVariant = async (productId, variantId, session = null) => {
+  if (!mongoose.Types.ObjectId.isValid(variantId)) {
+    throw httpError(400, "Invalid variant ID.");
+  }
+  const variant = await ProductVariant.findOne({ _id: variantId, product_id: productId }).session(session);
+  if (!variant) {
+    throw httpError(404, "Variant not found for this product.");
+  }
+  return variant;
+};
+
+// Variants with their price and live stock, for showing a product
+const variantsWithStock = async (productId, { includeInactive = false, reorderThreshold = 0 } = {}) => {
+  const [product, variants] = await Promise.all([
+    Product.findById(productId).select('price sales'),
+    ProductVariant.find({ product_id: productId, ...(includeInactive ? {} : { active: true }) }).sort({ price: 1 }),
+  ]);
+  const result = [];
+  for (const variant of variants) {
+    const stock = stockLevels(await getInventory(productId, null, variant._id));
+    result.push({
+      _id: variant._id,
+      sku: variant.sku,
+      name: variantLabel(variant),
+      attributes: Object.fromEntries(variant.attributes),
+      active: variant.active,
+      pricing: variantPricing(variant, product),
+      ...stock,
+      stock_status: stockStatus(stock.available, reorderThreshold),
+    });
+  }
+  return result;
+};
+
+// Reads and checks the variant fields of a request body
+const variantFields = (body) => {
+  const fields = {};
+  for (const key of ['sku', 'name', 'attributes', 'price', 'mrp', 'active']) {
+    if (body[key] !== undefined) fields[key] = body[key];
+  }
+  if (fields.attributes !== undefined && (typeof fields.attributes !== 'object' || Array.isArray(fields.attributes))) {
+    throw httpError(400, "Attributes must be an object, e.g. { \"weight\": \"500 g\" }.");
+  }
+  return fields;
+};
+
+app.get("/products/:id/variants", async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: "Invalid product ID." });
+    }
+    res.status(200).json(await variantsWithStock(id, { includeInactive: req.query.include_inactive === "true" }));
+  } catch (err) {
+    console.error("Error fetching variants:", err);
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+});
+
+app.post("/products/:id/variants", requireRole(ROLES.VENDOR, ROLES.ADMIN), async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: "Invalid product ID." });
+    }
+    const product = await Product.findById(id);
+    if (!product || !canManageProduct(req.user, product)) {
+      return res.status(404).json({ message: "Product not found." });
+    }
+
+    const fields = variantFields(req.body);
+    if (!fields.sku) {
+      return res.status(400).json({ message: "SKU is required." });
+    }
+    checkPricing({ price: Number(fields.price), mrp: fields.mrp ?? null });
+    if (await ProductVariant.exists({ sku: String(fields.sku).trim().toUpperCase() })) {
+      return res.status(400).json({ message: "SKU already exists" });
+    }
+
+    const variant = await ProductVariant.create({ ...fields, product_id: product._id });
+    await reindexProducts([product._id]);
+    res.status(201).json({ message: "Variant added", variant });
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ message: err.message });
+    }
+    console.error("Error adding variant:", err);
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+});
+
+app.put("/products/:id/variants/:variantId", requireRole(ROLES.VENDOR, ROLES.ADMIN), async (req, res) => {
+  try {
+    const { id, variantId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: "Invalid product ID." });
+    }
+    const product = await Product.findById(id).select("vendor_id");
+    if (!product || !canManageProduct(req.user, product)) {
+      return res.status(404).json({ message: "Product not found." });
+    }
+    const variant = await findVariant(id, variantId);
+
+    const fields = variantFields(req.body);
+    if (fields.sku && String(fields.sku).trim().toUpperCase() !== variant.sku
+      && await ProductVariant.exists({ sku: String(fields.sku).trim().toUpperCase() })) {
+      return res.status(400).json({ message: "SKU already exists" });
+    }
+    variant.set(fields);
+    checkPricing({ price: variant.price, mrp: variant.mrp });
+    await variant.save();
+    await reindexProducts([product._id]);
+
+    res.status(200).json({ message: "Variant updated", variant });
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ message: err.message });
+    }
+    console.error("Error updating variant:", err);
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+});
+
+// Variants are retired rather than deleted so past orders keep naming them
+app.delete("/products/:id/variants/:variantId", requireRole(ROLES.VENDOR, ROLES.ADMIN), async (req, res) => {
+  try {
+    const { id, variantId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: "Invalid product ID." });
+    }
+    const product = await Product.findById(id).select("vendor_id");
+    if (!product || !canManageProduct(req.user, product)) {
+      return res.status(404).json({ message: "Product not found." });
+    }
+    const variant = await findVariant(id, variantId);
+
+    variant.active = false;
+    await variant.save();
+    await reindexProducts([product._id]);
+    res.status(200).json({ message: "Variant retired", variant });
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ message: err.message });
+    }
+    console.error("Error retiring variant:", err);
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+});
+
+// Stock alerts
+// A job checks every vendor's available stock against each product's reorder
+// threshold and alerts the vendor by email and in-app notification when a
+// product runs low or out. Inventory.alert_level remembers the last alert so a
+// product is only reported again once its level changes.
+const STOCK_ALERT_INTERVAL = Number(process.env.STOCK_ALERT_INTERVAL_MINUTES || 60) * 60 * 1000;
+
+const vendorNotificationSchema = new mongoose.Schema({
+  vendor_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vendor',
+    required: true,
+  },
+  type: {
+    type: String,
+    enum: [STOCK_STATUS.LOW_STOCK, STOCK_STATUS.OUT_OF_STOCK, 'order_cancelled'],
+    required: true,
+  },
+  product_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    default: null,
+  },
+  order_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    default: null,
+  },
+  message: {
+    type: String,
+    required: true,
+  },
+  available: {
+    type: Number,
+    default: null,
+  },
+  read_at: {
+    type: Date,
+    default: null,
+  },
+}, { timestamps: true });
+
+vendorNotificationSchema.index({ vendor_id: 1, createdAt: -1 });
+
+const VendorNotification = mongoose.model('VendorNotification', vendorNotificationSchema);
+
+const stockAlertMessage = ({ product, variant, status, available }) => {
+  const name = variant ? `${product.name} (${variantLabel(variant)})` : product.name;
+  return status === STOCK_STATUS.OUT_OF_STOCK
+    ? `${name} is out of stock.`
+    : `${name} is running low: ${available} left (reorder at ${product.reorder_threshold}).`;
+};
+
+const stockAlertEmail = (name, alerts) => `
+    <html>
+    <head>
+        <title>Stock alert</title>
+    </head>
+    <body style="font-family: Arial, sans-serif; color: #333333;">
+        <p>Hello ${name},</p>
+        <p>These products need restocking:</p>
+        <ul>
+            ${alerts.map((alert) => `<li>${stockAlertMessage(alert)}</li>`).join("\n            ")}
+        </ul>
+        <p>Out of stock products are hidden from customers until you add stock.</p>
+    </body>
+    </html>
+`;
+
+// Live stock levels of every product of a vendor, per variant for products sold in variants
+const vendorStockLevels = async (vendorId) => {
+  const products = await Product.find({ vendor_id: vendorId }).select("name reorder_threshold");
+  const variants = await ProductVariant.find({ product_id: { $in: products.map((product) => product._id) }, active: true });
+  const levels = [];
+  for (const product of products) {
+    const productVariants = variants.filter((variant) => String(variant.product_id) === String(product._id));
+    for (const variant of productVariants.length > 0 ? productVariants : [null]) {
+      const inventory = await getInventory(product._id, null, variant ? variant._id : null);
+      const stock = stockLevels(inventory);
+      levels.push({
+        product,
+        variant,
+        inventory,
+        ...stock,
+        status: stockStatus(stock.available, product.reorder_threshold),
+      });
+    }
+  }
+  return levels;
+};
+
+// Alerts a vendor about the products whose level changed since the last check
+const checkVendorStock = async (vendor) => {
+  const alerts = [];
+  for (const level of await vendorStockLevels(vendor._id)) {
+    const previous = level.inventory.alert_level ?? null;
+    const current = level.status === STOCK_STATUS.IN_STOCK ? null : level.status;
+    if (previous === current) continue;
+
+    // Claim the change so overlapping runs alert only once
+    const claimed = await Inventory.findOneAndUpdate(
+      { _id: level.inventory._id, alert_level: previous },
+      { $set: { alert_level: current } }
+    );
+    if (claimed && current) {
+      alerts.push(level);
+    }
+  }
+  if (alerts.length === 0) return [];
+
+  const notifications = await VendorNotification.insertMany(alerts.map((alert) => ({
+    vendor_id: vendor._id,
+    type: alert.status,
+    product_id: alert.product._id,
+    message: stockAlertMessage(alert),
+    available: alert.available,
+  })));
+
+  sendEmail(vendor.vendor_email, stockAlertEmail(vendor.vendor_name, alerts), "RegionHub stock alert").catch(() => {});
+  return notifications;
+};
+
+const checkStockLevels = async () => {
+  const vendors = await Vendor.find({ vendor_status: "accepted" }).select("vendor_name vendor_email");
+  for (const vendor of vendors) {
+    await checkVendorStock(vendor);
+  }
+};
+
+mongoose.connection.once('open', () => {
+  setInterval(() => {
+    checkStockLevels().catch(err => console.error('Stock alert error:', err));
+  }, STOCK_ALERT_INTERVAL);
+});
+
+app.get("/vendor/:vendorId/stock-levels", requireSelf('vendorId', ROLES.VENDOR), async (req, res) => {
+  try {
+    const { vendorId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(vendorId)) {
+      return res.status(400).json({ message: "Invalid vendor ID" });
+    }
+
+    const levels = await vendorStockLevels(vendorId);
+    res.status(200).json(levels.map(({ product, variant, on_hand, reserved, available, status }) => ({
+      product_id: product._id,
+      variant_id: variant ? variant._id : null,
+      sku: variant ? variant.sku : null,
+      name: product.name,
+      variant_name: variantLabel(variant),
+      reorder_threshold: product.reorder_threshold,
+      on_hand,
+      reserved,
+      available,
+      status,
+    })));
+  } catch (err) {
+    console.error("Error fetching stock levels:", err);
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+});
+
+app.get("/vendor/:vendorId/notifications", requireSelf('vendorId', ROLES.VENDOR), async (req, res) => {
+  try {
+    const { vendorId } = req.params;
+    const filter = { vendor_id: vendorId };
+    if (req.query.unread === "true") filter.read_at = null;
+
+    const [notifications, unread] = await Promise.all([
+      VendorNotification.find(filter)
+        .populate("product_id", "name")
+        .sort({ createdAt: -1 })
+        .limit(100),
+      VendorNotification.countDocuments({ vendor_id: vendorId, read_at: null }),
+    ]);
+
+    res.status(200).json({ unread, notifications });
+  } catch (err) {
+    console.error("Error fetching vendor notifications:", err);
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+});
+
+app.put("/vendor/:vendorId/notifications/read-all", requireSelf('vendorId', ROLES.VENDOR), async (req, res) => {
+  try {
+    const result = await VendorNotification.updateMany(
+      { vendor_id: req.params.vendorId, read_at: null },
+      { $set: { read_at: new Date() } }
+    );
+    res.status(200).json({ message: "Notifications marked as read", updated: result.modifiedCount });
+  } catch (err) {
+    console.error("Error updating vendor notifications:", err);
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+});
+
+app.put("/vendor/:vendorId/notifications/:notificationId/read", requireSelf('vendorId', ROLES.VENDOR), async (req, res) => {
+  try {
+    const { vendorId, notificationId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(notificationId)) {
+      return res.status(400).json({ message: "Invalid notification ID" });
+    }
+
+    const notification = await VendorNotification.findOneAndUpdate(
+      { _id: notificationId, vendor_id: vendorId },
+      { $set: { read_at: new Date() } },
+      { new: true }
+    );
+    if (!notification) {
+      return res.status(404).json({ message: "Notification not found" });
+    }
+
+    res.status(200).json(notification);
+  } catch (err) {
+    console.error("Error updating vendor notification:", err);
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+});
+
+const gallerySchema = new mongoose.Schema({
+  gallery_photo: {
+    type: String,
+    required: true
+  },
+  product_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  }
+});
+app.get("/gallery/:productId", async (req, res) => {
+  try {
+    const { productId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(productId)) {
+      return res.status(400).json({ message: "Invalid product ID" });
+    }
+
+    const images = await Gallery.find({ product_id: productId });
+
+    res.status(200).json(images);
+  } catch (err) {
+    console.error("Error fetching images:", err);
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+});
+app.delete("/gallery/:imageId", requireRole(ROLES.VENDOR, ROLES.ADMIN), async (req, res) => {
+  try {
+    const { imageId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(imageId)) {
+      return res.status(400).json({ message: "Invalid image ID" });
+    }
+
+    const image = await Gallery.findById(imageId);
+    if (!image) {
+      return res.status(404).json({ message: "Image not found" });
+    }
+    const product = await Product.findById(image.product_id).select("vendor_id");
+    // Images of deleted products are left for admins to clean up
+    if (product ? !canManageProduct(req.user, product) : req.user.role !== ROLES.ADMIN) {
+      return res.status(403).json({ message: "Access denied" });
+    }
+
+    const deletedImage = await Gallery.findByIdAndDelete(imageId);
+
+    if (!deletedImage) {
+      return res.status(404).json({ message: "Image not found" });
+    }
+
+    res.status(200).json({ message: "Image deleted successfully" });
+  } catch (err) {
+    console.error("Error deleting image:", err);
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+});
+app.get('/vendor/:vendorId/top-products', requireSelf('vendorId', ROLES.VENDOR), async (req, res) => {
+  try {
+    const vendorId = req.params.vendorId;
+
+    const result = await Cart.aggregate([
+      // Only lines actually sold, leaving out carts and cancelled lines
+      {
+        $match: {
+          status: 'processing',
+          order_id: { $ne: null }
+        }
+      },
+      {
+        $lookup: {
+          from: 'orders',
+          localField: 'order_id',
+          foreignField: '_id',
+          as: 'order'
+        }
+      },
+      { $unwind: '$order' },
+      { $match: { 'order.status': { $in: SOLD_ORDER_STATUSES } } },
+      {
+        $lookup: {
+          from: 'products',
+          localField: 'product_id',
+          foreignField: '_id',
+          as: 'product'
+        }
+      },
+      { $unwind: '$product' },
+      {
+        $match: {
+          'product.vendor_id': new mongoose.Types.ObjectId(vendorId)
+        }
+      },
+      {
+        $lookup: {
+          from: 'galleries',
+          localField: 'product._id',
+          foreignField: 'product_id',
+          as: 'gallery'
+        }
+      },
+      {
+        $lookup: {
+          from: 'productvariants',
+          localField: 'variant_id',
+          foreignField: '_id',
+          as: 'variant'
+        }
+      },
+      { $unwind: { path: '$variant', preserveNullAndEmptyArrays: true } },
+      // Each variant ranks on its own
+      {
+        $group: {
+          _id: { product_id: '$product_id', variant_id: { $ifNull: ['$variant_id', null] } },
+          totalSales: { $sum: '$qty' },
+          productName: { $first: '$product.name' },
+          price: { $first: { $ifNull: ['$variant.price', '$product.price'] } },
+          productId: { $first: '$product._id' },
+          variantId: { $first: '$variant._id' },
+          variant: { $first: { sku: '$variant.sku', name: '$variant.name', attributes: '$variant.attributes' } },
+          productImage: { $first: { $arrayElemAt: ['$gallery.gallery_photo', 0] } } // First image
+        }
+      },
+      { $sort: { totalSales: -1 } }
+    ]);
+
+    res.json(result.map(({ variant, ...row }) => ({
+      ...row,
+      variantId: row.variantId || null,
+      sku: row.variantId ? variant.sku : null,
+      variantName: row.variantId ? variantLabel(variant) : null
+    })));
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server Error', error });
+  }
+});
+app.get('/vendor/:vendorId/sales', requireSelf('vendorId', ROLES.VENDOR), async (req, res) => {
+  try {
+    const { vendorId } = req.params;
+    const { start, end } = req.query;
+
+    const startDate = new Date(start);
+    const endDate = new Date(end);
+    endDate.setHours(23, 59, 59, 999); // Include full end day
+
+    const sales = await Cart.aggregate([
+      {
+        $match: {
+          status: "processing",
+          order_id: { $ne: null },
+        }
+      },
+      {
+        $lookup: {
+          from: 'products',
+          localField: 'product_id',
+          foreignField: '_id',
+          as: 'product'
+        }
+      },
+      { $unwind: "$product" },
+      {
+        $match: {
+          "product.vendor_id": new mongoose.Types.ObjectId(vendorId)
+        }
+      },
+      {
+        $lookup: {
+          from: 'orders',
+          localField: 'order_id',
+          foreignField: '_id',
+          as: 'order'
+        }
+      },
+      { $unwind: "$order" },
+      {
+        $match: {
+          "order.date": { $gte: startDate, $lte: endDate },
+          "order.status": { $in: SOLD_ORDER_STATUSES }
+        }
+      },
+      {
+        $project: {
+          productName: "$product.name",
+          price: "$product.price",
+          qty: 1,
+          orderId: { $toString: "$order._id" },
+          orderDate: "$order.date"
+        }
+      }
+    ]);
+
+    res.json(sales);
+  } catch (err) {
+    console.error("Error fetching vendor sales:", err);
+    res.status(500).json({ error: "Server Error" });
+  }
+});
+app.get("/vendor/:vendorId/sales/yearly", requireSelf('vendorId', ROLES.VENDOR), async (req, res) => {
+  try {
+    const vendorId = req.params.vendorId;
+
+    const sales = await Cart.aggregate([
+      {
+        $lookup: {
+          from: "products",
+          localField: "product_id",
+          foreignField: "_id",
+          as: "product"
+        }
+      },
+      { $unwind: "$product" },
+      {
+        $match: {
+          "product.vendor_id": new mongoose.Types.ObjectId(vendorId),
+          status: "processing"
+        }
+      },
+      {
+        $lookup: {
+          from: "orders",
+          localField: "order_id",
+          foreignField: "_id",
+          as: "order"
+        }
+      },
+      { $unwind: "$order" },
+      { $match: { "order.status": { $in: SOLD_ORDER_STATUSES } } },
+      {
+        $group: {
+          _id: {
+            productId: "$product._id",
+            productName: "$product.name",
+            price: "$product.price",
+            year: { $year: "$order.date" }
+          },
+          totalQty: { $sum: "$qty" },
+          totalRevenue: { $sum: "$cart_price" },
+          orders: {
+            $push: {
+              orderId: {
+                $substrCP: [
+                  { $toString: "$order._id" },
+                  { $subtract: [{ $strLenCP: { $toString: "$order._id" } }, 5] },
+                  5
+                ]
+              },
+              date: "$order.date"
+            }
+          }
+        }
+      }
+      ,
+      {
+        $sort: {
+          "_id.year": -1,
+          totalRevenue: -1
+        }
+      }
+    ]);
+
+    res.json(sales);
+  } catch (error) {
+    console.error("Error fetching yearly vendor sales:", error);
+    res.status(500).json({ message: "Internal Server Error", error: error.message });
+  }
+});
+
+const Gallery = mongoose.model('Gallery', gallerySchema);
+
+// Order lifecycle
+const ORDER_STATUS = {
+  CART: 'cart',
+  PLACED: 'placed',
+  PAID: 'paid',
+  COD_PENDING: 'cod_pending', // Cash on delivery: fulfilled first, paid at the door
+  PACKED: 'packed',
+  OUT_FOR_DELIVERY: 'out_for_delivery',
+  DELIVERED: 'delivered',
+  CANCELLED: 'cancelled',
+  RETURNED: 'returned',
+};
+
+// Acts for jobs that move orders on their own, like expiring unpaid ones
+const SYSTEM_ACTOR = { role: 'System', id: null, _id: null };
+
+// Allowed moves: current status -> next status -> roles that may make the move
+const ORDER_TRANSITIONS = {
+  // Carts are plain Cart lines until checkout creates orders that start out placed
+  [ORDER_STATUS.CART]: {},
+  [ORDER_STATUS.PLACED]: {
+    [ORDER_STATUS.PAID]: [ROLES.USER, ROLES.ADMIN, SYSTEM_ACTOR.role],
+    [ORDER_STATUS.CANCELLED]: [ROLES.USER, ROLES.VENDOR, ROLES.ADMIN, SYSTEM_ACTOR.role],
+  },
+  [ORDER_STATUS.PAID]: {
+    [ORDER_STATUS.PACKED]: [ROLES.VENDOR, ROLES.ADMIN],
+    [ORDER_STATUS.CANCELLED]: [ROLES.USER, ROLES.VENDOR, ROLES.ADMIN],
+  },
+  [ORDER_STATUS.COD_PENDING]: {
+    [ORDER_STATUS.PACKED]: [ROLES.VENDOR, ROLES.ADMIN],
+    [ORDER_STATUS.CANCELLED]: [ROLES.USER, ROLES.VENDOR, ROLES.ADMIN],
+  },
+  [ORDER_STATUS.PACKED]: {
+    [ORDER_STATUS.OUT_FOR_DELIVERY]: [ROLES.DELIVERY, ROLES.ADMIN],
+    // Customers only within their vendor's cancellation cutoff
+    [ORDER_STATUS.CANCELLED]: [ROLES.USER, ROLES.VENDOR, ROLES.ADMIN],
+  },
+  [ORDER_STATUS.OUT_FOR_DELIVERY]: {
+    [ORDER_STATUS.DELIVERED]: [ROLES.DELIVERY, ROLES.ADMIN],
+    [ORDER_STATUS.RETURNED]: [ROLES.DELIVERY, ROLES.ADMIN], // Refused or undeliverable
+  },
+  [ORDER_STATUS.DELIVERED]: {
+    [ORDER_STATUS.RETURNED]: [ROLES.DELIVERY, ROLES.ADMIN],
+  },
+  [ORDER_STATUS.CANCELLED]: {},
+  [ORDER_STATUS.RETURNED]: {},
+};
+
+// Orders whose lines count as sold (paid, or accepted for cash on delivery),
+// and everything that went through payment
+const SOLD_ORDER_STATUSES = [
+  ORDER_STATUS.PAID,
+  ORDER_STATUS.COD_PENDING,
+  ORDER_STATUS.PACKED,
+  ORDER_STATUS.OUT_FOR_DELIVERY,
+  ORDER_STATUS.DELIVERED,
+];
+const PAID_ORDER_STATUSES = [...SOLD_ORDER_STATUSES, ORDER_STATUS.RETURNED];
+
+// The numeric statuses used before the state machine, as the routes used them
+const LEGACY_ORDER_STATUS = {
+  '0': ORDER_STATUS.CART,
+  '1': ORDER_STATUS.CART,
+  '2': ORDER_STATUS.PAID,
+  '3': ORDER_STATUS.OUT_FOR_DELIVERY,
+  '4': ORDER_STATUS.DELIVERED,
+  '5': ORDER_STATUS.RETURNED,
+};
+
+const normalizeOrderStatus = (status) => LEGACY_ORDER_STATUS[status] || status;
+
+// Customers may cancel until an order reaches this status, unless the vendor picks another
+const DEFAULT_CANCELLATION_CUTOFF = ORDER_STATUS.PACKED;
+
+const PAYMENT_METHODS = {
+  ONLINE: 'online',
+  COD: 'cod',
+};
+
+// One entry per status change; only ever appended to
+const orderStatusEventSchema = new mongoose.Schema({
+  from: {
+    type: String,
+    default: null, // null for the event that created the order
+  },
+  to: {
+    type: String,
+    enum: Object.values(ORDER_STATUS),
+    required: true,
+  },
+  actor_role: {
+    type: String,
+    required: true,
+  },
+  actor_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null,
+  },
+  note: {
+    type: String,
+    default: null,
+  },
+  at: {
+    type: Date,
+    default: Date.now,
+  },
+}, { _id: false });
+
+// Builds a history entry for an actor shaped like req.user, or the system when there is none
+const orderStatusEvent = (from, to, actor, note = null) => ({
+  from,
+  to,
+  actor_role: actor ? actor.role : 'System',
+  actor_id: actor ? actor._id : null,
+  note,
+  at: new Date(),
+});
+
+const OrderSchema = new mongoose.Schema({
+  date: {
+    type: Date,
+    required: true,
+    default: Date.now, // Default to current date if not provided
+  },
+  vendor_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vendor',
+    required: true,
+  }, delivery_boy_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DeliveryPerson',
+    default: null,// Reference to the DeliveryPerson collection
+  },
+  user_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User', // Reference to the Order collection (if applicable)
+  },
+
+  address_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Address', // Reference to the Address collection
+  },
+  checkout_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Checkout', // The checkout this order was split from
+    default: null,
+  },
+  payment_method: {
+    type: String,
+    enum: Object.values(PAYMENT_METHODS),
+    default: PAYMENT_METHODS.ONLINE,
+  },
+  payment_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment', // The captured payment that paid for this order
+    default: null,
+  },
+  order_amount: {
+    type: Number,
+    required: true,
+    default: 0, // Default order amount
+  },
+  subtotal_amount: {
+    type: Number, // Lines before discounts
+  },
+  discount_amount: {
+    type: Number,
+    default: 0,
+  },
+  coupon_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Coupon',
+    default: null,
+  },
+  coupon_code: {
+    type: String,
+    default: null,
+  },
+  free_delivery: {
+    type: Boolean,
+    default: false,
+  },
+  discount_lines: {
+    type: [new mongoose.Schema({
+      cart_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Cart' },
+      product_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Product' },
+      discount: { type: Number, required: true },
+    }, { _id: false })],
+    default: [],
+  },
+  tax_type: {
+    type: String,
+    enum: ['intra_state', 'inter_state', null],
+    default: null,
+  },
+  vendor_state: {
+    type: String,
+    default: null,
+  },
+  place_of_supply: {
+    type: String,
+    default: null,
+  },
+  taxable_amount: {
+    type: Number,
+    default: 0,
+  },
+  cgst_amount: {
+    type: Number,
+    default: 0,
+  },
+  sgst_amount: {
+    type: Number,
+    default: 0,
+  },
+  igst_amount: {
+    type: Number,
+    default: 0,
+  },
+  tax_amount: {
+    type: Number,
+    default: 0,
+  },
+  delivery_distance_km: {
+    type: Number,
+    default: null,
+  },
+  delivery_fee: {
+    type: Number,
+    default: 0, // Part of order_amount
+  },
+  delivery_fee_breakdown: {
+    base_fee: { type: Number, default: 0 },
+    distance_fee: { type: Number, default: 0 },
+    waived: { type: String, default: null }, // 'coupon' or 'order_value' when not charged
+  },
+  refunded_amount: {
+    type: Number,
+    default: 0,
+  },
+  status: {
+    type: String,
+    enum: Object.values(ORDER_STATUS),
+    default: ORDER_STATUS.CART,
+  },
+  status_history: {
+    type: [orderStatusEventSchema],
+    default: [],
+  },
+}, { timestamps: true }); // Adds createdAt and updatedAt timestamps
+
+const Order = mongoose.model('Order', OrderSchema);
+
+// Moves an order to a new status when the actor's role allows it and records the
+// change in its history. Cancelling also gives the order's stock back. Resolves to
+// { order } with the updated order, or { status, message } describing the refusal.
+// Cancelling a paid order adds the refund, or refundError when it could not be issued.
+const transitionOrder = async (order, to, actor, { note = null, update = {}, session = null, reservationStatus } = {}) => {
+  const from = order.status;
+  const allowedRoles = ORDER_TRANSITIONS[from]?.[to];
+
+  if (!allowedRoles) {
+    return { status: 409, message: `Order cannot move from ${from} to ${to}.` };
+  }
+  if (!allowedRoles.includes(actor.role)) {
+    return { status: 403, message: `${actor.role} cannot move an order from ${from} to ${to}.` };
+  }
+
+  // Only apply the move if nobody changed the status in the meantime
+  const applyMove = async (session) => {
+    const moved = await Order.findOneAndUpdate(
+      { _id: order._id, status: from },
+      {
+        ...update,
+        status: to,
+        $push: { status_history: orderStatusEvent(from, to, actor, note) },
+      },
+      { new: true, session }
+    );
+    if (moved && to === ORDER_STATUS.CANCELLED) {
+      await releaseOrderStock(moved._id, session, { status: reservationStatus, actor });
+      await releaseCoupon(moved, session);
+    }
+    return moved;
+  };
+
+  // A cancellation and its stock release happen together or not at all
+  const updated = session || to !== ORDER_STATUS.CANCELLED
+    ? await applyMove(session)
+    : await withTransaction(applyMove);
+  if (!updated) {
+    return { status: 409, message: "Order status changed meanwhile, please retry." };
+  }
+
+  // Delivered orders earn the vendor their share; the payout batch books any missed here
+  if (to === ORDER_STATUS.DELIVERED && !session) {
+    await recordOrderEarnings(updated).catch((err) => console.error("Error recording vendor earnings:", err));
+  }
+
+  // Paid orders get their money back once cancelled; a failed refund stays on
+  // record for an admin to retry and is reported to the caller
+  if (to === ORDER_STATUS.CANCELLED && updated.payment_id && !session) {
+    try {
+      const refund = await refundOrder(updated, {
+        source: REFUND_SOURCES.CANCELLATION,
+        reason: note || "Order cancelled",
+        actor,
+      });
+      return { order: updated, refund };
+    } catch (err) {
+      console.error("Error refunding cancelled order:", err);
+      return { order: updated, refund: null, refundError: err.message };
+    }
+  }
+
+  return { order: updated };
+};
+
+// Rewrite orders still carrying the numeric statuses; safe to run on every start
+const migrateLegacyOrderStatuses = async () => {
+  for (const [legacy, status] of Object.entries(LEGACY_ORDER_STATUS)) {
+    const result = await Order.updateMany({ status: legacy }, { $set: { status } });
+    if (result.modifiedCount > 0) {
+      console.log(`Migrated ${result.modifiedCount} orders from status '${legacy}' to '${status}'`);
+    }
+  }
+};
+
+// Orders still acting as carts go back to being plain cart lines
+const migrateCartOrders = async () => {
+  const cartOrders = await Order.find({ status: ORDER_STATUS.CART }).select("_id");
+  if (cartOrders.length === 0) return;
+
+  const orderIds = cartOrders.map((order) => order._id);
+  await Cart.updateMany({ order_id: { $in: orderIds } }, { $set: { order_id: null } });
+  await Order.deleteMany({ _id: { $in: orderIds }, status: ORDER_STATUS.CART });
+  console.log(`Moved ${orderIds.length} cart orders back into carts`);
+};
+
+mongoose.connection.once('open', () => {
+  migrateLegacyOrderStatuses()
+    .then(migrateCartOrders)
+    .catch(err => console.error('Order status migration error:', err));
+});
+
+// Cancels placed orders whose stock reservation ran out before they were paid
+const expireStockReservations = async () => {
+  const orderIds = await StockReservation.distinct("order_id", {
+    status: RESERVATION_STATUS.ACTIVE,
+    expires_at: { $lte: new Date() },
+  });
+
+  for (const orderId of orderIds) {
+    const order = await Order.findById(orderId);
+    if (order && order.status === ORDER_STATUS.PLACED) {
+      await transitionOrder(order, ORDER_STATUS.CANCELLED, SYSTEM_ACTOR, {
+        note: "Stock reservation expired",
+        reservationStatus: RESERVATION_STATUS.EXPIRED,
+      });
+    } else {
+      await withTransaction((session) => releaseOrderStock(orderId, session, { status: RESERVATION_STATUS.EXPIRED }));
+    }
+  }
+};
+
+mongoose.connection.once('open', () => {
+  setInterval(() => {
+    expireStockReservations().catch(err => console.error('Reservation expiry error:', err));
+  }, 60 * 1000);
+});
+
+// A checkout groups the per-vendor orders placed together and is paid as one
+const checkoutSchema = new mongoose.Schema({
+  user_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  address_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Address',
+    default: null,
+  },
+  order_ids: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+  }],
+  payment_method: {
+    type: String,
+    enum: Object.values(PAYMENT_METHODS),
+    default: PAYMENT_METHODS.ONLINE,
+  },
+  total_amount: {
+    type: Number,
+    required: true,
+    default: 0,
+  },
+  discount_amount: {
+    type: Number,
+    default: 0,
+  },
+  coupon_code: {
+    type: String,
+    default: null,
+  },
+}, { timestamps: true });
+
+const Checkout = mongoose.model('Checkout', checkoutSchema);
+
+// Tax (GST)
+// Every product is taxed at its own gst_rate, or its category's when it has none.
+// Prices either include the tax (the default) or have it added on top. A sale
+// within the vendor's state splits the tax evenly into CGST and SGST; one to
+// another state is charged IGST. Orders without a known state count as local.
+const GST_RATES = [0, 0.25, 3, 5, 12, 18, 28];
+
+const TAX_TYPES = {
+  INTRA_STATE: 'intra_state', // CGST + SGST
+  INTER_STATE: 'inter_state', // IGST
+};
+
+const normalizeState = (state) => (state ? String(state).trim().toUpperCase() : null);
+
+const taxTypeFor = (vendorState, supplyState) =>
+  normalizeState(vendorState) && normalizeState(supplyState) && normalizeState(vendorState) !== normalizeState(supplyState)
+    ? TAX_TYPES.INTER_STATE
+    : TAX_TYPES.INTRA_STATE;
+
+// Splits what a line sells for into taxable value and tax
+const taxLine = (amount, rate, inclusive, taxType) => {
+  const taxable = inclusive ? roundAmount(amount / (1 + rate / 100)) : roundAmount(amount);
+  const tax = inclusive ? roundAmount(amount - taxable) : roundAmount(amount * rate / 100);
+  const cgst = taxType === TAX_TYPES.INTRA_STATE ? roundAmount(tax / 2) : 0;
+  return {
+    tax_rate: rate,
+    taxable_value: taxable,
+    cgst,
+    sgst: taxType === TAX_TYPES.INTRA_STATE ? roundAmount(tax - cgst) : 0,
+    igst: taxType === TAX_TYPES.INTER_STATE ? tax : 0,
+    tax_amount: tax,
+    line_total: roundAmount(taxable + tax),
+  };
+};
+
+// Works out the tax on an order's cart lines. Lines need their product populated
+// with category_id, hsn_code, gst_rate and price_includes_tax; discounts maps a
+// cart line id to its coupon discount.
+const taxOrderLines = async (lines, { vendorState, supplyState, discounts = new Map() }) => {
+  const categoryIds = lines.map((line) => line.product_id.category_id).filter(Boolean);
+  const categories = new Map(
+    (await Category.find({ _id: { $in: categoryIds } }).select("hsn_code gst_rate"))
+      .map((category) => [String(category._id), category])
+  );
+  const taxType = taxTypeFor(vendorState, supplyState);
+
+  const taxedLines = lines.map((line) => {
+    const product = line.product_id;
+    const category = categories.get(String(product.category_id));
+    const rate = product.gst_rate ?? (category ? category.gst_rate : 0) ?? 0;
+    const amount = line.cart_price - (discounts.get(String(line._id)) || 0);
+    return {
+      cart_id: line._id,
+      hsn_code: product.hsn_code || (category ? category.hsn_code : null),
+      ...taxLine(amount, rate, product.price_includes_tax !== false, taxType),
+    };
+  });
+
+  const sum = (field) => roundAmount(taxedLines.reduce((total, line) => total + line[field], 0));
+  return {
+    tax_type: taxType,
+    lines: taxedLines,
+    taxable_amount: sum("taxable_value"),
+    cgst_amount: sum("cgst"),
+    sgst_amount: sum("sgst"),
+    igst_amount: sum("igst"),
+    tax_amount: sum("tax_amount"),
+    total: sum("line_total"),
+  };
+};
+
+// What the customer pays for a line once discounts and tax are settled
+const linePaid = (line) => (line.line_total !== null && line.line_total !== undefined
+  ? line.line_total
+  : roundAmount(line.cart_price - line.discount_amount));
+
+// Taxable value and tax on lines of sold orders, by HSN code and rate
+const taxSummary = async (match, fromDate, toDate) => {
+  const rows = await Cart.aggregate([
+    { $match: { order_id: { $ne: null }, status: "processing" } },
+    { $lookup: { from: "orders", localField: "order_id", foreignField: "_id", as: "order" } },
+    { $unwind: "$order" },
+    {
+      $match: {
+        ...match,
+        "order.status": { $in: SOLD_ORDER_STATUSES },
+        "order.date": { $gte: fromDate, $lte: toDate },
+      },
+    },
+    {
+      $group: {
+        _id: { hsn_code: "$hsn_code", tax_rate: { $ifNull: ["$tax_rate", 0] } },
+        taxable_value: { $sum: { $ifNull: ["$taxable_value", "$cart_price"] } },
+        cgst: { $sum: { $ifNull: ["$cgst", 0] } },
+        sgst: { $sum: { $ifNull: ["$sgst", 0] } },
+        igst: { $sum: { $ifNull: ["$igst", 0] } },
+        tax_amount: { $sum: { $ifNull: ["$tax_amount", 0] } },
+        lines: { $sum: 1 },
+      },
+    },
+    { $sort: { "_id.tax_rate": 1, "_id.hsn_code": 1 } },
+  ]);
+
+  const breakdown = rows.map(({ _id, ...row }) => ({
+    hsn_code: _id.hsn_code || null,
+    tax_rate: _id.tax_rate,
+    ...row,
+    taxable_value: roundAmount(row.taxable_value),
+    cgst: roundAmount(row.cgst),
+    sgst: roundAmount(row.sgst),
+    igst: roundAmount(row.igst),
+    tax_amount: roundAmount(row.tax_amount),
+  }));
+  const total = (field) => roundAmount(breakdown.reduce((sum, row) => sum + row[field], 0));
+  return {
+    from: fromDate,
+    to: toDate,
+    taxable_value: total("taxable_value"),
+    cgst: total("cgst"),
+    sgst: total("sgst"),
+    igst: total("igst"),
+    tax_amount: total("tax_amount"),
+    breakdown,
+  };
+};
+
+// Reads the from/to query of a report, defaulting to the current month
+const reportRange = (query) => {
+  const now = new Date();
+  const fromDate = query.from ? new Date(query.from) : new Date(now.getFullYear(), now.getMonth(), 1);
+  const toDate = query.to ? new Date(query.to) : now;
+  if (query.to) toDate.setHours(23, 59, 59, 999); // Include the entire 'to' date
+  if (isNaN(fromDate) || isNaN(toDate)) {
+    throw httpError(400, "Invalid from or to date.");
+  }
+  return { fromDate, toDate };
+};
+
+app.put("/category/:id/tax", requireRole(ROLES.ADMIN), async (req, res) => {
+  try {
+    const { hsn_code } = req.body;
+    const gstRate = Number(req.body.gst_rate);
+    if (!GST_RATES.includes(gstRate)) {
+      return res.status(400).json({ message: `GST rate must be one of: ${GST_RATES.join(", ")}` });
+    }
+
+    const category = await Category.findByIdAndUpdate(
+      req.params.id,
+      { $set: { gst_rate: gstRate, ...(hsn_code !== undefined ? { hsn_code: hsn_code || null } : {}) } },
+      { new: true }
+    );
+    if (!category) {
+      return res.status(404).json({ message: "Category not found" });
+    }
+    res.json({ message: "Category tax updated", category });
+  } catch (err) {
+    console.error("Error updating category tax:", err);
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+});
+
+app.get("/vendor/:vendorId/tax-report", requireSelf('vendorId', ROLES.VENDOR), async (req, res) => {
+  try {
+    const { fromDate, toDate } = reportRange(req.query);
+    const report = await taxSummary({ "order.vendor_id": new mongoose.Types.ObjectId(req.params.vendorId) }, fromDate, toDate);
+    res.status(200).json(report);
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ message: err.message });
+    }
+    console.error("Error fetching tax report:", err);
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+});
+
+app.get("/admin/tax-report", requireRole(ROLES.ADMIN), async (req, res) => {
+  try {
+    const { fromDate, toDate } = reportRange(req.query);
+    const match = mongoose.Types.ObjectId.isValid(req.query.vendor_id)
+      ? { "order.vendor_id": new mongoose.Types.ObjectId(req.query.vendor_id) }
+      : {};
+    const report = await taxSummary(match, fromDate, toDate);
+    res.status(200).json(report);
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ message: err.message });
+    }
+    console.error("Error fetching tax report:", err);
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+});
+
+// Delivery fees
+// Each vendor's order is delivered separately and pays its own fee, priced on the
+// straight-line distance from the vendor to the delivery address: a base fee
+// covers the first DELIVERY_BASE_KM, then each further km costs the rate of the
+// slab it falls in. Orders worth DELIVERY_FREE_ABOVE or more ship free, and
+// addresses beyond DELIVERY_MAX_KM are not served.
+const DELIVERY_BASE_FEE = Number(process.env.DELIVERY_BASE_FEE || 20);
+const DELIVERY_BASE_KM = Number(process.env.DELIVERY_BASE_KM || 2);
+const DELIVERY_FREE_ABOVE = Number(process.env.DELIVERY_FREE_ABOVE || 500);
+const DELIVERY_MAX_KM = Number(process.env.DELIVERY_MAX_KM || 20);
+// Per-km rate up to each distance, e.g. DELIVERY_FEE_SLABS=5:6,10:8,20:10
+const DELIVERY_FEE_SLABS = (process.env.DELIVERY_FEE_SLABS || '5:6,10:8,20:10')
+  .split(',')
+  .map((slab) => {
+    const [uptoKm, perKm] = slab.split(':').map(Number);
+    return { upto_km: uptoKm, per_km: perKm };
+  })
+  .sort((a, b) => a.upto_km - b.upto_km);
+
+const hasCoordinates = (lat, lon) =>
+  lat !== null && lat !== undefined && lon !== null && lon !== undefined && !isNaN(lat) && !isNaN(lon);
+
+// Prices delivering an order worth orderValue from the vendor to the address.
+// Without an address nothing is delivered; without coordinates only the base fee applies.
+const quoteDelivery = (vendor, address, orderValue, { freeDelivery = false } = {}) => {
+  if (!address) {
+    return { serviceable: true, distance_km: null, base_fee: 0, distance_fee: 0, fee: 0, waived: null };
+  }
+
+  const distance = hasCoordinates(address.lat, address.lon) && vendor && hasCoordinates(vendor.vendor_lat, vendor.vendor_lon)
+    ? Math.round(haversineDistance(address.lat, address.lon, vendor.vendor_lat, vendor.vendor_lon) * 10) / 10
+    : null;
+  if (distance !== null && distance > DELIVERY_MAX_KM) {
+    return { serviceable: false, distance_km: distance, base_fee: 0, distance_fee: 0, fee: 0, waived: null };
+  }
+
+  let distanceFee = 0;
+  let from = DELIVERY_BASE_KM;
+  for (const slab of DELIVERY_FEE_SLABS) {
+    if (distance === null || distance <= from) break;
+    const km = Math.min(distance, slab.upto_km) - from;
+    if (km > 0) {
+      distanceFee += km * slab.per_km;
+      from = slab.upto_km;
+    }
+  }
+
+  const waived = freeDelivery ? 'coupon' : (orderValue >= DELIVERY_FREE_ABOVE ? 'order_value' : null);
+  const baseFee = DELIVERY_BASE_FEE;
+  return {
+    serviceable: true,
+    distance_km: distance,
+    base_fee: baseFee,
+    distance_fee: roundAmount(distanceFee),
+    fee: waived ? 0 : roundAmount(baseFee + distanceFee),
+    waived,
+  };
+};
+
+// Public so the storefront can explain the fees
+app.get("/delivery-fees", (req, res) => {
+  res.json({
+    base_fee: DELIVERY_BASE_FEE,
+    base_km: DELIVERY_BASE_KM,
+    slabs: DELIVERY_FEE_SLABS,
+    free_above: DELIVERY_FREE_ABOVE,
+    max_km: DELIVERY_MAX_KM,
+  });
+});
+
+// Coupons
+// Platform coupons are set up by admins and apply to the whole cart; vendor
+// coupons only discount that vendor's products. A coupon can be further limited
+// to some categories or products, and its discount is spread over the lines it
+// applies to so refunds and cancellations give back the right share.
+const COUPON_TYPES = {
+  PERCENTAGE: 'percentage',     // value percent off, up to max_discount
+  FLAT: 'flat',                 // value off the eligible lines
+  FREE_DELIVERY: 'free_delivery',
+  BUY_X_GET_Y: 'buy_x_get_y',   // Every buy_qty + get_qty units of a product, get_qty are free
+};
+
+const COUPON_SCOPES = {
+  PLATFORM: 'platform',
+  VENDOR: 'vendor',
+};
+
+const couponSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true,
+  },
+  description: {
+    type: String,
+    default: null,
+  },
+  scope: {
+    type: String,
+    enum: Object.values(COUPON_SCOPES),
+    default: COUPON_SCOPES.PLATFORM,
+  },
+  vendor_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vendor', // Set for vendor coupons
+    default: null,
+  },
+  type: {
+    type: String,
+    enum: Object.values(COUPON_TYPES),
+    required: true,
+  },
+  value: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  max_discount: {
+    type: Number,
+    default: null, // Cap for percentage coupons
+  },
+  buy_qty: {
+    type: Number,
+    default: null,
+  },
+  get_qty: {
+    type: Number,
+    default: null,
+  },
+  min_order_value: {
+    type: Number,
+    default: 0, // Compared with the cart total the coupon's scope covers
+  },
+  starts_at: {
+    type: Date,
+    default: null,
+  },
+  ends_at: {
+    type: Date,
+    default: null,
+  },
+  usage_limit: {
+    type: Number,
+    default: null, // Checkouts that may use the coupon; null for no limit
+  },
+  per_user_limit: {
+    type: Number,
+    default: 1,
+  },
+  used_count: {
+    type: Number,
+    default: 0,
+  },
+  category_ids: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+  }],
+  product_ids: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+  }],
+  active: {
+    type: Boolean,
+    default: true,
+  },
+}, { timestamps: true });
+
+const Coupon = mongoose.model('Coupon', couponSchema);
+
+const REDEMPTION_STATUS = {
+  REDEEMED: 'redeemed',
+  RELEASED: 'released', // Every order it was used on got cancelled
+};
+
+// One use of a coupon, by one checkout
+const couponRedemptionSchema = new mongoose.Schema({
+  coupon_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Coupon',
+    required: true,
+  },
+  user_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  checkout_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Checkout',
+    required: true,
+  },
+  order_ids: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+  }],
+  discount: {
+    type: Number,
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: Object.values(REDEMPTION_STATUS),
+    default: REDEMPTION_STATUS.REDEEMED,
+  },
+}, { timestamps: true });
+
+couponRedemptionSchema.index({ coupon_id: 1, user_id: 1, status: 1 });
 
-//     res.status(201).json({ message: "User created successfully.", id: user._id });
-//   } catch (err) {
-//     console.error("Error creating user:", err.message);
-//     res.status(500).json({ message: "Server error", error: err.message });
-//   }
-// });
+const CouponRedemption = mongoose.model('CouponRedemption', couponRedemptionSchema);
 
+// Checks the coupon can be used by the user right now; throws the reason when not
+const checkCouponUsable = async (coupon, userId, session = null) => {
+  const now = new Date();
+  if (!coupon || !coupon.active) {
+    throw httpError(404, "Coupon not found.");
+  }
+  if ((coupon.starts_at && coupon.starts_at > now) || (coupon.ends_at && coupon.ends_at < now)) {
+    throw httpError(409, `Coupon ${coupon.code} is not valid right now.`);
+  }
+  if (coupon.usage_limit !== null && coupon.used_count >= coupon.usage_limit) {
+    throw httpError(409, `Coupon ${coupon.code} has been fully used.`);
+  }
 
-app.get("/users", async (req, res) => {
-  try {
-    const users = await User.find();
-    res.json(users);
-  } catch (err) {
-    console.error(err.message);
-    res.status(500).send("Server error");
+  const used = await CouponRedemption.countDocuments({
+    coupon_id: coupon._id,
+    user_id: userId,
+    status: REDEMPTION_STATUS.REDEEMED,
+  }).session(session);
+  if (coupon.per_user_limit !== null && used >= coupon.per_user_limit) {
+    throw httpError(409, `You have already used coupon ${coupon.code}.`);
   }
-});
-app.get("/user/profile/:id", async (req, res) => {
-  try {
-    const user = await User.findById(req.params.id).select("-user_password");
-    if (!user) {
-      return res.status(404).json({ message: "User not found" });
+};
+
+// Spreads amount over lines in proportion to their price, to the cent
+const spreadDiscount = (lines, amount) => {
+  const total = lines.reduce((sum, line) => sum + line.cart_price, 0);
+  if (total <= 0) return lines.map(() => 0);
+  let left = toMinorUnits(amount);
+  return lines.map((line, index) => {
+    const share = index === lines.length - 1
+      ? left
+      : Math.min(left, Math.round(toMinorUnits(amount) * line.cart_price / total));
+    left -= share;
+    return share / 100;
+  });
+};
+
+// Works out what the coupon takes off the given cart lines. Lines need their
+// product populated with vendor_id and category_id. Throws when the coupon does
+// not apply to the cart.
+const priceCoupon = (coupon, cartLines) => {
+  const inScope = cartLines.filter((line) => coupon.scope === COUPON_SCOPES.PLATFORM
+    || String(line.product_id.vendor_id) === String(coupon.vendor_id));
+  const eligible = inScope.filter((line) => {
+    const product = line.product_id;
+    if (coupon.product_ids.length > 0 && !coupon.product_ids.some((id) => String(id) === String(product._id))) {
+      return false;
+    }
+    if (coupon.category_ids.length > 0 && !coupon.category_ids.some((id) => String(id) === String(product.category_id))) {
+      return false;
+    }
+    return true;
+  });
+
+  if (eligible.length === 0) {
+    throw httpError(409, `Coupon ${coupon.code} does not apply to anything in your cart.`);
+  }
+  const scopeTotal = roundAmount(inScope.reduce((sum, line) => sum + line.cart_price, 0));
+  if (scopeTotal < coupon.min_order_value) {
+    throw httpError(409, `Coupon ${coupon.code} needs an order of at least ${coupon.min_order_value}.`);
+  }
+
+  const eligibleTotal = eligible.reduce((sum, line) => sum + line.cart_price, 0);
+  let discounts;
+  switch (coupon.type) {
+    case COUPON_TYPES.PERCENTAGE: {
+      let amount = eligibleTotal * coupon.value / 100;
+      if (coupon.max_discount !== null) amount = Math.min(amount, coupon.max_discount);
+      discounts = spreadDiscount(eligible, roundAmount(amount));
+      break;
+    }
+    case COUPON_TYPES.FLAT:
+      discounts = spreadDiscount(eligible, roundAmount(Math.min(coupon.value, eligibleTotal)));
+      break;
+    case COUPON_TYPES.BUY_X_GET_Y:
+      discounts = eligible.map((line) => {
+        const free = Math.floor(line.qty / (coupon.buy_qty + coupon.get_qty)) * coupon.get_qty;
+        return roundAmount((line.cart_price / line.qty) * free);
+      });
+      break;
+    default: // Free delivery takes nothing off the goods
+      discounts = eligible.map(() => 0);
+  }
+
+  const lines = eligible
+    .map((line, index) => ({
+      cart_id: line._id,
+      product_id: line.product_id._id,
+      vendor_id: line.product_id.vendor_id,
+      discount: discounts[index],
+    }))
+    .filter((line) => line.discount > 0);
+  if (coupon.type === COUPON_TYPES.BUY_X_GET_Y && lines.length === 0) {
+    throw httpError(409, `Coupon ${coupon.code} needs ${coupon.buy_qty + coupon.get_qty} units of an eligible product.`);
+  }
+
+  return {
+    code: coupon.code,
+    type: coupon.type,
+    discount: roundAmount(lines.reduce((sum, line) => sum + line.discount, 0)),
+    free_delivery: coupon.type === COUPON_TYPES.FREE_DELIVERY,
+    // Vendors whose orders the coupon touches; free delivery covers every vendor in scope
+    vendor_ids: [...new Set(eligible.map((line) => String(line.product_id.vendor_id)))],
+    lines,
+  };
+};
+
+// The user's open cart lines, ready for priceCoupon
+const loadCartLines = (userId) =>
+  Cart.find({ user_id: userId, order_id: null, status: "processing" })
+    .populate("product_id", "vendor_id name category_id hsn_code gst_rate price_includes_tax");
+
+// Gives a checkout's coupon use back once all of its orders carrying the coupon are cancelled
+const releaseCoupon = async (order, session) => {
+  if (!order.coupon_id) return;
+
+  const stillActive = await Order.exists({
+    checkout_id: order.checkout_id,
+    coupon_id: order.coupon_id,
+    status: { $ne: ORDER_STATUS.CANCELLED },
+  }).session(session);
+  if (stillActive) return;
+
+  const released = await CouponRedemption.findOneAndUpdate(
+    { checkout_id: order.checkout_id, coupon_id: order.coupon_id, status: REDEMPTION_STATUS.REDEEMED },
+    { $set: { status: REDEMPTION_STATUS.RELEASED } },
+    { session }
+  );
+  if (released) {
+    await Coupon.updateOne({ _id: order.coupon_id }, { $inc: { used_count: -1 } }, { session });
+  }
+};
+
+// Reads and checks the coupon fields of a request body; throws on bad input
+const couponFields = (body) => {
+  const fields = {};
+  for (const key of ['code', 'description', 'type', 'value', 'max_discount', 'buy_qty', 'get_qty', 'min_order_value',
+    'starts_at', 'ends_at', 'usage_limit', 'per_user_limit', 'category_ids', 'product_ids', 'active']) {
+    if (body[key] !== undefined) fields[key] = body[key];
+  }
+
+  if (fields.type !== undefined && !Object.values(COUPON_TYPES).includes(fields.type)) {
+    throw httpError(400, `Coupon type must be one of: ${Object.values(COUPON_TYPES).join(", ")}`);
+  }
+  for (const key of ['value', 'max_discount', 'min_order_value']) {
+    if (fields[key] !== undefined && fields[key] !== null && !(Number(fields[key]) >= 0)) {
+      throw httpError(400, `${key} must be a positive number.`);
     }
-    res.json(user);
-  } catch (err) {
-    console.error(err.message);
-    res.status(500).send("Server error");
   }
-});
-app.post("/user", async (req, res) => {
+  for (const key of ['buy_qty', 'get_qty', 'usage_limit', 'per_user_limit']) {
+    if (fields[key] !== undefined && fields[key] !== null && !(Number.isInteger(Number(fields[key])) && Number(fields[key]) > 0)) {
+      throw httpError(400, `${key} must be a whole number above zero.`);
+    }
+  }
+  return fields;
+};
+
+// Checks the settings that depend on each other once a coupon is assembled
+const validateCoupon = (coupon) => {
+  if (coupon.type === COUPON_TYPES.PERCENTAGE && (coupon.value <= 0 || coupon.value > 100)) {
+    throw httpError(400, "A percentage coupon needs a value between 0 and 100.");
+  }
+  if (coupon.type === COUPON_TYPES.FLAT && coupon.value <= 0) {
+    throw httpError(400, "A flat coupon needs a value above zero.");
+  }
+  if (coupon.type === COUPON_TYPES.BUY_X_GET_Y && (!coupon.buy_qty || !coupon.get_qty)) {
+    throw httpError(400, "A buy X get Y coupon needs buy_qty and get_qty.");
+  }
+  if (coupon.starts_at && coupon.ends_at && coupon.ends_at <= coupon.starts_at) {
+    throw httpError(400, "A coupon must end after it starts.");
+  }
+};
+
+// Admins create platform or vendor coupons; vendors only their own
+app.post("/coupons", requireRole(ROLES.VENDOR, ROLES.ADMIN), async (req, res) => {
   try {
-    const { user_name, user_email, user_password } = req.body;
+    const fields = couponFields(req.body);
+    if (!fields.code || !fields.type) {
+      return res.status(400).json({ message: "Code and type are required." });
+    }
 
-    let user = await User.findOne({ user_email });
-    if (user) {
-      return res.status(400).json({ message: "User already exists." });
+    let scope = req.body.scope || COUPON_SCOPES.PLATFORM;
+    let vendorId = req.body.vendor_id || null;
+    if (req.user.role === ROLES.VENDOR) {
+      scope = COUPON_SCOPES.VENDOR;
+      vendorId = req.user.id;
+    }
+    if (!Object.values(COUPON_SCOPES).includes(scope)) {
+      return res.status(400).json({ message: "Invalid coupon scope." });
+    }
+    if (scope === COUPON_SCOPES.VENDOR && !mongoose.Types.ObjectId.isValid(vendorId)) {
+      return res.status(400).json({ message: "A vendor coupon needs a vendor." });
     }
 
-    const newUser = new User({
-      user_name,
-      user_email,
-      user_password,
+    if (await Coupon.exists({ code: String(fields.code).trim().toUpperCase() })) {
+      return res.status(400).json({ message: "Coupon code already exists" });
+    }
+
+    const coupon = new Coupon({
+      ...fields,
+      scope,
+      vendor_id: scope === COUPON_SCOPES.VENDOR ? vendorId : null,
     });
+    validateCoupon(coupon);
+    await coupon.save();
 
-    await newUser.save();
-    res.status(201).json({ message: "User created successfully.", id: newUser._id });
+    res.status(201).json({ message: "Coupon created", coupon });
   } catch (err) {
-    console.error("Error creating user:", err.message);
+    if (err.status) {
+      return res.status(err.status).json({ message: err.message });
+    }
+    console.error("Error creating coupon:", err);
     res.status(500).json({ message: "Server error", error: err.message });
   }
 });
 
+app.get("/coupons", requireRole(ROLES.VENDOR, ROLES.ADMIN), async (req, res) => {
+  try {
+    const filter = req.user.role === ROLES.VENDOR ? { vendor_id: req.user.id } : {};
+    if (req.query.scope) filter.scope = req.query.scope;
+
+    const coupons = await Coupon.find(filter).sort({ createdAt: -1 });
+    res.status(200).json(coupons);
+  } catch (err) {
+    console.error("Error fetching coupons:", err);
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+});
 
-app.delete("/user/:id", async (req, res) => {
+app.put("/coupons/:id", requireRole(ROLES.VENDOR, ROLES.ADMIN), async (req, res) => {
   try {
-    const user = await User.findById(req.params.id);
-    if (!user) {
-      return res.status(404).json({ message: "User not found" });
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: "Invalid coupon ID." });
     }
-    await user.deleteOne();
-    res.json({ message: "User removed successfully" });
+
+    const coupon = await Coupon.findById(id);
+    if (!coupon || (req.user.role === ROLES.VENDOR && String(coupon.vendor_id) !== req.user.id)) {
+      return res.status(404).json({ message: "Coupon not found." });
+    }
+
+    const fields = couponFields(req.body);
+    delete fields.code; // Codes already handed out must keep working
+    coupon.set(fields);
+    validateCoupon(coupon);
+    await coupon.save();
+
+    res.status(200).json({ message: "Coupon updated", coupon });
   } catch (err) {
-    console.error(err.message);
-    res.status(500).send("Server error");
+    if (err.status) {
+      return res.status(err.status).json({ message: err.message });
+    }
+    console.error("Error updating coupon:", err);
+    res.status(500).json({ message: "Server error", error: err.message });
   }
 });
 
-// Vendor Routes
-app.post("/vendor-request", upload.fields([{ name: 'vendor_photo' }, { name: 'vendor_proof' }]), async (req, res) => {
+// Attach a coupon to the user's cart; it is priced again and claimed at checkout
+app.post("/cart/apply-coupon", requireSelf('user_id', ROLES.USER), async (req, res) => {
   try {
-    const { vendor_name, vendor_email, vendor_password, vendor_address, vendor_pincode, vendor_lat, vendor_lon } = req.body;
-    const vendor_photo = req.files.vendor_photo[0].filename;
-    const vendor_proof = req.files.vendor_proof[0].filename;
+    const { user_id, code } = req.body;
+    if (!mongoose.Types.ObjectId.isValid(user_id) || !code) {
+      return res.status(400).json({ message: "User and coupon code are required." });
+    }
 
-    let vendor = await Vendor.findOne({ vendor_email });
-    if (vendor) {
-      return res.json({ message: "Vendor already exists" });
+    const coupon = await Coupon.findOne({ code: String(code).trim().toUpperCase() });
+    await checkCouponUsable(coupon, user_id);
+
+    const cartLines = await loadCartLines(user_id);
+    if (cartLines.length === 0) {
+      return res.status(400).json({ message: "No active cart found" });
     }
-    vendor = new Vendor({
-      vendor_name,
-      vendor_email,
-      vendor_password,
-      vendor_address,
-      vendor_pincode,
-      vendor_status: "requested",
-      vendor_photo,
-      vendor_proof,
-      vendor_lat,
-      vendor_lon
+    const pricing = priceCoupon(coupon, cartLines.filter((line) => line.product_id));
+
+    await User.updateOne({ _id: user_id }, { $set: { cart_coupon_id: coupon._id } });
+
+    const subtotal = roundAmount(cartLines.reduce((sum, line) => sum + line.cart_price, 0));
+    res.status(200).json({
+      message: "Coupon applied",
+      coupon: pricing,
+      subtotal,
+      discount: pricing.discount,
+      total: roundAmount(subtotal - pricing.discount),
     });
-    await vendor.save();
-    res.json({ message: "Vendor request submitted successfully" });
   } catch (err) {
-    console.error(err.message);
-    res.status(500).send("Server error");
+    if (err.status) {
+      return res.status(err.status).json({ message: err.message });
+    }
+    console.error("Error applying coupon:", err);
+    res.status(500).json({ message: "Server error", error: err.message });
   }
 });
-// Add this route for vendor updates
-app.put("/vendor-update/:id", upload.fields([{ name: 'vendor_photo' }, { name: 'vendor_proof' }]), async (req, res) => {
+
+app.post("/cart/remove-coupon", requireSelf('user_id', ROLES.USER), async (req, res) => {
   try {
-    const { vendor_address, vendor_pincode, vendor_lat, vendor_lon, vendor_password } = req.body;
-    const vendorId = req.params.id;
+    await User.updateOne({ _id: req.body.user_id }, { $set: { cart_coupon_id: null } });
+    res.status(200).json({ message: "Coupon removed" });
+  } catch (err) {
+    console.error("Error removing coupon:", err);
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+});
 
-    // Find the vendor
-    let vendor = await Vendor.findById(vendorId);
-    if (!vendor) {
-      return res.status(404).json({ message: "Vendor not found" });
+// Turns the user's cart lines into one placed order per vendor under a single checkout
+const checkoutCart = async (req, res) => {
+  try {
+    const { user_id, address_id } = req.body;
+    const paymentMethod = req.body.payment_method || PAYMENT_METHODS.ONLINE;
+
+    if (!mongoose.Types.ObjectId.isValid(user_id)) {
+      return res.status(400).json({ message: "Invalid user ID." });
+    }
+    if (!Object.values(PAYMENT_METHODS).includes(paymentMethod)) {
+      return res.status(400).json({ message: "Invalid payment method." });
+    }
+    const cashOnDelivery = paymentMethod === PAYMENT_METHODS.COD;
+    if (cashOnDelivery && !address_id) {
+      return res.status(400).json({ message: "A delivery address is required for cash on delivery." });
     }
 
-    // Prepare update object with only the fields that were provided
-    const updateFields = {};
-    
-    if (vendor_address) updateFields.vendor_address = vendor_address;
-    if (vendor_pincode) updateFields.vendor_pincode = vendor_pincode;
-    if (vendor_lat) updateFields.vendor_lat = vendor_lat;
-    if (vendor_lon) updateFields.vendor_lon = vendor_lon;
-    
-    // Handle password update separately (hash it)
-    if (vendor_password) {
-      const salt = await bcrypt.genSalt(10);
-      updateFields.vendor_password = await bcrypt.hash(vendor_password, salt);
+    let address = null;
+    if (address_id) {
+      address = await Address.findOne({ _id: address_id, user_id });
+      if (!address) {
+        return res.status(400).json({ message: "Address not found for this user." });
+      }
     }
 
-    // Handle file uploads if they exist
-    if (req.files?.vendor_photo) {
-      updateFields.vendor_photo = req.files.vendor_photo[0].filename;
-      // Optionally: Delete old photo file from server
+    const cartItems = await loadCartLines(user_id);
+
+    if (cartItems.length === 0) {
+      return res.status(400).json({ message: "No active cart found" });
     }
-    if (req.files?.vendor_proof) {
-      updateFields.vendor_proof = req.files.vendor_proof[0].filename;
-      // Optionally: Delete old proof file from server
+
+    const missing = cartItems.find((item) => !item.product_id);
+    if (missing) {
+      return res.status(409).json({ message: "A product in your cart is no longer available.", cartItemId: missing._id });
     }
 
-    // Update the vendor
-    vendor = await Vendor.findByIdAndUpdate(
-      vendorId,
-      { $set: updateFields },
-      { new: true }
+    // The coupon applied to the cart must still hold for what is in it
+    const user = await User.findById(user_id).select("cart_coupon_id");
+    let coupon = null;
+    let pricing = null;
+    if (user && user.cart_coupon_id) {
+      coupon = await Coupon.findById(user.cart_coupon_id);
+      await checkCouponUsable(coupon, user_id);
+      pricing = priceCoupon(coupon, cartItems);
+    }
+
+    // Group the cart lines by the vendor selling each product
+    const linesByVendor = new Map();
+    for (const item of cartItems) {
+      const vendorId = item.product_id.vendor_id.toString();
+      if (!linesByVendor.has(vendorId)) linesByVendor.set(vendorId, []);
+      linesByVendor.get(vendorId).push(item);
+    }
+    const vendors = new Map(
+      (await Vendor.find({ _id: { $in: [...linesByVendor.keys()] } }).select("vendor_name vendor_state vendor_lat vendor_lon"))
+        .map((vendor) => [String(vendor._id), vendor])
     );
 
-    res.json({ 
-      message: "Vendor updated successfully",
-      vendor: {
-        id: vendor._id,
-        name: vendor.vendor_name,
-        email: vendor.vendor_email,
-        address: vendor.vendor_address,
-        pincode: vendor.vendor_pincode,
-        status: vendor.vendor_status
+    // Every vendor must deliver to the address before anything is placed
+    for (const vendorId of linesByVendor.keys()) {
+      const delivery = quoteDelivery(vendors.get(vendorId), address, 0);
+      if (!delivery.serviceable) {
+        const vendorName = vendors.get(vendorId)?.vendor_name || "A vendor";
+        return res.status(409).json({ message: `${vendorName} does not deliver to this address (${delivery.distance_km} km away).`, vendorId });
       }
-    });
-  } catch (err) {
-    console.error(err.message);
-    res.status(500).send("Server error");
-  }
-});
-app.get('/api/vendors/:vendorId', async (req, res) => {
-  const { vendorId } = req.params;
-
-  try {
-    const vendor = await Vendor.findById(vendorId);
-    
-    if (!vendor) {
-      return res.status(404).json({ message: 'Vendor not found' });
     }
 
-    res.json(vendor);
-  } catch (error) {
-    console.error('Error fetching vendor:', error);
-    res.status(500).json({ message: 'Server error' });
-  }
-});
+    // Orders, claimed lines and stock reservations are created together or not at all
+    const { checkout, orders } = await withTransaction(async (session) => {
+      const checkout = new Checkout({ user_id, address_id: address_id || null, payment_method: paymentMethod });
+      // COD orders go straight to the vendor; online ones wait for payment
+      const initialStatus = cashOnDelivery ? ORDER_STATUS.COD_PENDING : ORDER_STATUS.PLACED;
+      const orders = [];
+
+      if (coupon) {
+        await checkCouponUsable(coupon, user_id, session);
+        // Claim a use unless the coupon ran out meanwhile
+        const claimedCoupon = await Coupon.findOneAndUpdate(
+          {
+            _id: coupon._id,
+            active: true,
+            ...(coupon.usage_limit !== null ? { used_count: { $lt: coupon.usage_limit } } : {}),
+          },
+          { $inc: { used_count: 1 } },
+          { session }
+        );
+        if (!claimedCoupon) {
+          throw httpError(409, `Coupon ${coupon.code} has been fully used.`);
+        }
+      }
 
-const userCoordinatesSchema = new mongoose.Schema({
-  user_id: {
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'User',
-    required: true
-  },
-  latitude: {
-    type: Number,  // Stores decimal values
-    required: true
-  },
-  longitude: {
-    type: Number,  // Stores decimal values
-    required: true
-  }
-});
+      for (const [vendorId, lines] of linesByVendor) {
+        const subtotal = roundAmount(lines.reduce((sum, line) => sum + line.cart_price, 0));
+        const discountLines = pricing ? pricing.lines.filter((line) => String(line.vendor_id) === vendorId) : [];
+        const discount = roundAmount(discountLines.reduce((sum, line) => sum + line.discount, 0));
+        const couponed = Boolean(pricing && pricing.vendor_ids.includes(vendorId));
+        const vendorState = vendors.get(vendorId)?.vendor_state;
+        const tax = await taxOrderLines(lines, {
+          vendorState,
+          supplyState: address ? address.state : null,
+          discounts: new Map(discountLines.map((line) => [String(line.cart_id), line.discount])),
+        });
+        const delivery = quoteDelivery(vendors.get(vendorId), address, roundAmount(subtotal - discount), {
+          freeDelivery: couponed && pricing.free_delivery,
+        });
+
+        const order = new Order({
+          user_id,
+          vendor_id: vendorId,
+          address_id: address_id || null,
+          checkout_id: checkout._id,
+          subtotal_amount: subtotal,
+          discount_amount: discount,
+          // Tax added on top of exclusive prices and the delivery fee are part of what is paid
+          order_amount: roundAmount(tax.total + delivery.fee),
+          delivery_distance_km: delivery.distance_km,
+          delivery_fee: delivery.fee,
+          delivery_fee_breakdown: { base_fee: delivery.base_fee, distance_fee: delivery.distance_fee, waived: delivery.waived },
+          tax_type: tax.tax_type,
+          vendor_state: normalizeState(vendorState),
+          place_of_supply: address ? normalizeState(address.state) : null,
+          taxable_amount: tax.taxable_amount,
+          cgst_amount: tax.cgst_amount,
+          sgst_amount: tax.sgst_amount,
+          igst_amount: tax.igst_amount,
+          tax_amount: tax.tax_amount,
+          ...(couponed ? {
+            coupon_id: coupon._id,
+            coupon_code: coupon.code,
+            free_delivery: pricing.free_delivery,
+            discount_lines: discountLines.map(({ cart_id, product_id, discount }) => ({ cart_id, product_id, discount })),
+          } : {}),
+          payment_method: paymentMethod,
+          status: initialStatus,
+          status_history: [orderStatusEvent(ORDER_STATUS.CART, initialStatus, req.user, req.body.note)],
+        });
+        await order.save({ session });
+
+        // Only claim lines that are still in the cart
+        const claimed = await Cart.updateMany(
+          { _id: { $in: lines.map((line) => line._id) }, order_id: null },
+          { $set: { order_id: order._id } },
+          { session }
+        );
+        if (claimed.modifiedCount !== lines.length) {
+          throw httpError(409, "Your cart changed meanwhile, please review it and retry.");
+        }
+        const discounts = new Map(discountLines.map((line) => [String(line.cart_id), line.discount]));
+        for (const { cart_id, ...lineTax } of tax.lines) {
+          await Cart.updateOne(
+            { _id: cart_id },
+            { $set: { discount_amount: discounts.get(String(cart_id)) || 0, ...lineTax } },
+            { session }
+          );
+        }
 
-const UserCoordinates = mongoose.model('UserCoordinates', userCoordinatesSchema);
+        for (const line of lines) {
+          await reserveStock({
+            productId: line.product_id._id,
+            variantId: line.variant_id,
+            productName: line.product_id.name,
+            orderId: order._id,
+            cartId: line._id,
+            qty: line.qty,
+          }, session);
+        }
+        // Nothing is left to pay online, so the stock is taken right away
+        if (cashOnDelivery) {
+          await commitOrderStock(order._id, req.user, session);
+        }
+        orders.push(order);
+      }
 
+      checkout.order_ids = orders.map((order) => order._id);
+      checkout.total_amount = roundAmount(orders.reduce((sum, order) => sum + order.order_amount, 0));
+      if (coupon) {
+        checkout.discount_amount = pricing.discount;
+        checkout.coupon_code = coupon.code;
+        await CouponRedemption.create([{
+          coupon_id: coupon._id,
+          user_id,
+          checkout_id: checkout._id,
+          order_ids: orders.filter((order) => order.coupon_id).map((order) => order._id),
+          discount: pricing.discount,
+        }], { session });
+        await User.updateOne({ _id: user_id }, { $set: { cart_coupon_id: null } }, { session });
+      }
+      await checkout.save({ session });
 
-app.post("/api/save-coordinates", async (req, res) => {
-  try {
-    const { user_id, latitude, longitude } = req.body;
+      return { checkout, orders };
+    });
 
-    if (!mongoose.Types.ObjectId.isValid(user_id)) {
-      return res.status(400).json({ message: "Invalid user ID." });
+    res.json({
+      message: "Order confirmed",
+      checkout,
+      orders,
+      ...(cashOnDelivery ? {} : { reserved_until: new Date(Date.now() + RESERVATION_TTL) }),
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
     }
+    console.error("Error confirming order:", error);
+    res.status(500).json({ error: error.message });
+  }
+};
 
-    const user = await User.findById(user_id);
-    if (!user) {
-      return res.status(404).json({ message: "User not found." });
+app.get("/checkouts/:id", requireAuth, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: "Invalid checkout ID." });
     }
 
-    const userCoordinates = new UserCoordinates({
-      user_id,
-      latitude,
-      longitude,
+    const checkout = await Checkout.findById(id).populate({
+      path: "order_ids",
+      select: "vendor_id delivery_boy_id order_amount status date",
+      populate: { path: "vendor_id", select: "vendor_name" },
     });
+    if (!checkout) {
+      return res.status(404).json({ message: "Checkout not found." });
+    }
+    if (req.user.role !== ROLES.ADMIN && String(checkout.user_id) !== req.user.id) {
+      return res.status(403).json({ message: "Access denied" });
+    }
 
-    await userCoordinates.save();
-    res.json({ message: "User coordinates added successfully" });
+    res.status(200).json(checkout);
   } catch (err) {
-    console.error("Error saving coordinates:", err.message);
-    res.status(500).send("Server error");
+    console.error("Error fetching checkout:", err);
+    res.status(500).json({ message: "Server error", error: err.message });
   }
 });
-app.get("/vendor-requests", async (req, res) => {
+app.get('/accepted-vendors', requireRole(ROLES.ADMIN), async (req, res) => {
   try {
-    const vendors = await Vendor.find({ vendor_status: "requested" });
+    const vendors = await Vendor.find({ vendor_status: 'accepted' });
     res.json(vendors);
   } catch (err) {
-    console.error(err.message);
-    res.status(500).send("Server error");
+    res.status(500).json({ message: err.message });
   }
 });
 
-app.get("/accepted-vendors", async (req, res) => {
+// Vendor Remove Endpoint
+app.delete('/vendor-remove/:id', requireRole(ROLES.ADMIN), async (req, res) => {
   try {
-    const vendors = await Vendor.find({ vendor_status: "accepted" });
-    res.json(vendors);
+    const vendor = await Vendor.findByIdAndDelete(req.params.id);
+    if (!vendor) {
+      return res.status(404).json({ message: 'Vendor not found' });
+    }
+    await revokeSessions(vendor._id);
+    res.json({ message: 'Vendor removed successfully' });
   } catch (err) {
-    console.error(err.message);
-    res.status(500).send("Server error");
+    res.status(500).json({ message: err.message });
   }
 });
-app.get("/user/:id", async (req, res) => {
+
+// Get all products for a specific vendor
+app.get('/vendor-products/:vendorId', async (req, res) => {
   try {
-    const user = await User.findById(req.params.id);
-    if (!user) {
-      return res.status(404).json({ message: "User not found." });
-    }
-    res.status(200).json({ user }); // ✅ IMPORTANT: wraps user in `user`
+    const products = await Product.find({ vendor_id: req.params.vendorId });
+    res.json(products);
   } catch (err) {
-    console.error("Error fetching user:", err.message);
-    res.status(500).json({ message: "Server error", error: err.message });
+    res.status(500).json({ message: err.message });
   }
 });
-app.put("/user/:id/photo", upload.single("user_photo"), async (req, res) => {
-  try {
-    const userId = req.params.id;
-
-    if (!req.file) {
-      return res.status(400).json({ message: "New profile photo is required." });
-    }
-
-    const updatedUser = await User.findByIdAndUpdate(
-      userId,
-      { user_photo: req.file.filename },
-      { new: true }
-    );
-
-    if (!updatedUser) {
-      return res.status(404).json({ message: "User not found." });
-    }
 
-    res.status(200).json({ message: "Profile photo updated successfully.", user: updatedUser });
+// Get average rating for a product
+app.get('/product-average-rating/:productId', async (req, res) => {
+  try {
+    const reviews = await Review.find({ product_id: req.params.productId });
+    const avgRating = reviews.length > 0 
+      ? reviews.reduce((sum, review) => sum + review.count, 0) / reviews.length 
+      : 0;
+    res.json({ averageRating: avgRating });
   } catch (err) {
-    console.error("Error updating photo:", err.message);
-    res.status(500).json({ message: "Server error", error: err.message });
+    res.status(500).json({ message: err.message });
   }
 });
-app.put("/user/:id/photo/delete", async (req, res) => {
-  try {
-    const userId = req.params.id;
-
-    const updatedUser = await User.findByIdAndUpdate(
-      userId,
-      { user_photo: "" },
-      { new: true }
-    );
-
-    if (!updatedUser) {
-      return res.status(404).json({ message: "User not found." });
-    }
 
-    res.status(200).json({ message: "Profile photo deleted.", user: updatedUser });
+// Get total complaints for a product (including resolved ones)
+app.get('/product-complaints-count/:productId', requireRole(ROLES.VENDOR, ROLES.ADMIN), async (req, res) => {
+  try {
+    // Find all carts that contain this product
+    const cartsWithProduct = await Cart.find({ 
+      'product_id': req.params.productId 
+    }).distinct('_id');
+    
+    // Count all complaints associated with these carts (including resolved)
+    const count = await Complaint.countDocuments({ 
+      cart_id: { $in: cartsWithProduct } 
+    });
+    
+    res.json({ count });
   } catch (err) {
-    console.error("Error deleting photo:", err.message);
-    res.status(500).json({ message: "Server error", error: err.message });
+    res.status(500).json({ message: err.message });
   }
 });
-app.put("/user/:id/name", async (req, res) => {
-  try {
-    const userId = req.params.id;
-    const { user_name } = req.body;
-
-    if (!user_name) {
-      return res.status(400).json({ message: "New name is required." });
-    }
-
-    const updatedUser = await User.findByIdAndUpdate(
-      userId,
-      { user_name },
-      { new: true }
-    );
-
-    if (!updatedUser) {
-      return res.status(404).json({ message: "User not found." });
-    }
 
-    res.status(200).json({ message: "User name updated successfully.", user: updatedUser });
+// Get breakdown of complaints by status for a product
+app.get('/product-complaints-details/:productId', requireRole(ROLES.VENDOR, ROLES.ADMIN), async (req, res) => {
+  try {
+    // Find all carts that contain this product
+    const cartsWithProduct = await Cart.find({ 
+      'product_id': req.params.productId 
+    }).distinct('_id');
+    
+    // Get complaint statistics
+    const complaints = await Complaint.aggregate([
+      { $match: { cart_id: { $in: cartsWithProduct } } },
+      { $group: { 
+        _id: '$status',
+        count: { $sum: 1 }
+      }}
+    ]);
+    
+    // Convert to object format
+    const result = {
+      total: 0,
+      pending: 0,
+      resolved: 0,
+      rejected: 0
+    };
+    
+    complaints.forEach(item => {
+      result.total += item.count;
+      result[item._id] = item.count;
+    });
+    
+    res.json(result);
   } catch (err) {
-    console.error("Error updating name:", err.message);
-    res.status(500).json({ message: "Server error", error: err.message });
+    res.status(500).json({ message: err.message });
   }
 });
-app.post("/login", async (req, res) => {
-  const { emailOrName, password } = req.body;
 
+// Get total orders (buys) for a product
+app.get('/product-orders-count/:productId', requireRole(ROLES.VENDOR, ROLES.ADMIN), async (req, res) => {
   try {
-    const user = await User.findOne({ user_email: emailOrName });
-    if (user && user.user_password === password)
-      return res.send({ login: "User", id: user._id });
-
-    const admin = await Admin.findOne({ email: emailOrName });
-    if (admin && admin.password === password)
-      return res.send({ login: "Admin", id: admin._id });
-
-    const vendor = await Vendor.findOne({ vendor_name: emailOrName });
-    if (vendor && vendor.vendor_password === password)
-      return res.send({ login: "Vendor", id: vendor._id });
-
-    const delivery = await DeliveryPerson.findOne({ email: emailOrName });
-    if (delivery && delivery.password === password)
-      return res.send({ login: "Delivery", id: delivery._id });
-
-    res.send({ login: "error" });
+    // Find all carts that contain this product and have associated orders
+    const count = await Cart.countDocuments({ 
+      product_id: req.params.productId,
+      order_id: { $exists: true, $ne: null }
+    });
+    
+    res.json({ count });
   } catch (err) {
-    console.error(err);
-    res.status(500).send("Server error");
+    res.status(500).json({ message: err.message });
   }
 });
 
-
-app.put("/vendor-accept/:id", async (req, res) => {
+app.put("/orders/update/:id", requireRole(ROLES.DELIVERY, ROLES.ADMIN), async (req, res) => {
   try {
-    const vendor = await Vendor.findById(req.params.id);
-    if (!vendor) {
-      return res.status(404).json({ message: "Vendor not found" });
+    const { id } = req.params; // Extract the order ID from the URL
+    const status = normalizeOrderStatus(req.body.status); // Extract the status from the request body
+
+    // Validate the status
+    if (![ORDER_STATUS.DELIVERED, ORDER_STATUS.RETURNED].includes(status)) {
+      return res.status(400).json({ message: "Invalid status value." });
     }
 
-    // Update vendor status
-    vendor.vendor_status = "accepted";
-    await vendor.save();
+    // Validate the order ID
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: "Invalid order ID." });
+    }
 
-    // Email content
-    let content = `
-    <html>
-    <head>
-        <title>Vendor Request Accepted</title>
-        <style>
-            .container {
-                width: 90%;
-                max-width: 600px;
-                margin: 0 auto;
-                padding: 20px;
-                background-color: #f2f2f2;
-                font-family: Arial, sans-serif;
-            }
-            .otp-box {
-                width: 90%;
-                max-width: 600px;
-                background-color: #ffffff;
-                padding: 20px;
-                border-radius: 8px;
-                text-align: center;
-                box-shadow: 0px 4px 10px rgba(0, 0, 0, 0.1);
-            }
-            .otp-text {
-                font-size: 24px;
-                font-weight: bold;
-                color: #333333;
-                margin-bottom: 10px;
-            }
-            .otp-number {
-                font-size: 48px;
-                font-weight: bold;
-                color: #28a745;
-                margin-top: 10px;
-            }
-            .instructions {
-                font-size: 16px;
-                color: #555555;
-                margin-top: 15px;
-                line-height: 1.5;
-            }
-            .login-button {
-                display: inline-block;
-                padding: 12px 25px;
-                margin-top: 20px;
-                font-size: 16px;
-                font-weight: bold;
-                color: #ffffff;
-                background-color: #007bff;
-                text-decoration: none;
-                border-radius: 5px;
-                transition: 0.3s ease;
-            }
-            .login-button:hover {
-                background-color: #0056b3;
-            }
-        </style>
-    </head>
-    <body>
-        <div class="container">
-            <div class="otp-box">
-                <div class="otp-text">Hi ${vendor.name}, Welcome to RegionHub! 🎉</div>
-                <div class="otp-number">✅</div>
-                <div class="instructions">
-                    Your vendor request has been <strong>approved</strong>! You can now start selling on <strong>RegionHub</strong>.<br><br>
-                    <strong>Your Vendor ID:</strong> ${vendor._id}
-                </div>
-                <a href="http://localhost:5173/guest/vendor-login" class="login-button">Click Here to Login</a>
-            </div>
-        </div>
-    </body>
-    </html>
-    `;
+    const order = await Order.findById(id);
+    if (!order) {
+      return res.status(404).json({ message: "Order not found." });
+    }
+    if (!canAccessOrder(req.user, order)) {
+      return res.status(403).json({ message: "Access denied" });
+    }
 
-    // Send email notification
-    sendEmail(vendor.email, content);
+    // Delivering a COD order records the cash taken at the door
+    if (status === ORDER_STATUS.DELIVERED && order.payment_method === PAYMENT_METHODS.COD) {
+      const collected = Number(req.body.collected_amount);
+      if (req.body.collected_amount === undefined || !Number.isFinite(collected) || collected < 0) {
+        return res.status(400).json({ message: "Collected cash amount is required for cash on delivery orders." });
+      }
 
-    res.json({ message: "Vendor request accepted successfully" });
+      const delivered = await deliverCodOrder(order, collected, req.user, req.body.note);
+      await recordOrderEarnings(delivered).catch((err) => console.error("Error recording vendor earnings:", err));
+      return res.status(200).json({ message: "Order status updated successfully.", order: delivered });
+    }
+
+    // Update the order status
+    const result = await transitionOrder(order, status, req.user, { note: req.body.note });
+    if (!result.order) {
+      return res.status(result.status).json({ message: result.message });
+    }
+
+    res.status(200).json({
+      message: "Order status updated successfully.",
+      order: result.order,
+      refund: result.refund || null,
+      refund_error: result.refundError || null,
+    });
   } catch (err) {
-    console.error("Error accepting vendor request:", err);
-    res.status(500).send("Server error");
+    if (err.status) {
+      return res.status(err.status).json({ message: err.message });
+    }
+    console.error("Error updating order status:", err);
+    res.status(500).json({ message: "Server error", error: err.message });
   }
 });
-
-// Other imports and configurations...
-
-const addressSchema = new mongoose.Schema({
-  user_id: {
+// Search
+// Every product has a search document holding the words of its name, variants,
+// category path, vendor name, details and description, plus the trigrams of
+// those words. Candidates are the documents sharing trigrams with the query (so
+// misspelt words still find them), scored per field in memory and blended with
+// the distance to the shop. Documents are rebuilt whenever a product, its
+// variants, its category or its vendor's name change.
+const SEARCH_FIELD_WEIGHTS = { name: 4, variants: 2, category: 2, vendor: 2, body: 1 };
+const SEARCH_CANDIDATES = Number(process.env.SEARCH_CANDIDATES || 300); // Documents and past queries weighed for "did you mean"
+const SEARCH_DISTANCE_WEIGHT = Number(process.env.SEARCH_DISTANCE_WEIGHT || 0.3); // Share of the ranking given to distance
+const SEARCH_DISTANCE_SCALE_KM = Number(process.env.SEARCH_DISTANCE_SCALE_KM || 5); // A shop this far away scores half
+const SEARCH_PAGE_SIZE = 20;
+const SEARCH_MAX_PAGE_SIZE = 50;
+
+const searchDocumentSchema = new mongoose.Schema({
+  product_id: {
     type: mongoose.Schema.Types.ObjectId,
-    ref: 'User',
-    required: true
+    ref: 'Product',
+    required: true,
+    unique: true,
   },
-  content: {
-    type: String,
-    required: true
+  vendor_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vendor',
+    index: true,
+  },
+  category_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    default: null,
+  },
+  name: { type: [String], default: [] },
+  variants: { type: [String], default: [] },
+  category: { type: [String], default: [] },
+  vendor: { type: [String], default: [] },
+  body: { type: [String], default: [] },
+  grams: { type: [String], default: [] },
+}, { timestamps: true });
+
+searchDocumentSchema.index({ grams: 1 });
+searchDocumentSchema.index({ name: 1 }); // Prefix suggestions
+
+const SearchDocument = mongoose.model('SearchDocument', searchDocumentSchema);
+
+// Lowercase words without accents or punctuation, in any script. Only Latin
+// accents are dropped: the vowel signs and viramas of Indic scripts are marks
+// too, but part of the word. Zero-width joiners only change how a word is drawn.
+const searchTerms = (...texts) => texts
+  .join(' ')
+  .toLowerCase()
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f\u200c\u200d]/g, '')
+  .split(/[^\p{L}\p{M}\p{N}]+/u)
+  .filter(Boolean);
+
+// Trigrams of a word, padded so its start and end count too
+const wordGrams = (word) => {
+  const padded = `^${word}$`;
+  const grams = [];
+  for (let i = 0; i + 3 <= padded.length; i++) grams.push(padded.slice(i, i + 3));
+  return grams;
+};
+
+// Typos allowed in a query word before it stops matching
+const allowedTypos = (word) => (word.length >= 8 ? 2 : word.length >= 4 ? 1 : 0);
+
+// Edit distance between two words, giving up once it passes max
+const editDistance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let best = i;
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+      best = Math.min(best, current[j]);
+    }
+    if (best > max) return max + 1;
+    previous = current;
   }
-});
-// Get user profile
-app.get('/user/:userId', async (req, res) => {
-  try {
-    const user = await User.findById(req.params.userId)
-      .select('-user_password -__v');
-    
-    if (!user) {
-      return res.status(404).json({ message: 'User not found' });
+  return previous[b.length];
+};
+
+// How well a query word matches a list of words: 1 for the same word, less for
+// a prefix or a near miss, 0 for nothing
+const wordMatch = (word, words) => {
+  let best = 0;
+  const typos = allowedTypos(word);
+  for (const candidate of words) {
+    if (candidate === word) return 1;
+    if (word.length >= 2 && candidate.startsWith(word)) best = Math.max(best, 0.8);
+    else if (typos > 0) {
+      const distance = editDistance(word, candidate, typos);
+      if (distance <= typos) best = Math.max(best, distance === 1 ? 0.6 : 0.4);
     }
-    
-    res.json(user);
-  } catch (error) {
-    res.status(500).json({ message: 'Server error' });
   }
-});
+  return best;
+};
 
-// Update user profile
-app.put('/user/:userId', async (req, res) => {
+// Relevance of a search document to the query words, between 0 and 1, and how
+// many of the words it matched
+const scoreSearchDocument = (document, words) => {
+  const topWeight = Math.max(...Object.values(SEARCH_FIELD_WEIGHTS));
+  let total = 0;
+  let matched = 0;
+  for (const word of words) {
+    let best = 0;
+    for (const [field, weight] of Object.entries(SEARCH_FIELD_WEIGHTS)) {
+      best = Math.max(best, weight * wordMatch(word, document[field]));
+    }
+    if (best > 0) matched++;
+    total += best;
+  }
+  return { relevance: total / (topWeight * words.length), matched };
+};
+
+// Rebuilds the search document of a product, or drops it when the product is gone
+const indexProduct = async (productId) => {
+  const product = await Product.findById(productId).populate('vendor_id', 'vendor_name');
+  if (!product) {
+    await SearchDocument.deleteOne({ product_id: productId });
+    return;
+  }
+
+  const [category, variants] = await Promise.all([
+    product.category_id ? Category.findById(product.category_id) : null,
+    ProductVariant.find({ product_id: product._id, active: true }),
+  ]);
+  const categories = category
+    ? await Category.find({ _id: { $in: [...category.ancestors, category._id] } }).select('category_name')
+    : [];
+  const attributes = product.attributes ? [...product.attributes.values()].map(String) : [];
+
+  const fields = {
+    name: searchTerms(product.name),
+    variants: searchTerms(...variants.map((variant) => `${variant.sku} ${variantLabel(variant)}`)),
+    category: searchTerms(...categories.map((node) => node.category_name)),
+    vendor: searchTerms(product.vendor_id?.vendor_name || ''),
+    body: searchTerms(product.description || '', product.details || '', ...attributes),
+  };
+  const words = new Set(Object.values(fields).flat());
+
+  await SearchDocument.updateOne(
+    { product_id: product._id },
+    {
+      $set: {
+        ...fields,
+        vendor_id: product.vendor_id?._id || product.vendor_id,
+        category_id: product.category_id || null,
+        grams: [...new Set([...words].flatMap(wordGrams))],
+      },
+    },
+    { upsert: true }
+  );
+};
+
+// Reindexing never fails the request that triggered it; the next change or a
+// rebuild catches up. Listing summaries are rebuilt along with the index.
+const reindexProducts = (productIds) => Promise.all(productIds.map(async (productId) => {
+  await indexProduct(productId);
+  await syncProductListing(productId);
+})).catch((err) => console.error('Search index error:', err));
+
+const reindexCategoryProducts = async (categoryId) => {
+  const products = await Product.find({ category_id: { $in: await categoryTreeIds(categoryId) } }).select('_id');
+  return reindexProducts(products.map((product) => product._id));
+};
+
+// Reindexes the vendor's products whose documents still carry another name for it
+const reindexVendorProducts = (vendor) => SearchDocument
+  .find({ vendor_id: vendor._id, vendor: { $ne: searchTerms(vendor.vendor_name || '') } })
+  .select('product_id')
+  .then((documents) => reindexProducts(documents.map((document) => document.product_id)))
+  .catch((err) => console.error('Search index error:', err));
+
+// Products added before the index existed are indexed once the database is up
+mongoose.connection.once('open', async () => {
   try {
-    const { user_name, user_photo } = req.body;
-    
-    const updatedUser = await User.findByIdAndUpdate(
-      req.params.userId,
-      { user_name, user_photo },
-      { new: true, runValidators: true }
-    ).select('-user_password -__v');
-    
-    res.json(updatedUser);
-  } catch (error) {
-    res.status(400).json({ message: error.message });
+    const indexed = await SearchDocument.distinct('product_id');
+    const missing = await Product.find({ _id: { $nin: indexed } }).select('_id');
+    for (const product of missing) {
+      await indexProduct(product._id);
+    }
+  } catch (err) {
+    console.error('Search index backfill error:', err);
+  }
+});
+
+// Searches products by relevance and distance, a page at a time
+const searchProducts = async ({ query, latitude, longitude, includeOutOfStock, page, limit }) => {
+  const words = [...new Set(searchTerms(query))];
+  if (words.length === 0) {
+    return { total: 0, results: [] };
+  }
+  const grams = [...new Set(words.flatMap(wordGrams))];
+
+  // Every document sharing a trigram with the query is scored, so the total and
+  // the pages cover all matches. Most of the query has to match, so long
+  // queries still find near misses.
+  const needed = Math.ceil(words.length / 2);
+  const scored = [];
+  const documents = SearchDocument.find({ grams: { $in: grams } })
+    .select('product_id name variants category vendor body')
+    .lean()
+    .cursor();
+  for await (const document of documents) {
+    const { relevance, matched } = scoreSearchDocument(document, words);
+    if (matched >= needed) scored.push({ productId: document.product_id, relevance });
+  }
+
+  // Stock and shop locations come from the listing summaries, so only the page
+  // being returned needs its products loaded
+  const productIds = scored.map(({ productId }) => productId);
+  const listings = new Map((await ProductListing.find({ product_id: { $in: productIds } })
+    .select('product_id available vendor_lat vendor_lon')
+    .lean()).map((listing) => [String(listing.product_id), listing]));
+  const unlisted = productIds.filter((productId) => !listings.has(String(productId)));
+  if (unlisted.length > 0) {
+    // Products whose summary is not built yet
+    const [products, stockByProduct] = await Promise.all([
+      Product.find({ _id: { $in: unlisted } }).select('vendor_id').populate('vendor_id', 'vendor_lat vendor_lon'),
+      availableStock(unlisted),
+    ]);
+    for (const product of products) {
+      listings.set(String(product._id), {
+        available: stockByProduct.get(String(product._id)),
+        vendor_lat: product.vendor_id?.vendor_lat,
+        vendor_lon: product.vendor_id?.vendor_lon,
+      });
+    }
   }
-});
 
-// Get user addresses
-app.get('/user/:userId/addresses', async (req, res) => {
-  try {
-    const addresses = await Address.find({ user_id: req.params.userId });
-    res.json(addresses);
-  } catch (error) {
-    res.status(500).json({ message: 'Server error' });
+  const ranked = [];
+  for (const { productId, relevance } of scored) {
+    const listing = listings.get(String(productId));
+    if (!listing) continue;
+
+    // Out of stock products are hidden unless asked for
+    if (listing.available <= 0 && !includeOutOfStock) continue;
+
+    const distance = listing.vendor_lat && listing.vendor_lon
+      ? haversineDistance(latitude, longitude, listing.vendor_lat, listing.vendor_lon)
+      : null;
+    const proximity = distance === null ? 0 : 1 / (1 + distance / SEARCH_DISTANCE_SCALE_KM);
+    const score = relevance * (1 - SEARCH_DISTANCE_WEIGHT) + proximity * SEARCH_DISTANCE_WEIGHT;
+
+    ranked.push({ productId, distance, available: listing.available, relevance, score });
   }
-});
+  ranked.sort((a, b) => b.score - a.score || (a.distance ?? Infinity) - (b.distance ?? Infinity));
 
-// Add new address
-app.post('/user/addresses', async (req, res) => {
+  const pageItems = ranked.slice((page - 1) * limit, page * limit);
+  const pageIds = pageItems.map(({ productId }) => productId);
+  const [products, images] = await Promise.all([
+    Product.find({ _id: { $in: pageIds } })
+      .populate('vendor_id')
+      .populate('category_id', 'category_name path'),
+    Gallery.find({ product_id: { $in: pageIds } }).sort({ _id: 1 }),
+  ]);
+  const productsById = new Map(products.map((product) => [String(product._id), product]));
+  const firstImages = new Map();
+  for (const image of images) {
+    if (!firstImages.has(String(image.product_id))) firstImages.set(String(image.product_id), image.gallery_photo);
+  }
+
+  return {
+    total: ranked.length,
+    results: pageItems
+      .filter(({ productId }) => productsById.has(String(productId)))
+      .map(({ productId, distance, available, relevance, score }) => {
+        const product = productsById.get(String(productId));
+        return {
+          ...product.toObject(),
+          category: product.category_id ? product.category_id.category_name : null,
+          distance,
+          firstImage: firstImages.get(String(product._id)) || null,
+          pricing: productPricing(product),
+          available,
+          stock_status: stockStatus(available, product.reorder_threshold),
+          relevance: Math.round(relevance * 1000) / 1000,
+          score: Math.round(score * 1000) / 1000,
+        };
+      }),
+  };
+};
+
+app.get("/search", async (req, res) => {
   try {
-    const { content } = req.body;
-    const userId = req.user._id; // From authentication middleware
-    
-    const newAddress = new Address({
-      user_id: userId,
-      content
+    const { query, latitude, longitude } = req.query;
+    const includeOutOfStock = req.query.include_out_of_stock === "true";
+
+    if (!query || !String(query).trim()) {
+      return res.status(400).json({ message: "Search query is required" });
+    }
+
+    if (!latitude || !longitude || isNaN(latitude) || isNaN(longitude)) {
+      return res.status(400).json({ message: "User location is required" });
+    }
+
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(SEARCH_MAX_PAGE_SIZE, Math.max(1, parseInt(req.query.limit, 10) || SEARCH_PAGE_SIZE));
+
+    const { total, results } = await searchProducts({
+      query: String(query),
+      latitude: parseFloat(latitude),
+      longitude: parseFloat(longitude),
+      includeOutOfStock,
+      page,
+      limit,
     });
-    
-    await newAddress.save();
-    res.status(201).json(newAddress);
-  } catch (error) {
-    res.status(400).json({ message: error.message });
+    if (page === 1) {
+      await logSearch(String(query), total);
+    }
+
+    // No matches is an empty page, not an error
+    res.json({
+      query,
+      page,
+      limit,
+      total,
+      total_pages: Math.ceil(total / limit),
+      results,
+      did_you_mean: total === 0 ? await didYouMean(String(query)) : null,
+    });
+  } catch (err) {
+    console.error("Error fetching search results:", err);
+    res.status(500).send("Server error");
   }
 });
 
-// Update address
-app.put('/user/addresses/:addressId', async (req, res) => {
+// Suggestions
+// Searches from the first page of /search are logged per normalised query, so
+// suggestions can offer what other people searched for (and found something).
+const SUGGESTION_LIMIT = 5;
+
+const searchLogSchema = new mongoose.Schema({
+  query: {
+    type: String,
+    required: true,
+    unique: true, // Normalised: lowercase words separated by single spaces
+  },
+  count: {
+    type: Number,
+    default: 0,
+  },
+  last_results: {
+    type: Number,
+    default: 0, // Matches the last time it was searched
+  },
+  last_searched_at: {
+    type: Date,
+    default: Date.now,
+  },
+}, { timestamps: true });
+
+searchLogSchema.index({ last_results: 1, count: -1 });
+
+const SearchLog = mongoose.model('SearchLog', searchLogSchema);
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Logging never fails the search
+const logSearch = (query, results) => {
+  const normalised = searchTerms(query).join(' ');
+  if (!normalised) return Promise.resolve();
+  return SearchLog.updateOne(
+    { query: normalised },
+    { $inc: { count: 1 }, $set: { last_results: results, last_searched_at: new Date() } },
+    { upsert: true }
+  ).catch((err) => console.error('Search log error:', err));
+};
+
+// Closest indexed word to a misspelt one, preferring words that appear in more products
+const closestWord = async (word) => {
+  const typos = Math.max(1, allowedTypos(word)) + (word.length >= 5 ? 1 : 0);
+  const documents = await SearchDocument.aggregate([
+    { $match: { grams: { $in: wordGrams(word) } } },
+    { $limit: SEARCH_CANDIDATES },
+    { $project: { name: 1, variants: 1, category: 1, vendor: 1 } },
+  ]);
+
+  const seen = new Map();
+  for (const document of documents) {
+    for (const candidate of new Set([...document.name, ...document.variants, ...document.category, ...document.vendor])) {
+      seen.set(candidate, (seen.get(candidate) || 0) + 1);
+    }
+  }
+
+  let best = null;
+  for (const [candidate, products] of seen) {
+    const distance = editDistance(word, candidate, typos);
+    if (distance > typos) continue;
+    if (!best || distance < best.distance || (distance === best.distance && products > best.products)) {
+      best = { word: candidate, distance, products };
+    }
+  }
+  return best;
+};
+
+// A corrected query for one that found nothing, or null when no correction helps
+const didYouMean = async (query) => {
+  const words = searchTerms(query);
+  if (words.length === 0) return null;
+
+  // A popular query that found something and is a typo or two away wins outright
+  const popular = await SearchLog.find({ last_results: { $gt: 0 } }).sort({ count: -1 }).limit(SEARCH_CANDIDATES);
+  const normalised = words.join(' ');
+  const typos = Math.max(1, allowedTypos(normalised));
+  const close = popular.find((log) => log.query !== normalised && editDistance(normalised, log.query, typos) <= typos);
+  if (close) return close.query;
+
+  const corrected = [];
+  for (const word of words) {
+    const best = await closestWord(word);
+    corrected.push(best ? best.word : word);
+  }
+  const suggestion = corrected.join(' ');
+  return suggestion !== normalised ? suggestion : null;
+};
+
+// Fast prefix suggestions while typing: the last word may be unfinished, the
+// ones before it have to match whole
+const suggestFor = async (q) => {
+  const words = searchTerms(q);
+  if (words.length === 0) {
+    return { products: [], categories: [], vendors: [], queries: [] };
+  }
+  const prefix = words[words.length - 1];
+  const complete = words.slice(0, -1);
+  const namePattern = new RegExp(`(^|[^\\p{L}\\p{M}\\p{N}])${escapeRegex(prefix)}`, 'iu');
+
+  const productFilter = {
+    name: { $regex: `^${escapeRegex(prefix)}` },
+    ...(complete.length > 0 ? { $and: complete.map((word) => ({ $or: [{ name: word }, { variants: word }, { category: word }, { vendor: word }] })) } : {}),
+  };
+
+  const [productDocuments, productCount, categories, vendors, queries] = await Promise.all([
+    SearchDocument.find(productFilter).select('product_id').limit(SUGGESTION_LIMIT),
+    SearchDocument.countDocuments(productFilter),
+    complete.length === 0 ? Category.find({ category_name: namePattern }).limit(SUGGESTION_LIMIT) : [],
+    complete.length === 0 ? Vendor.find({ vendor_name: namePattern, vendor_status: "accepted" }).select('vendor_name').limit(SUGGESTION_LIMIT) : [],
+    SearchLog.find({ query: { $regex: `^${escapeRegex(words.join(' '))}` }, last_results: { $gt: 0 } })
+      .sort({ count: -1 })
+      .limit(SUGGESTION_LIMIT),
+  ]);
+
+  const products = await Product.find({ _id: { $in: productDocuments.map((document) => document.product_id) } }).select('name');
+
+  return {
+    products: products.map((product) => ({ product_id: product._id, name: product.name })),
+    product_count: productCount,
+    categories: await Promise.all(categories.map(async (category) => ({
+      category_id: category._id,
+      category_name: category.category_name,
+      path: category.path,
+      count: await Product.countDocuments({ category_id: { $in: await categoryTreeIds(category._id) } }),
+    }))),
+    vendors: await Promise.all(vendors.map(async (vendor) => ({
+      vendor_id: vendor._id,
+      vendor_name: vendor.vendor_name,
+      count: await Product.countDocuments({ vendor_id: vendor._id }),
+    }))),
+    queries: queries.map((log) => ({ query: log.query, count: log.count })),
+  };
+};
+
+app.get("/search/suggest", async (req, res) => {
   try {
-    const { content } = req.body;
-    
-    const updatedAddress = await Address.findByIdAndUpdate(
-      req.params.addressId,
-      { content },
-      { new: true }
-    );
-    
-    res.json(updatedAddress);
-  } catch (error) {
-    res.status(400).json({ message: error.message });
+    const q = String(req.query.q || "").trim();
+    if (!q) {
+      return res.status(400).json({ message: "q is required" });
+    }
+
+    const suggestions = await suggestFor(q);
+    const empty = suggestions.products.length === 0 && suggestions.categories.length === 0 && suggestions.vendors.length === 0;
+
+    res.json({
+      q,
+      ...suggestions,
+      did_you_mean: empty ? await didYouMean(q) : null,
+    });
+  } catch (err) {
+    console.error("Error fetching search suggestions:", err);
+    res.status(500).json({ message: "Server error", error: err.message });
   }
 });
 
-// Delete address
-app.delete('/user/addresses/:addressId', async (req, res) => {
+// Rebuilds the whole search index, e.g. after changing how documents are built
+app.post("/admin/search/reindex", requireRole(ROLES.ADMIN), async (req, res) => {
   try {
-    await Address.findByIdAndDelete(req.params.addressId);
-    res.json({ message: 'Address deleted successfully' });
-  } catch (error) {
-    res.status(400).json({ message: error.message });
+    const products = await Product.find().select('_id');
+    for (const product of products) {
+      await indexProduct(product._id);
+    }
+    const removed = await SearchDocument.deleteMany({ product_id: { $nin: products.map((product) => product._id) } });
+    res.json({ message: "Search index rebuilt", indexed: products.length, removed: removed.deletedCount });
+  } catch (err) {
+    console.error("Error rebuilding search index:", err);
+    res.status(500).json({ message: "Server error", error: err.message });
   }
 });
-app.get("/vendor/:id", async (req, res) => {
+app.get("/vendor-profile", requireSelf('vendorId', ROLES.VENDOR), async (req, res) => {
   try {
-    const vendor = await Vendor.findById(req.params.id);
+    const { vendorId } = req.query;
+
+    const vendor = await Vendor.findById(vendorId);
     if (!vendor) {
       return res.status(404).json({ message: "Vendor not found" });
     }
+
     res.json(vendor);
+  } catch (err) {
+    console.error("Error fetching vendor profile:", err.message);
+    res.status(500).send("Server error");
+  }
+});
+
+app.get("/vendor-products-with-order/:vendorId", requireSelf('vendorId', ROLES.VENDOR), async (req, res) => {
+  try {
+    const { vendorId } = req.params;
+    console.log("Vendor ID:", vendorId);
+
+    const vendorOrders = await Cart.aggregate([
+      {
+        $lookup: {
+          from: "products",
+          localField: "product_id",
+          foreignField: "_id",
+          as: "product",
+        },
+      },
+      { $unwind: "$product" },
+      {
+        $match: {
+          "product.vendor_id": new mongoose.Types.ObjectId(vendorId),
+        },
+      },
+      {
+        $lookup: {
+          from: "orders",
+          localField: "order_id",
+          foreignField: "_id",
+          as: "order",
+        },
+      },
+      { $unwind: { path: "$order", preserveNullAndEmptyArrays: true } },
+
+      // ✅ Only orders that have been paid for
+      {
+        $match: {
+          "order.status": { $in: PAID_ORDER_STATUSES }
+        },
+      },
+
+      {
+        $lookup: {
+          from: "users",
+          localField: "order.user_id",
+          foreignField: "_id",
+          as: "user",
+        },
+      },
+      { $unwind: { path: "$user", preserveNullAndEmptyArrays: true } },
+      {
+        $lookup: {
+          from: "addresses",
+          localField: "user._id",
+          foreignField: "user_id",
+          as: "address",
+        },
+      },
+      {
+        $unwind: {
+          path: "$address",
+          preserveNullAndEmptyArrays: true,
+        },
+      },
+      {
+        $project: {
+          _id: 1,
+          qty: 1,
+          cart_price: 1,
+          status: 1,
+          "product.name": 1,
+          "product.price": 1,
+          "order._id": 1,
+          "order.date": 1,
+          "order.order_amount": 1,
+          "order.status": 1,
+          "user.user_name": 1,
+          "user.user_email": 1,
+          "address.content": 1,
+        },
+      },
+    ]);
+
+    res.status(200).json({ success: true, vendorOrders });
   } catch (error) {
-    console.error(error);
-    res.status(500).json({ message: "Server error" });
+    console.error("Error fetching vendor orders:", error);
+    res.status(500).json({ success: false, message: "Server Error" });
   }
 });
 
-app.put("/vendor/update/:id", async (req, res) => {
-  try {
-    const { vendor_lat, vendor_lon, vendor_address } = req.body;
-    const updatedVendor = await Vendor.findByIdAndUpdate(
-      req.params.id,
-      { vendor_lat, vendor_lon, vendor_address },
-      { new: true }
-    );
-    if (!updatedVendor) {
-      return res.status(404).json({ message: "Vendor not found" });
-    }
-    res.json({ message: "Vendor updated successfully", vendor: updatedVendor });
-  } catch (err) {
-    res.status(500).json({ message: "Server error" });
-  }
-});
-app.delete("/vendor/delete/:id", async (req, res) => {
-  try {
-    const deletedVendor = await Vendor.findByIdAndDelete(req.params.id);
-    if (!deletedVendor) {
-      return res.status(404).json({ message: "Vendor not found" });
-    }
-    res.json({ message: "Vendor account deleted successfully" });
-  } catch (err) {
-    res.status(500).json({ message: "Server error" });
-  }
-});
 
-const Address = mongoose.model('Address', addressSchema);
+//     const { vendorId } = req.params;
 
-app.post("/address", async (req, res) => {
-  try {
-    const { user_id, content } = req.body;
+//     if (!vendorId) {
+//       return res.status(400).json({ message: "Vendor ID is required" });
+//     }
 
-    const address = new Address({
-      user_id,
-      content
-    });
+//     // Convert vendorId to ObjectId
+//     const vendorObjectId = new ObjectId(vendorId);
 
-    await address.save();
-    res.json({ message: "Address added successfully" });
-  } catch (err) {
-    console.error(err.message);
-    res.status(500).send("Server error");
-  }
-});
-// Edit an address
-app.put("/address/:id", async (req, res) => {
-  try {
-    const { content } = req.body;
-    const updatedAddress = await Address.findByIdAndUpdate(
-      req.params.id,
-      { content },
-      { new: true }
-    );
-    res.json({ message: "Address updated successfully", address: updatedAddress });
-  } catch (err) {
-    console.error(err.message);
-    res.status(500).send("Server error");
-  }
-});
+//     // Find all orders related to this vendor with status 2-5
+//     const orders = await Order.find({
+//       vendor_id: vendorObjectId,
+//       status: { $in: ["2", "3", "4", "5"] } // Filtering orders with status 2-5
+//     }).select("_id status");
 
-// Delete an address
-app.delete("/address/:id", async (req, res) => {
-  try {
-    await Address.findByIdAndDelete(req.params.id);
-    res.json({ message: "Address deleted successfully" });
-  } catch (err) {
-    console.error(err.message);
-    res.status(500).send("Server error");
-  }
-});
+//     if (!orders.length) {
+//       return res.status(404).json({ message: "No orders found with statuses 2-5 for this vendor" });
+//     }
 
-app.get("/addresses", async (req, res) => {
-  try {
-    const addresses = await Address.find().populate('user_id');
-    res.json(addresses);
-  } catch (err) {
-    console.error(err.message);
-    res.status(500).send("Server error");
-  }
-});
+//     // Extract order IDs
+//     const orderIds = orders.map(order => order._id);
 
-// Other routes and configurations...
+//     // Find products in Cart that belong to these orders
+//     const cartItems = await Cart.find({
+//       order_id: { $in: orderIds }
+//     }).populate("product_id", "name");
 
+//     if (!cartItems.length) {
+//       return res.status(404).json({ message: "No products found for orders with statuses 2-5" });
+//     }
 
+//     // Prepare final response with products and order statuses
+//     const results = await Promise.all(
+//       cartItems.map(async (cartItem) => {
+//         const order = orders.find(order => order._id.equals(cartItem.order_id));
+//         const galleryImage = await Gallery.findOne({ product_id: cartItem.product_id._id });
 
+//         return {
+//           _id: cartItem.product_id._id,
+//           name: cartItem.product_id.name,
+//           orderStatus: order ? order.status : "Unknown",
+//           firstImage: galleryImage ? galleryImage.gallery_photo : null,
+//         };
+//       })
+//     );
 
-app.delete("/vendor-remove/:id", async (req, res) => {
-  try {
-    const vendor = await Vendor.findById(req.params.id);
-    if (!vendor) {
-      return res.status(404).json({ message: "Vendor not found" });
-    }
-    await Vendor.deleteOne({ _id: req.params.id });
-    res.json({ message: "Vendor removed successfully" });
-  } catch (err) {
-    console.error(err.message);
-    res.status(500).send("Server error");
-  }
-});
+//     res.json(results);
+//   } catch (err) {
+//     console.error("Error fetching vendor products with order statuses:", err);
+//     res.status(500).json({ message: "Server error", error: err.message });
+//   }
+// });
 
-// Product Routes
-app.post("/products", async (req, res) => {
+app.get("/api/get-coordinates", requireSelf('user_id', ROLES.USER), async (req, res) => {
   try {
-    const { name, description, details, offer, price, category_id, vendor_id } = req.body;
+    const { user_id } = req.query;
 
-    const product = new Product({
-      name,
-      description,
-      details,
-      offer,
-      price,
-      category_id,
-      vendor_id
-    });
+    // Validate user_id
+    if (!user_id) {
+      return res.status(400).json({ message: "User ID is required" });
+    }
 
-    await product.save();
-    res.json({ message: "Product added successfully" });
-  } catch (err) {
-    console.error(err.message);
-    res.status(500).send("Server error");
-  }
-});
+    // Fetch the user from the database
+    const user = await User.findById(user_id);
+    if (!user || user.latitude === undefined || user.longitude === undefined) {
+      return res.status(404).json({ message: "No saved location found" });
+    }
 
-app.get("/categories", async (req, res) => {
-  try {
-    const categories = await Category.find();
-    res.json(categories);
+    // Return the saved coordinates
+    res.json({ latitude: user.latitude, longitude: user.longitude });
   } catch (err) {
-    console.error(err.message);
+    console.error("Error fetching saved location:", err);
     res.status(500).send("Server error");
   }
 });
 
-app.post("/gallery", upload.fields([{ name: 'gallery_photo' }]), (req, res) => {
-  console.log('Received data:', req.body);
-  console.log('Received files:', req.files);
 
-  const { product_id } = req.body;
-  var fileValue = JSON.parse(JSON.stringify(req.files));
-  var galleryPhotoSrc = `http://127.0.0.1:${port}/uploads/${fileValue.gallery_photo[0].filename}`;
 
-  // Log the data for debugging
-  console.log('Processed data:', { product_id, galleryPhotoSrc });
+// Payments
+// Money moves through a payment provider. Each provider implements:
+//   createIntent(payment)            -> { id, client_secret }
+//   confirm(payment, paymentMethod)  -> { status: 'captured' | 'failed' | 'pending', amount, reference, reason }
+//   refund(payment, amount)          -> { status: 'succeeded' | 'failed', reference, reason }
+//   verifyWebhook(rawBody, headers)  -> { id, type, intent_id, amount, reference, reason }, or null if the signature is bad
+// Orders only become paid once their payment is captured for exactly what they cost.
+const PAYMENT_STATUS = {
+  REQUIRES_CONFIRMATION: 'requires_confirmation',
+  PROCESSING: 'processing',
+  CAPTURED: 'captured',
+  FAILED: 'failed',
+  NEEDS_REVIEW: 'needs_review', // Captured, but the orders could not be marked paid; settle by hand
+  PARTIALLY_REFUNDED: 'partially_refunded',
+  REFUNDED: 'refunded',
+};
 
-  const gallery = new Gallery({
-    gallery_photo: galleryPhotoSrc,
-    product_id
-  });
+// Payments that may still turn into a capture
+const OPEN_PAYMENT_STATUSES = [PAYMENT_STATUS.REQUIRES_CONFIRMATION, PAYMENT_STATUS.PROCESSING];
 
-  gallery.save()
-    .then(() => {
-      res.status(201).send({ message: 'Image uploaded successfully', data: { product_id, galleryPhotoSrc } });
-    })
-    .catch(err => {
-      console.error(err.message);
-      res.status(500).send("Server error");
-    });
-});
-app.get("/vendor-details", async (req, res) => {
-  try {
-    const { vendorId } = req.query;
+const PAYMENT_WEBHOOK_EVENTS = {
+  CAPTURED: 'payment.captured',
+  FAILED: 'payment.failed',
+  REFUNDED: 'refund.succeeded',
+};
 
-    const vendor = await Vendor.findById(vendorId);
-    if (!vendor) return res.status(404).json({ message: "Vendor not found" });
+const PAYMENT_WEBHOOK_SECRET = process.env.PAYMENT_WEBHOOK_SECRET || crypto.randomBytes(32).toString('hex');
+if (!process.env.PAYMENT_WEBHOOK_SECRET) {
+  console.warn('PAYMENT_WEBHOOK_SECRET is not set, webhooks signed before a restart will be rejected');
+}
 
-    res.json(vendor);
-  } catch (err) {
-    console.error(err);
-    res.status(500).json({ message: "Server error" });
-  }
-});
-app.put("/vendor-update", upload.single("vendor_photo"), async (req, res) => {
-  try {
-    const { vendorId } = req.query;
-    const {
-      vendor_address,
-      vendor_pincode,
-      vendor_lat,
-      vendor_lon,
-      vendor_password
-    } = req.body;
+const paymentEventSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: true,
+  },
+  provider_event_id: {
+    type: String,
+    default: null, // Set for events delivered by webhook
+  },
+  amount: {
+    type: Number,
+    default: null,
+  },
+  reference: {
+    type: String,
+    default: null,
+  },
+  reason: {
+    type: String,
+    default: null,
+  },
+  at: {
+    type: Date,
+    default: Date.now,
+  },
+}, { _id: false });
+
+const paymentSchema = new mongoose.Schema({
+  user_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  checkout_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Checkout',
+    default: null,
+  },
+  order_ids: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+  }],
+  amount: {
+    type: Number,
+    required: true,
+  },
+  currency: {
+    type: String,
+    default: 'INR',
+  },
+  provider: {
+    type: String,
+    required: true,
+  },
+  provider_intent_id: {
+    type: String,
+    default: null,
+  },
+  provider_reference: {
+    type: String,
+    default: null, // The provider's id for the captured charge
+  },
+  client_secret: {
+    type: String,
+    default: null,
+    select: false,
+  },
+  status: {
+    type: String,
+    enum: Object.values(PAYMENT_STATUS),
+    default: PAYMENT_STATUS.REQUIRES_CONFIRMATION,
+  },
+  idempotency_key: {
+    type: String,
+    default: null,
+  },
+  failure_reason: {
+    type: String,
+    default: null,
+  },
+  refunded_amount: {
+    type: Number,
+    default: 0,
+  },
+  captured_at: {
+    type: Date,
+    default: null,
+  },
+  events: {
+    type: [paymentEventSchema],
+    default: [],
+  },
+}, { timestamps: true });
 
-    const vendor = await Vendor.findById(vendorId);
-    if (!vendor) {
-      return res.status(404).json({ message: "Vendor not found" });
+paymentSchema.index({ user_id: 1, idempotency_key: 1 }, {
+  unique: true,
+  partialFilterExpression: { idempotency_key: { $type: 'string' } },
+});
+paymentSchema.index({ provider: 1, provider_intent_id: 1 });
+paymentSchema.index({ order_ids: 1, status: 1 });
+
+const Payment = mongoose.model('Payment', paymentSchema);
+
+// Amounts are compared in paise so floating point sums cannot cause a mismatch
+const toMinorUnits = (amount) => Math.round(Number(amount) * 100);
+
+const signPaymentWebhook = (rawBody) =>
+  crypto.createHmac('sha256', PAYMENT_WEBHOOK_SECRET).update(rawBody).digest('hex');
+
+const paymentReference = (prefix) => `${prefix}_${crypto.randomBytes(12).toString('hex')}`;
+
+// Local provider for development and testing, enabled with PAYMENT_PROVIDER=mock
+// outside production. Card numbers ending in 0002 are declined and everything
+// else is captured in full. Webhooks carry an X-Mock-Signature header: the hex
+// HMAC-SHA256 of the raw body keyed with PAYMENT_WEBHOOK_SECRET.
+const mockPaymentProvider = {
+  name: 'mock',
+
+  createIntent: async () => {
+    const id = paymentReference('mock_pi');
+    return { id, client_secret: `${id}_secret_${crypto.randomBytes(8).toString('hex')}` };
+  },
+
+  confirm: async (payment, paymentMethod = {}) => {
+    const cardNumber = String(paymentMethod.card_number || '').replace(/\D/g, '');
+    if (cardNumber.endsWith('0002')) {
+      return { status: 'failed', reason: 'card_declined' };
     }
+    return { status: 'captured', amount: payment.amount, reference: paymentReference('mock_ch') };
+  },
 
-    // Update allowed fields
-    vendor.vendor_address = vendor_address;
-    vendor.vendor_pincode = vendor_pincode;
-    vendor.vendor_lat = vendor_lat;
-    vendor.vendor_lon = vendor_lon;
+  refund: async (payment, amount) => ({ status: 'succeeded', amount, reference: paymentReference('mock_re') }),
 
-    if (vendor_password) {
-      vendor.vendor_password = vendor_password; // No hashing as per your request
+  verifyWebhook: (rawBody, headers) => {
+    const signature = String(headers['x-mock-signature'] || '');
+    const expected = signPaymentWebhook(rawBody || '');
+    if (signature.length !== expected.length || !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+      return null;
     }
+    return JSON.parse(rawBody.toString());
+  },
+};
 
-    if (req.file) {
-      vendor.vendor_photo = req.file.filename;
+// Providers by name; PAYMENT_PROVIDER picks the one new payments use. The mock
+// captures nearly any card, so it is only offered when asked for by name and
+// never in production.
+const PAYMENT_PROVIDERS = {
+  ...(process.env.NODE_ENV !== 'production' ? { [mockPaymentProvider.name]: mockPaymentProvider } : {}),
+};
+
+// Refuse to start rather than take orders nobody can pay for, or that are paid for free
+const PAYMENT_PROVIDER = process.env.PAYMENT_PROVIDER;
+if (!PAYMENT_PROVIDERS[PAYMENT_PROVIDER]) {
+  throw new Error(PAYMENT_PROVIDER
+    ? `Unknown payment provider: ${PAYMENT_PROVIDER}`
+    : `PAYMENT_PROVIDER is not set (available: ${Object.keys(PAYMENT_PROVIDERS).join(', ') || 'none'})`);
+}
+
+const paymentProvider = (name = PAYMENT_PROVIDER) => {
+  const provider = PAYMENT_PROVIDERS[name];
+  if (!provider) {
+    throw new Error(`Unknown payment provider: ${name}`);
+  }
+  return provider;
+};
+
+const sameOrders = (a, b) =>
+  a.length === b.length && a.map(String).sort().join() === b.map(String).sort().join();
+
+// Starts a payment for a user's placed order, or for every placed order of a
+// checkout. Repeating an idempotency key returns the payment it first created,
+// and a payment still open for the same orders is reused rather than duplicated.
+const createPayment = async ({ userId, orderId = null, checkoutId = null, idempotencyKey = null }) => {
+  if (idempotencyKey) {
+    const existing = await Payment.findOne({ user_id: userId, idempotency_key: idempotencyKey });
+    if (existing) {
+      const sameTarget = checkoutId
+        ? String(existing.checkout_id) === String(checkoutId)
+        : sameOrders(existing.order_ids, [orderId]);
+      if (!sameTarget) {
+        throw httpError(422, "This idempotency key was already used for a different payment.");
+      }
+      return { payment: existing };
     }
+  }
 
-    await vendor.save();
-    res.json({ message: "Vendor updated successfully" });
+  const orders = await Order.find({
+    ...(checkoutId ? { checkout_id: checkoutId } : { _id: orderId }),
+    user_id: userId,
+    status: ORDER_STATUS.PLACED,
+  });
+  if (orders.length === 0) {
+    throw httpError(404, "Order not found or already processed.");
+  }
+  const orderIds = orders.map((order) => order._id);
 
-  } catch (err) {
-    console.error(err);
-    res.status(500).send("Server error");
+  const open = await Payment.findOne({ order_ids: { $in: orderIds }, status: { $in: OPEN_PAYMENT_STATUSES } })
+    .select('+client_secret');
+  if (open) {
+    if (!sameOrders(open.order_ids, orderIds)) {
+      throw httpError(409, "Another payment for these orders is in progress.");
+    }
+    return { payment: open, clientSecret: open.client_secret };
   }
-});
-app.get("/products", async (req, res) => {
+
+  const provider = paymentProvider();
+  const payment = new Payment({
+    user_id: userId,
+    checkout_id: checkoutId || orders[0].checkout_id || null,
+    order_ids: orderIds,
+    amount: orders.reduce((sum, order) => sum + order.order_amount, 0),
+    provider: provider.name,
+    idempotency_key: idempotencyKey,
+  });
+  const intent = await provider.createIntent(payment);
+  payment.provider_intent_id = intent.id;
+  payment.client_secret = intent.client_secret || null;
+
   try {
-    const { vendorId } = req.query;
-    if (!vendorId) {
-      return res.status(400).send("vendorId is required");
-    }
-    const products = await Product.find({ vendor_id: vendorId }).populate('category_id').populate('vendor_id');
-    res.json(products);
+    await payment.save();
   } catch (err) {
-    console.error(err.message);
-    res.status(500).send("Server error");
+    // A concurrent request with the same key won the race
+    if (err.code === 11000 && idempotencyKey) {
+      return { payment: await Payment.findOne({ user_id: userId, idempotency_key: idempotencyKey }) };
+    }
+    throw err;
   }
-});
+  return { payment, clientSecret: payment.client_secret };
+};
 
-app.post("/stocks", async (req, res) => {
-  try {
-    const { stock_quantity, product_id, stock_date } = req.body;
+// Settles an open payment into a final status, unless something else settled it first
+const settlePayment = async (payment, status, event, set = {}, session = null) => {
+  const settled = await Payment.findOneAndUpdate(
+    { _id: payment._id, status: { $in: OPEN_PAYMENT_STATUSES } },
+    { $set: { status, ...set }, $push: { events: { ...event, at: new Date() } } },
+    { new: true, session }
+  );
+  return settled || Payment.findById(payment._id).session(session);
+};
 
-    const stock = new Stock({
-      stock_quantity,
-      product_id,
-      stock_date
+// Marks the payment's orders paid when the captured amount matches what they cost
+const capturePayment = async (payment, { amount, reference = null, id = null }, actor) => {
+  const event = { type: 'captured', provider_event_id: id, amount, reference };
+
+  const orders = await Order.find({ _id: { $in: payment.order_ids } });
+  const due = orders.reduce((sum, order) => sum + order.order_amount, 0);
+  const exact = orders.length === payment.order_ids.length
+    && orders.every((order) => order.status === ORDER_STATUS.PLACED)
+    && toMinorUnits(amount) === toMinorUnits(payment.amount)
+    && toMinorUnits(due) === toMinorUnits(payment.amount);
+
+  if (!exact) {
+    return settlePayment(payment, PAYMENT_STATUS.NEEDS_REVIEW, event, {
+      provider_reference: reference,
+      failure_reason: "Captured amount does not match the orders",
     });
-
-    await stock.save();
-    res.json({ message: "Stock added successfully" });
-  } catch (err) {
-    console.error(err.message);
-    res.status(500).send("Server error");
   }
-});
 
-// Product Details - Vendor
-app.get("/product-gallery/:productId", async (req, res) => {
   try {
-    const { productId } = req.params;
-    const gallery = await Gallery.find({ product_id: productId });
-    res.json(gallery);
+    return await withTransaction(async (session) => {
+      for (const order of orders) {
+        await commitOrderStock(order._id, actor, session);
+        const result = await transitionOrder(order, ORDER_STATUS.PAID, actor, {
+          note: `Payment ${payment._id}`,
+          update: { payment_id: payment._id },
+          session,
+        });
+        if (!result.order) {
+          throw httpError(result.status, result.message);
+        }
+      }
+
+      const captured = await Payment.findOneAndUpdate(
+        { _id: payment._id, status: { $in: OPEN_PAYMENT_STATUSES } },
+        {
+          $set: { status: PAYMENT_STATUS.CAPTURED, provider_reference: reference, captured_at: new Date() },
+          $push: { events: { ...event, at: new Date() } },
+        },
+        { new: true, session }
+      );
+      if (!captured) {
+        throw httpError(409, "Payment was already settled.");
+      }
+      return captured;
+    });
   } catch (err) {
-    console.error(err.message);
-    res.status(500).send("Server error");
+    if (!err.status) throw err;
+    // Money was taken but the orders could not be paid for (stock gone, order changed)
+    return settlePayment(payment, PAYMENT_STATUS.NEEDS_REVIEW, event, {
+      provider_reference: reference,
+      failure_reason: err.message,
+    });
   }
-});
+};
 
-app.get("/product-details/:productId", async (req, res) => {
+const failPayment = (payment, { reason = null, id = null }) =>
+  settlePayment(payment, PAYMENT_STATUS.FAILED, { type: 'failed', provider_event_id: id, reason }, {
+    failure_reason: reason,
+  });
+
+// Confirms a payment with the provider once; confirming again returns its current state
+const confirmPayment = async (payment, paymentMethod, actor) => {
+  const claimed = await Payment.findOneAndUpdate(
+    { _id: payment._id, status: PAYMENT_STATUS.REQUIRES_CONFIRMATION },
+    { $set: { status: PAYMENT_STATUS.PROCESSING } },
+    { new: true }
+  );
+  if (!claimed) {
+    return Payment.findById(payment._id);
+  }
+
+  let result;
   try {
-    const { productId } = req.params;
-    const product = await Product.findById(productId).populate('category_id').populate('vendor_id');
-    res.json(product);
+    result = await paymentProvider(claimed.provider).confirm(claimed, paymentMethod);
   } catch (err) {
-    console.error(err.message);
-    res.status(500).send("Server error");
+    // Let the customer try again if the provider could not be reached
+    await Payment.updateOne(
+      { _id: claimed._id, status: PAYMENT_STATUS.PROCESSING },
+      { $set: { status: PAYMENT_STATUS.REQUIRES_CONFIRMATION } }
+    );
+    throw err;
   }
-});
-app.put("/product-details/:productId", async (req, res) => {
-  const { productId } = req.params;
 
-  // Check if the ID is valid
-  if (!mongoose.Types.ObjectId.isValid(productId)) {
-    return res.status(400).json({ error: "Invalid product ID" });
+  if (result.status === 'captured') return capturePayment(claimed, result, actor);
+  if (result.status === 'failed') return failPayment(claimed, result);
+  // Pending: the provider reports the outcome by webhook
+  return claimed;
+};
+
+// Refunds part or all of a captured payment through its provider. With
+// viaProvider false the refund is only booked, for money paid back another way.
+const refundPayment = async (payment, amount, reason = null, { viaProvider = true } = {}) => {
+  if (![PAYMENT_STATUS.CAPTURED, PAYMENT_STATUS.PARTIALLY_REFUNDED, PAYMENT_STATUS.NEEDS_REVIEW].includes(payment.status)) {
+    throw httpError(409, `A ${payment.status} payment cannot be refunded.`);
+  }
+  if (!(amount > 0)) {
+    throw httpError(400, "Refund amount must be positive.");
   }
 
-  try {
-    const updatedProduct = await Product.findByIdAndUpdate(productId, req.body, { new: true });
+  // Reserve the amount first so concurrent refunds cannot exceed the payment
+  const claimed = await Payment.findOneAndUpdate(
+    {
+      _id: payment._id,
+      $expr: { $lte: [{ $round: [{ $add: ["$refunded_amount", amount] }, 2] }, "$amount"] },
+    },
+    { $inc: { refunded_amount: amount } },
+    { new: true }
+  );
+  if (!claimed) {
+    throw httpError(409, "Refund exceeds the amount left on this payment.");
+  }
 
-    if (!updatedProduct) {
-      return res.status(404).json({ error: "Product not found" });
+  let result = { status: 'succeeded', reference: null };
+  try {
+    if (viaProvider) {
+      result = await paymentProvider(claimed.provider).refund(claimed, amount);
     }
-
-    res.json(updatedProduct);
   } catch (err) {
-    console.error("Update error:", err);
-    res.status(500).json({ error: "Server error" });
+    result = { status: 'failed', reason: err.message };
+  }
+  if (result.status !== 'succeeded') {
+    await Payment.updateOne({ _id: payment._id }, { $inc: { refunded_amount: -amount } });
+    throw httpError(502, `Refund failed: ${result.reason || 'provider error'}`);
   }
-});
 
-app.put("/product-stock/:stockId", async (req, res) => {
-  try {
-    const { stockId } = req.params;
-    const updatedStock = req.body;
-    const stock = await Stock.findByIdAndUpdate(stockId, updatedStock, { new: true });
-    res.json(stock);
-  } catch (err) {
-    console.error(err.message);
-    res.status(500).send("Server error");
+  const fullyRefunded = toMinorUnits(claimed.refunded_amount) >= toMinorUnits(claimed.amount);
+  return Payment.findByIdAndUpdate(payment._id, {
+    $set: { status: fullyRefunded ? PAYMENT_STATUS.REFUNDED : PAYMENT_STATUS.PARTIALLY_REFUNDED },
+    $push: { events: { type: viaProvider ? 'refunded' : 'refunded_to_wallet', amount, reference: result.reference || null, reason, at: new Date() } },
+  }, { new: true });
+};
+
+// Answers a pay or confirm request according to where the payment ended up
+const sendPaymentResult = (res, payment, clientSecret) => {
+  const body = { payment, ...(clientSecret ? { client_secret: clientSecret } : {}) };
+  switch (payment.status) {
+    case PAYMENT_STATUS.CAPTURED:
+      return res.status(200).json({ message: "Payment successful! Order updated and stock adjusted.", ...body });
+    case PAYMENT_STATUS.FAILED:
+      return res.status(402).json({ message: "Payment failed.", reason: payment.failure_reason, ...body });
+    case PAYMENT_STATUS.NEEDS_REVIEW:
+      return res.status(409).json({ message: "Payment was received but the order could not be confirmed; it will be reviewed.", ...body });
+    default:
+      return res.status(202).json({ message: "Payment is processing.", ...body });
   }
-});
+};
 
-// Vendor Login Endpoint
-app.post("/vendor-login", async (req, res) => {
+const canAccessPayment = (user, payment) =>
+  user.role === ROLES.ADMIN || (user.role === ROLES.USER && String(payment.user_id) === user.id);
+
+const idempotencyKey = (req) => req.get('Idempotency-Key') || req.body.idempotency_key || null;
+
+// Step one of paying: create (or fetch) the payment for an order or a checkout
+app.post("/payments/intent", requireSelf('user_id', ROLES.USER), async (req, res) => {
   try {
-    const { vendorname, password } = req.body;
-    const vendor = await Vendor.findOne({ vendor_name: vendorname });
+    const { user_id, order_id, checkout_id } = req.body;
 
-    if (vendor && vendor.vendor_password === password) {
-      res.send({
-        id: vendor._id,
-        login: "Vendor",
-      });
-    } else {
-      res.send({
-        login: "error",
-      });
+    const payingCheckout = mongoose.Types.ObjectId.isValid(checkout_id);
+    if (!mongoose.Types.ObjectId.isValid(user_id) || (!payingCheckout && !mongoose.Types.ObjectId.isValid(order_id))) {
+      return res.status(400).json({ message: "Invalid user ID or order ID." });
     }
+
+    const { payment, clientSecret } = await createPayment({
+      userId: user_id,
+      orderId: payingCheckout ? null : order_id,
+      checkoutId: payingCheckout ? checkout_id : null,
+      idempotencyKey: idempotencyKey(req),
+    });
+
+    res.status(201).json({ payment, client_secret: clientSecret || null });
   } catch (err) {
-    console.error("Error", err);
-    res.status(500).send("Server error");
+    if (err.status) {
+      return res.status(err.status).json({ message: err.message });
+    }
+    console.error("Error creating payment:", err);
+    res.status(500).json({ message: "Server error", error: err.message });
   }
 });
 
-// Admin Login Endpoint
-app.post("/admin-login", async (req, res) => {
+// Step two: confirm it with the payment method the customer entered
+app.post("/payments/:id/confirm", requireRole(ROLES.USER), async (req, res) => {
   try {
-    const { email, password } = req.body;
-    const admin = await Admin.findOne({ email });
+    const { id } = req.params;
 
-    if (admin && admin.password === password) {
-      res.send({
-        id: admin._id,
-        login: "Admin",
-      });
-    } else {
-      res.send({
-        login: "error",
-      });
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: "Invalid payment ID." });
+    }
+    const payment = await Payment.findById(id);
+    if (!payment || !canAccessPayment(req.user, payment)) {
+      return res.status(404).json({ message: "Payment not found." });
     }
-  } catch (err) {
-    console.error("Error", err);
-    res.status(500).send("Server error");
-  }
-});
 
-app.get("/products1", async (req, res) => {
-  try {
-    const products = await Product.find().populate('category_id').populate('vendor_id').populate('gallery');
-    res.json(products);
+    const confirmed = await confirmPayment(payment, req.body.payment_method, req.user);
+    sendPaymentResult(res, confirmed);
   } catch (err) {
-    console.error(err.message);
-    res.status(500).send("Server error");
+    console.error("Error confirming payment:", err);
+    res.status(500).json({ message: "Server error", error: err.message });
   }
 });
 
-app.get("/all-products", async (req, res) => {
+app.get("/payments/:id", requireAuth, async (req, res) => {
   try {
-    const products = await Product.find().populate("category_id").populate("vendor_id");
+    const { id } = req.params;
 
-    // Fetch the first image for each product
-    const productsWithImages = await Promise.all(
-      products.map(async (product) => {
-        const galleryImage = await Gallery.findOne({ product_id: product._id });
-        return {
-          _id: product._id,
-          name: product.name,
-          price: product.price,
-          firstImage: galleryImage ? galleryImage.gallery_photo : null, // First image if available
-        };
-      })
-    );
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: "Invalid payment ID." });
+    }
+    const payment = await Payment.findById(id);
+    if (!payment || !canAccessPayment(req.user, payment)) {
+      return res.status(404).json({ message: "Payment not found." });
+    }
 
-    res.json(productsWithImages);
+    res.status(200).json(payment);
   } catch (err) {
-    console.error(err.message);
-    res.status(500).send("Server error");
+    console.error("Error fetching payment:", err);
+    res.status(500).json({ message: "Server error", error: err.message });
   }
 });
 
-const haversineDistance = (lat1, lon1, lat2, lon2) => {
-  const toRad = (angle) => (angle * Math.PI) / 180;
-  const R = 6371; // Radius of Earth in kilometers
-  const dLat = toRad(lat2 - lat1);
-  const dLon = toRad(lon2 - lon1);
-  const a =
-    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
-    Math.cos(toRad(lat1)) *
-    Math.cos(toRad(lat2)) *
-    Math.sin(dLon / 2) *
-    Math.sin(dLon / 2);
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-  return R * c; // Distance in kilometers
-};
-
-app.get("/nearby-products", async (req, res) => {
+app.post("/payments/:id/refund", requireRole(ROLES.ADMIN), async (req, res) => {
   try {
-    const { latitude, longitude, category } = req.query;
+    const { id } = req.params;
 
-    // Validate latitude and longitude
-    if (!latitude || !longitude) {
-      return res.status(400).json({ message: "Latitude and longitude are required" });
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: "Invalid payment ID." });
     }
-
-    // Build the base query
-    let query = Product.find();
-
-    // If category is provided, filter by category name
-    if (category && category !== "All") {
-      const categoryDoc = await Category.findOne({ category_name: category });
-      if (categoryDoc) {
-        query = query.where("category_id").equals(categoryDoc._id);
-      } else {
-        // If category doesn't exist, return an empty array
-        return res.json([]);
-      }
+    const payment = await Payment.findById(id);
+    if (!payment) {
+      return res.status(404).json({ message: "Payment not found." });
     }
 
-    // Fetch products and populate vendor and category details
-    const products = await query.populate("vendor_id").populate("category_id");
-
-    // Fetch the first image for each product and calculate the distance
-    const productsWithDetails = await Promise.all(
-      products.map(async (product) => {
-        const vendor = product.vendor_id;
+    // Without an amount, refund whatever is left
+    const amount = req.body.amount !== undefined
+      ? Number(req.body.amount)
+      : payment.amount - payment.refunded_amount;
+    const refunded = await refundPayment(payment, amount, req.body.reason);
 
-        // Check if vendor has valid latitude and longitude
-        if (!vendor || !vendor.vendor_lat || !vendor.vendor_lon) {
-          return null; // Exclude products without valid vendor location
-        }
+    res.status(200).json({ message: "Refund issued", payment: refunded });
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ message: err.message });
+    }
+    console.error("Error refunding payment:", err);
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+});
 
-        // Calculate the distance using the Haversine formula
-        const distance = haversineDistance(
-          parseFloat(latitude),
-          parseFloat(longitude),
-          vendor.vendor_lat,
-          vendor.vendor_lon
-        );
+// Providers report payment outcomes here; only correctly signed events are accepted
+app.post("/payments/webhook/:provider", async (req, res) => {
+  try {
+    const provider = PAYMENT_PROVIDERS[req.params.provider];
+    if (!provider) {
+      return res.status(404).json({ message: "Unknown payment provider." });
+    }
 
-        // Fetch the first image from the Gallery collection
-        const galleryImage = await Gallery.findOne({ product_id: product._id });
+    let event;
+    try {
+      event = provider.verifyWebhook(req.rawBody, req.headers);
+    } catch {
+      event = null;
+    }
+    if (!event) {
+      return res.status(400).json({ message: "Invalid webhook signature." });
+    }
 
-        return {
-          ...product.toObject(),
-          distance,
-          firstImage: galleryImage ? galleryImage.gallery_photo : null,
-          category: product.category_id ? product.category_id.category_name : null,
-        };
-      })
-    );
+    const payment = await Payment.findOne({ provider: provider.name, provider_intent_id: event.intent_id });
+    if (!payment) {
+      return res.status(200).json({ received: true });
+    }
 
-    // Filter out null values (products without valid vendor location)
-    const validProducts = productsWithDetails.filter((product) => product !== null);
+    // Providers retry deliveries, so each event is applied once
+    if (event.id && payment.events.some((logged) => logged.provider_event_id === event.id)) {
+      return res.status(200).json({ received: true, duplicate: true });
+    }
 
-    // Sort products by distance (nearest first)
-    validProducts.sort((a, b) => a.distance - b.distance);
+    switch (event.type) {
+      case PAYMENT_WEBHOOK_EVENTS.CAPTURED:
+        await capturePayment(payment, event, SYSTEM_ACTOR);
+        break;
+      case PAYMENT_WEBHOOK_EVENTS.FAILED:
+        await failPayment(payment, event);
+        break;
+      case PAYMENT_WEBHOOK_EVENTS.REFUNDED:
+        // Refunds are booked when issued; the webhook only confirms them
+        await Payment.updateOne({ _id: payment._id }, {
+          $push: { events: { type: 'refund_confirmed', provider_event_id: event.id, amount: event.amount, reference: event.reference || null, at: new Date() } },
+        });
+        break;
+      default:
+        break;
+    }
 
-    res.json(validProducts);
+    res.status(200).json({ received: true });
   } catch (err) {
-    console.error("Error fetching nearby products:", err);
+    console.error("Error handling payment webhook:", err);
     res.status(500).json({ message: "Server error", error: err.message });
   }
 });
-app.put(
-  "/delivery-person-update",
-  upload.fields([{ name: "photo" }]),
-  async (req, res) => {
-    try {
-      const { deliveryPersonId } = req.query;
-      const { password } = req.body;
-      const updateData = {};
 
-      if (password && password.trim() !== "") {
-        updateData.password = password;
-      }
+// Refunds
+// A refund gives back all or part of a paid order, either through the payment
+// provider or as credit on the customer's wallet. Refunded quantities and amounts
+// are kept on the cart lines and the order, so nothing is refunded twice and
+// vendor earnings can be reported net of refunds.
+const REFUND_STATUS = {
+  PENDING: 'pending',
+  SUCCEEDED: 'succeeded',
+  FAILED: 'failed',
+  UNRECORDED: 'unrecorded', // Money went out but recording it failed; retried, never paid again
+};
 
-      if (req.files?.photo && req.files.photo[0]) {
-        updateData.photo = req.files.photo[0].filename;
-      }
+const REFUND_METHODS = {
+  PROVIDER: 'provider', // Back to the card or account that paid
+  WALLET: 'wallet',
+};
 
-      const updatedPerson = await DeliveryPerson.findByIdAndUpdate(
-        deliveryPersonId,
-        updateData,
-        { new: true }
-      );
+const REFUND_SOURCES = {
+  COMPLAINT: 'complaint',
+  CANCELLATION: 'cancellation',
+  RETURN: 'return',
+  ADMIN: 'admin',
+};
 
-      if (!updatedPerson) {
-        return res.status(404).json({ message: "Delivery person not found" });
-      }
+const refundLineSchema = new mongoose.Schema({
+  cart_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Cart',
+    required: true,
+  },
+  qty: {
+    type: Number,
+    required: true,
+  },
+  amount: {
+    type: Number,
+    required: true,
+  },
+}, { _id: false });
 
-      res.json({ message: "Profile updated successfully", updatedPerson });
-    } catch (err) {
-      console.error("Error updating delivery person profile:", err);
-      res.status(500).send("Server error");
+const refundSchema = new mongoose.Schema({
+  order_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true,
+  },
+  payment_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment',
+    required: true,
+  },
+  user_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  vendor_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vendor',
+    required: true,
+  },
+  amount: {
+    type: Number,
+    required: true,
+  },
+  lines: {
+    type: [refundLineSchema],
+    default: [],
+  },
+  method: {
+    type: String,
+    enum: Object.values(REFUND_METHODS),
+    required: true,
+  },
+  source: {
+    type: String,
+    enum: Object.values(REFUND_SOURCES),
+    required: true,
+  },
+  complaint_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Complaint',
+    default: null,
+  },
+  return_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ReturnRequest',
+    default: null,
+  },
+  reason: {
+    type: String,
+    default: null,
+  },
+  status: {
+    type: String,
+    enum: Object.values(REFUND_STATUS),
+    default: REFUND_STATUS.PENDING,
+  },
+  provider_reference: {
+    type: String,
+    default: null,
+  },
+  failure_reason: {
+    type: String,
+    default: null,
+  },
+  requested_by_role: {
+    type: String,
+    required: true,
+  },
+  requested_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null,
+  },
+  processed_at: {
+    type: Date,
+    default: null,
+  },
+}, { timestamps: true });
+
+refundSchema.index({ order_id: 1 });
+refundSchema.index({ status: 1, createdAt: -1 });
+
+const Refund = mongoose.model('Refund', refundSchema);
+
+// Every change to a customer's wallet balance
+const walletTransactionSchema = new mongoose.Schema({
+  user_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  amount: {
+    type: Number,
+    required: true, // Positive for credit
+  },
+  balance_after: {
+    type: Number,
+    required: true,
+  },
+  refund_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Refund',
+    default: null,
+  },
+  order_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    default: null,
+  },
+  note: {
+    type: String,
+    default: null,
+  },
+}, { timestamps: true });
+
+walletTransactionSchema.index({ user_id: 1, createdAt: -1 });
+
+const WalletTransaction = mongoose.model('WalletTransaction', walletTransactionSchema);
+
+const roundAmount = (amount) => toMinorUnits(amount) / 100;
+
+// Works out what a refund covers. lines is a list of { cart_id, qty }, where a
+// missing qty means whatever is left of the line; without lines the whole
+// unrefunded rest of the order is refunded.
+const refundScope = async (order, lines) => {
+  const orderLines = await Cart.find({ order_id: order._id });
+  const requested = lines || orderLines.map((line) => ({ cart_id: line._id }));
+
+  const refundLines = [];
+  for (const { cart_id, qty } of requested) {
+    const line = orderLines.find((orderLine) => String(orderLine._id) === String(cart_id));
+    if (!line) {
+      throw httpError(400, "A refunded line does not belong to this order.");
     }
-  }
-);
-app.get("/delivery-person-details", async (req, res) => {
-  try {
-    const { deliveryPersonId } = req.query;
 
-    const deliveryPerson = await DeliveryPerson.findById(deliveryPersonId);
-    if (!deliveryPerson) {
-      return res.status(404).json({ message: "Delivery person not found" });
+    const remaining = line.qty - line.refunded_qty;
+    const count = qty === undefined || qty === null ? remaining : Number(qty);
+    if (!lines && remaining === 0) continue;
+    if (!Number.isInteger(count) || count <= 0 || count > remaining) {
+      throw httpError(400, `Only ${remaining} of this line can be refunded.`);
     }
 
-    res.json(deliveryPerson);
-  } catch (err) {
-    console.error("Error fetching delivery person details:", err);
-    res.status(500).send("Server error");
+    // The last units take whatever is left of the line so rounding never strands money
+    const paid = linePaid(line);
+    const amount = count === remaining
+      ? roundAmount(paid - line.refunded_amount)
+      : roundAmount((paid / line.qty) * count);
+    refundLines.push({ cart_id: line._id, qty: count, amount });
   }
-});
 
-app.post("/delivery-person-request", upload.fields([{ name: "a_proof" }, { name: "photo" }]), async (req, res) => {
-  try {
-    const { name, email, password } = req.body;
-    const a_proof = req.files.a_proof[0].filename;
-    const photo = req.files.photo[0].filename;
+  const amount = lines
+    ? roundAmount(refundLines.reduce((sum, line) => sum + line.amount, 0))
+    : roundAmount(order.order_amount - order.refunded_amount);
+  if (amount <= 0) {
+    throw httpError(409, "Nothing is left to refund on this order.");
+  }
+  return { refundLines, amount };
+};
 
-    // Check if the delivery person already exists
-    const existingPerson = await DeliveryPerson.findOne({ email });
-    if (existingPerson) {
-      return res.status(400).json({ message: "Delivery person already exists" });
+// Books (or with sign -1 takes back) a refund's amounts on the order and its lines
+const bookRefund = async (order, refundLines, amount, session, sign = 1) => {
+  const bookedOrder = await Order.findOneAndUpdate(
+    sign > 0
+      ? { _id: order._id, $expr: { $lte: [{ $round: [{ $add: [{ $ifNull: ["$refunded_amount", 0] }, amount] }, 2] }, "$order_amount"] } }
+      : { _id: order._id },
+    { $inc: { refunded_amount: sign * amount } },
+    { session }
+  );
+  if (!bookedOrder) {
+    throw httpError(409, "Refund exceeds what is left on this order.");
+  }
+
+  for (const line of refundLines) {
+    const bookedLine = await Cart.findOneAndUpdate(
+      sign > 0
+        ? { _id: line.cart_id, $expr: { $lte: [{ $add: [{ $ifNull: ["$refunded_qty", 0] }, line.qty] }, "$qty"] } }
+        : { _id: line.cart_id },
+      { $inc: { refunded_qty: sign * line.qty, refunded_amount: sign * line.amount } },
+      { session }
+    );
+    if (!bookedLine) {
+      throw httpError(409, "Part of this refund was already refunded.");
     }
+  }
+};
 
-    // Create a new delivery person
-    const deliveryPerson = new DeliveryPerson({
-      name,
-      email,
-      password,
-      a_proof,
-      photo,
-      status: "inactive", // Default status
-    });
+const creditWallet = async (userId, amount, { refundId = null, orderId = null, note = null }, session) => {
+  const user = await User.findByIdAndUpdate(userId, { $inc: { wallet_balance: amount } }, { new: true, session });
+  if (!user) {
+    throw httpError(404, "User not found.");
+  }
+  await WalletTransaction.create([{
+    user_id: userId,
+    amount,
+    balance_after: user.wallet_balance,
+    refund_id: refundId,
+    order_id: orderId,
+    note,
+  }], { session });
+  return user;
+};
 
-    await deliveryPerson.save();
-    res.status(201).json({ message: "Delivery person request submitted successfully" });
+// Records a refund whose money went out: credits the wallet, marks the refund
+// succeeded and charges the vendor, all at once. Does nothing when already recorded.
+const recordRefund = (refund, reference) => withTransaction(async (session) => {
+  const succeeded = await Refund.findOneAndUpdate(
+    { _id: refund._id, status: { $in: [REFUND_STATUS.PENDING, REFUND_STATUS.UNRECORDED] } },
+    { $set: { status: REFUND_STATUS.SUCCEEDED, provider_reference: reference, failure_reason: null, processed_at: new Date() } },
+    { new: true, session }
+  );
+  if (!succeeded) {
+    return Refund.findById(refund._id).session(session);
+  }
+  const order = await Order.findById(succeeded.order_id).session(session);
+  await Cart.updateMany(
+    { _id: { $in: succeeded.lines.map((line) => line.cart_id) }, refund_pending: true },
+    { $set: { refund_pending: false } },
+    { session }
+  );
+  if (succeeded.method === REFUND_METHODS.WALLET) {
+    await creditWallet(succeeded.user_id, succeeded.amount, { refundId: succeeded._id, orderId: succeeded.order_id, note: succeeded.reason }, session);
+  }
+  await chargeRefundToVendor(order, succeeded, session);
+  return succeeded;
+});
+
+// Refunds a paid order in full or per line. Money goes back through the payment
+// provider, or to the wallet when asked for or when the order was paid in cash.
+// Resolves to the refund, whose status tells whether the money went out.
+const refundOrder = async (order, { lines = null, method = null, source, complaintId = null, returnId = null, reason = null, actor = null }) => {
+  if (!order.payment_id) {
+    throw httpError(409, "This order has not been paid.");
+  }
+  const payment = await Payment.findById(order.payment_id);
+  if (!payment) {
+    throw httpError(409, "The payment for this order was not found.");
+  }
+
+  const paidInCash = payment.provider === PAYMENT_METHODS.COD;
+  const refundMethod = method || (paidInCash ? REFUND_METHODS.WALLET : REFUND_METHODS.PROVIDER);
+  if (!Object.values(REFUND_METHODS).includes(refundMethod)) {
+    throw httpError(400, "Invalid refund method.");
+  }
+  if (refundMethod === REFUND_METHODS.PROVIDER && paidInCash) {
+    throw httpError(400, "Cash payments can only be refunded to the wallet.");
+  }
+
+  const { refundLines, amount } = await refundScope(order, lines);
+
+  // Book the amounts first so concurrent refunds cannot overlap
+  const refund = await withTransaction(async (session) => {
+    await bookRefund(order, refundLines, amount, session);
+    const [refund] = await Refund.create([{
+      order_id: order._id,
+      payment_id: payment._id,
+      user_id: order.user_id,
+      vendor_id: order.vendor_id,
+      amount,
+      lines: refundLines,
+      method: refundMethod,
+      source,
+      complaint_id: complaintId,
+      return_id: returnId,
+      reason,
+      requested_by_role: actor ? actor.role : SYSTEM_ACTOR.role,
+      requested_by: actor ? actor._id : null,
+    }], { session });
+    return refund;
+  });
+
+  let reference;
+  try {
+    const settledPayment = await refundPayment(payment, amount, reason, {
+      viaProvider: refundMethod === REFUND_METHODS.PROVIDER,
+    });
+    reference = settledPayment.events[settledPayment.events.length - 1].reference;
   } catch (err) {
-    console.error("Error submitting delivery person request:", err);
-    res.status(500).send("Server error");
+    // No money went out: undo the booking so the refund can be tried again
+    await withTransaction((session) => bookRefund(order, refundLines, amount, session, -1));
+    return Refund.findByIdAndUpdate(refund._id, {
+      $set: { status: REFUND_STATUS.FAILED, failure_reason: err.message, processed_at: new Date() },
+    }, { new: true });
   }
-});
-app.put("/delivery-person-accept/:id", async (req, res) => {
-  try {
-    const deliveryPerson = await DeliveryPerson.findById(req.params.id);
-    if (!deliveryPerson) {
-      return res.status(404).json({ message: "Delivery person not found" });
-    }
 
-    // Update status
-    deliveryPerson.status = "active";
-    await deliveryPerson.save();
+  // The money is out, so the booking stays whatever happens to the bookkeeping
+  try {
+    return await recordRefund(refund, reference);
+  } catch (err) {
+    console.error("Error recording refund:", err);
+    return Refund.findByIdAndUpdate(refund._id, {
+      $set: { status: REFUND_STATUS.UNRECORDED, provider_reference: reference, failure_reason: err.message },
+    }, { new: true });
+  }
+};
 
-    // Email content
-    let content = `
-    <html>
-    <head>
-        <title>Delivery Person Accepted</title>
-        <style>
-            .container {
-                width: 90%;
-                max-width: 600px;
-                margin: 0 auto;
-                padding: 20px;
-                background-color: #f2f2f2;
-                font-family: Arial, sans-serif;
-            }
-            .otp-box {
-                width: 90%;
-                max-width: 600px;
-                background-color: #ffffff;
-                padding: 20px;
-                border-radius: 5px;
-                text-align: center;
-            }
-            .otp-text {
-                font-size: 24px;
-                font-weight: bold;
-                color: #333333;
-            }
-            .otp-number {
-                font-size: 48px;
-                font-weight: bold;
-                color: #007bff;
-                margin-top: 10px;
-            }
-            .instructions {
-                font-size: 14px;
-                color: #666666;
-                margin-top: 10px;
-            }
-        </style>
-    </head>
-    <body>
-        <div class="container">
-            <div class="otp-box">
-                <div class="otp-text">Hi ${deliveryPerson.name}, Welcome Aboard! 🚀</div>
-                <div class="otp-number">✅</div>
-                <div class="instructions">
-                Your data has been verfied
-                   and request has been accepted! You are now an active delivery partner.<br><br>
-                    <strong>Your ID:</strong> ${deliveryPerson._id}
-                </div>
-                                <a href="http://localhost:5173/guest/delivery-login" class="login-button">Click Here to Login</a>
+// Refunds paid out but not yet recorded are recorded again until it sticks
+const recordUnrecordedRefunds = async () => {
+  const refunds = await Refund.find({ status: REFUND_STATUS.UNRECORDED });
+  for (const refund of refunds) {
+    await recordRefund(refund, refund.provider_reference)
+      .catch((err) => console.error(`Error recording refund ${refund._id}:`, err));
+  }
+};
 
-            </div>
-        </div>
-    </body>
-    </html>
-    `;
+// Lines cancelled after payment whose refund did not go out are refunded again,
+// a few times, before they are left to an admin
+const LINE_REFUND_ATTEMPTS = 5;
+
+const refundCancelledLines = async () => {
+  const lines = await Cart.find({ refund_pending: true, refund_attempts: { $lt: LINE_REFUND_ATTEMPTS } });
+  for (const line of lines) {
+    const order = await Order.findById(line.order_id);
+    if (!order || line.refunded_qty >= line.qty) {
+      await Cart.updateOne({ _id: line._id }, { $set: { refund_pending: false } });
+      continue;
+    }
+    await Cart.updateOne({ _id: line._id }, { $inc: { refund_attempts: 1 } });
+    await refundOrder(order, {
+      lines: [{ cart_id: line._id }],
+      source: REFUND_SOURCES.CANCELLATION,
+      reason: "Line cancelled",
+    }).catch((err) => console.error(`Error refunding cancelled line ${line._id}:`, err));
+  }
+};
 
-    // Send email notification
-    sendEmail(deliveryPerson.email, content);
+mongoose.connection.once('open', () => {
+  setInterval(() => {
+    recordUnrecordedRefunds().catch(err => console.error('Refund recording error:', err));
+    refundCancelledLines().catch(err => console.error('Line refund error:', err));
+  }, 10 * 60 * 1000);
+});
 
-    res.json({ message: "Delivery person accepted successfully" });
-  } catch (err) {
-    console.error("Error accepting delivery person request:", err);
-    res.status(500).send("Server error");
+// Answers a request that issued a refund
+const sendRefundResult = (res, refund, extra = {}) => {
+  if (refund.status === REFUND_STATUS.FAILED) {
+    return res.status(502).json({ message: "Refund failed.", reason: refund.failure_reason, refund, ...extra });
   }
-});
+  if (refund.status === REFUND_STATUS.UNRECORDED) {
+    return res.status(201).json({ message: "Refund issued; recording it will be retried", refund, ...extra });
+  }
+  return res.status(201).json({ message: "Refund issued", refund, ...extra });
+};
+
+// Admins refund an order in full, or the given lines
+app.post("/orders/:id/refunds", requireRole(ROLES.ADMIN), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { lines, method, reason } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: "Invalid order ID." });
+    }
+    if (lines !== undefined && (!Array.isArray(lines) || lines.length === 0)) {
+      return res.status(400).json({ message: "Lines must be a non-empty list." });
+    }
 
+    const order = await Order.findById(id);
+    if (!order) {
+      return res.status(404).json({ message: "Order not found." });
+    }
 
-app.get("/delivery-person-requests", async (req, res) => {
-  try {
-    const requests = await DeliveryPerson.find({ status: "inactive" });
-    res.json(requests);
+    const refund = await refundOrder(order, {
+      lines: lines || null,
+      method,
+      source: REFUND_SOURCES.ADMIN,
+      reason,
+      actor: req.user,
+    });
+    sendRefundResult(res, refund);
   } catch (err) {
-    console.error("Error fetching delivery person requests:", err);
-    res.status(500).send("Server error");
+    if (err.status) {
+      return res.status(err.status).json({ message: err.message });
+    }
+    console.error("Error refunding order:", err);
+    res.status(500).json({ message: "Server error", error: err.message });
   }
 });
-app.delete("/delivery-person-reject/:id", async (req, res) => {
+
+app.get("/orders/:id/refunds", requireAuth, async (req, res) => {
   try {
     const { id } = req.params;
 
-    // Find the delivery person by ID
-    const deliveryPerson = await DeliveryPerson.findById(id);
-    if (!deliveryPerson) {
-      return res.status(404).json({ message: "Delivery person not found" });
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: "Invalid order ID." });
+    }
+    const order = await Order.findById(id);
+    if (!order) {
+      return res.status(404).json({ message: "Order not found." });
+    }
+    if (!canAccessOrder(req.user, order)) {
+      return res.status(403).json({ message: "Access denied" });
     }
 
-    // Delete the delivery person record
-    await deliveryPerson.deleteOne();
-    res.json({ message: "Delivery person rejected successfully" });
+    const refunds = await Refund.find({ order_id: id }).sort({ createdAt: -1 });
+    res.status(200).json({
+      order_id: id,
+      order_amount: order.order_amount,
+      refunded_amount: order.refunded_amount,
+      refunds,
+    });
   } catch (err) {
-    console.error("Error rejecting delivery person request:", err);
-    res.status(500).send("Server error");
+    console.error("Error fetching refunds:", err);
+    res.status(500).json({ message: "Server error", error: err.message });
   }
 });
-app.get("/accepted-delivery-persons", async (req, res) => {
+
+app.get("/admin/refunds", requireRole(ROLES.ADMIN), async (req, res) => {
   try {
-    const deliveryPersons = await DeliveryPerson.find({ status: "active" });
-    res.json(deliveryPersons);
+    const filter = {};
+    if (req.query.status) filter.status = req.query.status;
+
+    const refunds = await Refund.find(filter)
+      .populate("user_id", "user_name user_email")
+      .populate("vendor_id", "vendor_name")
+      .sort({ createdAt: -1 })
+      .limit(200);
+    res.status(200).json(refunds);
   } catch (err) {
-    console.error("Error fetching delivery persons:", err);
-    res.status(500).send("Server error");
+    console.error("Error fetching refunds:", err);
+    res.status(500).json({ message: "Server error", error: err.message });
   }
 });
-app.delete("/delivery-person-remove/:id", async (req, res) => {
+
+app.get("/user/:id/wallet", requireSelf('id', ROLES.USER), async (req, res) => {
   try {
-    const { id } = req.params;
-    const deliveryPerson = await DeliveryPerson.findById(id);
-    if (!deliveryPerson) {
-      return res.status(404).json({ message: "Delivery person not found" });
+    const user = await User.findById(req.params.id).select("wallet_balance");
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
     }
-    await deliveryPerson.deleteOne();
-    res.json({ message: "Delivery person removed successfully" });
+
+    const transactions = await WalletTransaction.find({ user_id: user._id })
+      .sort({ createdAt: -1 })
+      .limit(100);
+    res.status(200).json({ balance: user.wallet_balance, transactions });
   } catch (err) {
-    console.error("Error removing delivery person:", err);
-    res.status(500).send("Server error");
+    console.error("Error fetching wallet:", err);
+    res.status(500).json({ message: "Server error", error: err.message });
   }
 });
 
-const cartSchema = new mongoose.Schema({
-  qty: {
-    type: Number,
+
+// Cash on delivery
+// COD orders skip online payment and go to the vendor as cod_pending. The
+// delivery person records the cash taken when delivering, which books a cash
+// payment for the order, and admins settle each delivery person's cash per day.
+const cashCollectionSchema = new mongoose.Schema({
+  order_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
     required: true,
-    min: 1, // Quantity must be at least 1
+    unique: true,
   },
-  product_id: {
+  delivery_boy_id: {
     type: mongoose.Schema.Types.ObjectId,
-    ref: 'Product', // Reference to the Product collection
+    ref: 'DeliveryPerson',
     required: true,
   },
-  order_id: {
+  payment_id: {
     type: mongoose.Schema.Types.ObjectId,
-    ref: 'Order', // Reference to the Order collection (if applicable)
+    ref: 'Payment',
+    default: null,
   },
-  user_id: {
+  amount_due: {
+    type: Number,
+    required: true,
+  },
+  amount_collected: {
+    type: Number,
+    required: true,
+  },
+  collected_at: {
+    type: Date,
+    default: Date.now,
+  },
+  settlement_id: {
     type: mongoose.Schema.Types.ObjectId,
-    ref: 'User', // Reference to the User collection
+    ref: 'CodSettlement',
+    default: null, // Set once the cash was handed over to an admin
   },
-  cart_price: {
+}, { timestamps: true });
+
+cashCollectionSchema.index({ delivery_boy_id: 1, collected_at: 1 });
+
+const CashCollection = mongoose.model('CashCollection', cashCollectionSchema);
+
+// Cash a delivery person handed over for the deliveries of one day
+const codSettlementSchema = new mongoose.Schema({
+  delivery_boy_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DeliveryPerson',
+    required: true,
+  },
+  date: {
+    type: String,
+    required: true, // YYYY-MM-DD
+  },
+  collection_ids: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CashCollection',
+  }],
+  collected_amount: {
     type: Number,
     required: true,
-    default: 0, // Default value for cart price
   },
-  status: {
+  received_amount: {
+    type: Number,
+    required: true,
+  },
+  difference: {
+    type: Number,
+    required: true, // received - collected; negative when cash is missing
+  },
+  settled_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    default: null,
+  },
+  note: {
     type: String,
-    enum: ['processing', 'cancel'], // Allow 'processing' and 'cancel' as valid values
-    default: 'processing', // Default value for status
+    default: null,
   },
+}, { timestamps: true });
+
+const CodSettlement = mongoose.model('CodSettlement', codSettlementSchema);
+
+// Start and end of a YYYY-MM-DD day in server time, today when no date is given
+const dayRange = (date) => {
+  const day = date || new Date().toLocaleDateString('en-CA');
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(day)) return null;
+
+  const start = new Date(`${day}T00:00:00`);
+  if (isNaN(start)) return null;
+  const end = new Date(start);
+  end.setDate(end.getDate() + 1);
+  return { day, start, end };
+};
+
+// Delivers a COD order and books the cash the delivery person took for it
+const deliverCodOrder = (order, amountCollected, actor, note) => withTransaction(async (session) => {
+  const result = await transitionOrder(order, ORDER_STATUS.DELIVERED, actor, { note, session });
+  if (!result.order) {
+    throw httpError(result.status, result.message);
+  }
+
+  const exact = toMinorUnits(amountCollected) === toMinorUnits(order.order_amount);
+  const [payment] = await Payment.create([{
+    user_id: order.user_id,
+    checkout_id: order.checkout_id,
+    order_ids: [order._id],
+    amount: amountCollected,
+    provider: PAYMENT_METHODS.COD,
+    status: exact ? PAYMENT_STATUS.CAPTURED : PAYMENT_STATUS.NEEDS_REVIEW,
+    failure_reason: exact ? null : `Collected ${amountCollected} of ${order.order_amount}`,
+    captured_at: new Date(),
+    events: [{ type: 'captured', amount: amountCollected, at: new Date() }],
+  }], { session });
+
+  await CashCollection.create([{
+    order_id: order._id,
+    delivery_boy_id: order.delivery_boy_id || actor._id,
+    payment_id: payment._id,
+    amount_due: order.order_amount,
+    amount_collected: amountCollected,
+  }], { session });
+
+  return Order.findByIdAndUpdate(order._id, { $set: { payment_id: payment._id } }, { new: true, session });
+});
+
+// Totals of a set of cash collections
+const summarizeCollections = (collections) => {
+  const summary = { orders: collections.length, amount_due: 0, amount_collected: 0, settled: 0, unsettled: 0 };
+  for (const collection of collections) {
+    summary.amount_due += collection.amount_due;
+    summary.amount_collected += collection.amount_collected;
+    summary[collection.settlement_id ? 'settled' : 'unsettled'] += collection.amount_collected;
+  }
+  summary.shortfall = summary.amount_due - summary.amount_collected;
+  return summary;
+};
+
+// Daily cash report: what each delivery person collected against what was due
+app.get("/admin/cod-settlements", requireRole(ROLES.ADMIN), async (req, res) => {
+  try {
+    const range = dayRange(req.query.date);
+    if (!range) {
+      return res.status(400).json({ message: "Date must be in YYYY-MM-DD format." });
+    }
+
+    const collections = await CashCollection.find({ collected_at: { $gte: range.start, $lt: range.end } })
+      .populate("delivery_boy_id", "name email")
+      .populate("order_id", "order_amount status")
+      .sort({ collected_at: 1 });
+    const settlements = await CodSettlement.find({ date: range.day });
+
+    const byDeliveryPerson = new Map();
+    for (const collection of collections) {
+      const person = collection.delivery_boy_id;
+      const key = String(person ? person._id : null);
+      if (!byDeliveryPerson.has(key)) {
+        byDeliveryPerson.set(key, { delivery_person: person, collections: [] });
+      }
+      byDeliveryPerson.get(key).collections.push(collection);
+    }
+
+    const report = [...byDeliveryPerson.entries()].map(([key, { delivery_person, collections }]) => ({
+      delivery_person,
+      ...summarizeCollections(collections),
+      settlements: settlements.filter((settlement) => String(settlement.delivery_boy_id) === key),
+      collections,
+    }));
+
+    res.status(200).json({
+      date: range.day,
+      ...summarizeCollections(collections),
+      delivery_persons: report,
+    });
+  } catch (err) {
+    console.error("Error building COD settlement report:", err);
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
 });
 
-const Cart = mongoose.model('Cart', cartSchema);
+// Records the cash a delivery person handed over for a day's unsettled collections
+app.post("/admin/cod-settlements", requireRole(ROLES.ADMIN), async (req, res) => {
+  try {
+    const { delivery_person_id, note } = req.body;
+    const receivedAmount = Number(req.body.received_amount);
 
+    const range = dayRange(req.body.date);
+    if (!range) {
+      return res.status(400).json({ message: "Date must be in YYYY-MM-DD format." });
+    }
+    if (!mongoose.Types.ObjectId.isValid(delivery_person_id)) {
+      return res.status(400).json({ message: "Invalid delivery person ID." });
+    }
+    if (!Number.isFinite(receivedAmount) || receivedAmount < 0) {
+      return res.status(400).json({ message: "Received amount must be zero or more." });
+    }
 
-const productSchema = new mongoose.Schema({
-  name: {
+    const settlement = await withTransaction(async (session) => {
+      const collections = await CashCollection.find({
+        delivery_boy_id: delivery_person_id,
+        collected_at: { $gte: range.start, $lt: range.end },
+        settlement_id: null,
+      }).session(session);
+      if (collections.length === 0) {
+        throw httpError(404, "No unsettled cash collections for this delivery person on that day.");
+      }
+
+      const collectedAmount = collections.reduce((sum, collection) => sum + collection.amount_collected, 0);
+      const settlement = new CodSettlement({
+        delivery_boy_id: delivery_person_id,
+        date: range.day,
+        collection_ids: collections.map((collection) => collection._id),
+        collected_amount: collectedAmount,
+        received_amount: receivedAmount,
+        difference: receivedAmount - collectedAmount,
+        settled_by: req.user._id,
+        note: note || null,
+      });
+      await settlement.save({ session });
+
+      const claimed = await CashCollection.updateMany(
+        { _id: { $in: settlement.collection_ids }, settlement_id: null },
+        { $set: { settlement_id: settlement._id } },
+        { session }
+      );
+      if (claimed.modifiedCount !== collections.length) {
+        throw httpError(409, "Some collections were settled meanwhile, please retry.");
+      }
+      return settlement;
+    });
+
+    res.status(201).json({ message: "Cash settled", settlement });
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ message: err.message });
+    }
+    console.error("Error settling COD cash:", err);
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+});
+
+// A delivery person's own collections for a day
+app.get("/delivery/:deliveryPersonId/cash-collections", requireSelf('deliveryPersonId', ROLES.DELIVERY), async (req, res) => {
+  try {
+    const range = dayRange(req.query.date);
+    if (!range) {
+      return res.status(400).json({ message: "Date must be in YYYY-MM-DD format." });
+    }
+
+    const collections = await CashCollection.find({
+      delivery_boy_id: req.params.deliveryPersonId,
+      collected_at: { $gte: range.start, $lt: range.end },
+    })
+      .populate("order_id", "order_amount address_id")
+      .sort({ collected_at: 1 });
+
+    res.status(200).json({ date: range.day, ...summarizeCollections(collections), collections });
+  } catch (err) {
+    console.error("Error fetching cash collections:", err);
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+});
+
+// Vendor payouts
+// Every vendor has a ledger of what the platform owes them. Delivering an order
+// books the vendor's earnings and the platform's commission on it; refunds of
+// delivered orders take their share back. A batch job closes each payout period,
+// rolling a vendor's unsettled entries into a payout when they add up to
+// something owed, and admins mark payouts paid once the money has left.
+const DEFAULT_COMMISSION_PERCENT = Number(process.env.PLATFORM_COMMISSION_PERCENT || 10);
+const PAYOUT_PERIOD_DAYS = Number(process.env.PAYOUT_PERIOD_DAYS || 7);
+
+const COMMISSION_SCOPES = {
+  GLOBAL: 'global',
+  CATEGORY: 'category',
+  VENDOR: 'vendor', // Overrides the category and global rates for that vendor
+};
+
+const commissionRuleSchema = new mongoose.Schema({
+  scope: {
     type: String,
-    required: true
+    enum: Object.values(COMMISSION_SCOPES),
+    required: true,
   },
-  description: {
-    type: String
+  category_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    default: null,
   },
-  details: {
-    type: String
+  vendor_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vendor',
+    default: null,
   },
-  offer: {
-    type: String
+  rate_percent: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 100,
   },
-  price: {
+}, { timestamps: true });
+
+commissionRuleSchema.index({ scope: 1, category_id: 1, vendor_id: 1 }, { unique: true });
+
+const CommissionRule = mongoose.model('CommissionRule', commissionRuleSchema);
+
+const LEDGER_ENTRY_TYPES = {
+  EARNING: 'earning',                         // Goods of a delivered order
+  COMMISSION: 'commission',                   // Platform's cut of them
+  REFUND: 'refund',                           // Goods refunded after delivery
+  COMMISSION_REVERSAL: 'commission_reversal', // Commission given back with a refund
+  ADJUSTMENT: 'adjustment',                   // Manual correction by an admin
+  PAYOUT: 'payout',                           // Money sent to the vendor
+};
+
+// Amounts are what the platform owes the vendor: positive adds, negative takes away
+const vendorLedgerEntrySchema = new mongoose.Schema({
+  vendor_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vendor',
+    required: true,
+  },
+  type: {
+    type: String,
+    enum: Object.values(LEDGER_ENTRY_TYPES),
+    required: true,
+  },
+  amount: {
     type: Number,
-    required: true
+    required: true,
   },
-  category_id: {
+  base_amount: {
+    type: Number,
+    default: null, // What a commission was charged on
+  },
+  order_id: {
     type: mongoose.Schema.Types.ObjectId,
-    ref: 'Category'
+    ref: 'Order',
+    default: null,
+  },
+  refund_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Refund',
+    default: null,
   },
+  payout_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'VendorPayout',
+    default: null, // Set once the entry is settled in a payout
+  },
+  description: {
+    type: String,
+    default: null,
+  },
+  date: {
+    type: Date,
+    default: Date.now, // When it counts for payouts, e.g. the delivery
+  },
+}, { timestamps: true });
+
+vendorLedgerEntrySchema.index({ vendor_id: 1, date: 1 });
+vendorLedgerEntrySchema.index({ order_id: 1 }, { unique: true, partialFilterExpression: { type: 'earning' } });
+vendorLedgerEntrySchema.index({ refund_id: 1 }, { unique: true, partialFilterExpression: { type: 'refund' } });
+
+const VendorLedgerEntry = mongoose.model('VendorLedgerEntry', vendorLedgerEntrySchema);
+
+const PAYOUT_STATUS = {
+  PENDING: 'pending',
+  PAID: 'paid',
+};
+
+const vendorPayoutSchema = new mongoose.Schema({
   vendor_id: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Vendor',
-    required: true
+    required: true,
+  },
+  period_start: {
+    type: Date,
+    required: true,
+  },
+  period_end: {
+    type: Date,
+    required: true,
+  },
+  earnings: { type: Number, default: 0 },
+  commission: { type: Number, default: 0 },
+  refunds: { type: Number, default: 0 },
+  adjustments: { type: Number, default: 0 },
+  net_amount: {
+    type: Number,
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: Object.values(PAYOUT_STATUS),
+    default: PAYOUT_STATUS.PENDING,
+  },
+  reference: {
+    type: String,
+    default: null, // Bank transfer reference
+  },
+  paid_at: {
+    type: Date,
+    default: null,
+  },
+}, { timestamps: true });
+
+const VendorPayout = mongoose.model('VendorPayout', vendorPayoutSchema);
+
+// One closed payout period
+const payoutRunSchema = new mongoose.Schema({
+  period_start: {
+    type: Date,
+    required: true,
+  },
+  period_end: {
+    type: Date,
+    required: true,
+    unique: true,
+  },
+  payouts: {
+    type: Number,
+    default: 0,
+  },
+}, { timestamps: true });
+
+const PayoutRun = mongoose.model('PayoutRun', payoutRunSchema);
+
+// Commission percent for a product of the vendor in the category
+const commissionRate = (rules, vendorId, categoryId) => {
+  const vendorRule = rules.find((rule) => rule.scope === COMMISSION_SCOPES.VENDOR && String(rule.vendor_id) === String(vendorId));
+  const categoryRule = rules.find((rule) => rule.scope === COMMISSION_SCOPES.CATEGORY && String(rule.category_id) === String(categoryId));
+  const globalRule = rules.find((rule) => rule.scope === COMMISSION_SCOPES.GLOBAL);
+  return (vendorRule || categoryRule || globalRule || { rate_percent: DEFAULT_COMMISSION_PERCENT }).rate_percent;
+};
+
+// Books a delivered order's earnings and commission; does nothing the second time
+const recordOrderEarnings = async (order, date = new Date()) => {
+  if (await VendorLedgerEntry.exists({ order_id: order._id, type: LEDGER_ENTRY_TYPES.EARNING })) return;
+
+  const lines = await Cart.find({ order_id: order._id, status: "processing" }).populate("product_id", "category_id");
+  const rules = await CommissionRule.find();
+  // Platform coupons are paid for by the platform, so the vendor earns the full price
+  const coupon = order.coupon_id ? await Coupon.findById(order.coupon_id).select("scope") : null;
+  const platformDiscount = coupon && coupon.scope === COUPON_SCOPES.PLATFORM ? order.discount_amount : 0;
+
+  const earnings = roundAmount(order.order_amount - order.delivery_fee - order.refunded_amount + platformDiscount);
+  let base = 0;
+  let commission = 0;
+  for (const line of lines) {
+    const kept = (line.qty - line.refunded_qty) / line.qty;
+    const taxable = (line.taxable_value ?? line.cart_price - line.discount_amount) * kept;
+    base += taxable;
+    commission += taxable * commissionRate(rules, order.vendor_id, line.product_id?.category_id) / 100;
+  }
+
+  try {
+    await withTransaction(async (session) => {
+      await VendorLedgerEntry.create([
+        {
+          vendor_id: order.vendor_id,
+          type: LEDGER_ENTRY_TYPES.EARNING,
+          amount: earnings,
+          order_id: order._id,
+          description: `Order ${order._id} delivered`,
+          date,
+        },
+        {
+          vendor_id: order.vendor_id,
+          type: LEDGER_ENTRY_TYPES.COMMISSION,
+          amount: -roundAmount(commission),
+          base_amount: roundAmount(base),
+          order_id: order._id,
+          description: `Commission on order ${order._id}`,
+          date,
+        },
+      ], { session, ordered: true });
+    });
+  } catch (err) {
+    if (err.code !== 11000) throw err; // Booked meanwhile
+  }
+};
+
+// Charges the vendor for goods refunded after delivery, giving back the commission on them
+const chargeRefundToVendor = async (order, refund, session) => {
+  const commission = await VendorLedgerEntry.findOne({ order_id: order._id, type: LEDGER_ENTRY_TYPES.COMMISSION }).session(session);
+  if (!commission) return; // Not delivered yet, so nothing was earned
+
+  // Whatever a full refund returns beyond the lines is the delivery fee
+  const goods = roundAmount(Math.min(refund.amount, refund.lines.reduce((sum, line) => sum + line.amount, 0)));
+  const reversal = commission.base_amount > 0
+    ? roundAmount(Math.min(-commission.amount, -commission.amount * goods / commission.base_amount))
+    : 0;
+
+  await VendorLedgerEntry.create([
+    {
+      vendor_id: order.vendor_id,
+      type: LEDGER_ENTRY_TYPES.REFUND,
+      amount: -goods,
+      order_id: order._id,
+      refund_id: refund._id,
+      description: `Refund on order ${order._id}`,
+    },
+    {
+      vendor_id: order.vendor_id,
+      type: LEDGER_ENTRY_TYPES.COMMISSION_REVERSAL,
+      amount: reversal,
+      order_id: order._id,
+      refund_id: refund._id,
+      description: `Commission returned with refund on order ${order._id}`,
+    },
+  ], { session, ordered: true });
+};
+
+// Totals of ledger entries the way a payout shows them
+const summarizeLedger = (entries) => {
+  const total = (...types) => roundAmount(entries
+    .filter((entry) => types.includes(entry.type))
+    .reduce((sum, entry) => sum + entry.amount, 0));
+  return {
+    earnings: total(LEDGER_ENTRY_TYPES.EARNING),
+    commission: total(LEDGER_ENTRY_TYPES.COMMISSION, LEDGER_ENTRY_TYPES.COMMISSION_REVERSAL),
+    refunds: total(LEDGER_ENTRY_TYPES.REFUND),
+    adjustments: total(LEDGER_ENTRY_TYPES.ADJUSTMENT),
+    net_amount: total(...Object.values(LEDGER_ENTRY_TYPES)),
+  };
+};
+
+// Closes the period: books earnings of orders delivered in it that were missed,
+// then turns each vendor's unsettled entries up to its end into a payout. A
+// vendor whose entries do not add up to anything owed carries them forward.
+const runPayoutBatch = async (periodStart, periodEnd) => {
+  const delivered = await Order.find({
+    status: ORDER_STATUS.DELIVERED,
+    status_history: { $elemMatch: { to: ORDER_STATUS.DELIVERED, at: { $gte: periodStart, $lt: periodEnd } } },
+  });
+  for (const order of delivered) {
+    await recordOrderEarnings(order, deliveredAt(order));
+  }
+
+  const vendorIds = await VendorLedgerEntry.distinct("vendor_id", { payout_id: null, date: { $lt: periodEnd } });
+  const payouts = [];
+  for (const vendorId of vendorIds) {
+    const payout = await withTransaction(async (session) => {
+      const entries = await VendorLedgerEntry.find({ vendor_id: vendorId, payout_id: null, date: { $lt: periodEnd } }).session(session);
+      const summary = summarizeLedger(entries);
+      if (summary.net_amount <= 0) return null;
+
+      const [payout] = await VendorPayout.create([{
+        vendor_id: vendorId,
+        period_start: periodStart,
+        period_end: periodEnd,
+        ...summary,
+      }], { session });
+      const settled = await VendorLedgerEntry.updateMany(
+        { _id: { $in: entries.map((entry) => entry._id) }, payout_id: null },
+        { $set: { payout_id: payout._id } },
+        { session }
+      );
+      if (settled.modifiedCount !== entries.length) {
+        throw httpError(409, "Ledger changed while closing the period, please retry.");
+      }
+      return payout;
+    });
+    if (payout) payouts.push(payout);
   }
-});
-// Example backend endpoint
-app.get("/delivery/orders", async (req, res) => {
-  const { deliveryPersonId } = req.query;
 
-  try {
-    const orders = await Order.find({ delivery_boy_id: deliveryPersonId })
-      .populate({
-        path: "user_id",
-        select: "user_name user_email"
-      })
-      .populate({
-        path: "address_id",
-        select: "content",
-        populate: {
-          path: "user_id", // inside address
-          select: "user_name user_email"
-        }
-      })
-      .sort({ createdAt: -1 });
+  await PayoutRun.create({ period_start: periodStart, period_end: periodEnd, payouts: payouts.length });
+  return payouts;
+};
 
-    res.status(200).json(orders);
+// Closes every payout period that has ended since the last run
+const closePayoutPeriods = async () => {
+  const periodLength = PAYOUT_PERIOD_DAYS * 24 * 60 * 60 * 1000;
+  const lastRun = await PayoutRun.findOne().sort({ period_end: -1 });
+  let start = lastRun ? lastRun.period_end : new Date(dayRange().start.getTime() - periodLength);
+
+  while (start.getTime() + periodLength <= Date.now()) {
+    const end = new Date(start.getTime() + periodLength);
+    const payouts = await runPayoutBatch(start, end);
+    console.log(`Closed payout period ending ${end.toISOString()} with ${payouts.length} payouts`);
+    start = end;
+  }
+};
+
+mongoose.connection.once('open', () => {
+  setInterval(() => {
+    closePayoutPeriods().catch(err => console.error('Payout batch error:', err));
+  }, 60 * 60 * 1000);
+});
+
+const payoutStatementCsv = (payout, entries) => {
+  const cell = (value) => `"${String(value ?? '').replace(/"/g, '""')}"`;
+  const rows = [
+    ['Payout', payout._id],
+    ['Period', `${payout.period_start.toISOString()} - ${payout.period_end.toISOString()}`],
+    ['Status', payout.status],
+    [],
+    ['Date', 'Type', 'Order', 'Description', 'Amount'],
+    ...entries.map((entry) => [entry.date.toISOString(), entry.type, entry.order_id, entry.description, money(entry.amount)]),
+    [],
+    ['Earnings', money(payout.earnings)],
+    ['Commission', money(payout.commission)],
+    ['Refunds', money(payout.refunds)],
+    ['Adjustments', money(payout.adjustments)],
+    ['Net payout', money(payout.net_amount)],
+  ];
+  return rows.map((row) => row.map(cell).join(',')).join('\r\n');
+};
+
+app.get("/admin/commission-rules", requireRole(ROLES.ADMIN), async (req, res) => {
+  try {
+    const rules = await CommissionRule.find()
+      .populate("category_id", "category_name")
+      .populate("vendor_id", "vendor_name");
+    res.status(200).json({ default_rate_percent: DEFAULT_COMMISSION_PERCENT, rules });
   } catch (err) {
-    res.status(500).json({ message: "Error fetching orders", error: err.message });
+    console.error("Error fetching commission rules:", err);
+    res.status(500).json({ message: "Server error", error: err.message });
   }
 });
-// DELETE endpoint for product deletion
-app.delete('/product-details/:id', async (req, res) => {
+
+// Sets the global rate, or the rate for a category or vendor
+app.put("/admin/commission-rules", requireRole(ROLES.ADMIN), async (req, res) => {
   try {
-    // Validate the ID format
-    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
-      return res.status(400).json({ message: 'Invalid product ID format' });
+    const { scope, category_id, vendor_id } = req.body;
+    const rate = Number(req.body.rate_percent);
+
+    if (!Object.values(COMMISSION_SCOPES).includes(scope)) {
+      return res.status(400).json({ message: `Scope must be one of: ${Object.values(COMMISSION_SCOPES).join(", ")}` });
+    }
+    if (!Number.isFinite(rate) || rate < 0 || rate > 100) {
+      return res.status(400).json({ message: "Rate must be a percentage between 0 and 100." });
+    }
+    if (scope === COMMISSION_SCOPES.CATEGORY && !(await Category.exists({ _id: category_id }))) {
+      return res.status(404).json({ message: "Category not found" });
+    }
+    if (scope === COMMISSION_SCOPES.VENDOR && !(await Vendor.exists({ _id: vendor_id }))) {
+      return res.status(404).json({ message: "Vendor not found" });
     }
 
-    // Find and delete the product
-    const deletedProduct = await Product.findByIdAndDelete(req.params.id);
+    const target = {
+      scope,
+      category_id: scope === COMMISSION_SCOPES.CATEGORY ? category_id : null,
+      vendor_id: scope === COMMISSION_SCOPES.VENDOR ? vendor_id : null,
+    };
+    const rule = await CommissionRule.findOneAndUpdate(target, { $set: { rate_percent: rate } }, { new: true, upsert: true });
+    res.status(200).json({ message: "Commission rate saved", rule });
+  } catch (err) {
+    console.error("Error saving commission rule:", err);
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+});
 
-    if (!deletedProduct) {
-      return res.status(404).json({ message: 'Product not found' });
+app.delete("/admin/commission-rules/:id", requireRole(ROLES.ADMIN), async (req, res) => {
+  try {
+    const rule = await CommissionRule.findByIdAndDelete(req.params.id);
+    if (!rule) {
+      return res.status(404).json({ message: "Commission rule not found" });
     }
+    res.status(200).json({ message: "Commission rule removed" });
+  } catch (err) {
+    console.error("Error removing commission rule:", err);
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+});
 
-    // Optionally: Also delete associated gallery images and reviews
-    await ProductGallery.deleteMany({ product_id: req.params.id });
-    await ProductReview.deleteMany({ product_id: req.params.id });
+app.post("/admin/vendors/:vendorId/ledger-adjustments", requireRole(ROLES.ADMIN), async (req, res) => {
+  try {
+    const { vendorId } = req.params;
+    const amount = Number(req.body.amount);
+    if (!Number.isFinite(amount) || amount === 0 || !req.body.description) {
+      return res.status(400).json({ message: "A non-zero amount and a description are required." });
+    }
+    if (!mongoose.Types.ObjectId.isValid(vendorId) || !(await Vendor.exists({ _id: vendorId }))) {
+      return res.status(404).json({ message: "Vendor not found" });
+    }
 
-    res.json({ 
-      success: true,
-      message: 'Product and associated data deleted successfully',
-      deletedProduct
+    const entry = await VendorLedgerEntry.create({
+      vendor_id: vendorId,
+      type: LEDGER_ENTRY_TYPES.ADJUSTMENT,
+      amount: roundAmount(amount),
+      description: req.body.description,
     });
-
+    res.status(201).json({ message: "Adjustment recorded", entry });
   } catch (err) {
-    console.error('Error deleting product:', err.message);
-    res.status(500).json({ 
-      success: false,
-      message: 'Server error while deleting product',
-      error: err.message
-    });
+    console.error("Error recording ledger adjustment:", err);
+    res.status(500).json({ message: "Server error", error: err.message });
   }
 });
-const Product = mongoose.model('Product', productSchema);
 
-const gallerySchema = new mongoose.Schema({
-  gallery_photo: {
-    type: String,
-    required: true
-  },
-  product_id: {
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'Product',
-    required: true
+app.get("/admin/payouts", requireRole(ROLES.ADMIN), async (req, res) => {
+  try {
+    const filter = req.query.status ? { status: req.query.status } : {};
+    const payouts = await VendorPayout.find(filter)
+      .populate("vendor_id", "vendor_name vendor_email")
+      .sort({ period_end: -1 });
+    res.status(200).json(payouts);
+  } catch (err) {
+    console.error("Error fetching payouts:", err);
+    res.status(500).json({ message: "Server error", error: err.message });
   }
 });
-app.get("/gallery/:productId", async (req, res) => {
-  try {
-    const { productId } = req.params;
 
-    if (!mongoose.Types.ObjectId.isValid(productId)) {
-      return res.status(400).json({ message: "Invalid product ID" });
+// Closes the periods that have ended without waiting for the job
+app.post("/admin/payouts/run", requireRole(ROLES.ADMIN), async (req, res) => {
+  try {
+    await closePayoutPeriods();
+    const lastRun = await PayoutRun.findOne().sort({ period_end: -1 });
+    res.status(200).json({ message: "Payout periods closed", last_period_end: lastRun ? lastRun.period_end : null });
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ message: err.message });
     }
+    console.error("Error running payouts:", err);
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+});
 
-    const images = await Gallery.find({ product_id: productId });
+app.post("/admin/payouts/:id/mark-paid", requireRole(ROLES.ADMIN), async (req, res) => {
+  try {
+    if (!req.body.reference) {
+      return res.status(400).json({ message: "The transfer reference is required." });
+    }
 
-    res.status(200).json(images);
+    const payout = await withTransaction(async (session) => {
+      const payout = await VendorPayout.findOneAndUpdate(
+        { _id: req.params.id, status: PAYOUT_STATUS.PENDING },
+        { $set: { status: PAYOUT_STATUS.PAID, reference: req.body.reference, paid_at: new Date() } },
+        { new: true, session }
+      );
+      if (!payout) {
+        throw httpError(409, "Payout not found or already paid.");
+      }
+      // The money leaving settles what the payout's entries owed
+      await VendorLedgerEntry.create([{
+        vendor_id: payout.vendor_id,
+        type: LEDGER_ENTRY_TYPES.PAYOUT,
+        amount: -payout.net_amount,
+        payout_id: payout._id,
+        description: `Payout ${req.body.reference}`,
+      }], { session });
+      return payout;
+    });
+    res.status(200).json({ message: "Payout marked paid", payout });
   } catch (err) {
-    console.error("Error fetching images:", err);
+    if (err.status) {
+      return res.status(err.status).json({ message: err.message });
+    }
+    console.error("Error marking payout paid:", err);
     res.status(500).json({ message: "Server error", error: err.message });
   }
 });
-app.delete("/gallery/:imageId", async (req, res) => {
+
+// A vendor's payouts and what has built up since the last one
+app.get("/vendor/:vendorId/payouts", requireSelf('vendorId', ROLES.VENDOR), async (req, res) => {
   try {
-    const { imageId } = req.params;
+    const { vendorId } = req.params;
+    const [payouts, unsettled] = await Promise.all([
+      VendorPayout.find({ vendor_id: vendorId }).sort({ period_end: -1 }),
+      VendorLedgerEntry.find({ vendor_id: vendorId, payout_id: null }),
+    ]);
+    res.status(200).json({ payouts, unsettled: summarizeLedger(unsettled) });
+  } catch (err) {
+    console.error("Error fetching payouts:", err);
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+});
 
-    if (!mongoose.Types.ObjectId.isValid(imageId)) {
-      return res.status(400).json({ message: "Invalid image ID" });
+app.get("/vendor/:vendorId/ledger", requireSelf('vendorId', ROLES.VENDOR), async (req, res) => {
+  try {
+    const { fromDate, toDate } = reportRange(req.query);
+    const entries = await VendorLedgerEntry.find({
+      vendor_id: req.params.vendorId,
+      date: { $gte: fromDate, $lte: toDate },
+    }).sort({ date: 1 });
+    res.status(200).json({ from: fromDate, to: toDate, ...summarizeLedger(entries), entries });
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ message: err.message });
     }
+    console.error("Error fetching ledger:", err);
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+});
 
-    const deletedImage = await Gallery.findByIdAndDelete(imageId);
+// Settlement statement of one payout, as JSON or ?format=csv
+app.get("/vendor/:vendorId/payouts/:payoutId/statement", requireSelf('vendorId', ROLES.VENDOR), async (req, res) => {
+  try {
+    const { vendorId, payoutId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(payoutId)) {
+      return res.status(400).json({ message: "Invalid payout ID." });
+    }
 
-    if (!deletedImage) {
-      return res.status(404).json({ message: "Image not found" });
+    const payout = await VendorPayout.findOne({ _id: payoutId, vendor_id: vendorId });
+    if (!payout) {
+      return res.status(404).json({ message: "Payout not found." });
     }
+    const entries = await VendorLedgerEntry.find({
+      payout_id: payout._id,
+      type: { $ne: LEDGER_ENTRY_TYPES.PAYOUT },
+    }).sort({ date: 1 });
 
-    res.status(200).json({ message: "Image deleted successfully" });
+    if (req.query.format === "csv") {
+      res.set({
+        "Content-Type": "text/csv",
+        "Content-Disposition": `attachment; filename="payout-statement-${payout._id}.csv"`,
+      });
+      return res.send(payoutStatementCsv(payout, entries));
+    }
+    res.status(200).json({ payout, entries });
   } catch (err) {
-    console.error("Error deleting image:", err);
+    console.error("Error fetching payout statement:", err);
     res.status(500).json({ message: "Server error", error: err.message });
   }
 });
-app.get('/vendor/:vendorId/top-products', async (req, res) => {
+
+// Customer cancellation
+// Customers can cancel a whole order, or single lines of it, until the order
+// reaches the cutoff its vendor chose. Stock goes back, paid amounts are
+// refunded and the vendor is told.
+const ORDER_PROGRESS = {
+  [ORDER_STATUS.PLACED]: 0,
+  [ORDER_STATUS.PAID]: 1,
+  [ORDER_STATUS.COD_PENDING]: 1,
+  [ORDER_STATUS.PACKED]: 2,
+  [ORDER_STATUS.OUT_FOR_DELIVERY]: 3,
+  [ORDER_STATUS.DELIVERED]: 4,
+};
+
+// Statuses a vendor can pick as the point where customer cancellation stops
+const CANCELLATION_CUTOFFS = [ORDER_STATUS.PAID, ORDER_STATUS.PACKED, ORDER_STATUS.OUT_FOR_DELIVERY];
+
+const canCustomerCancel = (order, cutoff) =>
+  order.status in ORDER_PROGRESS && ORDER_PROGRESS[order.status] < ORDER_PROGRESS[cutoff];
+
+// Loads an order for its customer along with the vendor's cutoff, or answers with why not
+const loadCancellableOrder = async (req, res) => {
+  const { id } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    res.status(400).json({ message: "Invalid order ID." });
+    return null;
+  }
+
+  const order = await Order.findById(id);
+  if (!order || String(order.user_id) !== req.user.id) {
+    res.status(404).json({ message: "Order not found." });
+    return null;
+  }
+
+  const vendor = await Vendor.findById(order.vendor_id).select("vendor_name vendor_email cancellation_cutoff");
+  const cutoff = vendor?.cancellation_cutoff || DEFAULT_CANCELLATION_CUTOFF;
+  if (!canCustomerCancel(order, cutoff)) {
+    res.status(409).json({ message: `This order can no longer be cancelled (it is ${order.status}).` });
+    return null;
+  }
+  return { order, vendor };
+};
+
+// Drops payments not yet confirmed for an unpaid order whose amount is about to
+// change. Returns false if a payment is already being processed.
+const closeOpenPayments = async (order, reason) => {
+  if (await Payment.exists({ order_ids: order._id, status: PAYMENT_STATUS.PROCESSING })) {
+    return false;
+  }
+  await Payment.updateMany(
+    { order_ids: order._id, status: PAYMENT_STATUS.REQUIRES_CONFIRMATION },
+    { $set: { status: PAYMENT_STATUS.FAILED, failure_reason: reason } }
+  );
+  return true;
+};
+
+const orderCancelledEmail = (vendorName, order, lines, reason) => `
+    <html>
+    <head>
+        <title>Order cancelled</title>
+    </head>
+    <body style="font-family: Arial, sans-serif; color: #333333;">
+        <p>Hello ${vendorName},</p>
+        <p>The customer cancelled ${lines ? "part of " : ""}order #${String(order._id).slice(-5)}.</p>
+        ${lines ? `<ul>${lines.map((line) => `<li>${line.qty} x ${line.product_id?.name || "item"}</li>`).join("")}</ul>` : ""}
+        ${reason ? `<p>Reason: ${reason}</p>` : ""}
+        <p>Please do not pack or ship the cancelled items.</p>
+    </body>
+    </html>
+`;
+
+const notifyOrderCancelled = async (vendor, order, lines, reason) => {
+  if (!vendor) return;
+  const message = lines
+    ? `Customer cancelled ${lines.map((line) => line.product_id?.name || "an item").join(", ")} from order #${String(order._id).slice(-5)}.`
+    : `Customer cancelled order #${String(order._id).slice(-5)}.`;
+
+  await VendorNotification.create({ vendor_id: vendor._id, type: 'order_cancelled', order_id: order._id, message });
+  sendEmail(vendor.vendor_email, orderCancelledEmail(vendor.vendor_name, order, lines, reason), "RegionHub order cancelled").catch(() => {});
+};
+
+app.put("/vendor/:vendorId/cancellation-policy", requireSelf('vendorId', ROLES.VENDOR), async (req, res) => {
   try {
-    const vendorId = req.params.vendorId;
+    const { cutoff } = req.body;
 
-    const result = await Cart.aggregate([
-      {
-        $lookup: {
-          from: 'products',
-          localField: 'product_id',
-          foreignField: '_id',
-          as: 'product'
-        }
-      },
-      { $unwind: '$product' },
-      {
-        $match: {
-          'product.vendor_id': new mongoose.Types.ObjectId(vendorId)
-        }
-      },
-      {
-        $lookup: {
-          from: 'galleries',
-          localField: 'product._id',
-          foreignField: 'product_id',
-          as: 'gallery'
-        }
-      },
-      {
-        $group: {
-          _id: '$product_id',
-          totalSales: { $sum: '$qty' },
-          productName: { $first: '$product.name' },
-          price: { $first: '$product.price' },
-          productId: { $first: '$product._id' },
-          productImage: { $first: { $arrayElemAt: ['$gallery.gallery_photo', 0] } } // First image
-        }
-      },
-      { $sort: { totalSales: -1 } }
-    ]);
+    if (!CANCELLATION_CUTOFFS.includes(cutoff)) {
+      return res.status(400).json({ message: `Cutoff must be one of: ${CANCELLATION_CUTOFFS.join(", ")}` });
+    }
 
-    res.json(result);
-  } catch (error) {
-    console.error(error);
-    res.status(500).json({ message: 'Server Error', error });
+    const vendor = await Vendor.findByIdAndUpdate(
+      req.params.vendorId,
+      { $set: { cancellation_cutoff: cutoff } },
+      { new: true }
+    ).select("cancellation_cutoff");
+    if (!vendor) {
+      return res.status(404).json({ message: "Vendor not found" });
+    }
+
+    res.status(200).json({ message: "Cancellation policy updated", cancellation_cutoff: vendor.cancellation_cutoff });
+  } catch (err) {
+    console.error("Error updating cancellation policy:", err);
+    res.status(500).json({ message: "Server error", error: err.message });
   }
 });
-app.get('/vendor/:vendorId/sales', async (req, res) => {
-  try {
-    const { vendorId } = req.params;
-    const { start, end } = req.query;
 
-    const startDate = new Date(start);
-    const endDate = new Date(end);
-    endDate.setHours(23, 59, 59, 999); // Include full end day
+// Cancel a whole order
+app.post("/orders/:id/cancel", requireRole(ROLES.USER), async (req, res) => {
+  try {
+    const loaded = await loadCancellableOrder(req, res);
+    if (!loaded) return;
+    const { order, vendor } = loaded;
+    const reason = req.body.reason || null;
 
-    const sales = await Cart.aggregate([
-      {
-        $match: {
-          status: "processing",
-          order_id: { $ne: null },
-        }
-      },
-      {
-        $lookup: {
-          from: 'products',
-          localField: 'product_id',
-          foreignField: '_id',
-          as: 'product'
-        }
-      },
-      { $unwind: "$product" },
-      {
-        $match: {
-          "product.vendor_id": new mongoose.Types.ObjectId(vendorId)
-        }
-      },
-      {
-        $lookup: {
-          from: 'orders',
-          localField: 'order_id',
-          foreignField: '_id',
-          as: 'order'
-        }
-      },
-      { $unwind: "$order" },
-      {
-        $match: {
-          "order.date": { $gte: startDate, $lte: endDate }
-        }
-      },
-      {
-        $project: {
-          productName: "$product.name",
-          price: "$product.price",
-          qty: 1,
-          orderId: { $toString: "$order._id" },
-          orderDate: "$order.date"
-        }
-      }
-    ]);
+    if (!order.payment_id && !(await closeOpenPayments(order, "Order cancelled"))) {
+      return res.status(409).json({ message: "A payment for this order is being processed, please try again shortly." });
+    }
 
-    res.json(sales);
+    // Releases the stock and refunds a paid order on the way
+    const result = await transitionOrder(order, ORDER_STATUS.CANCELLED, req.user, { note: reason });
+    if (!result.order) {
+      return res.status(result.status).json({ message: result.message });
+    }
+    await Cart.updateMany({ order_id: order._id, status: "processing" }, { $set: { status: "cancel" } });
+
+    await notifyOrderCancelled(vendor, order, null, reason);
+    res.status(200).json({ message: "Order cancelled", order: result.order, refund: result.refund || null, refund_error: result.refundError || null });
   } catch (err) {
-    console.error("Error fetching vendor sales:", err);
-    res.status(500).json({ error: "Server Error" });
+    console.error("Error cancelling order:", err);
+    res.status(500).json({ message: "Server error", error: err.message });
   }
 });
-app.get("/vendor/:vendorId/sales/yearly", async (req, res) => {
+
+// Cancel one line of an order; cancelling the last line cancels the order
+app.post("/orders/:id/lines/:lineId/cancel", requireRole(ROLES.USER), async (req, res) => {
   try {
-    const vendorId = req.params.vendorId;
+    const loaded = await loadCancellableOrder(req, res);
+    if (!loaded) return;
+    const { order, vendor } = loaded;
+    const { lineId } = req.params;
+    const reason = req.body.reason || null;
 
-    const sales = await Cart.aggregate([
-      {
-        $lookup: {
-          from: "products",
-          localField: "product_id",
-          foreignField: "_id",
-          as: "product"
-        }
-      },
-      { $unwind: "$product" },
-      {
-        $match: {
-          "product.vendor_id": new mongoose.Types.ObjectId(vendorId),
-          status: "processing"
-        }
-      },
-      {
-        $lookup: {
-          from: "orders",
-          localField: "order_id",
-          foreignField: "_id",
-          as: "order"
-        }
-      },
-      { $unwind: "$order" },
-      {
-        $group: {
-          _id: {
-            productId: "$product._id",
-            productName: "$product.name",
-            price: "$product.price",
-            year: { $year: "$order.date" }
-          },
-          totalQty: { $sum: "$qty" },
-          totalRevenue: { $sum: "$cart_price" },
-          orders: {
-            $push: {
-              orderId: {
-                $substrCP: [
-                  { $toString: "$order._id" },
-                  { $subtract: [{ $strLenCP: { $toString: "$order._id" } }, 5] },
-                  5
-                ]
-              },
-              date: "$order.date"
-            }
-          }
-        }
+    if (!mongoose.Types.ObjectId.isValid(lineId)) {
+      return res.status(400).json({ message: "Invalid line ID." });
+    }
+    const line = await Cart.findOne({ _id: lineId, order_id: order._id }).populate("product_id", "name");
+    if (!line) {
+      return res.status(404).json({ message: "Line not found on this order." });
+    }
+    if (line.status === "cancel") {
+      return res.status(409).json({ message: "This line is already cancelled." });
+    }
+
+    if (!order.payment_id && !(await closeOpenPayments(order, "Order changed"))) {
+      return res.status(409).json({ message: "A payment for this order is being processed, please try again shortly." });
+    }
+
+    const activeLines = await Cart.countDocuments({ order_id: order._id, status: "processing" });
+    if (activeLines <= 1) {
+      const result = await transitionOrder(order, ORDER_STATUS.CANCELLED, req.user, { note: reason });
+      if (!result.order) {
+        return res.status(result.status).json({ message: result.message });
       }
-      ,
-      {
-        $sort: {
-          "_id.year": -1,
-          totalRevenue: -1
-        }
+      await Cart.updateMany({ order_id: order._id, status: "processing" }, { $set: { status: "cancel" } });
+
+      await notifyOrderCancelled(vendor, order, null, reason);
+      return res.status(200).json({ message: "Order cancelled", order: result.order, refund: result.refund || null, refund_error: result.refundError || null });
+    }
+
+    const event = orderStatusEvent(order.status, order.status, req.user, reason || `Cancelled ${line.product_id?.name || "a line"}`);
+    const lineAmount = linePaid(line);
+    const updated = await withTransaction(async (session) => {
+      // A paid line stays marked until its refund goes out
+      const claimed = await Cart.findOneAndUpdate(
+        { _id: line._id, status: "processing" },
+        { $set: { status: "cancel", ...(order.payment_id ? { refund_pending: true } : {}) } },
+        { session }
+      );
+      if (!claimed) {
+        throw httpError(409, "This line is already cancelled.");
       }
-    ]);
+      await releaseOrderStock(order._id, session, { actor: req.user, cartId: line._id });
+
+      // Unpaid orders simply cost less; paid ones are refunded below
+      const updated = await Order.findOneAndUpdate(
+        { _id: order._id, status: order.status },
+        {
+          ...(order.payment_id ? {} : {
+            $inc: {
+              order_amount: -lineAmount,
+              subtotal_amount: -line.cart_price,
+              discount_amount: -line.discount_amount,
+              taxable_amount: -(line.taxable_value || 0),
+              cgst_amount: -line.cgst,
+              sgst_amount: -line.sgst,
+              igst_amount: -line.igst,
+              tax_amount: -line.tax_amount,
+            },
+          }),
+          $push: { status_history: event },
+        },
+        { new: true, session }
+      );
+      if (!updated) {
+        throw httpError(409, "Order status changed meanwhile, please retry.");
+      }
+      if (!order.payment_id && order.checkout_id) {
+        await Checkout.updateOne({ _id: order.checkout_id }, { $inc: { total_amount: -lineAmount } }, { session });
+      }
+      return updated;
+    });
 
-    res.json(sales);
-  } catch (error) {
-    console.error("Error fetching yearly vendor sales:", error);
-    res.status(500).json({ message: "Internal Server Error", error: error.message });
+    let refund = null;
+    let refundError = null;
+    if (updated.payment_id) {
+      try {
+        refund = await refundOrder(updated, {
+          lines: [{ cart_id: line._id }],
+          source: REFUND_SOURCES.CANCELLATION,
+          reason: reason || "Line cancelled",
+          actor: req.user,
+        });
+        if (refund.status === REFUND_STATUS.FAILED) refundError = refund.failure_reason;
+      } catch (err) {
+        console.error("Error refunding cancelled line:", err);
+        refundError = err.message;
+      }
+    }
+
+    await notifyOrderCancelled(vendor, order, [line], reason);
+    if (refundError) {
+      return res.status(502).json({
+        message: "Line cancelled but the refund failed; it will be retried.",
+        order: updated,
+        refund,
+        refund_error: refundError,
+      });
+    }
+    res.status(200).json({ message: "Line cancelled", order: updated, refund });
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ message: err.message });
+    }
+    console.error("Error cancelling order line:", err);
+    res.status(500).json({ message: "Server error", error: err.message });
   }
 });
 
-const Gallery = mongoose.model('Gallery', gallerySchema);
+// Returns
+// A customer can ask to return units of a delivered line within its category's
+// return window. The vendor approves or rejects, a delivery person picks the
+// goods up, and once the vendor receives them they go back into stock (or are
+// written off as damaged) and the units are refunded.
+const RETURN_STATUS = {
+  REQUESTED: 'requested',
+  APPROVED: 'approved',
+  REJECTED: 'rejected',
+  PICKUP_ASSIGNED: 'pickup_assigned',
+  PICKED_UP: 'picked_up',
+  RECEIVED: 'received',
+  COMPLETED: 'completed', // Received and refunded
+  CANCELLED: 'cancelled',
+};
 
-const OrderSchema = new mongoose.Schema({
-  date: {
-    type: Date,
+const RETURN_TRANSITIONS = {
+  [RETURN_STATUS.REQUESTED]: {
+    [RETURN_STATUS.APPROVED]: [ROLES.VENDOR, ROLES.ADMIN],
+    [RETURN_STATUS.REJECTED]: [ROLES.VENDOR, ROLES.ADMIN],
+    [RETURN_STATUS.CANCELLED]: [ROLES.USER, ROLES.ADMIN],
+  },
+  [RETURN_STATUS.APPROVED]: {
+    [RETURN_STATUS.PICKUP_ASSIGNED]: [ROLES.VENDOR, ROLES.ADMIN, ROLES.DELIVERY],
+    [RETURN_STATUS.CANCELLED]: [ROLES.USER, ROLES.ADMIN],
+  },
+  [RETURN_STATUS.PICKUP_ASSIGNED]: {
+    [RETURN_STATUS.PICKED_UP]: [ROLES.DELIVERY, ROLES.ADMIN],
+  },
+  [RETURN_STATUS.PICKED_UP]: {
+    [RETURN_STATUS.RECEIVED]: [ROLES.VENDOR, ROLES.ADMIN],
+  },
+  [RETURN_STATUS.RECEIVED]: {
+    [RETURN_STATUS.COMPLETED]: [ROLES.VENDOR, ROLES.ADMIN],
+  },
+  [RETURN_STATUS.REJECTED]: {},
+  [RETURN_STATUS.COMPLETED]: {},
+  [RETURN_STATUS.CANCELLED]: {},
+};
+
+// Returns that still hold on to units of their line
+const OPEN_RETURN_STATUSES = [
+  RETURN_STATUS.REQUESTED,
+  RETURN_STATUS.APPROVED,
+  RETURN_STATUS.PICKUP_ASSIGNED,
+  RETURN_STATUS.PICKED_UP,
+  RETURN_STATUS.RECEIVED,
+];
+
+const RETURN_REASONS = ['damaged', 'defective', 'wrong_item', 'not_as_described', 'missing_parts', 'no_longer_needed', 'other'];
+
+// What the vendor found when the goods came back
+const RETURN_CONDITIONS = {
+  RESELLABLE: 'resellable',
+  DAMAGED: 'damaged',
+};
+
+const returnRequestSchema = new mongoose.Schema({
+  order_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true,
+  },
+  cart_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Cart',
+    required: true,
+  },
+  user_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
     required: true,
-    default: Date.now, // Default to current date if not provided
   },
   vendor_id: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Vendor',
     required: true,
-  }, delivery_boy_id: {
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'DeliveryPerson',
-    default: null,// Reference to the DeliveryPerson collection
   },
-  user_id: {
+  product_id: {
     type: mongoose.Schema.Types.ObjectId,
-    ref: 'User', // Reference to the Order collection (if applicable)
+    ref: 'Product',
+    required: true,
   },
-
-  address_id: {
+  variant_id: {
     type: mongoose.Schema.Types.ObjectId,
-    ref: 'Address', // Reference to the Address collection
+    ref: 'ProductVariant',
+    default: null,
   },
-  order_amount: {
+  qty: {
     type: Number,
     required: true,
-    default: 0, // Default order amount
+    min: 1,
+  },
+  reason_code: {
+    type: String,
+    enum: RETURN_REASONS,
+    required: true,
+  },
+  comment: {
+    type: String,
+    default: null,
+  },
+  photos: {
+    type: [String], // Uploaded file names
+    default: [],
   },
   status: {
     type: String,
-    enum: ['0', '1', '2', '3', '4', '5'], // Fixed 'shipping' to 'shipped'
-
+    enum: Object.values(RETURN_STATUS),
+    default: RETURN_STATUS.REQUESTED,
   },
-}, { timestamps: true }); // Adds createdAt and updatedAt timestamps
+  pickup_delivery_boy_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DeliveryPerson',
+    default: null,
+  },
+  condition: {
+    type: String,
+    enum: [...Object.values(RETURN_CONDITIONS), null],
+    default: null,
+  },
+  refund_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Refund',
+    default: null,
+  },
+  status_history: {
+    type: [new mongoose.Schema({
+      from: { type: String, default: null },
+      to: { type: String, required: true },
+      actor_role: { type: String, required: true },
+      actor_id: { type: mongoose.Schema.Types.ObjectId, default: null },
+      note: { type: String, default: null },
+      at: { type: Date, default: Date.now },
+    }, { _id: false })],
+    default: [],
+  },
+}, { timestamps: true });
 
-const Order = mongoose.model('Order', OrderSchema);
-app.get('/accepted-vendors', async (req, res) => {
-  try {
-    const vendors = await Vendor.find({ vendor_status: 'accepted' });
-    res.json(vendors);
-  } catch (err) {
-    res.status(500).json({ message: err.message });
-  }
-});
+returnRequestSchema.index({ cart_id: 1, status: 1 });
+returnRequestSchema.index({ vendor_id: 1, status: 1 });
 
-// Vendor Remove Endpoint
-app.delete('/vendor-remove/:id', async (req, res) => {
-  try {
-    const vendor = await Vendor.findByIdAndDelete(req.params.id);
-    if (!vendor) {
-      return res.status(404).json({ message: 'Vendor not found' });
-    }
-    res.json({ message: 'Vendor removed successfully' });
-  } catch (err) {
-    res.status(500).json({ message: err.message });
-  }
-});
+const ReturnRequest = mongoose.model('ReturnRequest', returnRequestSchema);
 
-// Get all products for a specific vendor
-app.get('/vendor-products/:vendorId', async (req, res) => {
-  try {
-    const products = await Product.find({ vendor_id: req.params.vendorId });
-    res.json(products);
-  } catch (err) {
-    res.status(500).json({ message: err.message });
+// Moves a return along like transitionOrder does for orders. Resolves to
+// { returnRequest } or { status, message } describing the refusal.
+const transitionReturn = async (returnRequest, to, actor, { note = null, update = {}, session = null } = {}) => {
+  const from = returnRequest.status;
+  const allowedRoles = RETURN_TRANSITIONS[from]?.[to];
+
+  if (!allowedRoles) {
+    return { status: 409, message: `Return cannot move from ${from} to ${to}.` };
+  }
+  if (!allowedRoles.includes(actor.role)) {
+    return { status: 403, message: `${actor.role} cannot move a return from ${from} to ${to}.` };
   }
-});
 
-// Get average rating for a product
-app.get('/product-average-rating/:productId', async (req, res) => {
-  try {
-    const reviews = await Review.find({ product_id: req.params.productId });
-    const avgRating = reviews.length > 0 
-      ? reviews.reduce((sum, review) => sum + review.count, 0) / reviews.length 
-      : 0;
-    res.json({ averageRating: avgRating });
-  } catch (err) {
-    res.status(500).json({ message: err.message });
+  const updated = await ReturnRequest.findOneAndUpdate(
+    { _id: returnRequest._id, status: from },
+    {
+      ...update,
+      status: to,
+      $push: { status_history: orderStatusEvent(from, to, actor, note) },
+    },
+    { new: true, session }
+  );
+  if (!updated) {
+    return { status: 409, message: "Return status changed meanwhile, please retry." };
   }
-});
+  return { returnRequest: updated };
+};
 
-// Get total complaints for a product (including resolved ones)
-app.get('/product-complaints-count/:productId', async (req, res) => {
-  try {
-    // Find all carts that contain this product
-    const cartsWithProduct = await Cart.find({ 
-      'product_id': req.params.productId 
-    }).distinct('_id');
-    
-    // Count all complaints associated with these carts (including resolved)
-    const count = await Complaint.countDocuments({ 
-      cart_id: { $in: cartsWithProduct } 
-    });
-    
-    res.json({ count });
-  } catch (err) {
-    res.status(500).json({ message: err.message });
+// When the order was delivered, from its history
+const deliveredAt = (order) => {
+  const delivered = [...(order.status_history || [])].reverse().find((event) => event.to === ORDER_STATUS.DELIVERED);
+  return delivered ? delivered.at : order.updatedAt;
+};
+
+const canAccessReturn = (user, returnRequest) => {
+  switch (user.role) {
+    case ROLES.ADMIN:
+      return true;
+    case ROLES.USER:
+      return String(returnRequest.user_id) === user.id;
+    case ROLES.VENDOR:
+      return String(returnRequest.vendor_id) === user.id;
+    case ROLES.DELIVERY:
+      // Approved returns are open to any delivery person until one takes the pickup
+      return String(returnRequest.pickup_delivery_boy_id) === user.id
+        || (returnRequest.status === RETURN_STATUS.APPROVED && !returnRequest.pickup_delivery_boy_id);
+    default:
+      return false;
   }
-});
+};
 
-// Get breakdown of complaints by status for a product
-app.get('/product-complaints-details/:productId', async (req, res) => {
-  try {
-    // Find all carts that contain this product
-    const cartsWithProduct = await Cart.find({ 
-      'product_id': req.params.productId 
-    }).distinct('_id');
-    
-    // Get complaint statistics
-    const complaints = await Complaint.aggregate([
-      { $match: { cart_id: { $in: cartsWithProduct } } },
-      { $group: { 
-        _id: '$status',
-        count: { $sum: 1 }
-      }}
-    ]);
-    
-    // Convert to object format
-    const result = {
-      total: 0,
-      pending: 0,
-      resolved: 0,
-      rejected: 0
-    };
-    
-    complaints.forEach(item => {
-      result.total += item.count;
-      result[item._id] = item.count;
-    });
-    
-    res.json(result);
-  } catch (err) {
-    res.status(500).json({ message: err.message });
+// Loads the return named in the URL for the caller, or answers with why not
+const loadReturn = async (req, res) => {
+  const { id } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    res.status(400).json({ message: "Invalid return ID." });
+    return null;
   }
-});
 
-// Get total orders (buys) for a product
-app.get('/product-orders-count/:productId', async (req, res) => {
-  try {
-    // Find all carts that contain this product and have associated orders
-    const count = await Cart.countDocuments({ 
-      product_id: req.params.productId,
-      order_id: { $exists: true, $ne: null }
-    });
-    
-    res.json({ count });
-  } catch (err) {
-    res.status(500).json({ message: err.message });
+  const returnRequest = await ReturnRequest.findById(id);
+  if (!returnRequest || !canAccessReturn(req.user, returnRequest)) {
+    res.status(404).json({ message: "Return not found." });
+    return null;
   }
-});
+  return returnRequest;
+};
+
+// Refunds the returned units and closes the return; a failed refund leaves it
+// received so it can be retried
+const refundReturn = async (returnRequest, actor) => {
+  const order = await Order.findById(returnRequest.order_id);
+  const refund = await refundOrder(order, {
+    lines: [{ cart_id: returnRequest.cart_id, qty: returnRequest.qty }],
+    source: REFUND_SOURCES.RETURN,
+    returnId: returnRequest._id,
+    reason: `Returned: ${returnRequest.reason_code}`,
+    actor,
+  });
 
-app.put("/orders/update/:id", async (req, res) => {
-  try {
-    const { id } = req.params; // Extract the order ID from the URL
-    const { status } = req.body; // Extract the status from the request body
+  if (refund.status === REFUND_STATUS.FAILED) {
+    await ReturnRequest.updateOne({ _id: returnRequest._id }, { $set: { refund_id: refund._id } });
+    return { returnRequest: await ReturnRequest.findById(returnRequest._id), refund };
+  }
 
-    // Validate the status
-    if (!["4", "5"].includes(status)) {
-      return res.status(400).json({ message: "Invalid status value." });
-    }
+  const result = await transitionReturn(returnRequest, RETURN_STATUS.COMPLETED, actor, {
+    note: "Refunded",
+    update: { refund_id: refund._id },
+  });
+  return { returnRequest: result.returnRequest || returnRequest, refund };
+};
 
-    // Validate the order ID
-    if (!mongoose.Types.ObjectId.isValid(id)) {
-      return res.status(400).json({ message: "Invalid order ID." });
-    }
+// Answers a request that moved a return, or explains the refusal
+const sendReturnResult = (res, result, message) => {
+  if (!result.returnRequest) {
+    return res.status(result.status).json({ message: result.message });
+  }
+  return res.status(200).json({ message, returnRequest: result.returnRequest });
+};
 
-    // Update the order status
-    const order = await Order.findByIdAndUpdate(
-      id,
-      { status },
-      { new: true } // Return the updated document
-    );
+const sendReturnError = (res, err, action) => {
+  if (err.status) {
+    return res.status(err.status).json({ message: err.message });
+  }
+  console.error(`Error ${action}:`, err);
+  res.status(500).json({ message: "Server error", error: err.message });
+};
 
-    if (!order) {
-      return res.status(404).json({ message: "Order not found." });
+app.put("/category/:id/return-window", requireRole(ROLES.ADMIN), async (req, res) => {
+  try {
+    const days = Number(req.body.return_window_days);
+    if (!Number.isInteger(days) || days < 0) {
+      return res.status(400).json({ message: "Return window must be a whole number of days (0 disables returns)" });
     }
 
-    res.status(200).json({ message: "Order status updated successfully.", order });
+    const category = await Category.findByIdAndUpdate(req.params.id, { $set: { return_window_days: days } }, { new: true });
+    if (!category) {
+      return res.status(404).json({ message: "Category not found" });
+    }
+    res.json({ message: "Return window updated", category });
   } catch (err) {
-    console.error("Error updating order status:", err);
+    console.error("Error updating return window:", err);
     res.status(500).json({ message: "Server error", error: err.message });
   }
 });
-app.get("/search", async (req, res) => {
+
+// Ask to return units of a delivered line, with optional photos
+app.post("/orders/:id/lines/:lineId/returns", requireRole(ROLES.USER), upload.array("photos", 5), async (req, res) => {
   try {
-    const { query, latitude, longitude } = req.query;
+    const { id, lineId } = req.params;
+    const { reason_code, comment } = req.body;
 
-    if (!query) {
-      return res.status(400).json({ message: "Search query is required" });
+    if (!mongoose.Types.ObjectId.isValid(id) || !mongoose.Types.ObjectId.isValid(lineId)) {
+      return res.status(400).json({ message: "Invalid order or line ID." });
     }
-
-    if (!latitude || !longitude) {
-      return res.status(400).json({ message: "User location is required" });
+    if (!RETURN_REASONS.includes(reason_code)) {
+      return res.status(400).json({ message: `Reason must be one of: ${RETURN_REASONS.join(", ")}` });
     }
 
-    // Search for products or shops matching the query
-    const products = await Product.find({
-      $or: [
-        { name: { $regex: query, $options: "i" } }, // Case-insensitive search for product name
-        { shopName: { $regex: query, $options: "i" } }, // Case-insensitive search for shop name
-      ],
-    }).populate("vendor_id");
-
-    if (products.length === 0) {
-      return res.status(404).json({ message: "No results found" });
+    const order = await Order.findById(id);
+    if (!order || String(order.user_id) !== req.user.id) {
+      return res.status(404).json({ message: "Order not found." });
+    }
+    if (order.status !== ORDER_STATUS.DELIVERED) {
+      return res.status(409).json({ message: "Only delivered orders can be returned." });
     }
 
-    // Calculate distance and include the first image
-    const results = await Promise.all(
-      products.map(async (product) => {
-        const vendor = product.vendor_id;
-
-        // Check if vendor has valid latitude and longitude
-        if (!vendor || !vendor.vendor_lat || !vendor.vendor_lon) {
-          return { ...product.toObject(), distance: null, firstImage: null };
-        }
-
-        const distance = haversineDistance(
-          parseFloat(latitude),
-          parseFloat(longitude),
-          vendor.vendor_lat,
-          vendor.vendor_lon
-        );
+    const line = await Cart.findOne({ _id: lineId, order_id: order._id, status: "processing" })
+      .populate({ path: "product_id", select: "name category_id", populate: { path: "category_id", select: "return_window_days" } });
+    if (!line || !line.product_id) {
+      return res.status(404).json({ message: "Line not found on this order." });
+    }
 
-        // Fetch the first image from the Gallery collection
-        const galleryImage = await Gallery.findOne({ product_id: product._id });
+    // The window comes from the product's category
+    const windowDays = line.product_id.category_id?.return_window_days ?? DEFAULT_RETURN_WINDOW_DAYS;
+    const closesAt = new Date(deliveredAt(order).getTime() + windowDays * 24 * 60 * 60 * 1000);
+    if (windowDays === 0 || closesAt < new Date()) {
+      return res.status(409).json({ message: "The return window for this item has closed." });
+    }
 
-        return {
-          ...product.toObject(),
-          distance,
-          firstImage: galleryImage ? galleryImage.gallery_photo : null,
-        };
-      })
-    );
+    // Units already refunded or in another return cannot be returned again
+    const [pending] = await ReturnRequest.aggregate([
+      { $match: { cart_id: line._id, status: { $in: OPEN_RETURN_STATUSES } } },
+      { $group: { _id: null, qty: { $sum: "$qty" } } },
+    ]);
+    const returnable = line.qty - line.refunded_qty - (pending ? pending.qty : 0);
+    const qty = req.body.qty === undefined ? returnable : Number(req.body.qty);
+    if (!Number.isInteger(qty) || qty <= 0 || qty > returnable) {
+      return res.status(400).json({ message: `Only ${returnable} of this item can be returned.` });
+    }
 
-    // Sort results by distance (nearest first)
-    results.sort((a, b) => a.distance - b.distance);
+    const returnRequest = await ReturnRequest.create({
+      order_id: order._id,
+      cart_id: line._id,
+      user_id: order.user_id,
+      vendor_id: order.vendor_id,
+      product_id: line.product_id._id,
+      variant_id: line.variant_id,
+      qty,
+      reason_code,
+      comment: comment || null,
+      photos: (req.files || []).map((file) => file.filename),
+      status_history: [orderStatusEvent(null, RETURN_STATUS.REQUESTED, req.user, comment || null)],
+    });
 
-    res.json(results);
+    res.status(201).json({ message: "Return requested", returnRequest, return_window_closes_at: closesAt });
   } catch (err) {
-    console.error("Error fetching search results:", err);
-    res.status(500).send("Server error");
+    sendReturnError(res, err, "requesting return");
   }
 });
-app.get("/vendor-profile", async (req, res) => {
-  try {
-    const { vendorId } = req.query;
 
-    const vendor = await Vendor.findById(vendorId);
-    if (!vendor) {
-      return res.status(404).json({ message: "Vendor not found" });
-    }
+app.get("/returns/:id", requireAuth, async (req, res) => {
+  try {
+    const returnRequest = await loadReturn(req, res);
+    if (!returnRequest) return;
 
-    res.json(vendor);
+    await returnRequest.populate([
+      { path: "product_id", select: "name" },
+      { path: "pickup_delivery_boy_id", select: "name email" },
+      { path: "refund_id" },
+    ]);
+    res.status(200).json(returnRequest);
   } catch (err) {
-    console.error("Error fetching vendor profile:", err.message);
-    res.status(500).send("Server error");
+    sendReturnError(res, err, "fetching return");
   }
 });
 
-app.get("/vendor-products-with-order/:vendorId", async (req, res) => {
+app.get("/user/:id/returns", requireSelf('id', ROLES.USER), async (req, res) => {
   try {
-    const { vendorId } = req.params;
-    console.log("Vendor ID:", vendorId);
-
-    const vendorOrders = await Cart.aggregate([
-      {
-        $lookup: {
-          from: "products",
-          localField: "product_id",
-          foreignField: "_id",
-          as: "product",
-        },
-      },
-      { $unwind: "$product" },
-      {
-        $match: {
-          "product.vendor_id": new mongoose.Types.ObjectId(vendorId),
-        },
-      },
-      {
-        $lookup: {
-          from: "orders",
-          localField: "order_id",
-          foreignField: "_id",
-          as: "order",
-        },
-      },
-      { $unwind: { path: "$order", preserveNullAndEmptyArrays: true } },
+    const returns = await ReturnRequest.find({ user_id: req.params.id })
+      .populate("product_id", "name")
+      .sort({ createdAt: -1 });
+    res.status(200).json(returns);
+  } catch (err) {
+    sendReturnError(res, err, "fetching returns");
+  }
+});
 
-      // ✅ Filter by order status (as string) between '2' and '5'
-      {
-        $match: {
-          "order.status": { $in: ['2', '3', '4', '5'] }
-        },
-      },
+app.get("/vendor/:vendorId/returns", requireSelf('vendorId', ROLES.VENDOR), async (req, res) => {
+  try {
+    const filter = { vendor_id: req.params.vendorId };
+    if (req.query.status) filter.status = req.query.status;
 
-      {
-        $lookup: {
-          from: "users",
-          localField: "order.user_id",
-          foreignField: "_id",
-          as: "user",
-        },
-      },
-      { $unwind: { path: "$user", preserveNullAndEmptyArrays: true } },
-      {
-        $lookup: {
-          from: "addresses",
-          localField: "user._id",
-          foreignField: "user_id",
-          as: "address",
-        },
-      },
-      {
-        $unwind: {
-          path: "$address",
-          preserveNullAndEmptyArrays: true,
-        },
-      },
-      {
-        $project: {
-          _id: 1,
-          qty: 1,
-          cart_price: 1,
-          status: 1,
-          "product.name": 1,
-          "product.price": 1,
-          "order._id": 1,
-          "order.date": 1,
-          "order.order_amount": 1,
-          "order.status": 1,
-          "user.user_name": 1,
-          "user.user_email": 1,
-          "address.content": 1,
-        },
-      },
-    ]);
+    const returns = await ReturnRequest.find(filter)
+      .populate("product_id", "name")
+      .populate("user_id", "user_name user_email")
+      .sort({ createdAt: -1 });
+    res.status(200).json(returns);
+  } catch (err) {
+    sendReturnError(res, err, "fetching returns");
+  }
+});
 
-    res.status(200).json({ success: true, vendorOrders });
-  } catch (error) {
-    console.error("Error fetching vendor orders:", error);
-    res.status(500).json({ success: false, message: "Server Error" });
+// Approved returns still waiting for someone to pick them up
+app.get("/delivery/returns/available", requireRole(ROLES.DELIVERY, ROLES.ADMIN), async (req, res) => {
+  try {
+    const returns = await ReturnRequest.find({ status: RETURN_STATUS.APPROVED, pickup_delivery_boy_id: null })
+      .populate("product_id", "name")
+      .populate({ path: "order_id", select: "address_id", populate: { path: "address_id", select: "content" } })
+      .sort({ createdAt: 1 });
+    res.status(200).json(returns);
+  } catch (err) {
+    sendReturnError(res, err, "fetching available pickups");
   }
 });
 
+app.get("/delivery/:deliveryPersonId/returns", requireSelf('deliveryPersonId', ROLES.DELIVERY), async (req, res) => {
+  try {
+    const returns = await ReturnRequest.find({ pickup_delivery_boy_id: req.params.deliveryPersonId })
+      .populate("product_id", "name")
+      .populate({ path: "order_id", select: "address_id", populate: { path: "address_id", select: "content" } })
+      .sort({ createdAt: -1 });
+    res.status(200).json(returns);
+  } catch (err) {
+    sendReturnError(res, err, "fetching pickups");
+  }
+});
 
-//     const { vendorId } = req.params;
+app.post("/returns/:id/approve", requireRole(ROLES.VENDOR, ROLES.ADMIN), async (req, res) => {
+  try {
+    const returnRequest = await loadReturn(req, res);
+    if (!returnRequest) return;
 
-//     if (!vendorId) {
-//       return res.status(400).json({ message: "Vendor ID is required" });
-//     }
+    const result = await transitionReturn(returnRequest, RETURN_STATUS.APPROVED, req.user, { note: req.body.note });
+    sendReturnResult(res, result, "Return approved");
+  } catch (err) {
+    sendReturnError(res, err, "approving return");
+  }
+});
 
-//     // Convert vendorId to ObjectId
-//     const vendorObjectId = new ObjectId(vendorId);
+app.post("/returns/:id/reject", requireRole(ROLES.VENDOR, ROLES.ADMIN), async (req, res) => {
+  try {
+    const returnRequest = await loadReturn(req, res);
+    if (!returnRequest) return;
 
-//     // Find all orders related to this vendor with status 2-5
-//     const orders = await Order.find({
-//       vendor_id: vendorObjectId,
-//       status: { $in: ["2", "3", "4", "5"] } // Filtering orders with status 2-5
-//     }).select("_id status");
+    if (!req.body.note) {
+      return res.status(400).json({ message: "A reason for rejecting is required." });
+    }
+    const result = await transitionReturn(returnRequest, RETURN_STATUS.REJECTED, req.user, { note: req.body.note });
+    sendReturnResult(res, result, "Return rejected");
+  } catch (err) {
+    sendReturnError(res, err, "rejecting return");
+  }
+});
 
-//     if (!orders.length) {
-//       return res.status(404).json({ message: "No orders found with statuses 2-5 for this vendor" });
-//     }
+app.post("/returns/:id/cancel", requireRole(ROLES.USER, ROLES.ADMIN), async (req, res) => {
+  try {
+    const returnRequest = await loadReturn(req, res);
+    if (!returnRequest) return;
 
-//     // Extract order IDs
-//     const orderIds = orders.map(order => order._id);
+    const result = await transitionReturn(returnRequest, RETURN_STATUS.CANCELLED, req.user, { note: req.body.note });
+    sendReturnResult(res, result, "Return cancelled");
+  } catch (err) {
+    sendReturnError(res, err, "cancelling return");
+  }
+});
 
-//     // Find products in Cart that belong to these orders
-//     const cartItems = await Cart.find({
-//       order_id: { $in: orderIds }
-//     }).populate("product_id", "name");
+// Vendors and admins assign the pickup; a delivery person can take it themselves
+app.post("/returns/:id/pickup", requireRole(ROLES.VENDOR, ROLES.ADMIN, ROLES.DELIVERY), async (req, res) => {
+  try {
+    const returnRequest = await loadReturn(req, res);
+    if (!returnRequest) return;
 
-//     if (!cartItems.length) {
-//       return res.status(404).json({ message: "No products found for orders with statuses 2-5" });
-//     }
+    const deliveryPersonId = req.user.role === ROLES.DELIVERY ? req.user.id : req.body.delivery_person_id;
+    if (!mongoose.Types.ObjectId.isValid(deliveryPersonId)) {
+      return res.status(400).json({ message: "Invalid delivery person ID." });
+    }
+    if (!(await DeliveryPerson.exists({ _id: deliveryPersonId }))) {
+      return res.status(404).json({ message: "Delivery person not found." });
+    }
 
-//     // Prepare final response with products and order statuses
-//     const results = await Promise.all(
-//       cartItems.map(async (cartItem) => {
-//         const order = orders.find(order => order._id.equals(cartItem.order_id));
-//         const galleryImage = await Gallery.findOne({ product_id: cartItem.product_id._id });
+    const result = await transitionReturn(returnRequest, RETURN_STATUS.PICKUP_ASSIGNED, req.user, {
+      note: req.body.note,
+      update: { pickup_delivery_boy_id: deliveryPersonId },
+    });
+    sendReturnResult(res, result, "Pickup assigned");
+  } catch (err) {
+    sendReturnError(res, err, "assigning pickup");
+  }
+});
 
-//         return {
-//           _id: cartItem.product_id._id,
-//           name: cartItem.product_id.name,
-//           orderStatus: order ? order.status : "Unknown",
-//           firstImage: galleryImage ? galleryImage.gallery_photo : null,
-//         };
-//       })
-//     );
+app.post("/returns/:id/picked-up", requireRole(ROLES.DELIVERY, ROLES.ADMIN), async (req, res) => {
+  try {
+    const returnRequest = await loadReturn(req, res);
+    if (!returnRequest) return;
 
-//     res.json(results);
-//   } catch (err) {
-//     console.error("Error fetching vendor products with order statuses:", err);
-//     res.status(500).json({ message: "Server error", error: err.message });
-//   }
-// });
+    const result = await transitionReturn(returnRequest, RETURN_STATUS.PICKED_UP, req.user, { note: req.body.note });
+    sendReturnResult(res, result, "Return picked up");
+  } catch (err) {
+    sendReturnError(res, err, "recording pickup");
+  }
+});
 
-app.get("/api/get-coordinates", async (req, res) => {
+// The vendor got the goods back: restock (or write off) and refund
+app.post("/returns/:id/receive", requireRole(ROLES.VENDOR, ROLES.ADMIN), async (req, res) => {
   try {
-    const { user_id } = req.query;
+    const returnRequest = await loadReturn(req, res);
+    if (!returnRequest) return;
 
-    // Validate user_id
-    if (!user_id) {
-      return res.status(400).json({ message: "User ID is required" });
+    const condition = req.body.condition || RETURN_CONDITIONS.RESELLABLE;
+    if (!Object.values(RETURN_CONDITIONS).includes(condition)) {
+      return res.status(400).json({ message: `Condition must be one of: ${Object.values(RETURN_CONDITIONS).join(", ")}` });
     }
 
-    // Fetch the user from the database
-    const user = await User.findById(user_id);
-    if (!user || user.latitude === undefined || user.longitude === undefined) {
-      return res.status(404).json({ message: "No saved location found" });
-    }
+    const received = await withTransaction(async (session) => {
+      const result = await transitionReturn(returnRequest, RETURN_STATUS.RECEIVED, req.user, {
+        note: req.body.note,
+        update: { condition },
+        session,
+      });
+      if (!result.returnRequest) {
+        throw httpError(result.status, result.message);
+      }
 
-    // Return the saved coordinates
-    res.json({ latitude: user.latitude, longitude: user.longitude });
+      await Cart.updateOne({ _id: returnRequest.cart_id }, { $inc: { returned_qty: returnRequest.qty } }, { session });
+
+      const movement = { actor: req.user, orderId: returnRequest.order_id, variantId: returnRequest.variant_id };
+      await adjustStock(returnRequest.product_id, returnRequest.qty, {
+        ...movement,
+        type: STOCK_MOVEMENT_TYPES.RETURN,
+        reason: `Customer return: ${returnRequest.reason_code}`,
+      }, session);
+      if (condition === RETURN_CONDITIONS.DAMAGED) {
+        await adjustStock(returnRequest.product_id, -returnRequest.qty, {
+          ...movement,
+          type: STOCK_MOVEMENT_TYPES.DAMAGE,
+          reason: "Returned damaged",
+        }, session);
+      }
+      return result.returnRequest;
+    });
+
+    const { returnRequest: completed, refund } = await refundReturn(received, req.user);
+    if (refund.status === REFUND_STATUS.FAILED) {
+      return res.status(502).json({ message: "Return received but the refund failed.", returnRequest: completed, refund });
+    }
+    res.status(200).json({ message: "Return received and refunded", returnRequest: completed, refund });
   } catch (err) {
-    console.error("Error fetching saved location:", err);
-    res.status(500).send("Server error");
+    sendReturnError(res, err, "receiving return");
   }
 });
 
-
-
-app.post("/orders/pay", async (req, res) => {
+// Retry the refund of a received return
+app.post("/returns/:id/refund", requireRole(ROLES.VENDOR, ROLES.ADMIN), async (req, res) => {
   try {
-    const { user_id, order_id } = req.body;
+    const returnRequest = await loadReturn(req, res);
+    if (!returnRequest) return;
 
-    // Validate the user ID and order ID
-    if (!mongoose.Types.ObjectId.isValid(user_id) || !mongoose.Types.ObjectId.isValid(order_id)) {
-      return res.status(400).json({ message: "Invalid user ID or order ID." });
+    if (returnRequest.status !== RETURN_STATUS.RECEIVED) {
+      return res.status(409).json({ message: "Only received returns can be refunded." });
     }
 
-    // Fetch the order
-    const order = await Order.findOne({ _id: order_id, user_id, status: "1" });
-    if (!order) {
-      return res.status(404).json({ message: "Order not found or already processed." });
+    const { returnRequest: completed, refund } = await refundReturn(returnRequest, req.user);
+    if (refund.status === REFUND_STATUS.FAILED) {
+      return res.status(502).json({ message: "Refund failed.", returnRequest: completed, refund });
     }
+    res.status(200).json({ message: "Return refunded", returnRequest: completed, refund });
+  } catch (err) {
+    sendReturnError(res, err, "refunding return");
+  }
+});
 
-    // Update the stock quantity for each product in the cart
-    const cartItems = await Cart.find({ order_id });
-    for (const cartItem of cartItems) {
-      const product = await Product.findById(cartItem.product_id);
-
-      if (product) {
-        // Reduce the stock quantity
-        product.stock = product.stock - cartItem.qty;
-
-        // Ensure stock doesn't go negative
-        if (product.stock < 0) {
-          return res.status(400).json({
-            message: `Insufficient stock for product: ${product.name}.`,
-          });
-        }
+app.post("/orders/pay", requireSelf('user_id', ROLES.USER), async (req, res) => {
+  try {
+    const { user_id, order_id, checkout_id } = req.body;
 
-        await product.save();
-      }
+    // Validate the user ID and the order or checkout being paid for
+    const payingCheckout = mongoose.Types.ObjectId.isValid(checkout_id);
+    if (!mongoose.Types.ObjectId.isValid(user_id) || (!payingCheckout && !mongoose.Types.ObjectId.isValid(order_id))) {
+      return res.status(400).json({ message: "Invalid user ID or order ID." });
     }
 
-    // Update the order status to "2" (Processed)
-    order.status = "2";
-    await order.save();
+    // Create and confirm the payment in one go; the orders are marked paid on capture
+    const { payment } = await createPayment({
+      userId: user_id,
+      orderId: payingCheckout ? null : order_id,
+      checkoutId: payingCheckout ? checkout_id : null,
+      idempotencyKey: idempotencyKey(req),
+    });
+    const confirmed = await confirmPayment(payment, req.body.payment_method, req.user);
 
-    res.status(200).json({ message: "Payment successful! Order updated and stock adjusted." });
+    sendPaymentResult(res, confirmed);
   } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ message: err.message });
+    }
     console.error("Error processing payment:", err);
     res.status(500).json({ message: "Server error", error: err.message });
   }
@@ -3297,6 +11047,7 @@ const deliveryPersonSchema = new mongoose.Schema({
   password: {
     type: String,
     required: true,
+    select: false,
   },
   a_proof: {
     type: String, // Path to the address proof document
@@ -3311,9 +11062,13 @@ const deliveryPersonSchema = new mongoose.Schema({
     enum: ["active", "inactive"], // Status can be 'active' or 'inactive'
     default: "inactive",
   },
+  email_verified: {
+    type: Boolean,
+    default: true, // Accounts created before email verification count as verified
+  },
 });
 // Get all delivery persons with their proofs
-app.get('/api/delivery-persons', async (req, res) => {
+app.get('/api/delivery-persons', requireRole(ROLES.ADMIN), async (req, res) => {
   try {
     const deliveryPersons = await DeliveryPerson.find({});
     res.json(deliveryPersons);
@@ -3323,7 +11078,7 @@ app.get('/api/delivery-persons', async (req, res) => {
 });
 
 // Get single delivery person with proofs
-app.get('/api/delivery-persons/:id', async (req, res) => {
+app.get('/api/delivery-persons/:id', requireRole(ROLES.ADMIN), async (req, res) => {
   try {
     const person = await DeliveryPerson.findById(req.params.id);
     if (!person) {
@@ -3335,7 +11090,7 @@ app.get('/api/delivery-persons/:id', async (req, res) => {
   }
 });
 const DeliveryPerson = mongoose.model("DeliveryPerson", deliveryPersonSchema);
-app.get("/user/orders/details", async (req, res) => {
+app.get("/user/orders/details", requireSelf('user_id', ROLES.USER), async (req, res) => {
   try {
     const { user_id } = req.query;
 
@@ -3382,6 +11137,8 @@ app.get("/user/orders/details", async (req, res) => {
           order_id: "$order._id",
           order_date: "$order.date",
           last_updated: "$order.updatedAt",
+          status: "$order.status",
+          timeline: "$order.status_history",
           product_name: "$product.name",
           product_price: "$product.price",
           qty: 1,
@@ -3400,7 +11157,7 @@ app.get("/user/orders/details", async (req, res) => {
     res.status(500).json({ message: "Server error", error: err.message });
   }
 });
-app.get("/user/orders", async (req, res) => {
+app.get("/user/orders", requireSelf('user_id', ROLES.USER), async (req, res) => {
   try {
     const { user_id } = req.query;
 
@@ -3426,7 +11183,7 @@ app.get("/user/orders", async (req, res) => {
 });
 
 
-app.post("/user/review", async (req, res) => {
+app.post("/user/review", requireSelf('user_id', ROLES.USER), async (req, res) => {
   try {
     const { user_id, product_id, content, count } = req.body;
 
@@ -3444,13 +11201,14 @@ app.post("/user/review", async (req, res) => {
     });
 
     await review.save();
+    await refreshListingRating(review.product_id);
     res.status(201).json({ message: "Review posted successfully.", review });
   } catch (err) {
     console.error("Error posting review:", err);
     res.status(500).json({ message: "Server error", error: err.message });
   }
 });
-app.post("/user/review", async (req, res) => {
+app.post("/user/review", requireSelf('user_id', ROLES.USER), async (req, res) => {
   try {
     const { user_id, product_id, content, count } = req.body;
 
@@ -3468,6 +11226,7 @@ app.post("/user/review", async (req, res) => {
     });
 
     await review.save();
+    await refreshListingRating(review.product_id);
     res.status(201).json({ message: "Review posted successfully.", review });
   } catch (err) {
     console.error("Error posting review:", err);
@@ -3475,7 +11234,438 @@ app.post("/user/review", async (req, res) => {
   }
 });
 
-app.get("/orders/:id", async (req, res) => {
+// Invoices
+// Each vendor numbers its invoices on its own sequence. A number is taken the
+// first time an order's invoice is asked for, in the same transaction that
+// records the invoice, so numbers are never skipped or handed out twice. The
+// invoice keeps what it says as it was issued: later cancellations or address
+// changes do not rewrite it.
+const invoiceCounterSchema = new mongoose.Schema({
+  vendor_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vendor',
+    required: true,
+    unique: true,
+  },
+  seq: {
+    type: Number,
+    default: 0,
+  },
+});
+
+const InvoiceCounter = mongoose.model('InvoiceCounter', invoiceCounterSchema);
+
+const invoiceLineSchema = new mongoose.Schema({
+  name: String,
+  hsn_code: String,
+  qty: Number,
+  amount: Number,
+  discount: Number,
+  taxable_value: Number,
+  tax_rate: Number,
+  cgst: Number,
+  sgst: Number,
+  igst: Number,
+  total: Number,
+}, { _id: false });
+
+// The parties, lines and totals of an invoice as issued
+const invoiceSnapshotSchema = new mongoose.Schema({
+  seller: {
+    name: String,
+    address: String,
+    pincode: String,
+    state: String,
+  },
+  buyer: {
+    name: String,
+    email: String,
+    address: String,
+    state: String,
+  },
+  order_date: Date,
+  payment_method: String,
+  tax_type: String,
+  coupon_code: String,
+  lines: [invoiceLineSchema],
+  subtotal_amount: Number,
+  discount_amount: Number,
+  taxable_amount: Number,
+  cgst_amount: Number,
+  sgst_amount: Number,
+  igst_amount: Number,
+  delivery_fee: Number,
+  delivery_waived: Boolean,
+  total_amount: Number,
+}, { _id: false });
+
+const invoiceSchema = new mongoose.Schema({
+  order_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true,
+    unique: true,
+  },
+  vendor_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vendor',
+    required: true,
+  },
+  seq: {
+    type: Number,
+    required: true,
+  },
+  invoice_number: {
+    type: String,
+    required: true,
+  },
+  issued_at: {
+    type: Date,
+    default: Date.now,
+  },
+  snapshot: {
+    type: invoiceSnapshotSchema,
+    default: null, // Invoices issued before snapshots were kept get one on their next download
+  },
+});
+
+invoiceSchema.index({ vendor_id: 1, seq: 1 }, { unique: true });
+
+const Invoice = mongoose.model('Invoice', invoiceSchema);
+
+// What an order's invoice says: the parties and the lines still being supplied.
+// Totals are summed from those lines so they always add up.
+const invoiceSnapshot = async (order) => {
+  const [vendor, user, address, lines] = await Promise.all([
+    Vendor.findById(order.vendor_id),
+    User.findById(order.user_id),
+    order.address_id ? Address.findById(order.address_id) : null,
+    Cart.find({ order_id: order._id, status: "processing" })
+      .populate("product_id", "name")
+      .populate("variant_id", "sku name attributes"),
+  ]);
+
+  const invoiceLines = lines.map((line) => ({
+    name: [line.product_id?.name || 'Item', variantLabel(line.variant_id)].filter(Boolean).join(' - '),
+    hsn_code: line.hsn_code || null,
+    qty: line.qty,
+    amount: line.cart_price,
+    discount: line.discount_amount || 0,
+    taxable_value: line.taxable_value ?? roundAmount(line.cart_price - (line.discount_amount || 0)),
+    tax_rate: line.tax_rate ?? 0,
+    cgst: line.cgst || 0,
+    sgst: line.sgst || 0,
+    igst: line.igst || 0,
+    total: linePaid(line),
+  }));
+  const sum = (field) => roundAmount(invoiceLines.reduce((total, line) => total + line[field], 0));
+
+  return {
+    seller: {
+      name: vendor?.vendor_name,
+      address: vendor?.vendor_address,
+      pincode: vendor?.vendor_pincode,
+      state: vendor?.vendor_state,
+    },
+    buyer: {
+      name: user?.user_name,
+      email: user?.user_email,
+      address: address?.content,
+      state: address?.state,
+    },
+    order_date: order.date || order.createdAt,
+    payment_method: order.payment_method,
+    tax_type: order.tax_type,
+    coupon_code: order.coupon_code || null,
+    lines: invoiceLines,
+    subtotal_amount: sum("amount"),
+    discount_amount: sum("discount"),
+    taxable_amount: sum("taxable_value"),
+    cgst_amount: sum("cgst"),
+    sgst_amount: sum("sgst"),
+    igst_amount: sum("igst"),
+    delivery_fee: order.delivery_fee || 0,
+    delivery_waived: Boolean(order.delivery_fee_breakdown?.waived),
+    total_amount: roundAmount(sum("total") + (order.delivery_fee || 0)),
+  };
+};
+
+// The order's invoice, numbered and snapshotted on first use
+const issueInvoice = async (order) => {
+  const existing = await Invoice.findOne({ order_id: order._id });
+  if (existing?.snapshot) return existing;
+  if (existing) {
+    // Issued before snapshots were kept: record what it says now, once
+    const snapshotted = await Invoice.findOneAndUpdate(
+      { _id: existing._id, snapshot: null },
+      { $set: { snapshot: await invoiceSnapshot(order) } },
+      { new: true }
+    );
+    return snapshotted || Invoice.findById(existing._id);
+  }
+
+  const snapshot = await invoiceSnapshot(order);
+  try {
+    return await withTransaction(async (session) => {
+      const counter = await InvoiceCounter.findOneAndUpdate(
+        { vendor_id: order.vendor_id },
+        { $inc: { seq: 1 } },
+        { new: true, upsert: true, session }
+      );
+      const vendorCode = String(order.vendor_id).slice(-6).toUpperCase();
+      const [invoice] = await Invoice.create([{
+        order_id: order._id,
+        vendor_id: order.vendor_id,
+        seq: counter.seq,
+        invoice_number: `RH-${vendorCode}-${String(counter.seq).padStart(6, '0')}`,
+        snapshot,
+      }], { session });
+      return invoice;
+    });
+  } catch (err) {
+    // Someone issued it at the same time; theirs stands and our number was rolled back
+    if (err.code === 11000) {
+      return Invoice.findOne({ order_id: order._id });
+    }
+    throw err;
+  }
+};
+
+// PDF
+// Invoices are drawn with pdfkit on A4 pages. Names and addresses can be in any
+// Indian script, so the fonts are embedded: INVOICE_FONT_DIR (fonts/ in the
+// repo) holds Noto Sans (NotoSans-Regular.ttf, NotoSans-Bold.ttf) plus one
+// family per script, named the Google Fonts way (NotoSansDevanagari-Regular.ttf,
+// NotoSansTamil-Bold.ttf, ...). Text is split into runs per script and each run
+// uses its script's font.
+const PDF_PAGE_WIDTH = 595;
+const PDF_PAGE_HEIGHT = 842;
+const INVOICE_FONT_DIR = process.env.INVOICE_FONT_DIR || path.join(__dirname, 'fonts');
+
+// Unicode blocks of the scripts with a font of their own
+const PDF_SCRIPTS = [
+  ['Devanagari', 0x0900, 0x097f],
+  ['Bengali', 0x0980, 0x09ff],
+  ['Gurmukhi', 0x0a00, 0x0a7f],
+  ['Gujarati', 0x0a80, 0x0aff],
+  ['Oriya', 0x0b00, 0x0b7f],
+  ['Tamil', 0x0b80, 0x0bff],
+  ['Telugu', 0x0c00, 0x0c7f],
+  ['Kannada', 0x0c80, 0x0cff],
+  ['Malayalam', 0x0d00, 0x0d7f],
+];
+
+// Font files found for each script and weight, looked up once
+let pdfFonts = null;
+const loadPdfFonts = () => {
+  if (pdfFonts) return pdfFonts;
+  const file = (family, weight) => {
+    const fontPath = path.join(INVOICE_FONT_DIR, `NotoSans${family}-${weight}.ttf`);
+    return fs.existsSync(fontPath) ? fontPath : null;
+  };
+  pdfFonts = { Regular: {}, Bold: {}, embedded: Boolean(file('', 'Regular')) };
+  for (const weight of ['Regular', 'Bold']) {
+    // Without Noto Sans the built-in Helvetica stands in, which only knows Latin
+    pdfFonts[weight].base = file('', weight) || file('', 'Regular') || (weight === 'Bold' ? 'Helvetica-Bold' : 'Helvetica');
+    for (const [script] of PDF_SCRIPTS) {
+      pdfFonts[weight][script] = file(script, weight) || file(script, 'Regular');
+    }
+  }
+  if (!pdfFonts.embedded) {
+    console.warn(`No NotoSans-Regular.ttf in ${INVOICE_FONT_DIR}; invoices fall back to Helvetica and cannot show Indian scripts or the rupee sign.`);
+  }
+  return pdfFonts;
+};
+
+// Splits text into runs that each need one font. Spaces, digits, punctuation
+// and joiners stay with the run they are in.
+const pdfRuns = (text, bold) => {
+  const fonts = loadPdfFonts()[bold ? 'Bold' : 'Regular'];
+  const runs = [];
+  for (const char of String(text ?? '')) {
+    const codePoint = char.codePointAt(0);
+    const script = PDF_SCRIPTS.find(([, from, to]) => codePoint >= from && codePoint <= to);
+    const neutral = !script && /[\s\d\p{P}\u200c\u200d]/u.test(char);
+    const font = script ? fonts[script[0]] || fonts.base : fonts.base;
+    const last = runs[runs.length - 1];
+    if (last && (neutral || last.font === font)) {
+      last.text += char;
+    } else {
+      runs.push({ font, text: char });
+    }
+  }
+  return runs;
+};
+
+// Lays text out top to bottom, starting new pages as they fill. Resolves the
+// finished document to a Buffer on render.
+const pdfLayout = () => {
+  const doc = new PDFDocument({ size: [PDF_PAGE_WIDTH, PDF_PAGE_HEIGHT], margin: 0 });
+  const chunks = [];
+  doc.on('data', (chunk) => chunks.push(chunk));
+  const done = new Promise((resolve, reject) => {
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+  });
+  let y = 50;
+
+  const layout = {
+    // Moves down by height, breaking the page when it runs out
+    down(height) {
+      if (y + height > PDF_PAGE_HEIGHT - 50) {
+        doc.addPage();
+        y = 50;
+      }
+      y += height;
+      return layout;
+    },
+    text(x, text, { size = 9, bold = false, align = 'left', width = 0 } = {}) {
+      const runs = pdfRuns(text, bold);
+      const widths = runs.map((run) => doc.font(run.font).fontSize(size).widthOfString(run.text));
+      let runX = align === 'right' ? x + width - widths.reduce((sum, runWidth) => sum + runWidth, 0) : x;
+      runs.forEach((run, index) => {
+        // y is the baseline, as the layout was drawn in PDF coordinates before
+        doc.font(run.font).fontSize(size).text(run.text, runX, y - size, { lineBreak: false });
+        runX += widths[index];
+      });
+      return layout;
+    },
+    rule() {
+      doc.moveTo(40, y + 4).lineTo(PDF_PAGE_WIDTH - 40, y + 4).lineWidth(0.5).stroke();
+      return layout;
+    },
+    render: () => {
+      doc.end();
+      return done;
+    },
+  };
+  return layout;
+};
+
+const money = (amount) => Number(amount || 0).toFixed(2);
+
+// Amounts with the rupee sign, which Helvetica does not have
+const rupees = (amount) =>
+  `${Number(amount) < 0 ? '-' : ''}${loadPdfFonts().embedded ? '\u20b9' : 'Rs. '}${money(Math.abs(amount || 0))}`;
+
+// Renders an order's tax invoice from its snapshot; resolves to the PDF. Only
+// the notes on a later cancellation or refund come from the order as it is now.
+const invoicePdf = ({ invoice, order }) => {
+  const { snapshot } = invoice;
+  const doc = pdfLayout();
+  doc.text(40, 'TAX INVOICE', { size: 16, bold: true })
+    .text(330, `Invoice no: ${invoice.invoice_number}`, { bold: true });
+  doc.down(14).text(330, `Invoice date: ${invoice.issued_at.toISOString().slice(0, 10)}`);
+  doc.down(12).text(330, `Order no: ${invoice.order_id}`);
+  doc.down(12).text(330, `Order date: ${new Date(snapshot.order_date).toISOString().slice(0, 10)}`);
+  doc.down(12).text(330, `Payment: ${snapshot.payment_method === PAYMENT_METHODS.COD ? 'Cash on delivery' : 'Online'}`
+    + (order.status === ORDER_STATUS.CANCELLED ? ' (order cancelled)' : ''));
+
+  doc.down(24).text(40, 'Sold by', { bold: true }).text(330, 'Billed and shipped to', { bold: true });
+  const seller = [snapshot.seller?.name, snapshot.seller?.address, snapshot.seller?.pincode,
+    snapshot.seller?.state && `State: ${snapshot.seller.state}`].filter(Boolean);
+  const buyer = [snapshot.buyer?.name, snapshot.buyer?.email, snapshot.buyer?.address,
+    snapshot.buyer?.state && `State: ${snapshot.buyer.state}`].filter(Boolean);
+  for (let i = 0; i < Math.max(seller.length, buyer.length); i += 1) {
+    doc.down(12);
+    if (seller[i]) doc.text(40, String(seller[i]).slice(0, 55));
+    if (buyer[i]) doc.text(330, String(buyer[i]).slice(0, 45));
+  }
+
+  // Line items
+  doc.down(26).text(40, `Amounts in ${loadPdfFonts().embedded ? '\u20b9' : 'Rs.'}`, { size: 8 });
+  const columns = [
+    ['#', 40, 15], ['Item', 55, 140], ['HSN', 195, 45], ['Qty', 240, 25], ['Amount', 265, 50],
+    ['Discount', 315, 45], ['Taxable', 360, 50], ['Tax %', 410, 30], ['CGST', 440, 35], ['SGST', 475, 35],
+    ['IGST', 510, 35], ['Total', 545, 40],
+  ];
+  doc.down(14);
+  for (const [label, x, width] of columns) {
+    doc.text(x, label, { size: 8, bold: true, align: x >= 240 ? 'right' : 'left', width });
+  }
+  doc.rule();
+  snapshot.lines.forEach((line, index) => {
+    const values = [
+      index + 1,
+      line.name.slice(0, 30),
+      line.hsn_code || '-',
+      line.qty,
+      money(line.amount),
+      money(line.discount),
+      money(line.taxable_value),
+      line.tax_rate,
+      money(line.cgst),
+      money(line.sgst),
+      money(line.igst),
+      money(line.total),
+    ];
+    doc.down(14);
+    columns.forEach(([, x, width], column) => {
+      doc.text(x, values[column], { size: 8, align: x >= 240 ? 'right' : 'left', width });
+    });
+  });
+  doc.rule();
+
+  // Totals
+  const totals = [
+    ['Subtotal', snapshot.subtotal_amount],
+    [snapshot.coupon_code ? `Discount (${snapshot.coupon_code})` : 'Discount', -snapshot.discount_amount],
+    ['Taxable value', snapshot.taxable_amount],
+    ['CGST', snapshot.cgst_amount],
+    ['SGST', snapshot.sgst_amount],
+    ['IGST', snapshot.igst_amount],
+    [snapshot.delivery_waived ? 'Delivery (waived)' : 'Delivery', snapshot.delivery_fee],
+  ];
+  doc.down(8);
+  for (const [label, amount] of totals) {
+    doc.down(13).text(400, label).text(490, rupees(amount), { align: 'right', width: 95 });
+  }
+  doc.down(16).text(400, 'Total', { size: 11, bold: true })
+    .text(490, rupees(snapshot.total_amount), { size: 11, bold: true, align: 'right', width: 95 });
+  if (order.refunded_amount > 0) {
+    doc.down(14).text(400, 'Refunded').text(490, rupees(-order.refunded_amount), { align: 'right', width: 95 });
+  }
+
+  doc.down(30).text(40, snapshot.tax_type === 'inter_state'
+    ? 'Inter-state supply: IGST charged.'
+    : 'Intra-state supply: CGST and SGST charged.', { size: 8 });
+  doc.down(12).text(40, 'This is a computer generated invoice and needs no signature.', { size: 8 });
+  return doc.render();
+};
+
+// Buyers, the selling vendor and admins can download an order's invoice
+app.get("/orders/:id/invoice.pdf", requireRole(ROLES.USER, ROLES.VENDOR, ROLES.ADMIN), async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: "Invalid order ID." });
+    }
+
+    const order = await Order.findById(id);
+    if (!order || !canAccessOrder(req.user, order)) {
+      return res.status(404).json({ message: "Order not found." });
+    }
+
+    // Unpaid orders get no invoice; one already issued stays available
+    if (!SOLD_ORDER_STATUSES.includes(order.status) && !(await Invoice.exists({ order_id: order._id }))) {
+      return res.status(409).json({ message: "An invoice is issued once the order is paid or confirmed." });
+    }
+
+    const invoice = await issueInvoice(order);
+    const pdf = await invoicePdf({ invoice, order });
+    res.set({
+      "Content-Type": "application/pdf",
+      "Content-Disposition": `attachment; filename="invoice-${invoice.invoice_number}.pdf"`,
+      "Content-Length": pdf.length,
+    });
+    res.send(pdf);
+  } catch (err) {
+    console.error("Error generating invoice:", err);
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+});
+
+app.get("/orders/:id", requireAuth, async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -3484,6 +11674,14 @@ app.get("/orders/:id", async (req, res) => {
       return res.status(400).json({ message: "Invalid order ID." });
     }
 
+    const order = await Order.findById(id).select("user_id vendor_id delivery_boy_id");
+    if (!order) {
+      return res.status(404).json({ message: "Order not found." });
+    }
+    if (!canAccessOrder(req.user, order)) {
+      return res.status(403).json({ message: "Access denied" });
+    }
+
     // Fetch the order details using aggregation
     const orderDetails = await Order.aggregate([
       { $match: { _id: new mongoose.Types.ObjectId(id) } },
@@ -3549,6 +11747,7 @@ app.get("/orders/:id", async (req, res) => {
           status: 1,
           order_amount: 1,
           date: 1,
+          timeline: "$status_history", // Status changes, oldest first
           "user.user_name": 1,
           "user.user_email": 1,
           "vendor.vendor_name": 1,
@@ -3593,6 +11792,35 @@ app.get("/orders/:id", async (req, res) => {
     res.status(500).json({ message: "Server error", error: err.message });
   }
 });
+
+// Tracking timeline of an order's status changes
+app.get("/orders/:id/timeline", requireAuth, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: "Invalid order ID." });
+    }
+
+    const order = await Order.findById(id).select("user_id vendor_id delivery_boy_id status status_history createdAt");
+    if (!order) {
+      return res.status(404).json({ message: "Order not found." });
+    }
+    if (!canAccessOrder(req.user, order)) {
+      return res.status(403).json({ message: "Access denied" });
+    }
+
+    res.status(200).json({
+      order_id: order._id,
+      status: order.status,
+      created_at: order.createdAt,
+      timeline: order.status_history,
+    });
+  } catch (err) {
+    console.error("Error fetching order timeline:", err);
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+});
 app.post("/deliveryperson/login", async (req, res) => {
   try {
     const { email, password } = req.body;
@@ -3603,18 +11831,25 @@ app.post("/deliveryperson/login", async (req, res) => {
     }
 
     // Find the delivery person by email
-    const deliveryPerson = await DeliveryPerson.findOne({ email });
+    const deliveryPerson = await DeliveryPerson.findOne({ email }).select("+password");
     if (!deliveryPerson) {
       return res.status(404).json({ message: "Delivery person not found." });
     }
 
     // Validate the password
-    if (deliveryPerson.password !== password) {
+    if (!(await verifyAccountPassword(deliveryPerson, "password", password))) {
       return res.status(401).json({ message: "Invalid credentials." });
     }
 
-    // Respond with the delivery person ID
-    res.status(200).json({ deliveryBoyId: deliveryPerson._id });
+    if (!deliveryPerson.email_verified) {
+      return res.status(403).json({ message: "Please verify your email address." });
+    }
+
+    // Respond with the delivery person ID and session tokens
+    res.status(200).json({
+      deliveryBoyId: deliveryPerson._id,
+      ...(await issueSession(deliveryPerson._id, ROLES.DELIVERY)),
+    });
   } catch (err) {
     console.error("Error logging in delivery person:", err);
     res.status(500).json({ message: "Server error", error: err.message });
@@ -3622,7 +11857,7 @@ app.post("/deliveryperson/login", async (req, res) => {
 });
 
 // 📌 GET: Fetch Active Delivery Persons
-app.get("/deliverypersons", async (req, res) => {
+app.get("/deliverypersons", requireRole(ROLES.VENDOR, ROLES.ADMIN), async (req, res) => {
   try {
     const activeDeliveryPersons = await DeliveryPerson.find({ status: "active" });
 
@@ -3632,14 +11867,18 @@ app.get("/deliverypersons", async (req, res) => {
     res.status(500).send("Server error.");
   }
 });
-app.post("/cart/insert", async (req, res) => {
+app.post("/cart/insert", requireSelf('user_id', ROLES.USER), async (req, res) => {
   try {
-    const { user_id, product_id, qty } = req.body;
+    const { user_id, product_id } = req.body;
+    const qty = Number(req.body.qty);
 
     // Validate the request
-    if (!user_id || !product_id || !qty) {
+    if (!user_id || !product_id || !req.body.qty) {
       return res.status(400).json({ message: "All fields are required" });
     }
+    if (!Number.isInteger(qty) || qty <= 0) {
+      return res.status(400).json({ message: "Quantity must be a whole number of at least 1." });
+    }
 
     // Fetch product details
     const product = await Product.findById(product_id);
@@ -3647,66 +11886,64 @@ app.post("/cart/insert", async (req, res) => {
       return res.status(404).json({ message: "Product not found" });
     }
 
-    const cart_price = product.price * qty;
-
-    // Check if there's an existing order with status '1' (confirmed)
-    let order = await Order.findOne({ user_id, status: "1" });
-
-    // If no order with status '1', create a new order
-    if (!order) {
-      order = new Order({
-        user_id,
-        vendor_id: product.vendor_id, // Include vendor_id from the product
-        status: "1", // Order is confirmed
-        order_amount: 0, // Initial order amount
-      });
-      await order.save();
+    // Products sold in variants are bought as one of them
+    let variant = null;
+    if (req.body.variant_id) {
+      variant = await findVariant(product._id, req.body.variant_id);
+      if (!variant.active) {
+        return res.status(409).json({ message: "This variant is no longer sold" });
+      }
+    } else if (await ProductVariant.exists({ product_id: product._id, active: true })) {
+      return res.status(400).json({ message: "Please choose a variant of this product" });
     }
 
-    // Check if the cart item already exists for the same product in the same order
+    // The price is fixed when the item is added, so later changes leave the cart alone
+    const unitPrice = variant ? variantPricing(variant, product).price : effectivePrice(product);
+    const cart_price = roundAmount(unitPrice * qty);
+
+    // Check if the product is already in the user's cart (lines without an order)
     const existingCartItem = await Cart.findOne({
       user_id,
       product_id,
-      order_id: order._id,
+      variant_id: variant ? variant._id : null,
+      order_id: null,
     });
 
     if (existingCartItem) {
       // Update the quantity and cart price if the item already exists
       existingCartItem.qty += qty;
-      existingCartItem.cart_price += cart_price;
+      existingCartItem.cart_price = roundAmount(existingCartItem.cart_price + cart_price);
       await existingCartItem.save();
-      order.order_amount += cart_price;
-      await order.save();
-      return res.status(200).json({ message: "Cart updated", cartItem: existingCartItem, order });
+      return res.status(200).json({ message: "Cart updated", cartItem: existingCartItem });
     }
 
-    // Add a new item to the cart linked to the order
+    // Add a new item to the cart; it is attached to an order at checkout
     const cartItem = new Cart({
       user_id,
       product_id,
+      variant_id: variant ? variant._id : null,
       qty,
       cart_price,
-      order_id: order._id, // Link cart item to the order
+      order_id: null,
       status: "processing", // Default status for cart items
     });
 
     await cartItem.save();
 
-    // Update order total price
-    order.order_amount += cart_price;
-    await order.save();
-
-    res.status(201).json({ message: "Item added to cart", cartItem, order });
+    res.status(201).json({ message: "Item added to cart", cartItem });
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
     console.error("Error inserting cart item:", error);
     res.status(500).json({ error: error.message });
   }
 });
 
-app.get("/orders/status/2", async (req, res) => {
+app.get("/orders/status/2", requireRole(ROLES.DELIVERY, ROLES.ADMIN), async (req, res) => {
   try {
     const ordersWithDetails = await Order.aggregate([
-      { $match: { status: "2" } },
+      { $match: { status: ORDER_STATUS.PACKED } }, // Packed and waiting for pickup
 
       // Lookup user
       {
@@ -3789,7 +12026,7 @@ app.get("/orders/status/2", async (req, res) => {
     ]);
 
     if (!ordersWithDetails || ordersWithDetails.length === 0) {
-      return res.status(404).json({ message: "No orders with status '2' found." });
+      return res.status(404).json({ message: "No orders ready for delivery found." });
     }
 
     res.status(200).json(ordersWithDetails);
@@ -3799,10 +12036,15 @@ app.get("/orders/status/2", async (req, res) => {
   }
 });
 
-app.put("/delivery/orders/accept/:id", async (req, res) => {
+app.put("/delivery/orders/accept/:id", requireSelf('delivery_boy_id', ROLES.DELIVERY), async (req, res) => {
   try {
     const { id } = req.params; // Extract the order ID from the URL
-    const { status, delivery_boy_id } = req.body; // Extract the status and delivery person ID from the request body
+    const { delivery_boy_id } = req.body; // Extract the delivery person ID from the request body
+    const status = normalizeOrderStatus(req.body.status || ORDER_STATUS.OUT_FOR_DELIVERY);
+
+    if (status !== ORDER_STATUS.OUT_FOR_DELIVERY) {
+      return res.status(400).json({ message: "Invalid status value." });
+    }
 
     // Validate the delivery_boy_id
     const deliveryPerson = await DeliveryPerson.findById(delivery_boy_id);
@@ -3810,20 +12052,26 @@ app.put("/delivery/orders/accept/:id", async (req, res) => {
       return res.status(404).json({ message: "Delivery person not found." });
     }
 
-    // Update the order status and assign the delivery person
-    const order = await Order.findByIdAndUpdate(
-      id,
-      { status, delivery_boy_id }, // Update both status and delivery_boy_id
-      { new: true } // Return the updated document
-    );
-
+    const order = await Order.findById(id);
     if (!order) {
       return res.status(404).json({ message: "Order not found." });
     }
+    if (order.delivery_boy_id && !order.delivery_boy_id.equals(deliveryPerson._id)) {
+      return res.status(409).json({ message: "Order is already assigned to another delivery person." });
+    }
+
+    // Update the order status and assign the delivery person
+    const result = await transitionOrder(order, status, req.user, {
+      note: req.body.note,
+      update: { delivery_boy_id: deliveryPerson._id },
+    });
+    if (!result.order) {
+      return res.status(result.status).json({ message: result.message });
+    }
 
     res.status(200).json({
       message: "Order status updated and delivery person assigned successfully.",
-      order,
+      order: result.order,
     });
   } catch (err) {
     console.error("Error updating order status:", err);
@@ -3831,36 +12079,40 @@ app.put("/delivery/orders/accept/:id", async (req, res) => {
   }
 });
 
-app.put("/user/:id/change-password", async (req, res) => {
+app.put("/user/:id/change-password", requireSelf('id', ROLES.USER), async (req, res) => {
   const userId = req.params.id;
   const { currentPassword, newPassword } = req.body;
 
   try {
+    if (!newPassword) {
+      return res.status(400).json({ message: "New password is required" });
+    }
+
     // Find the user by ID
-    const user = await User.findById(userId);
+    const user = await User.findById(userId).select("+user_password");
 
     if (!user) {
       return res.status(404).json({ message: "User not found" });
     }
 
     // Check if current password matches
-    if (user.user_password !== currentPassword) {
+    if (!(await verifyPassword(currentPassword, user.user_password))) {
       return res.status(400).json({ message: "Current password is incorrect" });
     }
 
     // Update to new password
-    user.user_password = newPassword;
+    user.user_password = await hashPassword(newPassword);
 
     // Save the updated user
     await user.save();
 
-    res.json({ success: true, message: "Password changed successfully", user });
+    res.json({ success: true, message: "Password changed successfully" });
   } catch (err) {
     console.error("Error changing password:", err);
     res.status(500).json({ message: "Server error" });
   }
 });
-app.put("/deliveryperson/cart/:id", async (req, res) => {
+app.put("/deliveryperson/cart/:id", requireRole(ROLES.DELIVERY, ROLES.ADMIN), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -3869,6 +12121,12 @@ app.put("/deliveryperson/cart/:id", async (req, res) => {
       return res.status(404).json({ message: "Cart item not found." });
     }
 
+    // Only the delivery person the line's order is assigned to can ship it
+    const order = cartItem.order_id ? await Order.findById(cartItem.order_id) : null;
+    if (!order || !canAccessOrder(req.user, order)) {
+      return res.status(403).json({ message: "Access denied" });
+    }
+
     cartItem.status = "shipped";
     await cartItem.save();
 
@@ -3878,40 +12136,27 @@ app.put("/deliveryperson/cart/:id", async (req, res) => {
     res.status(500).json({ message: "Server error", error: err.message });
   }
 });
-app.post("/order/confirm", async (req, res) => {
+// Place the open cart, one order per vendor
+app.post("/order/confirm", requireSelf('user_id', ROLES.USER), checkoutCart);
+app.post("/checkout", requireSelf('user_id', ROLES.USER), checkoutCart);
+app.put("/cart/update", requireRole(ROLES.USER), async (req, res) => {
   try {
-    const { user_id } = req.body;
-
-    // Find the pending order
-    const order = await Order.findOne({ user_id, status: "0" });
+    const { itemId } = req.body;
+    const qty = Number(req.body.qty);
 
-    if (!order) {
-      return res.status(400).json({ message: "No active cart found" });
+    if (!Number.isInteger(qty) || qty <= 0) {
+      return res.status(400).json({ message: "Quantity must be a whole number of at least 1." });
     }
 
-    // Update order status to "1" (confirmed)
-    order.status = "1";
-    await order.save();
-
-    // Update all cart items related to this order to "shipped"
-    await Cart.updateMany({ order_id: order._id }, { $set: { status: "shipped" } });
-
-    res.json({ message: "Order confirmed", order });
-  } catch (error) {
-    console.error("Error confirming order:", error);
-    res.status(500).json({ error: error.message });
-  }
-});
-app.put("/cart/update", async (req, res) => {
-  try {
-    const { itemId, qty } = req.body;
-    const cartItem = await Cart.findById(itemId);
+    // Only lines still in the user's cart can change
+    const cartItem = await Cart.findOne({ _id: itemId, user_id: req.user._id, order_id: null });
     if (!cartItem) {
       return res.status(404).json({ message: "Cart item not found." });
     }
 
+    const unitPrice = cartItem.cart_price / cartItem.qty;
     cartItem.qty = qty;
-    cartItem.cart_price = cartItem.product_price * qty;
+    cartItem.cart_price = roundAmount(unitPrice * qty);
     await cartItem.save();
 
     res.status(200).json({ message: "Quantity updated successfully." });
@@ -3920,7 +12165,7 @@ app.put("/cart/update", async (req, res) => {
     res.status(500).json({ message: "Server error." });
   }
 });
-app.delete("/cart/:id", async (req, res) => {
+app.delete("/cart/:id", requireRole(ROLES.USER), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -3929,39 +12174,20 @@ app.delete("/cart/:id", async (req, res) => {
       return res.status(400).json({ message: "Invalid cart item ID." });
     }
 
-    // Find the cart item to get the associated order ID and cart price
-    const cartItem = await Cart.findById(id);
+    // Lines can only be removed while they are still in the cart
+    const cartItem = await Cart.findOneAndDelete({ _id: id, user_id: req.user._id, order_id: null });
     if (!cartItem) {
       return res.status(404).json({ message: "Cart item not found." });
     }
 
-    const { order_id, cart_price } = cartItem;
-
-    // Remove the cart item from the Cart collection
-    await Cart.findByIdAndDelete(id);
-
-    // Update the total price in the Order collection
-    const order = await Order.findById(order_id);
-    if (order) {
-      order.order_amount -= cart_price; // Subtract the cart price from the total order amount
-
-      if (order.order_amount <= 0) {
-        // If the order amount is 0 or less, delete the order
-        await Order.findByIdAndDelete(order_id);
-      } else {
-        // Otherwise, save the updated order
-        await order.save();
-      }
-    }
-
-    res.status(200).json({ message: "Cart item removed and order updated successfully." });
+    res.status(200).json({ message: "Cart item removed successfully." });
   } catch (err) {
     console.error("Error deleting cart item:", err);
     res.status(500).json({ message: "Server error." });
   }
 });
 
-app.get("/user/orders/products", async (req, res) => {
+app.get("/user/orders/products", requireSelf('user_id', ROLES.USER), async (req, res) => {
   try {
     const { user_id } = req.query;
 console.log("User ID:", user_id);
@@ -3972,8 +12198,8 @@ console.log("User ID:", user_id);
 
     // Use aggregation to fetch products of orders for the user
     const orderProducts = await Order.aggregate([
-      // Match orders for the given user with statuses 2-5
-      { $match: { user_id: new mongoose.Types.ObjectId(user_id), status: { $in: ["2", "3", "4", "5"] } } },
+      // Match orders for the given user that have been paid for
+      { $match: { user_id: new mongoose.Types.ObjectId(user_id), status: { $in: PAID_ORDER_STATUSES } } },
 
       // Lookup cart items associated with the order
       {
@@ -4062,7 +12288,7 @@ console.log("User ID:", user_id);
     res.status(500).json({ message: "Server error", error: err.message });
   }
 });
-app.post('/complaints', async (req, res) => {
+app.post('/complaints', requireSelf('user_id', ROLES.USER), async (req, res) => {
   try {
     const { title, content, cart_id, user_id } = req.body;
 
@@ -4149,7 +12375,7 @@ app.post('/complaints', async (req, res) => {
   }
 });
 
-app.get('/user/complaints/:userId', async (req, res) => {
+app.get('/user/complaints/:userId', requireSelf('userId', ROLES.USER), async (req, res) => {
   try {
     const { userId } = req.params;
 
@@ -4241,7 +12467,7 @@ app.get("/product/:id", async (req, res) => {
       return res.status(400).json({ message: "Invalid product ID." });
     }
 
-    // Use aggregation to fetch product details, gallery image, and latest stock
+    // Use aggregation to fetch product details and gallery image
     const productDetails = await Product.aggregate([
       // Match the product by ID
       { $match: { _id: new mongoose.Types.ObjectId(id) } },
@@ -4263,33 +12489,6 @@ app.get("/product/:id", async (req, res) => {
         },
       },
 
-      // Lookup the latest stock from the Stock collection
-      {
-        $lookup: {
-          from: "stocks", // Collection name for stocks
-          localField: "_id",
-          foreignField: "product_id",
-          as: "stocks",
-        },
-      },
-
-      // Add the latest stock quantity
-      {
-        $addFields: {
-          latestStock: {
-            $arrayElemAt: [
-              {
-                $sortArray: {
-                  input: "$stocks",
-                  sortBy: { stock_date: -1 }, // Sort stocks by date in descending order
-                },
-              },
-              0,
-            ],
-          },
-        },
-      },
-
       // Project the desired fields
       {
         $project: {
@@ -4300,8 +12499,10 @@ app.get("/product/:id", async (req, res) => {
           offer:1,
           
           price: 1,
+          mrp: 1,
+          sales: 1,
+          reorder_threshold: 1,
           image: 1, // Include the first image
-          stock: "$latestStock.stock_quantity", // Include the latest stock quantity
         },
       },
     ]);
@@ -4310,6 +12511,22 @@ app.get("/product/:id", async (req, res) => {
       return res.status(404).json({ message: "Product not found." });
     }
 
+    // Stock the customer can still buy, net of reservations; products stocked
+    // before reorder thresholds existed use the schema default
+    const reorderThreshold = productDetails[0].reorder_threshold ?? Product.schema.path("reorder_threshold").defaultValue;
+    const inventory = await getInventory(id);
+    productDetails[0].stock = stockLevels(inventory).available;
+    productDetails[0].stock_status = stockStatus(productDetails[0].stock, reorderThreshold);
+    productDetails[0].pricing = productPricing(productDetails[0]);
+
+    // Products sold in variants are priced and stocked per variant
+    const variants = await variantsWithStock(id, { reorderThreshold });
+    productDetails[0].variants = variants;
+    if (variants.length > 0) {
+      productDetails[0].stock = variants.reduce((sum, variant) => sum + variant.available, 0);
+      productDetails[0].stock_status = stockStatus(productDetails[0].stock, reorderThreshold);
+    }
+
     // Fetch reviews for the product
     const reviews = await Review.aggregate([
       { $match: { product_id: new mongoose.Types.ObjectId(id) } },
@@ -4422,7 +12639,7 @@ app.get("/product-reviews/:productId", async (req, res) => {
 });
 
 // Add a product review
-app.post("/product-reviews", async (req, res) => {
+app.post("/product-reviews", requireSelf('user_id', ROLES.USER), async (req, res) => {
   try {
     const { product_id, user_id, content, count } = req.body;
 
@@ -4439,6 +12656,7 @@ app.post("/product-reviews", async (req, res) => {
     });
 
     await newReview.save();
+    await refreshListingRating(newReview.product_id);
     res.status(201).json({ message: "Review added successfully." });
   } catch (err) {
     console.error("Error adding review:", err);
@@ -4446,7 +12664,7 @@ app.post("/product-reviews", async (req, res) => {
   }
 });
 
-app.get("/cart/:user_id", async (req, res) => {
+app.get("/cart/:user_id", requireSelf('user_id', ROLES.USER), async (req, res) => {
   try {
     const { user_id } = req.params;
 
@@ -4456,22 +12674,11 @@ app.get("/cart/:user_id", async (req, res) => {
     }
 
     const cartItems = await Cart.aggregate([
-      // Lookup the order linked to each cart item
-      {
-        $lookup: {
-          from: "orders",
-          localField: "order_id",
-          foreignField: "_id",
-          as: "order",
-        },
-      },
-      { $unwind: "$order" },
-
-      // Match cart items with orders that belong to the user and have status "1"
+      // Match the user's cart lines that are not part of an order yet
       {
         $match: {
-          "order.user_id": new mongoose.Types.ObjectId(user_id),
-          "order.status": "1",
+          user_id: new mongoose.Types.ObjectId(user_id),
+          order_id: null,
         },
       },
 
@@ -4486,6 +12693,28 @@ app.get("/cart/:user_id", async (req, res) => {
       },
       { $unwind: "$product" },
 
+      // Lookup the vendor each line will be ordered from
+      {
+        $lookup: {
+          from: "vendors",
+          localField: "product.vendor_id",
+          foreignField: "_id",
+          as: "vendor",
+        },
+      },
+      { $unwind: { path: "$vendor", preserveNullAndEmptyArrays: true } },
+
+      // Lookup the chosen variant, if any
+      {
+        $lookup: {
+          from: "productvariants",
+          localField: "variant_id",
+          foreignField: "_id",
+          as: "variant",
+        },
+      },
+      { $unwind: { path: "$variant", preserveNullAndEmptyArrays: true } },
+
       // Lookup gallery images
       {
         $lookup: {
@@ -4509,29 +12738,81 @@ app.get("/cart/:user_id", async (req, res) => {
       {
         $project: {
           _id: 1,
-          order_id: "$order._id",
           product_id: "$product._id",
           product_name: "$product.name",
           product_price: "$product.price",
+          product_mrp: { $ifNull: ["$variant.mrp", "$product.mrp"] },
+          unit_price: { $round: [{ $divide: ["$cart_price", "$qty"] }, 2] }, // Price when added
+          variant_id: 1,
+          variant: { sku: "$variant.sku", name: "$variant.name", attributes: "$variant.attributes" },
+          vendor_id: "$product.vendor_id",
+          vendor_name: "$vendor.vendor_name",
           qty: 1,
           cart_price: 1,
           firstImage: 1,
         },
       },
     ]);
-console.log("Fetched cart items:", cartItems); // Debugging
-    if (!cartItems.length) {
-      return ({ message: "No cart items found for this user with active orders." });
+
+    for (const item of cartItems) {
+      item.variant_name = item.variant_id ? variantLabel(item.variant) : null;
+      delete item.variant;
+    }
+    const total = cartItems.reduce((sum, item) => sum + item.cart_price, 0);
+
+    // A coupon that stopped applying stays attached but shows why
+    let coupon = null;
+    const user = await User.findById(user_id).select("cart_coupon_id");
+    if (user && user.cart_coupon_id && cartItems.length > 0) {
+      try {
+        const applied = await Coupon.findById(user.cart_coupon_id);
+        await checkCouponUsable(applied, user_id);
+        coupon = priceCoupon(applied, (await loadCartLines(user_id)).filter((line) => line.product_id));
+      } catch (err) {
+        if (!err.status) throw err;
+        coupon = { error: err.message };
+      }
     }
+    const discount = coupon && !coupon.error ? coupon.discount : 0;
+
+    // Delivery is priced to the chosen address, else the user's latest one
+    const address = mongoose.Types.ObjectId.isValid(req.query.address_id)
+      ? await Address.findOne({ _id: req.query.address_id, user_id })
+      : await Address.findOne({ user_id }).sort({ _id: -1 });
+    const vendorIds = [...new Set(cartItems.map((item) => String(item.vendor_id)))];
+    const vendors = await Vendor.find({ _id: { $in: vendorIds } }).select("vendor_name vendor_lat vendor_lon");
+    const deliveries = vendors.map((vendor) => {
+      const vendorId = String(vendor._id);
+      const goods = cartItems
+        .filter((item) => String(item.vendor_id) === vendorId)
+        .reduce((sum, item) => sum + item.cart_price, 0);
+      const vendorDiscount = coupon && !coupon.error
+        ? coupon.lines.filter((line) => String(line.vendor_id) === vendorId).reduce((sum, line) => sum + line.discount, 0)
+        : 0;
+      const freeDelivery = Boolean(coupon && !coupon.error && coupon.free_delivery && coupon.vendor_ids.includes(vendorId));
+      return {
+        vendor_id: vendor._id,
+        vendor_name: vendor.vendor_name,
+        ...quoteDelivery(vendor, address, roundAmount(goods - vendorDiscount), { freeDelivery }),
+      };
+    });
+    const deliveryFee = roundAmount(deliveries.reduce((sum, delivery) => sum + delivery.fee, 0));
 
-    res.status(200).json({cartItems});
+    res.status(200).json({
+      cartItems,
+      total,
+      coupon,
+      discount,
+      delivery: { address_id: address ? address._id : null, fee: deliveryFee, vendors: deliveries },
+      payable: roundAmount(total - discount + deliveryFee),
+    });
   } catch (error) {
     console.error("Error fetching cart items:", error);
     res.status(500).json({ message: "Server error", error: error.message });
   }
 });
 
-app.get("/order/:user_id", async (req, res) => {
+app.get("/order/:user_id", requireSelf('user_id', ROLES.USER), async (req, res) => {
   try {
     const { user_id } = req.params;
     const orders = await Order.find({ user_id }).populate("vendor_id").populate("address_id");
@@ -4541,7 +12822,7 @@ app.get("/order/:user_id", async (req, res) => {
     res.status(500).json({ error: error.message });
   }
 });
-app.post('/user/upload-profile', 
+app.post('/user/upload-profile', requireRole(ROLES.USER), 
   upload.single('profile'), 
   async (req, res) => {
     try {
@@ -4564,7 +12845,7 @@ app.post('/user/upload-profile',
 );
 
 // Remove profile picture
-app.delete("/user/:id/profile-photo", async (req, res) => {
+app.delete("/user/:id/profile-photo", requireSelf('id', ROLES.USER), async (req, res) => {
   try {
     const user = await User.findById(req.params.id);
     if (!user) return res.status(404).json({ message: "User not found" });
@@ -4592,7 +12873,7 @@ app.delete("/user/:id/profile-photo", async (req, res) => {
   }
 });
 
-app.get("/user-orders", async (req, res) => {
+app.get("/user-orders", requireSelf('user_id', ROLES.USER), async (req, res) => {
   try {
     const { user_id } = req.query;
     console.log("Received user_id:", user_id); // Debugging
@@ -4643,9 +12924,9 @@ app.get("/user-orders", async (req, res) => {
 });
 // Login delivery person
 
-app.get("/deliveryperson/pending-orders", async (req, res) => {
+app.get("/deliveryperson/pending-orders", requireRole(ROLES.DELIVERY, ROLES.ADMIN), async (req, res) => {
   try {
-    const orders = await Order.find({ status: "1" }) // Fetch confirmed orders
+    const orders = await Order.find({ status: ORDER_STATUS.PACKED, delivery_boy_id: null }) // Fetch orders waiting for pickup
       .populate("user_id", "user_name user_email") // Populate user details
       .populate("address_id", "content") // Populate address details
       .populate({
@@ -4689,7 +12970,7 @@ app.get("/deliveryperson/pending-orders", async (req, res) => {
     res.status(500).json({ message: "Server error", error: err.message });
   }
 });
-app.put("/deliveryperson/cart/:id", async (req, res) => {
+app.put("/deliveryperson/cart/:id", requireRole(ROLES.DELIVERY, ROLES.ADMIN), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -4698,6 +12979,12 @@ app.put("/deliveryperson/cart/:id", async (req, res) => {
       return res.status(404).json({ message: "Cart item not found." });
     }
 
+    // Only the delivery person the line's order is assigned to can ship it
+    const order = cartItem.order_id ? await Order.findById(cartItem.order_id) : null;
+    if (!order || !canAccessOrder(req.user, order)) {
+      return res.status(403).json({ message: "Access denied" });
+    }
+
     cartItem.status = "shipped";
     await cartItem.save();
 
@@ -4707,53 +12994,41 @@ app.put("/deliveryperson/cart/:id", async (req, res) => {
     res.status(500).json({ message: "Server error", error: err.message });
   }
 });
-app.put("/orders/accept/:id", async (req, res) => {
+app.put("/orders/accept/:id", requireRole(ROLES.VENDOR, ROLES.ADMIN), async (req, res) => {
   try {
     const { id } = req.params; // Extract the order ID from the URL
-    const { status } = req.body; // Extract the status from the request body
+    const status = normalizeOrderStatus(req.body.status); // Extract the status from the request body
 
-    // Update the order status in the database
-    const order = await Order.findByIdAndUpdate(
-      id,
-      { status },
-      { new: true } // Return the updated document
-    );
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: "Invalid order ID." });
+    }
 
+    const order = await Order.findById(id);
     if (!order) {
       return res.status(404).json({ message: "Order not found." });
     }
+    if (!canAccessOrder(req.user, order)) {
+      return res.status(403).json({ message: "Access denied" });
+    }
+
+    // Update the order status in the database
+    const result = await transitionOrder(order, status, req.user, { note: req.body.note });
+    if (!result.order) {
+      return res.status(result.status).json({ message: result.message });
+    }
 
-    res.status(200).json({ message: "Order status updated successfully.", order });
+    res.status(200).json({
+      message: "Order status updated successfully.",
+      order: result.order,
+      refund: result.refund || null,
+      refund_error: result.refundError || null,
+    });
   } catch (err) {
     console.error("Error updating order status:", err);
     res.status(500).json({ message: "Server error", error: err.message });
   }
 });
-app.post("/order/confirm", async (req, res) => {
-  try {
-    const { user_id } = req.body;
-
-    // Find the pending order
-    const order = await Order.findOne({ user_id, status: "0" });
-
-    if (!order) {
-      return res.status(400).json({ message: "No active cart found" });
-    }
-
-    // Update order status to "1" (confirmed)
-    order.status = "1";
-    await order.save();
-
-    // Update all cart items related to this order to "shipped"
-    await Cart.updateMany({ order_id: order._id }, { $set: { status: "shipped" } });
-
-    res.json({ message: "Order confirmed", order });
-  } catch (error) {
-    console.error("Error confirming order:", error);
-    res.status(500).json({ error: error.message });
-  }
-});
-app.get("/delivery/orders", async (req, res) => {
+app.get("/delivery/orders", requireSelf('deliveryPersonId', ROLES.DELIVERY), async (req, res) => {
   const { deliveryPersonId } = req.query;
 
   if (!deliveryPersonId) {
@@ -4762,8 +13037,8 @@ app.get("/delivery/orders", async (req, res) => {
 
   try {
     const orders = await Order.find({ 
-        deliveryPerson: deliveryPersonId, 
-        status: "Delivered" 
+        delivery_boy_id: deliveryPersonId, 
+        status: ORDER_STATUS.DELIVERED 
       })
       .populate("user_id", "user_name")       // Populate user's name
       .populate("address_id", "content")      // Populate address content
@@ -4775,10 +13050,10 @@ app.get("/delivery/orders", async (req, res) => {
     res.status(500).json({ message: "Failed to fetch orders." });
   }
 });
-app.get("/delivery/orders/available", async (req, res) => {
+app.get("/delivery/orders/available", requireRole(ROLES.DELIVERY, ROLES.ADMIN), async (req, res) => {
   try {
-    // Fetch orders with status "2" (no delivery boy assigned)
-    const orders = await Order.find({ status: "2" })
+    // Fetch packed orders with no delivery boy assigned
+    const orders = await Order.find({ status: ORDER_STATUS.PACKED, delivery_boy_id: null })
       .populate("user_id", "user_name user_email") // Populate user details
       .populate("address_id", "content") // Populate address details
       .populate({